@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "scheduled_sessions" ADD COLUMN     "child_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "child_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "children" (
+    "id" TEXT NOT NULL,
+    "parent_id" TEXT NOT NULL,
+    "first_name" TEXT NOT NULL,
+    "last_name" TEXT NOT NULL,
+    "birth_date" TIMESTAMP(3),
+    "grade" TEXT,
+    "learning_needs" TEXT,
+    "avatar_url" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "children_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "children_parent_id_idx" ON "children"("parent_id");
+
+-- CreateIndex
+CREATE INDEX "children_is_active_idx" ON "children"("is_active");
+
+-- CreateIndex
+CREATE INDEX "sessions_child_id_idx" ON "sessions"("child_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_sessions_child_id_idx" ON "scheduled_sessions"("child_id");
+
+-- AddForeignKey
+ALTER TABLE "children" ADD CONSTRAINT "children_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_child_id_fkey" FOREIGN KEY ("child_id") REFERENCES "children"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_child_id_fkey" FOREIGN KEY ("child_id") REFERENCES "children"("id") ON DELETE SET NULL ON UPDATE CASCADE;
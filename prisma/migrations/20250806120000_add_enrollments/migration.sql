@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "EnrollmentStatus" AS ENUM ('ACTIVE', 'PAUSED', 'COMPLETED', 'WITHDRAWN');
+
+-- AlterTable
+ALTER TABLE "scheduled_sessions" ADD COLUMN     "enrollment_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "enrollment_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "enrollments" (
+    "id" TEXT NOT NULL,
+    "course_id" TEXT NOT NULL,
+    "child_id" TEXT NOT NULL,
+    "payer_id" TEXT NOT NULL,
+    "status" "EnrollmentStatus" NOT NULL DEFAULT 'ACTIVE',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "credits_charged" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "enrolled_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paused_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "withdrawn_at" TIMESTAMP(3),
+    "withdrawal_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "enrollments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "enrollments_course_id_idx" ON "enrollments"("course_id");
+
+-- CreateIndex
+CREATE INDEX "enrollments_child_id_idx" ON "enrollments"("child_id");
+
+-- CreateIndex
+CREATE INDEX "enrollments_payer_id_idx" ON "enrollments"("payer_id");
+
+-- CreateIndex
+CREATE INDEX "enrollments_status_idx" ON "enrollments"("status");
+
+-- CreateIndex
+CREATE INDEX "sessions_enrollment_id_idx" ON "sessions"("enrollment_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_sessions_enrollment_id_idx" ON "scheduled_sessions"("enrollment_id");
+
+-- AddForeignKey
+ALTER TABLE "enrollments" ADD CONSTRAINT "enrollments_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "courses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "enrollments" ADD CONSTRAINT "enrollments_child_id_fkey" FOREIGN KEY ("child_id") REFERENCES "children"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "enrollments" ADD CONSTRAINT "enrollments_payer_id_fkey" FOREIGN KEY ("payer_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill enrollments from the placeholder sessions that used to represent them
+INSERT INTO "enrollments" ("id", "course_id", "child_id", "payer_id", "status", "enrolled_at", "created_at", "updated_at")
+SELECT "id", "course_id", "child_id", "student_id", 'ACTIVE', "created_at", "created_at", CURRENT_TIMESTAMP
+FROM "sessions"
+WHERE "child_id" IS NOT NULL
+  AND "end_time" - "start_time" < INTERVAL '1 second'
+  AND "title" LIKE 'Enrollment in %';
+
+DELETE FROM "sessions"
+WHERE "child_id" IS NOT NULL
+  AND "end_time" - "start_time" < INTERVAL '1 second'
+  AND "title" LIKE 'Enrollment in %';
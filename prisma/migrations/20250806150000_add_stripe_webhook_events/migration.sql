@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "WebhookEventStatus" AS ENUM ('RECEIVED', 'PROCESSED', 'FAILED', 'IGNORED');
+
+-- DropIndex
+DROP INDEX "payments_stripe_payment_id_idx";
+
+-- AlterTable
+ALTER TABLE "coaches" ADD COLUMN     "stripe_charges_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "stripe_details_submitted" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "stripe_payouts_enabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "livemode" BOOLEAN NOT NULL DEFAULT false,
+    "status" "WebhookEventStatus" NOT NULL DEFAULT 'RECEIVED',
+    "payload" JSONB NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "processed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_type_idx" ON "webhook_events"("type");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_status_idx" ON "webhook_events"("status");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_created_at_idx" ON "webhook_events"("created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_stripe_payment_id_key" ON "payments"("stripe_payment_id");
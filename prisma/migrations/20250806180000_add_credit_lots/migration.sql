@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "credit_lots" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "source_type" TEXT NOT NULL,
+    "source_id" TEXT,
+    "original_amount" DECIMAL(12,2) NOT NULL,
+    "remaining_amount" DECIMAL(12,2) NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "expired_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "credit_lots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "credit_lots_user_id_idx" ON "credit_lots"("user_id");
+
+-- CreateIndex
+CREATE INDEX "credit_lots_expires_at_idx" ON "credit_lots"("expires_at");
+
+-- CreateIndex
+CREATE INDEX "credit_lots_source_type_source_id_idx" ON "credit_lots"("source_type", "source_id");
+
+-- AddForeignKey
+ALTER TABLE "credit_lots" ADD CONSTRAINT "credit_lots_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing balances predate lot tracking, so carry each one over as a single non-expiring lot
+INSERT INTO "credit_lots" ("id", "user_id", "source_type", "source_id", "original_amount", "remaining_amount", "updated_at")
+SELECT 'lot_' || "id", "user_id", 'OPENING_BALANCE', "id", "balance", "balance", CURRENT_TIMESTAMP
+FROM "credit_balances"
+WHERE "balance" > 0;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "credit_purchases" ADD COLUMN     "idempotency_key" TEXT;
+
+-- AlterTable
+ALTER TABLE "credit_transactions" ADD COLUMN     "idempotency_key" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_purchases_idempotency_key_key" ON "credit_purchases"("idempotency_key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_transactions_idempotency_key_key" ON "credit_transactions"("idempotency_key");
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "GiftCodeStatus" AS ENUM ('PENDING_PAYMENT', 'ACTIVE', 'REDEEMED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "gift_codes" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "purchaser_id" TEXT NOT NULL,
+    "purchase_id" TEXT,
+    "credits" DECIMAL(12,2) NOT NULL,
+    "credit_valid_days" INTEGER,
+    "status" "GiftCodeStatus" NOT NULL DEFAULT 'PENDING_PAYMENT',
+    "recipient_email" TEXT,
+    "message" TEXT,
+    "redeemed_by_id" TEXT,
+    "redeemed_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "gift_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "gift_codes_code_key" ON "gift_codes"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "gift_codes_purchase_id_key" ON "gift_codes"("purchase_id");
+
+-- CreateIndex
+CREATE INDEX "gift_codes_purchaser_id_idx" ON "gift_codes"("purchaser_id");
+
+-- CreateIndex
+CREATE INDEX "gift_codes_redeemed_by_id_idx" ON "gift_codes"("redeemed_by_id");
+
+-- CreateIndex
+CREATE INDEX "gift_codes_status_idx" ON "gift_codes"("status");
+
+-- AddForeignKey
+ALTER TABLE "gift_codes" ADD CONSTRAINT "gift_codes_purchaser_id_fkey" FOREIGN KEY ("purchaser_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gift_codes" ADD CONSTRAINT "gift_codes_redeemed_by_id_fkey" FOREIGN KEY ("redeemed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gift_codes" ADD CONSTRAINT "gift_codes_purchase_id_fkey" FOREIGN KEY ("purchase_id") REFERENCES "credit_purchases"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,82 @@
+-- CreateEnum
+CREATE TYPE "PromoDiscountType" AS ENUM ('PERCENT', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "credit_purchases" ADD COLUMN     "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "promo_code_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "enrollments" ADD COLUMN     "discount_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "promo_code_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "promo_code_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "promo_codes" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "discount_type" "PromoDiscountType" NOT NULL DEFAULT 'PERCENT',
+    "discount_value" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "bonus_credits" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "max_uses" INTEGER,
+    "max_uses_per_user" INTEGER,
+    "uses_count" INTEGER NOT NULL DEFAULT 0,
+    "starts_at" TIMESTAMP(3),
+    "ends_at" TIMESTAMP(3),
+    "package_ids" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "course_ids" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "coach_ids" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promo_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promo_redemptions" (
+    "id" TEXT NOT NULL,
+    "promo_code_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "context" TEXT NOT NULL,
+    "reference_id" TEXT NOT NULL,
+    "discount_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "bonus_credits" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promo_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_codes_code_key" ON "promo_codes"("code");
+
+-- CreateIndex
+CREATE INDEX "promo_codes_is_active_idx" ON "promo_codes"("is_active");
+
+-- CreateIndex
+CREATE INDEX "promo_redemptions_promo_code_id_user_id_idx" ON "promo_redemptions"("promo_code_id", "user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_redemptions_context_reference_id_key" ON "promo_redemptions"("context", "reference_id");
+
+-- AddForeignKey
+ALTER TABLE "enrollments" ADD CONSTRAINT "enrollments_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "promo_codes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "promo_codes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "credit_purchases" ADD CONSTRAINT "credit_purchases_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "promo_codes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_codes" ADD CONSTRAINT "promo_codes_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_redemptions" ADD CONSTRAINT "promo_redemptions_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "promo_codes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_redemptions" ADD CONSTRAINT "promo_redemptions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "schedule_notifications" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "dedupe_key" TEXT,
+ADD COLUMN     "last_error" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "schedule_notifications_dedupe_key_key" ON "schedule_notifications"("dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "schedule_notifications_sent_at_scheduled_at_idx" ON "schedule_notifications"("sent_at", "scheduled_at");
@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SESSION_APPROVED';
+ALTER TYPE "NotificationType" ADD VALUE 'SESSION_REJECTED';
+
+-- CreateIndex
+CREATE INDEX "notifications_user_id_is_read_idx" ON "notifications"("user_id", "is_read");
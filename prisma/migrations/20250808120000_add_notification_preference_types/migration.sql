@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'ENROLLMENT_CREATED';
+ALTER TYPE "NotificationType" ADD VALUE 'AVAILABILITY_UPDATED';
+ALTER TYPE "NotificationType" ADD VALUE 'AVAILABILITY_APPROVED';
+ALTER TYPE "NotificationType" ADD VALUE 'AVAILABILITY_REJECTED';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "last_digest_sent_at" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "coaches" ADD COLUMN     "buffer_minutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "max_advance_days" INTEGER NOT NULL DEFAULT 60,
+ADD COLUMN     "max_sessions_per_day" INTEGER,
+ADD COLUMN     "min_notice_minutes" INTEGER NOT NULL DEFAULT 0;
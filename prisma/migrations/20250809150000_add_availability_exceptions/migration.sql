@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "AvailabilityExceptionType" AS ENUM ('BLACKOUT', 'EXTRA_HOURS');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SESSION_RESCHEDULE_NEEDED';
+
+-- CreateTable
+CREATE TABLE "availability_exceptions" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "type" "AvailabilityExceptionType" NOT NULL,
+    "start_date" DATE NOT NULL,
+    "end_date" DATE NOT NULL,
+    "start_time" TEXT,
+    "end_time" TEXT,
+    "reason" TEXT,
+    "max_bookings" INTEGER NOT NULL DEFAULT 1,
+    "price" DECIMAL(10,2),
+    "sessionType" "SessionType" NOT NULL DEFAULT 'ONE_ON_ONE',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "availability_exceptions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "scheduled_sessions" ADD COLUMN     "exception_id" TEXT,
+ALTER COLUMN "time_slot_id" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "availability_exceptions_coach_id_start_date_end_date_idx" ON "availability_exceptions"("coach_id", "start_date", "end_date");
+
+-- CreateIndex
+CREATE INDEX "availability_exceptions_type_idx" ON "availability_exceptions"("type");
+
+-- CreateIndex
+CREATE INDEX "scheduled_sessions_exception_id_idx" ON "scheduled_sessions"("exception_id");
+
+-- DropForeignKey
+ALTER TABLE "scheduled_sessions" DROP CONSTRAINT "scheduled_sessions_time_slot_id_fkey";
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_time_slot_id_fkey" FOREIGN KEY ("time_slot_id") REFERENCES "time_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_exception_id_fkey" FOREIGN KEY ("exception_id") REFERENCES "availability_exceptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "availability_exceptions" ADD CONSTRAINT "availability_exceptions_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "availability_versions" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "retired_at" TIMESTAMP(3),
+
+    CONSTRAINT "availability_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "coach_availabilities" ADD COLUMN     "retired_at" TIMESTAMP(3),
+ADD COLUMN     "version_id" TEXT;
+
+-- Existing schedules become version 1 of each coach's availability
+INSERT INTO "availability_versions" ("id", "coach_id", "version", "timezone", "created_at")
+SELECT 'version_' || "coach_availabilities"."coach_id", "coach_availabilities"."coach_id", 1, "users"."timezone", MIN("coach_availabilities"."created_at")
+FROM "coach_availabilities"
+JOIN "users" ON "users"."id" = "coach_availabilities"."coach_id"
+GROUP BY "coach_availabilities"."coach_id", "users"."timezone";
+
+UPDATE "coach_availabilities" SET "version_id" = 'version_' || "coach_id";
+
+ALTER TABLE "coach_availabilities" ALTER COLUMN "version_id" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "coach_availabilities_coach_id_day_of_week_key";
+
+-- DropIndex
+DROP INDEX "coach_availabilities_coach_id_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "availability_versions_coach_id_version_key" ON "availability_versions"("coach_id", "version");
+
+-- CreateIndex
+CREATE INDEX "availability_versions_coach_id_retired_at_idx" ON "availability_versions"("coach_id", "retired_at");
+
+-- CreateIndex
+CREATE INDEX "coach_availabilities_coach_id_retired_at_idx" ON "coach_availabilities"("coach_id", "retired_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coach_availabilities_version_id_day_of_week_key" ON "coach_availabilities"("version_id", "day_of_week");
+
+-- AddForeignKey
+ALTER TABLE "availability_versions" ADD CONSTRAINT "availability_versions_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coach_availabilities" ADD CONSTRAINT "coach_availabilities_version_id_fkey" FOREIGN KEY ("version_id") REFERENCES "availability_versions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "RescheduleRequestStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'COUNTERED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SCHEDULE_CHANGE';
+
+-- CreateTable
+CREATE TABLE "reschedule_requests" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "requested_by" TEXT NOT NULL,
+    "status" "RescheduleRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "proposed_times" TIMESTAMP(3)[],
+    "previous_session_date" TIMESTAMP(3) NOT NULL,
+    "accepted_time" TIMESTAMP(3),
+    "reason" TEXT,
+    "response_note" TEXT,
+    "responded_by" TEXT,
+    "responded_at" TIMESTAMP(3),
+    "counter_of_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reschedule_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reschedule_requests_counter_of_id_key" ON "reschedule_requests"("counter_of_id");
+
+-- CreateIndex
+CREATE INDEX "reschedule_requests_session_id_status_idx" ON "reschedule_requests"("session_id", "status");
+
+-- CreateIndex
+CREATE INDEX "reschedule_requests_requested_by_idx" ON "reschedule_requests"("requested_by");
+
+-- AddForeignKey
+ALTER TABLE "reschedule_requests" ADD CONSTRAINT "reschedule_requests_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "scheduled_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reschedule_requests" ADD CONSTRAINT "reschedule_requests_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reschedule_requests" ADD CONSTRAINT "reschedule_requests_counter_of_id_fkey" FOREIGN KEY ("counter_of_id") REFERENCES "reschedule_requests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
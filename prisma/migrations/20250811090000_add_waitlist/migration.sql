@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'WAITLIST_OFFER';
+
+-- CreateTable
+CREATE TABLE "waitlist_entries" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "session_date" TIMESTAMP(3),
+    "window_start" TIMESTAMP(3),
+    "window_end" TIMESTAMP(3),
+    "duration" INTEGER NOT NULL,
+    "sessionType" "SessionType" NOT NULL DEFAULT 'ONE_ON_ONE',
+    "status" "WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "offered_at" TIMESTAMP(3),
+    "offer_expires_at" TIMESTAMP(3),
+    "offered_starts_at" TIMESTAMP(3),
+    "offered_time_slot_id" TEXT,
+    "offered_exception_id" TEXT,
+    "scheduled_session_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "waitlist_entries_scheduled_session_id_key" ON "waitlist_entries"("scheduled_session_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_coach_id_status_idx" ON "waitlist_entries"("coach_id", "status");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_student_id_idx" ON "waitlist_entries"("student_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_status_offer_expires_at_idx" ON "waitlist_entries"("status", "offer_expires_at");
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_offered_time_slot_id_fkey" FOREIGN KEY ("offered_time_slot_id") REFERENCES "time_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_offered_exception_id_fkey" FOREIGN KEY ("offered_exception_id") REFERENCES "availability_exceptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_scheduled_session_id_fkey" FOREIGN KEY ("scheduled_session_id") REFERENCES "scheduled_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
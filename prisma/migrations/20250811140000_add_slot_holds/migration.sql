@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "SlotHoldStatus" AS ENUM ('ACTIVE', 'CONVERTED', 'RELEASED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "slot_holds" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "time_slot_id" TEXT,
+    "exception_id" TEXT,
+    "child_id" TEXT,
+    "enrollment_id" TEXT,
+    "course_id" TEXT,
+    "session_date" TIMESTAMP(3) NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "sessionType" "SessionType" NOT NULL DEFAULT 'ONE_ON_ONE',
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DECIMAL(10,2) NOT NULL,
+    "notes" TEXT,
+    "status" "SlotHoldStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "payment_id" TEXT,
+    "scheduled_session_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "slot_holds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "slot_holds_payment_id_key" ON "slot_holds"("payment_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "slot_holds_scheduled_session_id_key" ON "slot_holds"("scheduled_session_id");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_coach_id_status_idx" ON "slot_holds"("coach_id", "status");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_student_id_status_idx" ON "slot_holds"("student_id", "status");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_status_expires_at_idx" ON "slot_holds"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_time_slot_id_fkey" FOREIGN KEY ("time_slot_id") REFERENCES "time_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_exception_id_fkey" FOREIGN KEY ("exception_id") REFERENCES "availability_exceptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_child_id_fkey" FOREIGN KEY ("child_id") REFERENCES "children"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "courses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_scheduled_session_id_fkey" FOREIGN KEY ("scheduled_session_id") REFERENCES "scheduled_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,81 @@
+-- CreateEnum
+CREATE TYPE "SeriesFrequency" AS ENUM ('WEEKLY', 'BIWEEKLY');
+
+-- CreateEnum
+CREATE TYPE "SessionSeriesStatus" AS ENUM ('PENDING_PAYMENT', 'ACTIVE', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "scheduled_sessions" ADD COLUMN "series_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "slot_holds" ADD COLUMN "series_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "session_series" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "student_id" TEXT NOT NULL,
+    "time_slot_id" TEXT,
+    "child_id" TEXT,
+    "enrollment_id" TEXT,
+    "course_id" TEXT,
+    "frequency" "SeriesFrequency" NOT NULL,
+    "first_session_date" TIMESTAMP(3) NOT NULL,
+    "occurrences" INTEGER NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "sessionType" "SessionType" NOT NULL DEFAULT 'ONE_ON_ONE',
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DECIMAL(10,2) NOT NULL,
+    "notes" TEXT,
+    "status" "SessionSeriesStatus" NOT NULL DEFAULT 'ACTIVE',
+    "payment_id" TEXT,
+    "cancelled_at" TIMESTAMP(3),
+    "cancelled_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "session_series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "session_series_payment_id_key" ON "session_series"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "session_series_coach_id_idx" ON "session_series"("coach_id");
+
+-- CreateIndex
+CREATE INDEX "session_series_student_id_status_idx" ON "session_series"("student_id", "status");
+
+-- CreateIndex
+CREATE INDEX "scheduled_sessions_series_id_idx" ON "scheduled_sessions"("series_id");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_series_id_idx" ON "slot_holds"("series_id");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "session_series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "session_series"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_time_slot_id_fkey" FOREIGN KEY ("time_slot_id") REFERENCES "time_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_child_id_fkey" FOREIGN KEY ("child_id") REFERENCES "children"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "courses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_series" ADD CONSTRAINT "session_series_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
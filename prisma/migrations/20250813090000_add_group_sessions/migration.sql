@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "GroupSessionStatus" AS ENUM ('OPEN', 'CONFIRMED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "scheduled_sessions" ADD COLUMN "group_session_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "group_sessions" (
+    "id" TEXT NOT NULL,
+    "coach_id" TEXT NOT NULL,
+    "time_slot_id" TEXT,
+    "exception_id" TEXT,
+    "course_id" TEXT,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "session_date" TIMESTAMP(3) NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "seat_price" DECIMAL(10,2) NOT NULL,
+    "min_seats" INTEGER NOT NULL DEFAULT 1,
+    "max_seats" INTEGER NOT NULL,
+    "enrollment_deadline" TIMESTAMP(3) NOT NULL,
+    "status" "GroupSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "meeting_url" TEXT,
+    "confirmed_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "cancellation_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "group_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "group_sessions_coach_id_session_date_idx" ON "group_sessions"("coach_id", "session_date");
+
+-- CreateIndex
+CREATE INDEX "group_sessions_status_enrollment_deadline_idx" ON "group_sessions"("status", "enrollment_deadline");
+
+-- CreateIndex
+CREATE INDEX "scheduled_sessions_group_session_id_idx" ON "scheduled_sessions"("group_session_id");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_sessions" ADD CONSTRAINT "scheduled_sessions_group_session_id_fkey" FOREIGN KEY ("group_session_id") REFERENCES "group_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "group_sessions" ADD CONSTRAINT "group_sessions_coach_id_fkey" FOREIGN KEY ("coach_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "group_sessions" ADD CONSTRAINT "group_sessions_time_slot_id_fkey" FOREIGN KEY ("time_slot_id") REFERENCES "time_slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "group_sessions" ADD CONSTRAINT "group_sessions_exception_id_fkey" FOREIGN KEY ("exception_id") REFERENCES "availability_exceptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "group_sessions" ADD CONSTRAINT "group_sessions_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "courses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
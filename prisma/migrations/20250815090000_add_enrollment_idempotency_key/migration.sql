@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "enrollments" ADD COLUMN "idempotency_key" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "enrollments_idempotency_key_key" ON "enrollments"("idempotency_key");
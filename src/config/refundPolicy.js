@@ -0,0 +1,13 @@
+// Credit refund policy for cancelled sessions. Values can be tuned per environment.
+const refundPolicy = {
+  // Cancelling at least this many hours before the start refunds in full
+  fullRefundHours: parseInt(process.env.REFUND_FULL_HOURS) || 24,
+  // Percentage refunded when cancelling inside that window but before the start
+  partialRefundPercent: process.env.REFUND_PARTIAL_PERCENT !== undefined
+    ? parseInt(process.env.REFUND_PARTIAL_PERCENT)
+    : 50,
+  // Who can cancel without being held to the notice window (SYSTEM: automatic cancellations)
+  fullRefundInitiators: ['COACH', 'ADMIN', 'SYSTEM']
+};
+
+export default refundPolicy;
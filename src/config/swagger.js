@@ -222,6 +222,10 @@ const options = {
         name: 'Courses',
         description: 'Course management endpoints'
       },
+      {
+        name: 'Enrollments',
+        description: 'Course enrollment lifecycle endpoints'
+      },
       {
         name: 'Sessions',
         description: 'Session management endpoints'
@@ -230,6 +234,10 @@ const options = {
         name: 'Payments',
         description: 'Payment processing endpoints'
       },
+      {
+        name: 'Promo Codes',
+        description: 'Promo code management and validation endpoints'
+      },
       {
         name: 'Reviews',
         description: 'Review and rating endpoints'
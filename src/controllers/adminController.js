@@ -2,7 +2,10 @@ import { prisma } from '../config/database.js';
 import ApiError from '../utils/ApiError.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/asyncHandler.js';
-import resendEmailService from '../services/resendEmailService.js';
+import emailService from '../services/emailService.js';
+import notificationService from '../services/notificationService.js';
+import emailTemplateService from '../services/emailTemplateService.js';
+import emailOutboxService from '../services/emailOutboxService.js';
 import logger from '../utils/logger.js';
 
 // Get admin dashboard statistics - matches frontend AdminDashboard stats
@@ -445,39 +448,43 @@ export const approveCoach = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Coach is already ${coach.status.toLowerCase()}`);
   }
 
-  // Update coach status to approved
-  const updatedCoach = await prisma.coach.update({
-    where: { id: coachId },
-    data: {
-      status: 'APPROVED',
-      approvedAt: new Date(),
-      approvedBy: adminId,
-      adminNotes: adminNotes || null,
-      // Clear any previous rejection data
-      rejectedAt: null,
-      rejectedBy: null,
-      rejectionReason: null
-    },
-    include: {
-      user: true,
-      approvedByUser: {
-        select: {
-          firstName: true,
-          lastName: true,
-          email: true
+  // Update coach status to approved and queue the coach's email and notification with it
+  const updatedCoach = await prisma.$transaction(async (tx) => {
+    const updatedCoach = await tx.coach.update({
+      where: { id: coachId },
+      data: {
+        status: 'APPROVED',
+        approvedAt: new Date(),
+        approvedBy: adminId,
+        adminNotes: adminNotes || null,
+        // Clear any previous rejection data
+        rejectedAt: null,
+        rejectedBy: null,
+        rejectionReason: null
+      },
+      include: {
+        user: true,
+        approvedByUser: {
+          select: {
+            firstName: true,
+            lastName: true,
+            email: true
+          }
         }
       }
-    }
-  });
+    });
 
-  // Send approval notification email using Resend
-  try {
-    await resendEmailService.sendCoachApprovalNotification(updatedCoach.user, adminNotes);
-    logger.info(`Coach approval notification sent to ${updatedCoach.user.email} via Resend`);
-  } catch (error) {
-    logger.error('Failed to send coach approval notification via Resend:', error);
-    // Don't fail the approval if email fails
-  }
+    await emailService.sendCoachApprovalNotification(updatedCoach.user, adminNotes, tx);
+
+    await notificationService.notify(updatedCoach.userId, {
+      type: 'COACH_APPROVED',
+      title: 'Your coach application was approved',
+      message: 'You can now set your availability and start creating courses.',
+      data: { coachId }
+    }, tx);
+
+    return updatedCoach;
+  });
 
   // Log admin action
   logger.info(`Coach approved by admin`, {
@@ -520,39 +527,43 @@ export const rejectCoach = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Coach is already ${coach.status.toLowerCase()}`);
   }
 
-  // Update coach status to rejected
-  const updatedCoach = await prisma.coach.update({
-    where: { id: coachId },
-    data: {
-      status: 'REJECTED',
-      rejectedAt: new Date(),
-      rejectedBy: adminId,
-      rejectionReason: rejectionReason || 'No specific reason provided',
-      adminNotes: adminNotes || null,
-      // Clear any previous approval data
-      approvedAt: null,
-      approvedBy: null
-    },
-    include: {
-      user: true,
-      rejectedByUser: {
-        select: {
-          firstName: true,
-          lastName: true,
-          email: true
+  // Update coach status to rejected and queue the coach's email and notification with it
+  const updatedCoach = await prisma.$transaction(async (tx) => {
+    const updatedCoach = await tx.coach.update({
+      where: { id: coachId },
+      data: {
+        status: 'REJECTED',
+        rejectedAt: new Date(),
+        rejectedBy: adminId,
+        rejectionReason: rejectionReason || 'No specific reason provided',
+        adminNotes: adminNotes || null,
+        // Clear any previous approval data
+        approvedAt: null,
+        approvedBy: null
+      },
+      include: {
+        user: true,
+        rejectedByUser: {
+          select: {
+            firstName: true,
+            lastName: true,
+            email: true
+          }
         }
       }
-    }
-  });
+    });
 
-  // Send rejection notification email using Resend
-  try {
-    await resendEmailService.sendCoachRejectionNotification(updatedCoach.user, rejectionReason);
-    logger.info(`Coach rejection notification sent to ${updatedCoach.user.email} via Resend`);
-  } catch (error) {
-    logger.error('Failed to send coach rejection notification via Resend:', error);
-    // Don't fail the rejection if email fails
-  }
+    await emailService.sendCoachRejectionNotification(updatedCoach.user, rejectionReason, tx);
+
+    await notificationService.notify(updatedCoach.userId, {
+      type: 'COACH_REJECTED',
+      title: 'Your coach application was not approved',
+      message: updatedCoach.rejectionReason,
+      data: { coachId }
+    }, tx);
+
+    return updatedCoach;
+  });
 
   // Log admin action
   logger.info(`Coach rejected by admin`, {
@@ -783,3 +794,61 @@ export const getAdminActivities = asyncHandler(async (req, res) => {
     }, 'Admin activities retrieved successfully')
   );
 });
+
+// List the email templates with their languages and sample data
+export const getEmailTemplates = asyncHandler(async (req, res) => {
+  const templates = emailTemplateService.listTemplates();
+
+  res.json(new ApiResponse(200, { templates }, 'Email templates retrieved successfully'));
+});
+
+// Render an email template with its sample data, optionally overridden by the request body
+export const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const { templateName } = req.params;
+  const language = req.body?.language || req.query.language;
+  const format = req.query.format || 'json';
+
+  const email = emailTemplateService.previewEmail(templateName, {
+    language,
+    data: req.body?.data
+  });
+
+  if (format === 'html') {
+    return res.type('html').send(email.html);
+  }
+
+  if (format === 'text') {
+    return res.type('text').send(email.text);
+  }
+
+  res.json(new ApiResponse(200, email, 'Email template rendered successfully'));
+});
+
+// List outbox emails, failed deliveries first by default
+export const getEmails = asyncHandler(async (req, res) => {
+  const { status = 'FAILED', to, page = 1, limit = 20 } = req.query;
+
+  const result = await emailOutboxService.listEmails({
+    status: status === 'ALL' ? undefined : status,
+    to,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json(new ApiResponse(200, result, 'Emails retrieved successfully'));
+});
+
+// Queue a failed email again and try to deliver it now
+export const resendEmail = asyncHandler(async (req, res) => {
+  const email = await emailOutboxService.resendEmail(req.params.emailId);
+
+  logger.info(`Email ${req.params.emailId} resent by admin ${req.user.id}`, { status: email.status });
+
+  res.json(new ApiResponse(200, {
+    id: email.id,
+    status: email.status,
+    attempts: email.attempts,
+    lastError: email.lastError,
+    sentAt: email.sentAt
+  }, email.status === 'SENT' ? 'Email resent successfully' : 'Email queued for another attempt'));
+});
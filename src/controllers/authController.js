@@ -29,28 +29,26 @@ export const registerParent = asyncHandler(async (req, res) => {
   const emailVerificationToken = crypto.randomBytes(32).toString('hex');
   const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
-  // Create user
-  const user = await prisma.user.create({
-    data: {
-      email,
-      password: hashedPassword,
-      firstName,
-      lastName,
-      phone,
-      role: 'PARENT',
-      emailVerificationToken,
-      emailVerificationExpires,
-      preferences: {}
-    }
-  });
+  // Create user and queue the welcome email together
+  const user = await prisma.$transaction(async (tx) => {
+    const user = await tx.user.create({
+      data: {
+        email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        phone,
+        role: 'PARENT',
+        emailVerificationToken,
+        emailVerificationExpires,
+        preferences: {}
+      }
+    });
 
-  // Send welcome email
-  try {
-    await emailService.sendWelcomeEmail(user);
-    logger.info(`Welcome email sent to parent: ${user.email}`);
-  } catch (error) {
-    logger.error('Failed to send welcome email:', error);
-  }
+    await emailService.sendWelcomeEmail(user, tx);
+
+    return user;
+  });
 
   // Generate tokens
   const accessToken = generateToken(user.id, user.role);
@@ -187,17 +185,12 @@ export const registerCoach = asyncHandler(async (req, res) => {
       }
     });
 
+    // Queue the application confirmation email
+    await emailService.sendCoachApplicationNotification(user, tx);
+
     return { user, coach };
   });
 
-  // Send coach application notification email
-  try {
-    await emailService.sendCoachApplicationNotification(result.user);
-    logger.info(`Coach application notification sent to: ${result.user.email}`);
-  } catch (error) {
-    logger.error('Failed to send coach application notification:', error);
-  }
-
   // Generate tokens
   const accessToken = generateToken(result.user.id, result.user.role);
   const refreshToken = generateRefreshToken(result.user.id);
@@ -542,23 +535,18 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   const resetToken = crypto.randomBytes(32).toString('hex');
   const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
 
-  // Update user with reset token
-  await prisma.user.update({
-    where: { id: user.id },
-    data: {
-      passwordResetToken: resetToken,
-      passwordResetExpires: resetExpires
-    }
-  });
+  // Update user with reset token and queue the reset email
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        passwordResetToken: resetToken,
+        passwordResetExpires: resetExpires
+      }
+    });
 
-  // Send password reset email
-  try {
-    await emailService.sendPasswordResetEmail(user, resetToken);
-    logger.info(`Password reset email sent to: ${user.email}`);
-  } catch (error) {
-    logger.error('Failed to send password reset email:', error);
-    throw new ApiError(500, 'Failed to send password reset email');
-  }
+    await emailService.sendPasswordResetEmail(user, resetToken, tx);
+  });
 
   res.json(
     new ApiResponse(200, null, 'If an account with that email exists, a password reset link has been sent.')
@@ -641,6 +629,18 @@ export const getProfile = asyncHandler(async (req, res) => {
           resumeFileUrl: true,
           introVideoUrl: true
         }
+      },
+      children: {
+        where: { isActive: true },
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          birthDate: true,
+          grade: true,
+          avatarUrl: true
+        },
+        orderBy: { createdAt: 'asc' }
       }
     }
   });
@@ -3,14 +3,28 @@ import ApiResponse from '../utils/ApiResponse.js';
 import ApiError from '../utils/ApiError.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
-import resendEmailService from '../services/resendEmailService.js';
+import creditLedgerService from '../services/creditLedgerService.js';
+import refundService from '../services/refundService.js';
+import sessionReminderService from '../services/sessionReminderService.js';
+import notificationService from '../services/notificationService.js';
+import availabilityService from '../services/availabilityService.js';
+import availabilityExceptionService from '../services/availabilityExceptionService.js';
+import rescheduleService from '../services/rescheduleService.js';
+import waitlistService from '../services/waitlistService.js';
+import bookingService from '../services/bookingService.js';
+import bookingConflictService from '../services/bookingConflictService.js';
+import slotHoldService from '../services/slotHoldService.js';
+import sessionSeriesService from '../services/sessionSeriesService.js';
+import groupSessionService from '../services/groupSessionService.js';
+import paymentService from '../services/paymentService.js';
+import { isValidTimezone, zonedDayRange } from '../utils/timezone.js';
 
 const prisma = new PrismaClient();
 
 // Coach Availability Management
 export const setCoachAvailability = asyncHandler(async (req, res) => {
   const { coachId } = req.params;
-  const { availability } = req.body;
+  const { availability, timezone } = req.body;
 
   // Validate that the user is the coach or an admin
   if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
@@ -22,6 +36,10 @@ export const setCoachAvailability = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Availability data is required and must be an array');
   }
 
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new ApiError(400, 'Invalid timezone. Use an IANA name such as Europe/London');
+  }
+
   // Validate each day's availability
   for (const day of availability) {
     if (typeof day.dayOfWeek !== 'number' || day.dayOfWeek < 0 || day.dayOfWeek > 6) {
@@ -42,61 +60,77 @@ export const setCoachAvailability = asyncHandler(async (req, res) => {
     }
   }
 
-  // Delete existing availability for this coach
-  await prisma.coachAvailability.deleteMany({
-    where: { coachId }
-  });
-
-  // Create new availability
-  const createdAvailability = [];
-  for (const day of availability) {
-    const coachAvailability = await prisma.coachAvailability.create({
-      data: {
-        coachId,
-        dayOfWeek: day.dayOfWeek,
-        isActive: day.isActive !== false,
-        timeSlots: {
-          create: day.timeSlots.map(slot => ({
-            startTime: slot.startTime,
-            endTime: slot.endTime,
-            isAvailable: slot.isAvailable !== false,
-            maxBookings: slot.maxBookings || 1,
-            price: slot.price ? parseFloat(slot.price) : null,
-            sessionType: slot.sessionType || 'ONE_ON_ONE'
-          }))
-        }
-      },
-      include: {
-        timeSlots: true
-      }
-    });
-    createdAvailability.push(coachAvailability);
-  }
+  // Save a new version of the coach's availability and tell the admins in one transaction
+  const saved = await prisma.$transaction(async (tx) => {
+    // Times are read in the coach's timezone, so it changes along with them
+    if (timezone) {
+      await tx.user.update({
+        where: { id: coachId },
+        data: { timezone }
+      });
+    }
 
-  // Send notification to admin about availability update
-  if (req.user.role !== 'ADMIN') {
-    const adminUsers = await prisma.user.findMany({
-      where: { role: 'ADMIN' }
-    });
+    // Retire the current version and move upcoming bookings onto the new slots
+    const saved = await availabilityService.saveAvailabilityVersion(coachId, availability, {
+      createdBy: req.user.id
+    }, tx);
 
-    for (const admin of adminUsers) {
-      await resendEmailService.sendEmail({
-        to: admin.email,
-        subject: 'Coach Availability Updated',
-        html: `
-          <h2>Coach Availability Update</h2>
-          <p>Coach ${req.user.firstName} ${req.user.lastName} has updated their availability.</p>
-          <p>Please review the new schedule in the admin dashboard.</p>
-        `
+    // Send notification to admin about availability update
+    if (req.user.role !== 'ADMIN') {
+      const adminUsers = await tx.user.findMany({
+        where: { role: 'ADMIN' },
+        select: { id: true }
       });
+
+      await notificationService.notify(adminUsers.map(admin => admin.id), {
+        type: 'AVAILABILITY_UPDATED',
+        title: 'Coach availability updated',
+        message: `Coach ${req.user.firstName} ${req.user.lastName} has updated their availability.`,
+        data: { coachId },
+        email: {
+          template: 'availability_updated',
+          data: { coachName: `${req.user.firstName} ${req.user.lastName}` }
+        }
+      }, tx);
     }
+
+    return saved;
+  });
+
+  logger.info(`Coach availability updated for coach ${coachId} (version ${saved.version.version})`);
+
+  res.status(200).json(new ApiResponse(200, {
+    availability: saved.availability,
+    timezone: saved.version.timezone,
+    version: saved.version.version,
+    diff: saved.diff
+  }, saved.diff.outsideSchedule.length
+    ? `Coach availability updated; ${saved.diff.outsideSchedule.length} upcoming session(s) fall outside the new schedule`
+    : 'Coach availability updated successfully'));
+});
+
+export const getAvailabilityHistory = asyncHandler(async (req, res) => {
+  const { coachId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
+    throw new ApiError(403, 'Access denied');
   }
 
-  logger.info(`Coach availability updated for coach ${coachId}`);
+  const { versions, total } = await availabilityService.getAvailabilityHistory(coachId, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
 
   res.status(200).json(new ApiResponse(200, {
-    availability: createdAvailability
-  }, 'Coach availability updated successfully'));
+    versions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  }, 'Availability history retrieved successfully'));
 });
 
 export const getCoachAvailability = asyncHandler(async (req, res) => {
@@ -108,16 +142,21 @@ export const getCoachAvailability = asyncHandler(async (req, res) => {
     throw new ApiError(403, 'Access denied');
   }
 
+  const { timezone, rules: bookingRules } = await availabilityService.getCoachSchedule(coachId);
+
+  // Sessions on that day of the coach's calendar
+  const day = date && zonedDayRange(date.slice(0, 10), timezone);
+
   const availability = await prisma.coachAvailability.findMany({
-    where: { coachId },
+    where: { coachId, retiredAt: null },
     include: {
       timeSlots: {
         include: {
           scheduledSessions: {
-            where: date ? {
+            where: day ? {
               sessionDate: {
-                gte: new Date(date),
-                lt: new Date(new Date(date).setDate(new Date(date).getDate() + 1))
+                gte: day.start,
+                lt: day.end
               }
             } : undefined,
             include: {
@@ -145,68 +184,127 @@ export const getCoachAvailability = asyncHandler(async (req, res) => {
   });
 
   res.status(200).json(new ApiResponse(200, {
-    availability
+    availability,
+    timezone,
+    bookingRules
   }, 'Coach availability retrieved successfully'));
 });
 
 export const getAvailableTimeSlots = asyncHandler(async (req, res) => {
-  const { coachId, date, sessionType = 'ONE_ON_ONE' } = req.query;
+  const { coachId, date, timezone, courseId, sessionType = 'ONE_ON_ONE' } = req.query;
+  const from = req.query.from || date;
+  const to = req.query.to || date || from;
 
-  if (!coachId || !date) {
+  if (!coachId || !from) {
     throw new ApiError(400, 'Coach ID and date are required');
   }
 
-  const sessionDate = new Date(date);
-  const dayOfWeek = sessionDate.getDay();
+  if (to < from) {
+    throw new ApiError(400, 'The end of the range must not be before its start');
+  }
 
-  const availability = await prisma.coachAvailability.findFirst({
-    where: {
-      coachId,
-      dayOfWeek,
-      isActive: true
-    },
-    include: {
-      timeSlots: {
-        where: {
-          isAvailable: true,
-          sessionType: sessionType.toUpperCase(),
-          OR: [
-            { currentBookings: { lt: prisma.timeSlot.fields.maxBookings } },
-            { maxBookings: { gt: 0 } }
-          ]
-        },
-        include: {
-          scheduledSessions: {
-            where: {
-              sessionDate: {
-                gte: sessionDate,
-                lt: new Date(sessionDate.setDate(sessionDate.getDate() + 1))
-              },
-              status: {
-                in: ['PENDING_APPROVAL', 'APPROVED']
-              }
-            }
-          }
-        },
-        orderBy: { startTime: 'asc' }
-      }
+  if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= availabilityService.MAX_RANGE_DAYS) {
+    throw new ApiError(400, `Slots can be listed for at most ${availabilityService.MAX_RANGE_DAYS} days at a time`);
+  }
+
+  // Split availability into sessions as long as the course's, or the requested duration
+  let duration = req.query.duration ? parseInt(req.query.duration) : undefined;
+  if (courseId) {
+    const course = await prisma.course.findUnique({
+      where: { id: courseId },
+      select: { coachId: true, duration: true }
+    });
+
+    if (!course || course.coachId !== coachId) {
+      throw new ApiError(404, 'Course not found');
     }
+
+    duration = course.duration;
+  }
+
+  // Days are on the viewer's calendar, in their timezone unless one is given
+  const result = await availabilityService.generateBookableSlots({
+    coachId,
+    from,
+    to,
+    timezone: timezone || req.user.timezone,
+    duration,
+    sessionType
   });
 
-  if (!availability) {
-    return res.status(200).json(new ApiResponse(200, {
-      availableSlots: []
-    }, 'No availability found for this date'));
+  res.status(200).json(new ApiResponse(200, result, result.availableSlots.length
+    ? 'Available time slots retrieved successfully'
+    : 'No availability found for this date'));
+});
+
+// Update a coach's buffer, notice, horizon and daily cap
+export const updateBookingRules = asyncHandler(async (req, res) => {
+  const { coachId } = req.params;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
+    throw new ApiError(403, 'Access denied. You can only change your own booking rules.');
+  }
+
+  const bookingRules = await availabilityService.updateBookingRules(coachId, req.body);
+
+  logger.info(`Booking rules updated for coach ${coachId} by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    bookingRules
+  }, 'Booking rules updated successfully'));
+});
+
+// Availability exceptions: blackout dates and one-off extra hours on the coach's calendar
+export const getAvailabilityExceptions = asyncHandler(async (req, res) => {
+  const { coachId } = req.params;
+  const { from, to, type } = req.query;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
+    throw new ApiError(403, 'Access denied');
   }
 
-  // Filter out fully booked slots
-  const availableSlots = availability.timeSlots.filter(slot => 
-    slot.scheduledSessions.length < slot.maxBookings
-  );
+  const [exceptions, timezone] = await Promise.all([
+    availabilityExceptionService.listExceptions(coachId, { from, to, type }),
+    availabilityService.getCoachTimezone(coachId)
+  ]);
 
   res.status(200).json(new ApiResponse(200, {
-    availableSlots
-  }, 'Available time slots retrieved successfully'));
+    exceptions,
+    timezone
+  }, 'Availability exceptions retrieved successfully'));
+});
+
+export const createAvailabilityException = asyncHandler(async (req, res) => {
+  const { coachId } = req.params;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
+    throw new ApiError(403, 'Access denied. You can only change your own availability.');
+  }
+
+  const { exception, affectedSessions } = await availabilityExceptionService.createException(coachId, req.body);
+
+  logger.info(`Availability exception ${exception.id} created for coach ${coachId} by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    exception,
+    affectedSessions
+  }, affectedSessions.length
+    ? `Availability exception created; ${affectedSessions.length} booked session(s) need rescheduling`
+    : 'Availability exception created successfully'));
+});
+
+export const deleteAvailabilityException = asyncHandler(async (req, res) => {
+  const { coachId, exceptionId } = req.params;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== coachId) {
+    throw new ApiError(403, 'Access denied. You can only change your own availability.');
+  }
+
+  await availabilityExceptionService.deleteException(coachId, exceptionId);
+
+  logger.info(`Availability exception ${exceptionId} deleted for coach ${coachId} by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, null, 'Availability exception deleted successfully'));
 });
 
 // Admin Availability Management
@@ -221,8 +319,8 @@ export const getAllCoachAvailabilities = asyncHandler(async (req, res) => {
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Build where clause
-  const where = {};
+  // Build where clause; only current versions, the history is per coach
+  const where = { retiredAt: null };
   
   if (search) {
     where.coach = {
@@ -304,25 +402,30 @@ export const approveCoachAvailability = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Availability not found');
   }
 
-  // Update availability status (if needed) and send notification
-  await prisma.coachAvailability.update({
-    where: { id: availabilityId },
-    data: {
-      isActive: true
-    }
-  });
+  if (availability.retiredAt) {
+    throw new ApiError(400, 'This availability has been replaced by a newer version');
+  }
 
-  // Send notification to coach
-  await resendEmailService.sendEmail({
-    to: availability.coach.email,
-    subject: 'Your Availability Has Been Approved',
-    html: `
-      <h2>Availability Approval</h2>
-      <p>Dear ${availability.coach.firstName},</p>
-      <p>Your availability schedule has been approved by the admin.</p>
-      ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      <p>You can now receive bookings for your available time slots.</p>
-    `
+  await prisma.$transaction(async (tx) => {
+    // Update availability status (if needed) and send notification
+    await tx.coachAvailability.update({
+      where: { id: availabilityId },
+      data: {
+        isActive: true
+      }
+    });
+
+    // Send notification to coach
+    await notificationService.notify(availability.coach.id, {
+      type: 'AVAILABILITY_APPROVED',
+      title: 'Availability approved',
+      message: 'Your availability schedule has been approved.',
+      data: { availabilityId },
+      email: {
+        template: 'availability_approved',
+        data: { adminNotes }
+      }
+    }, tx);
   });
 
   logger.info(`Coach availability approved: ${availabilityId} by admin ${req.user.id}`);
@@ -358,26 +461,30 @@ export const rejectCoachAvailability = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Availability not found');
   }
 
-  // Deactivate availability
-  await prisma.coachAvailability.update({
-    where: { id: availabilityId },
-    data: {
-      isActive: false
-    }
-  });
+  if (availability.retiredAt) {
+    throw new ApiError(400, 'This availability has been replaced by a newer version');
+  }
 
-  // Send notification to coach
-  await resendEmailService.sendEmail({
-    to: availability.coach.email,
-    subject: 'Your Availability Needs Revision',
-    html: `
-      <h2>Availability Revision Required</h2>
-      <p>Dear ${availability.coach.firstName},</p>
-      <p>Your availability schedule requires revision.</p>
-      <p><strong>Reason:</strong> ${rejectionReason}</p>
-      ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      <p>Please update your availability and resubmit for approval.</p>
-    `
+  await prisma.$transaction(async (tx) => {
+    // Deactivate availability
+    await tx.coachAvailability.update({
+      where: { id: availabilityId },
+      data: {
+        isActive: false
+      }
+    });
+
+    // Send notification to coach
+    await notificationService.notify(availability.coach.id, {
+      type: 'AVAILABILITY_REJECTED',
+      title: 'Availability needs revision',
+      message: `Your availability schedule requires revision: ${rejectionReason}`,
+      data: { availabilityId },
+      email: {
+        template: 'availability_rejected',
+        data: { rejectionReason, adminNotes }
+      }
+    }, tx);
   });
 
   logger.info(`Coach availability rejected: ${availabilityId} by admin ${req.user.id}`);
@@ -391,7 +498,10 @@ export const rejectCoachAvailability = asyncHandler(async (req, res) => {
 export const scheduleSession = asyncHandler(async (req, res) => {
   const { 
     timeSlotId, 
+    exceptionId,
     studentId, 
+    childId,
+    enrollmentId,
     courseId, 
     sessionDate, 
     title, 
@@ -399,138 +509,86 @@ export const scheduleSession = asyncHandler(async (req, res) => {
     duration, 
     sessionType, 
     price,
-    notes 
+    notes,
+    waitlistEntryId
   } = req.body;
 
   // Validate required fields
-  if (!timeSlotId || !studentId || !sessionDate || !title || !duration || !price) {
+  if ((!timeSlotId && !exceptionId) || !studentId || !sessionDate || !title || !duration || !price) {
     throw new ApiError(400, 'Missing required fields');
   }
 
-  // Check if time slot is available
-  const timeSlot = await prisma.timeSlot.findUnique({
-    where: { id: timeSlotId },
-    include: {
-      availability: {
-        include: {
-          coach: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
-            }
-          }
-        }
-      },
-      scheduledSessions: {
-        where: {
-          sessionDate: new Date(sessionDate),
-          status: {
-            in: ['PENDING_APPROVAL', 'APPROVED']
-          }
-        }
-      }
-    }
-  });
-
-  if (!timeSlot) {
-    throw new ApiError(404, 'Time slot not found');
+  // Parents can only book on their own account
+  if (req.user.role === 'PARENT' && req.user.id !== studentId) {
+    throw new ApiError(403, 'Access denied');
   }
 
-  if (!timeSlot.isAvailable) {
-    throw new ApiError(400, 'Time slot is not available');
-  }
+  const { slot, coach, child, enrollment } = await bookingService.resolveBookingTarget({
+    timeSlotId,
+    exceptionId,
+    studentId,
+    childId,
+    enrollmentId,
+    sessionDate,
+    duration
+  });
 
-  if (timeSlot.scheduledSessions.length >= timeSlot.maxBookings) {
-    throw new ApiError(400, 'Time slot is fully booked');
+  // A time offered from the waitlist is held for this parent only
+  if (waitlistEntryId) {
+    await waitlistService.getOpenOffer(waitlistEntryId, {
+      studentId,
+      timeSlotId,
+      exceptionId,
+      sessionDate: new Date(sessionDate)
+    });
   }
 
-  // Create scheduled session
-  const scheduledSession = await prisma.scheduledSession.create({
-    data: {
-      timeSlotId,
-      coachId: timeSlot.availability.coachId,
+  const interval = availabilityService.getSessionInterval({
+    sessionDate: new Date(sessionDate),
+    duration: parseInt(duration)
+  });
+
+  // Check the time, create the session, take the slot and queue both parties' notifications together
+  const scheduledSession = await prisma.$transaction(async (tx) => {
+    // Clashes with the coach's and learner's other bookings, in either session system
+    await bookingConflictService.assertNoConflicts({
+      coachId: coach.id,
+      studentId,
+      childId: child?.id || enrollment?.childId,
+      ...interval,
+      slotId: slot.id
+    }, tx);
+
+    // Blackouts, buffers, notice, horizon, daily cap and the slot's own bookings
+    await availabilityService.assertBookable(slot, {
+      sessionDate: interval.startsAt,
+      duration: parseInt(duration),
+      excludeWaitlistEntryId: waitlistEntryId
+    }, tx);
+
+    const scheduledSession = await bookingService.createScheduledSession({
+      slot,
+      coach,
+      child,
+      enrollment,
       studentId,
       courseId,
-      sessionDate: new Date(sessionDate),
+      sessionDate,
       title,
       description,
-      duration: parseInt(duration),
-      sessionType: sessionType?.toUpperCase() || 'ONE_ON_ONE',
-      price: parseFloat(price),
-      notes,
-      status: 'PENDING_APPROVAL'
-    },
-    include: {
-      coach: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
-        }
-      },
-      student: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
-        }
-      },
-      course: {
-        select: {
-          id: true,
-          title: true
-        }
-      },
-      timeSlot: true
+      duration,
+      sessionType,
+      price,
+      notes
+    }, tx);
+
+    if (waitlistEntryId) {
+      await waitlistService.markOfferBooked(waitlistEntryId, scheduledSession.id, tx);
     }
-  });
 
-  // Update time slot booking count
-  await prisma.timeSlot.update({
-    where: { id: timeSlotId },
-    data: {
-      currentBookings: {
-        increment: 1
-      }
-    }
+    return scheduledSession;
   });
 
-  // Send notifications
-  await Promise.all([
-    // Notify coach
-    resendEmailService.sendEmail({
-      to: timeSlot.availability.coach.email,
-      subject: 'New Session Scheduled',
-      html: `
-        <h2>New Session Scheduled</h2>
-        <p>You have a new session scheduled:</p>
-        <p><strong>Title:</strong> ${title}</p>
-        <p><strong>Date:</strong> ${new Date(sessionDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${timeSlot.startTime} - ${timeSlot.endTime}</p>
-        <p><strong>Student:</strong> ${scheduledSession.student.firstName} ${scheduledSession.student.lastName}</p>
-        <p>Please review and approve this session.</p>
-      `
-    }),
-    // Notify student
-    resendEmailService.sendEmail({
-      to: scheduledSession.student.email,
-      subject: 'Session Scheduled - Pending Approval',
-      html: `
-        <h2>Session Scheduled</h2>
-        <p>Your session has been scheduled and is pending coach approval:</p>
-        <p><strong>Title:</strong> ${title}</p>
-        <p><strong>Date:</strong> ${new Date(sessionDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${timeSlot.startTime} - ${timeSlot.endTime}</p>
-        <p><strong>Coach:</strong> ${scheduledSession.coach.firstName} ${scheduledSession.coach.lastName}</p>
-        <p>You will be notified once the coach approves the session.</p>
-      `
-    })
-  ]);
-
   logger.info(`Session scheduled: ${scheduledSession.id} by user ${req.user.id}`);
 
   res.status(201).json(new ApiResponse(201, {
@@ -550,7 +608,8 @@ export const approveSession = asyncHandler(async (req, res) => {
           id: true,
           firstName: true,
           lastName: true,
-          email: true
+          email: true,
+          timezone: true
         }
       },
       student: {
@@ -579,73 +638,89 @@ export const approveSession = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Session is not pending approval');
   }
 
-  // Update session status
-  const updatedSession = await prisma.scheduledSession.update({
-    where: { id: sessionId },
-    data: {
-      status: 'APPROVED',
-      approvedAt: new Date(),
-      approvedBy: req.user.id,
-      adminNotes
-    },
-    include: {
-      coach: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
-        }
-      },
-      student: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
-        }
-      },
-      course: {
-        select: {
-          id: true,
-          title: true
-        }
+  // Approve, queue the reminders and notify both parties in one transaction
+  const updatedSession = await prisma.$transaction(async (tx) => {
+    // Update session status
+    const updatedSession = await tx.scheduledSession.update({
+      where: { id: sessionId },
+      data: {
+        status: 'APPROVED',
+        approvedAt: new Date(),
+        approvedBy: req.user.id,
+        adminNotes
       },
-      timeSlot: true
-    }
-  });
+      include: {
+        coach: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        },
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        },
+        course: {
+          select: {
+            id: true,
+            title: true
+          }
+        },
+        timeSlot: true
+      }
+    });
+
+    // Queue the 24h and 1h reminders for coach and student
+    await sessionReminderService.scheduleSessionReminders(updatedSession, tx);
+
+    const sessionDetails = {
+      title: session.title,
+      sessionDate: session.sessionDate,
+      ...availabilityService.getSessionTimes(session, session.coach.timezone)
+    };
 
-  // Send notifications
-  await Promise.all([
     // Notify coach
-    resendEmailService.sendEmail({
-      to: session.coach.email,
-      subject: 'Session Approved',
-      html: `
-        <h2>Session Approved</h2>
-        <p>Your session has been approved:</p>
-        <p><strong>Title:</strong> ${session.title}</p>
-        <p><strong>Date:</strong> ${session.sessionDate.toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${session.timeSlot.startTime} - ${session.timeSlot.endTime}</p>
-        <p><strong>Student:</strong> ${session.student.firstName} ${session.student.lastName}</p>
-        ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      `
-    }),
+    await notificationService.notify(session.coachId, {
+      type: 'SESSION_APPROVED',
+      title: 'Session approved',
+      message: `"${session.title}" on ${session.sessionDate.toLocaleDateString()} has been approved.`,
+      data: { scheduledSessionId: session.id },
+      email: {
+        template: 'session_approved',
+        data: {
+          ...sessionDetails,
+          role: 'coach',
+          counterpartName: `${session.student.firstName} ${session.student.lastName}`,
+          adminNotes
+        }
+      }
+    }, tx);
+
     // Notify student
-    resendEmailService.sendEmail({
-      to: session.student.email,
-      subject: 'Session Confirmed',
-      html: `
-        <h2>Session Confirmed</h2>
-        <p>Your session has been confirmed:</p>
-        <p><strong>Title:</strong> ${session.title}</p>
-        <p><strong>Date:</strong> ${session.sessionDate.toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${session.timeSlot.startTime} - ${session.timeSlot.endTime}</p>
-        <p><strong>Coach:</strong> ${session.coach.firstName} ${session.coach.lastName}</p>
-        ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      `
-    })
-  ]);
+    await notificationService.notify(session.studentId, {
+      type: 'SESSION_APPROVED',
+      title: 'Session confirmed',
+      message: `"${session.title}" on ${session.sessionDate.toLocaleDateString()} is confirmed.`,
+      data: { scheduledSessionId: session.id },
+      email: {
+        template: 'session_approved',
+        data: {
+          ...sessionDetails,
+          role: 'student',
+          counterpartName: `${session.coach.firstName} ${session.coach.lastName}`,
+          adminNotes
+        }
+      }
+    }, tx);
+
+    return updatedSession;
+  });
 
   logger.info(`Session approved: ${sessionId} by admin ${req.user.id}`);
 
@@ -670,7 +745,8 @@ export const rejectSession = asyncHandler(async (req, res) => {
           id: true,
           firstName: true,
           lastName: true,
-          email: true
+          email: true,
+          timezone: true
         }
       },
       student: {
@@ -693,88 +769,548 @@ export const rejectSession = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Session is not pending approval');
   }
 
-  // Update session status
-  const updatedSession = await prisma.scheduledSession.update({
-    where: { id: sessionId },
-    data: {
-      status: 'REJECTED',
-      rejectedAt: new Date(),
-      rejectedBy: req.user.id,
-      rejectionReason,
-      adminNotes
-    },
-    include: {
-      coach: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
-        }
+  // Reject, free the slot, return any credits charged for the booking and notify both parties
+  const { updatedSession, creditRefund } = await creditLedgerService.runLedgerTransaction(async (tx) => {
+    // Update session status
+    const updatedSession = await tx.scheduledSession.update({
+      where: { id: sessionId },
+      data: {
+        status: 'REJECTED',
+        rejectedAt: new Date(),
+        rejectedBy: req.user.id,
+        rejectionReason,
+        adminNotes
       },
-      student: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
+      include: {
+        coach: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        },
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        },
+        timeSlot: true
+      }
+    });
+
+    // Update time slot booking count
+    if (session.timeSlotId) {
+      await tx.timeSlot.update({
+        where: { id: session.timeSlotId },
+        data: {
+          currentBookings: {
+            decrement: 1
+          }
         }
-      },
-      timeSlot: true
+      });
     }
-  });
 
-  // Update time slot booking count
-  await prisma.timeSlot.update({
-    where: { id: session.timeSlotId },
-    data: {
-      currentBookings: {
-        decrement: 1
-      }
-    }
-  });
+    const creditRefund = await refundService.refundCancelledBooking(tx, {
+      referenceId: session.id,
+      seriesId: session.seriesId,
+      startsAt: session.sessionDate,
+      initiatedBy: 'ADMIN',
+      status: session.status,
+      reason: `Session "${session.title}" rejected`
+    });
+
+    // The freed time goes to the next parent on the waitlist
+    await waitlistService.offerFreedCapacity(session.coachId, availabilityService.getSessionInterval(session), new Date(), tx);
+
+    const sessionDetails = {
+      title: session.title,
+      sessionDate: session.sessionDate,
+      ...availabilityService.getSessionTimes(session, session.coach.timezone)
+    };
 
-  // Send notifications
-  await Promise.all([
     // Notify coach
-    resendEmailService.sendEmail({
-      to: session.coach.email,
-      subject: 'Session Rejected',
-      html: `
-        <h2>Session Rejected</h2>
-        <p>Your session has been rejected:</p>
-        <p><strong>Title:</strong> ${session.title}</p>
-        <p><strong>Date:</strong> ${session.sessionDate.toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${session.timeSlot.startTime} - ${session.timeSlot.endTime}</p>
-        <p><strong>Student:</strong> ${session.student.firstName} ${session.student.lastName}</p>
-        <p><strong>Reason:</strong> ${rejectionReason}</p>
-        ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      `
-    }),
+    await notificationService.notify(session.coachId, {
+      type: 'SESSION_REJECTED',
+      title: 'Session rejected',
+      message: `"${session.title}" on ${session.sessionDate.toLocaleDateString()} was rejected: ${rejectionReason}`,
+      data: { scheduledSessionId: session.id },
+      email: {
+        template: 'session_rejected',
+        data: {
+          ...sessionDetails,
+          role: 'coach',
+          counterpartName: `${session.student.firstName} ${session.student.lastName}`,
+          rejectionReason,
+          adminNotes
+        }
+      }
+    }, tx);
+
     // Notify student
-    resendEmailService.sendEmail({
-      to: session.student.email,
-      subject: 'Session Cancelled',
-      html: `
-        <h2>Session Cancelled</h2>
-        <p>Your session has been cancelled:</p>
-        <p><strong>Title:</strong> ${session.title}</p>
-        <p><strong>Date:</strong> ${session.sessionDate.toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${session.timeSlot.startTime} - ${session.timeSlot.endTime}</p>
-        <p><strong>Coach:</strong> ${session.coach.firstName} ${session.coach.lastName}</p>
-        <p><strong>Reason:</strong> ${rejectionReason}</p>
-        ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-      `
-    })
-  ]);
+    await notificationService.notify(session.studentId, {
+      type: 'SESSION_REJECTED',
+      title: 'Session cancelled',
+      message: `"${session.title}" on ${session.sessionDate.toLocaleDateString()} was cancelled: ${rejectionReason}`,
+      data: { scheduledSessionId: session.id },
+      email: {
+        template: 'session_rejected',
+        data: {
+          ...sessionDetails,
+          role: 'student',
+          counterpartName: `${session.coach.firstName} ${session.coach.lastName}`,
+          rejectionReason,
+          adminNotes
+        }
+      }
+    }, tx);
+
+    return { updatedSession, creditRefund };
+  });
+
+  // Sessions booked from a card-paid hold get their payment back once rejected; a session of a
+  // series only gets its share. A failed refund is left for an admin.
+  let cardRefund = null;
+  if (session.paymentId) {
+    const reason = `Session "${session.title}" rejected`;
+
+    try {
+      cardRefund = session.seriesId
+        ? await paymentService.refundPaymentShare(session.paymentId, parseFloat(session.price), reason, `reject-refund:${session.id}`)
+        : await paymentService.processRefund(session.paymentId, parseFloat(session.price), reason);
+    } catch (error) {
+      logger.error(`Card refund for rejected session ${sessionId} failed:`, error);
+    }
+  }
 
   logger.info(`Session rejected: ${sessionId} by admin ${req.user.id}`);
 
   res.status(200).json(new ApiResponse(200, {
-    session: updatedSession
+    session: updatedSession,
+    creditRefund,
+    cardRefund
   }, 'Session rejected successfully'));
 });
 
+// Rescheduling: either party proposes times, the other accepts one, declines or counters
+export const getRescheduleRequests = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const { requests, policy } = await rescheduleService.listRescheduleRequests(sessionId, req.user);
+
+  res.status(200).json(new ApiResponse(200, {
+    requests,
+    policy
+  }, 'Reschedule requests retrieved successfully'));
+});
+
+export const requestReschedule = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { proposedTimes, reason } = req.body;
+
+  const request = await rescheduleService.requestReschedule(sessionId, req.user.id, { proposedTimes, reason });
+
+  logger.info(`Reschedule requested for session ${sessionId} by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    request
+  }, 'Reschedule request sent successfully'));
+});
+
+export const acceptReschedule = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { sessionDate, note } = req.body;
+
+  const { request, session } = await rescheduleService.acceptReschedule(requestId, req.user.id, { sessionDate, note });
+
+  logger.info(`Reschedule request ${requestId} accepted by user ${req.user.id}; session ${session.id} moved to ${session.sessionDate.toISOString()}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    request,
+    session
+  }, 'Session rescheduled successfully'));
+});
+
+export const declineReschedule = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { note } = req.body;
+
+  const request = await rescheduleService.declineReschedule(requestId, req.user.id, { note });
+
+  logger.info(`Reschedule request ${requestId} declined by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    request
+  }, 'Reschedule request declined'));
+});
+
+export const counterReschedule = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const { proposedTimes, reason } = req.body;
+
+  const request = await rescheduleService.counterReschedule(requestId, req.user.id, { proposedTimes, reason });
+
+  logger.info(`Reschedule request ${requestId} countered by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    request
+  }, 'New times proposed successfully'));
+});
+
+export const cancelReschedule = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const request = await rescheduleService.cancelReschedule(requestId, req.user.id);
+
+  logger.info(`Reschedule request ${requestId} withdrawn by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    request
+  }, 'Reschedule request withdrawn'));
+});
+
+// Checkout holds: a time is reserved for a few minutes while the parent pays with credits or a card
+export const createSlotHold = asyncHandler(async (req, res) => {
+  const { timeSlotId, exceptionId, childId, enrollmentId, courseId, sessionDate, title, description, duration, price, notes } = req.body;
+
+  if (!timeSlotId && !exceptionId) {
+    throw new ApiError(400, 'Missing required fields');
+  }
+
+  const hold = await slotHoldService.createHold(req.user.id, {
+    timeSlotId,
+    exceptionId,
+    childId,
+    enrollmentId,
+    courseId,
+    sessionDate,
+    title,
+    description,
+    duration,
+    price,
+    notes
+  });
+
+  logger.info(`Slot hold ${hold.id} created for coach ${hold.coachId} by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    hold
+  }, 'Time held successfully'));
+});
+
+export const getSlotHold = asyncHandler(async (req, res) => {
+  const hold = await slotHoldService.getHold(req.params.holdId, req.user);
+
+  res.status(200).json(new ApiResponse(200, {
+    hold
+  }, 'Hold retrieved successfully'));
+});
+
+export const releaseSlotHold = asyncHandler(async (req, res) => {
+  const hold = await slotHoldService.releaseHold(req.params.holdId, req.user);
+
+  logger.info(`Slot hold ${hold.id} released by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    hold
+  }, 'Hold released successfully'));
+});
+
+export const paySlotHoldWithCredits = asyncHandler(async (req, res) => {
+  const { holdId } = req.params;
+
+  const { session, creditBalance, transaction, replayed } = await slotHoldService.payHoldWithCredits(holdId, req.user);
+
+  logger.info(`Slot hold ${holdId} booked as session ${session.id} with credits by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    session,
+    creditBalance,
+    transaction,
+    ...(replayed && { replayed })
+  }, 'Session scheduled successfully'));
+});
+
+export const startSlotHoldPayment = asyncHandler(async (req, res) => {
+  const { holdId } = req.params;
+  const hold = await slotHoldService.getPayableHold(holdId, req.user);
+
+  // One card payment per hold; asking again returns it
+  if (hold.paymentId) {
+    const payment = await prisma.payment.findUnique({ where: { id: hold.paymentId } });
+    const paymentIntent = await paymentService.getPaymentIntent(payment.stripePaymentId);
+
+    return res.status(200).json(new ApiResponse(200, {
+      hold,
+      paymentId: payment.id,
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret
+    }, 'Payment already started for this hold'));
+  }
+
+  let paymentIntent;
+  let payment;
+  try {
+    ({ paymentIntent, payment } = await paymentService.createSlotHoldIntent(hold));
+  } catch (error) {
+    logger.error('Stripe payment intent creation failed:', error);
+    throw new ApiError(400, 'Payment processing failed');
+  }
+
+  const updatedHold = await slotHoldService.attachPayment(hold.id, payment.id);
+
+  logger.info(`Payment ${payment.id} started for slot hold ${hold.id} by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    hold: updatedHold,
+    paymentId: payment.id,
+    paymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret
+  }, 'Payment created successfully'));
+});
+
+// Session series: the same weekly time booked for several weeks and paid for as one
+const seriesRequest = (body) => ({
+  timeSlotId: body.timeSlotId,
+  exceptionId: body.exceptionId,
+  childId: body.childId,
+  enrollmentId: body.enrollmentId,
+  courseId: body.courseId,
+  sessionDate: body.sessionDate,
+  frequency: body.frequency,
+  occurrences: body.occurrences,
+  until: body.until,
+  title: body.title,
+  description: body.description,
+  duration: body.duration,
+  price: body.price,
+  notes: body.notes
+});
+
+export const checkSessionSeries = asyncHandler(async (req, res) => {
+  const result = await sessionSeriesService.checkSeries(req.user.id, seriesRequest(req.body));
+
+  res.status(200).json(new ApiResponse(200, result, 'Series checked successfully'));
+});
+
+export const createSessionSeries = asyncHandler(async (req, res) => {
+  const { paymentMethod = 'CREDITS' } = req.body;
+
+  if (paymentMethod === 'CREDITS') {
+    const { series, sessions, creditBalance, transaction } = await sessionSeriesService.bookSeriesWithCredits(req.user.id, seriesRequest(req.body));
+
+    logger.info(`Series ${series.id} of ${sessions.length} sessions booked with credits by user ${req.user.id}`);
+
+    return res.status(201).json(new ApiResponse(201, {
+      series,
+      sessions,
+      creditBalance,
+      transaction
+    }, 'Series scheduled successfully'));
+  }
+
+  const { series, holds } = await sessionSeriesService.holdSeriesForPayment(req.user.id, seriesRequest(req.body));
+
+  let paymentIntent;
+  let payment;
+  try {
+    ({ paymentIntent, payment } = await paymentService.createSeriesIntent(series, holds));
+  } catch (error) {
+    logger.error('Stripe payment intent creation failed:', error);
+    await sessionSeriesService.releasePaymentSeries(series.id);
+    throw new ApiError(400, 'Payment processing failed');
+  }
+
+  const updatedSeries = await sessionSeriesService.attachPayment(series.id, payment.id);
+
+  logger.info(`Payment ${payment.id} started for series ${series.id} by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    series: updatedSeries,
+    holds,
+    paymentId: payment.id,
+    paymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret
+  }, 'Series held until payment'));
+});
+
+export const getSessionSeries = asyncHandler(async (req, res) => {
+  const series = await sessionSeriesService.getSeries(req.params.seriesId, req.user);
+
+  res.status(200).json(new ApiResponse(200, {
+    series
+  }, 'Series retrieved successfully'));
+});
+
+export const cancelSessionSeries = asyncHandler(async (req, res) => {
+  const { seriesId } = req.params;
+  const { sessionId, reason } = req.body;
+
+  const { series, cancelledSessionIds, creditRefunds, cardRefundAmount } = await sessionSeriesService.cancelSeries(seriesId, req.user, { sessionId, reason });
+
+  // Card refunds go out once the sessions are cancelled; a failed one is left for an admin
+  let cardRefund = null;
+  if (series.paymentId && cardRefundAmount.gt(0)) {
+    try {
+      cardRefund = await paymentService.refundPaymentShare(series.paymentId, cardRefundAmount.toNumber(), `Series "${series.title}" cancelled`, `series-refund:${cancelledSessionIds[0]}`);
+    } catch (error) {
+      logger.error(`Card refund for series ${seriesId} failed:`, error);
+    }
+  }
+
+  logger.info(`Series ${seriesId}: ${cancelledSessionIds.length} session(s) cancelled by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    series,
+    cancelledSessionIds,
+    creditRefunds,
+    cardRefund
+  }, sessionId ? 'Session cancelled successfully' : 'Series cancelled successfully'));
+});
+
+// Group sessions: one session for several parents, each taking a seat on its roster
+export const createGroupSession = asyncHandler(async (req, res) => {
+  const groupSession = await groupSessionService.createGroupSession(req.user.id, {
+    timeSlotId: req.body.timeSlotId,
+    exceptionId: req.body.exceptionId,
+    courseId: req.body.courseId,
+    title: req.body.title,
+    description: req.body.description,
+    sessionDate: req.body.sessionDate,
+    duration: req.body.duration,
+    seatPrice: req.body.seatPrice,
+    minSeats: req.body.minSeats,
+    maxSeats: req.body.maxSeats,
+    enrollmentDeadline: req.body.enrollmentDeadline,
+    meetingUrl: req.body.meetingUrl
+  });
+
+  logger.info(`Group session ${groupSession.id} created by coach ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    groupSession
+  }, 'Group session created successfully'));
+});
+
+export const getGroupSessions = asyncHandler(async (req, res) => {
+  const { coachId, status, from, to } = req.query;
+
+  const groupSessions = await groupSessionService.listGroupSessions(req.user, { coachId, status, from, to });
+
+  res.status(200).json(new ApiResponse(200, {
+    groupSessions
+  }, 'Group sessions retrieved successfully'));
+});
+
+export const getGroupSession = asyncHandler(async (req, res) => {
+  const groupSession = await groupSessionService.getGroupSession(req.params.groupId, req.user);
+
+  res.status(200).json(new ApiResponse(200, {
+    groupSession
+  }, 'Group session retrieved successfully'));
+});
+
+export const updateGroupSession = asyncHandler(async (req, res) => {
+  const { meetingUrl, description } = req.body;
+
+  const groupSession = await groupSessionService.updateGroupSession(req.params.groupId, req.user, { meetingUrl, description });
+
+  logger.info(`Group session ${groupSession.id} updated by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    groupSession
+  }, 'Group session updated successfully'));
+});
+
+export const cancelGroupSession = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const { groupSession, seatsCancelled, creditRefunds } = await groupSessionService.cancelGroupSession(groupId, req.user, { reason: req.body.reason });
+
+  logger.info(`Group session ${groupId} cancelled by user ${req.user.id}; ${seatsCancelled} seat(s) refunded`);
+
+  res.status(200).json(new ApiResponse(200, {
+    groupSession,
+    seatsCancelled,
+    creditRefunds
+  }, 'Group session cancelled successfully'));
+});
+
+export const joinGroupSession = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+
+  const { seat, creditBalance, transaction } = await groupSessionService.joinGroupSession(groupId, req.user.id, { childId: req.body.childId });
+
+  logger.info(`Seat ${seat.id} in group session ${groupId} taken by user ${req.user.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    seat,
+    creditBalance,
+    transaction
+  }, 'Seat taken successfully'));
+});
+
+export const leaveGroupSession = asyncHandler(async (req, res) => {
+  const { groupId, seatId } = req.params;
+
+  const { seat, creditRefund } = await groupSessionService.leaveGroupSession(groupId, seatId, req.user);
+
+  logger.info(`Seat ${seatId} in group session ${groupId} given up by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    seat,
+    creditRefund
+  }, 'Seat given up successfully'));
+});
+
+// Waitlist: parents wait for a full time (or any time in a window) and are offered freed capacity
+export const getWaitlist = asyncHandler(async (req, res) => {
+  const { coachId, status } = req.query;
+
+  const entries = await waitlistService.listWaitlist(req.user, { coachId, status });
+
+  res.status(200).json(new ApiResponse(200, {
+    entries,
+    offerMinutes: waitlistService.WAITLIST_OFFER_MINUTES
+  }, 'Waitlist retrieved successfully'));
+});
+
+export const joinWaitlist = asyncHandler(async (req, res) => {
+  const { timeSlotId, exceptionId, sessionDate, coachId, from, to, duration, sessionType } = req.body;
+
+  const entry = await waitlistService.joinWaitlist(req.user.id, {
+    timeSlotId,
+    exceptionId,
+    sessionDate,
+    coachId,
+    from,
+    to,
+    duration,
+    sessionType
+  });
+
+  logger.info(`User ${req.user.id} joined the waitlist for coach ${entry.coachId}: ${entry.id}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    entry
+  }, 'Added to the waitlist successfully'));
+});
+
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  const entry = await waitlistService.leaveWaitlist(entryId, req.user);
+
+  logger.info(`Waitlist entry ${entryId} cancelled by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    entry
+  }, 'Removed from the waitlist successfully'));
+});
+
 export const getScheduledSessions = asyncHandler(async (req, res) => {
   const { 
     page = 1, 
@@ -782,6 +1318,7 @@ export const getScheduledSessions = asyncHandler(async (req, res) => {
     status, 
     coachId, 
     studentId, 
+    childId,
     startDate, 
     endDate,
     sessionType 
@@ -804,6 +1341,10 @@ export const getScheduledSessions = asyncHandler(async (req, res) => {
     where.studentId = studentId;
   }
 
+  if (childId) {
+    where.childId = childId;
+  }
+
   if (startDate && endDate) {
     where.sessionDate = {
       gte: new Date(startDate),
@@ -835,6 +1376,14 @@ export const getScheduledSessions = asyncHandler(async (req, res) => {
             email: true
           }
         },
+        child: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            grade: true
+          }
+        },
         course: {
           select: {
             id: true,
@@ -880,7 +1429,11 @@ export const getScheduleNotifications = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, isRead } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const where = { userId: req.user.id };
+  // Queued reminders only show up once they are due
+  const where = {
+    userId: req.user.id,
+    scheduledAt: { lte: new Date() }
+  };
 
   if (isRead !== undefined) {
     where.isRead = isRead === 'true';
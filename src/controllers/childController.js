@@ -0,0 +1,133 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+
+const childSelect = {
+  id: true,
+  parentId: true,
+  firstName: true,
+  lastName: true,
+  birthDate: true,
+  grade: true,
+  learningNeeds: true,
+  avatarUrl: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Load a child and make sure it belongs to the given parent
+export const findChildForParent = async (childId, parentId) => {
+  const child = await prisma.child.findFirst({
+    where: { id: childId, parentId, isActive: true },
+    select: childSelect
+  });
+
+  if (!child) {
+    throw new ApiError(404, 'Child not found');
+  }
+
+  return child;
+};
+
+// Get children of the current parent
+export const getChildren = asyncHandler(async (req, res) => {
+  const { includeInactive } = req.query;
+
+  const where = { parentId: req.user.id };
+
+  if (includeInactive !== 'true') {
+    where.isActive = true;
+  }
+
+  const children = await prisma.child.findMany({
+    where,
+    select: childSelect,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  res.json(
+    new ApiResponse(200, children, 'Children retrieved successfully')
+  );
+});
+
+// Get a single child
+export const getChild = asyncHandler(async (req, res) => {
+  const child = await findChildForParent(req.params.childId, req.user.id);
+
+  res.json(
+    new ApiResponse(200, child, 'Child retrieved successfully')
+  );
+});
+
+// Add a child to the current parent
+export const createChild = asyncHandler(async (req, res) => {
+  const { firstName, lastName, birthDate, grade, learningNeeds, avatarUrl } = req.body;
+
+  const child = await prisma.child.create({
+    data: {
+      parentId: req.user.id,
+      firstName,
+      lastName,
+      birthDate: birthDate ? new Date(birthDate) : null,
+      grade,
+      learningNeeds,
+      avatarUrl
+    },
+    select: childSelect
+  });
+
+  logger.info(`Child profile created: ${child.id} for parent ${req.user.id}`);
+
+  res.status(201).json(
+    new ApiResponse(201, child, 'Child created successfully')
+  );
+});
+
+// Update a child
+export const updateChild = asyncHandler(async (req, res) => {
+  const { childId } = req.params;
+  const { firstName, lastName, birthDate, grade, learningNeeds, avatarUrl } = req.body;
+
+  await findChildForParent(childId, req.user.id);
+
+  const updateData = {};
+  if (firstName !== undefined) updateData.firstName = firstName;
+  if (lastName !== undefined) updateData.lastName = lastName;
+  if (birthDate !== undefined) updateData.birthDate = birthDate ? new Date(birthDate) : null;
+  if (grade !== undefined) updateData.grade = grade;
+  if (learningNeeds !== undefined) updateData.learningNeeds = learningNeeds;
+  if (avatarUrl !== undefined) updateData.avatarUrl = avatarUrl;
+
+  const child = await prisma.child.update({
+    where: { id: childId },
+    data: updateData,
+    select: childSelect
+  });
+
+  logger.info(`Child profile updated: ${childId} by parent ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, child, 'Child updated successfully')
+  );
+});
+
+// Remove a child (soft delete so past sessions keep their learner)
+export const deleteChild = asyncHandler(async (req, res) => {
+  const { childId } = req.params;
+
+  await findChildForParent(childId, req.user.id);
+
+  await prisma.child.update({
+    where: { id: childId },
+    data: { isActive: false }
+  });
+
+  logger.info(`Child profile removed: ${childId} by parent ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, null, 'Child removed successfully')
+  );
+});
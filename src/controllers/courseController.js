@@ -3,6 +3,8 @@ import ApiError from '../utils/ApiError.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
+import { findChildForParent } from './childController.js';
+import notificationService from '../services/notificationService.js';
 
 // Get all courses with filtering and search
 export const getCourses = asyncHandler(async (req, res) => {
@@ -98,7 +100,8 @@ export const getCourses = asyncHandler(async (req, res) => {
         },
         _count: {
           select: {
-            sessions: true
+            sessions: true,
+            enrollments: true
           }
         }
       },
@@ -132,7 +135,8 @@ export const getCourses = asyncHandler(async (req, res) => {
       rating: course.coach.coach?.rating || 0,
       totalReviews: course.coach.coach?.totalReviews || 0
     },
-    totalSessions: course._count.sessions
+    totalSessions: course._count.sessions,
+    totalEnrollments: course._count.enrollments
   }));
 
   const totalPages = Math.ceil(totalCount / take);
@@ -190,7 +194,8 @@ export const getCourseById = asyncHandler(async (req, res) => {
       },
       _count: {
         select: {
-          sessions: true
+          sessions: true,
+          enrollments: true
         }
       }
     }
@@ -227,7 +232,8 @@ export const getCourseById = asyncHandler(async (req, res) => {
       languages: course.coach.languages
     },
     sessions: course.sessions,
-    totalSessions: course._count.sessions
+    totalSessions: course._count.sessions,
+    totalEnrollments: course._count.enrollments
   };
 
   res.json(
@@ -484,14 +490,17 @@ export const enrollInCourse = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Course not found or not available');
   }
 
-  // Check if child belongs to parent (this would need a Child model in the schema)
-  // For now, we'll assume the childId is valid
+  // Check if child belongs to parent
+  const child = await findChildForParent(childId, parentId);
 
   // Check if already enrolled
-  const existingEnrollment = await prisma.session.findFirst({
+  const existingEnrollment = await prisma.enrollment.findFirst({
     where: {
       courseId,
-      studentId: childId
+      childId: child.id,
+      status: {
+        in: ['ACTIVE', 'PAUSED']
+      }
     }
   });
 
@@ -499,27 +508,26 @@ export const enrollInCourse = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Already enrolled in this course');
   }
 
-  // Create enrollment (represented as a session in the current schema)
-  const enrollment = await prisma.session.create({
+  // Create enrollment
+  const enrollment = await prisma.enrollment.create({
     data: {
       courseId,
-      coachId: course.coachId,
-      studentId: childId,
-      title: `Enrollment in ${course.title}`,
-      description: `Student enrolled in ${course.title}`,
-      startTime: new Date(),
-      endTime: new Date(),
-      duration: 0,
-      status: 'SCHEDULED'
+      childId: child.id,
+      payerId: parentId
     }
   });
 
-  logger.info(`Student ${childId} enrolled in course ${course.title} by parent ${parentId}`);
+  logger.info(`Child ${child.id} enrolled in course ${course.title} by parent ${parentId}`);
 
   res.status(201).json(
     new ApiResponse(201, {
       enrollmentId: enrollment.id,
+      status: enrollment.status,
       courseTitle: course.title,
+      child: {
+        id: child.id,
+        name: `${child.firstName} ${child.lastName}`
+      },
       coachName: `${course.coach.user.firstName} ${course.coach.user.lastName}`
     }, 'Enrollment created successfully')
   );
@@ -672,6 +680,13 @@ export const addCourseReview = asyncHandler(async (req, res) => {
   // Update coach rating
   await updateCoachRating(course.coachId);
 
+  await notificationService.notify(course.coachId, {
+    type: 'REVIEW_RECEIVED',
+    title: 'New review',
+    message: `${review.reviewer.firstName} ${review.reviewer.lastName} rated "${course.title}" ${rating}/5.`,
+    data: { reviewId: review.id, courseId }
+  });
+
   logger.info(`Review added for course ${course.title} by ${review.reviewer.firstName} ${review.reviewer.lastName}`);
 
   res.status(201).json(
@@ -1,9 +1,15 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import ApiResponse from '../utils/ApiResponse.js';
 import ApiError from '../utils/ApiError.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
-import resendEmailService from '../services/resendEmailService.js';
+import notificationService from '../services/notificationService.js';
+import paymentService from '../services/paymentService.js';
+import creditLedgerService from '../services/creditLedgerService.js';
+import refundService from '../services/refundService.js';
+import creditService from '../services/creditService.js';
+import giftCodeService from '../services/giftCodeService.js';
+import promoCodeService from '../services/promoCodeService.js';
 
 const prisma = new PrismaClient();
 
@@ -52,8 +58,22 @@ export const getCreditBalance = asyncHandler(async (req, res) => {
     });
   }
 
+  // Spendable lots in the order they will be used, and which of them are due to expire
+  const lots = await creditLedgerService.getActiveCreditLots(userId);
+  const upcomingExpirations = lots
+    .filter(lot => lot.expiresAt)
+    .map(lot => ({
+      lotId: lot.id,
+      sourceType: lot.sourceType,
+      sourceId: lot.sourceId,
+      credits: lot.remainingAmount,
+      expiresAt: lot.expiresAt
+    }));
+
   res.status(200).json(new ApiResponse(200, {
-    creditBalance
+    creditBalance,
+    lots,
+    upcomingExpirations
   }, 'Credit balance retrieved successfully'));
 });
 
@@ -70,87 +90,53 @@ export const updateCreditBalance = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Amount, type, and description are required');
   }
 
-  // Validate amount
-  const numAmount = parseFloat(amount);
-  if (isNaN(numAmount) || numAmount === 0) {
-    throw new ApiError(400, 'Invalid amount');
+  // Credits added by an admin only expire if an expiry date is given
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    throw new ApiError(400, 'Expiry date must be in the future');
   }
 
-  // Get or create credit balance
-  let creditBalance = await prisma.creditBalance.findUnique({
-    where: { userId }
-  });
-
-  if (!creditBalance) {
-    creditBalance = await prisma.creditBalance.create({
-      data: {
-        userId,
-        balance: 0,
-        totalEarned: 0,
-        totalSpent: 0
-      }
-    });
-  }
-
-  // Calculate new balance
-  const currentBalance = parseFloat(creditBalance.balance);
-  let newBalance = currentBalance;
+  const entry = {
+    userId,
+    amount,
+    type,
+    description,
+    referenceId,
+    referenceType,
+    metadata,
+    idempotencyKey: req.idempotencyKey
+  };
 
   // Update balance based on transaction type
+  let result;
   switch (type.toUpperCase()) {
     case 'PURCHASE':
     case 'EARNED':
     case 'BONUS':
     case 'REFUND':
-      newBalance += numAmount;
+      if (new Prisma.Decimal(amount).isNegative()) {
+        throw new ApiError(400, 'Use a SPENT or EXPIRED transaction to remove credits');
+      }
+      result = await creditLedgerService.credit({ ...entry, expiresAt });
       break;
     case 'SPENT':
     case 'EXPIRED':
-      newBalance -= Math.abs(numAmount);
+      result = await creditLedgerService.debit(entry);
       break;
     default:
       throw new ApiError(400, 'Invalid transaction type');
   }
 
-  // Ensure balance doesn't go negative (except for admins)
-  if (newBalance < 0) {
-    throw new ApiError(400, 'Insufficient credits');
-  }
-
-  // Update balance and create transaction
-  const [updatedBalance, transaction] = await prisma.$transaction([
-    prisma.creditBalance.update({
-      where: { userId },
-      data: {
-        balance: newBalance,
-        totalEarned: type.toUpperCase() === 'EARNED' || type.toUpperCase() === 'BONUS' 
-          ? parseFloat(creditBalance.totalEarned) + Math.abs(numAmount)
-          : creditBalance.totalEarned,
-        totalSpent: type.toUpperCase() === 'SPENT' 
-          ? parseFloat(creditBalance.totalSpent) + Math.abs(numAmount)
-          : creditBalance.totalSpent,
-        lastUpdated: new Date()
-      }
-    }),
-    prisma.creditTransaction.create({
-      data: {
-        userId,
-        type: type.toUpperCase(),
-        amount: numAmount,
-        balance: newBalance,
-        description,
-        referenceId,
-        referenceType,
-        metadata
-      }
-    })
-  ]);
+  const { creditBalance, transaction, replayed } = result;
 
-  logger.info(`Credit balance updated for user ${userId}: ${type} ${numAmount} credits`);
+  if (!replayed) {
+    logger.info(`Credit balance updated for user ${userId}: ${type} ${amount} credits`);
+  }
 
   res.status(200).json(new ApiResponse(200, {
-    creditBalance: updatedBalance,
-    transaction
+    creditBalance,
+    transaction,
+    replayed
   }, 'Credit balance updated successfully'));
 });
 
@@ -343,7 +329,7 @@ export const deleteCreditPackage = asyncHandler(async (req, res) => {
 // Credit Purchases
 export const purchaseCredits = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { packageId, paymentMethod, paymentId } = req.body;
+  const { packageId, gift, promoCode } = req.body;
 
   // Validate that the user can make this purchase
   if (req.user.role !== 'ADMIN' && req.user.id !== userId) {
@@ -354,6 +340,44 @@ export const purchaseCredits = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Package ID is required');
   }
 
+  // A retried request gets back the purchase it already started
+  const idempotencyKey = creditLedgerService.scopeIdempotencyKey(userId, req.idempotencyKey);
+  if (idempotencyKey) {
+    const existingPurchase = await prisma.creditPurchase.findUnique({
+      where: { idempotencyKey },
+      include: { payment: true, giftCode: true }
+    });
+
+    if (existingPurchase) {
+      const { payment, giftCode, ...creditPurchase } = existingPurchase;
+
+      // Fully discounted purchases complete without a payment
+      if (!payment && creditPurchase.status === 'COMPLETED') {
+        return res.status(201).json(new ApiResponse(201, {
+          creditPurchase,
+          giftCode,
+          paymentIntentId: null,
+          clientSecret: null,
+          replayed: true
+        }, 'Credit purchase completed'));
+      }
+
+      if (!payment) {
+        throw new ApiError(409, 'The purchase made with this Idempotency-Key could not be started. Retry with a new key');
+      }
+
+      const paymentIntent = await paymentService.getPaymentIntent(payment.stripePaymentId);
+
+      return res.status(201).json(new ApiResponse(201, {
+        creditPurchase,
+        giftCode,
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        replayed: true
+      }, 'Credit purchase created. Complete the payment to receive credits'));
+    }
+  }
+
   // Get credit package
   const creditPackage = await prisma.creditPackage.findUnique({
     where: { id: packageId }
@@ -367,38 +391,145 @@ export const purchaseCredits = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Credit package is not available');
   }
 
-  // Calculate total credits (including bonus)
-  const totalCredits = parseFloat(creditPackage.credits) + parseFloat(creditPackage.bonusCredits);
+  // Apply the promo code, if any, to the package price
+  const promo = promoCode
+    ? await promoCodeService.evaluatePromoCode({
+      code: promoCode,
+      userId,
+      context: 'CREDIT_PURCHASE',
+      amount: creditPackage.price,
+      packageId
+    })
+    : null;
+
+  // Calculate total credits (including package and promo bonus)
+  const totalCredits = new Prisma.Decimal(creditPackage.credits)
+    .plus(creditPackage.bonusCredits)
+    .plus(promo ? promo.bonusCredits : 0);
   const expiresAt = creditPackage.validDays 
     ? new Date(Date.now() + creditPackage.validDays * 24 * 60 * 60 * 1000)
     : null;
 
-  // Create credit purchase
-  const creditPurchase = await prisma.creditPurchase.create({
-    data: {
-      userId,
-      packageId,
-      packageName: creditPackage.name,
-      credits: totalCredits,
-      amount: parseFloat(creditPackage.price),
-      currency: creditPackage.currency,
-      paymentId,
-      status: paymentId ? 'COMPLETED' : 'PENDING',
-      expiresAt
+  // Create credit purchase; it stays PENDING until Stripe confirms the payment
+  let creditPurchase = await prisma.$transaction(async (tx) => {
+    const creditPurchase = await tx.creditPurchase.create({
+      data: {
+        userId,
+        packageId,
+        packageName: creditPackage.name,
+        credits: totalCredits,
+        amount: promo ? promo.finalAmount : creditPackage.price,
+        currency: creditPackage.currency,
+        status: 'PENDING',
+        expiresAt,
+        idempotencyKey,
+        promoCodeId: promo?.promoCode.id,
+        discountAmount: promo?.discountAmount ?? 0
+      }
+    });
+
+    if (promo) {
+      await promoCodeService.redeemPromoCode(tx, promo, { userId, referenceId: creditPurchase.id });
     }
+
+    return creditPurchase;
   });
 
-  // If payment is completed, add credits to balance
-  if (creditPurchase.status === 'COMPLETED') {
-    await addCreditsToBalance(userId, totalCredits, 'PURCHASE', 
-      `Purchased ${creditPackage.name} package`, creditPurchase.id, 'PURCHASE');
+  // Gift purchases pay for a redeemable code instead of crediting the buyer
+  const giftCode = gift
+    ? await giftCodeService.createGiftCodeForPurchase(creditPurchase, {
+      creditValidDays: creditPackage.validDays,
+      recipientEmail: gift.recipientEmail,
+      message: gift.message
+    })
+    : null;
+
+  // Nothing to charge when a promo code covers the whole price
+  if (new Prisma.Decimal(creditPurchase.amount).lte(0)) {
+    creditPurchase = await creditService.completeCreditPurchase(creditPurchase.id);
+
+    logger.info(`Credit purchase completed without payment: ${creditPurchase.id} for user ${userId}`);
+
+    return res.status(201).json(new ApiResponse(201, {
+      creditPurchase,
+      giftCode: giftCode && await prisma.giftCode.findUnique({ where: { id: giftCode.id } }),
+      paymentIntentId: null,
+      clientSecret: null,
+      replayed: false
+    }, 'Credit purchase completed'));
+  }
+
+  let paymentIntent;
+  try {
+    const result = await paymentService.createCreditPurchaseIntent(creditPurchase, idempotencyKey && `credit-purchase:${idempotencyKey}`);
+    paymentIntent = result.paymentIntent;
+
+    creditPurchase = await prisma.creditPurchase.update({
+      where: { id: creditPurchase.id },
+      data: { paymentId: result.payment.id }
+    });
+  } catch (error) {
+    logger.error(`Failed to create payment intent for credit purchase ${creditPurchase.id}:`, error);
+
+    await prisma.creditPurchase.update({
+      where: { id: creditPurchase.id },
+      data: { status: 'FAILED' }
+    });
+
+    if (promo) {
+      await promoCodeService.releasePromoRedemption('CREDIT_PURCHASE', creditPurchase.id);
+    }
+
+    throw new ApiError(502, 'Unable to start payment for this purchase');
   }
 
   logger.info(`Credit purchase created: ${creditPurchase.id} for user ${userId}`);
 
   res.status(201).json(new ApiResponse(201, {
-    creditPurchase
-  }, 'Credit purchase created successfully'));
+    creditPurchase,
+    giftCode,
+    paymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret,
+    replayed: false
+  }, 'Credit purchase created. Complete the payment to receive credits'));
+});
+
+// Re-check a purchase's payment with Stripe (for clients that return before the webhook arrives)
+export const confirmCreditPurchase = asyncHandler(async (req, res) => {
+  const { userId, purchaseId } = req.params;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== userId) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  const creditPurchase = await prisma.creditPurchase.findFirst({
+    where: { id: purchaseId, userId },
+    include: { payment: true }
+  });
+
+  if (!creditPurchase) {
+    throw new ApiError(404, 'Credit purchase not found');
+  }
+
+  if (!creditPurchase.payment) {
+    throw new ApiError(400, 'Credit purchase has no payment to confirm');
+  }
+
+  let paymentIntent;
+  if (['PENDING', 'FAILED'].includes(creditPurchase.status)) {
+    paymentIntent = await paymentService.syncPaymentIntent(creditPurchase.payment.stripePaymentId);
+  }
+
+  const updatedPurchase = await prisma.creditPurchase.findUnique({
+    where: { id: purchaseId }
+  });
+
+  res.status(200).json(new ApiResponse(200, {
+    creditPurchase: updatedPurchase,
+    paymentStatus: paymentIntent?.status
+  }, updatedPurchase.status === 'COMPLETED'
+    ? 'Credit purchase completed successfully'
+    : `Credit purchase is ${updatedPurchase.status.toLowerCase()}`));
 });
 
 export const getCreditPurchases = asyncHandler(async (req, res) => {
@@ -471,63 +602,123 @@ export const getCreditPurchases = asyncHandler(async (req, res) => {
   }, 'Credit purchases retrieved successfully'));
 });
 
-// Helper function to add credits to balance
-async function addCreditsToBalance(userId, amount, type, description, referenceId, referenceType, metadata = {}) {
-  // Get or create credit balance
-  let creditBalance = await prisma.creditBalance.findUnique({
-    where: { userId }
+// Credit Transfers
+export const transferCredits = asyncHandler(async (req, res) => {
+  const { toUserId, recipientEmail, amount, note } = req.body;
+
+  // Parents send their own credits; admins move credits between any two accounts
+  const fromUserId = req.user.role === 'ADMIN' ? req.body.fromUserId : req.user.id;
+
+  if (!fromUserId) {
+    throw new ApiError(400, 'Sender is required');
+  }
+
+  if (!toUserId && !recipientEmail) {
+    throw new ApiError(400, 'Recipient ID or email is required');
+  }
+
+  const recipient = await prisma.user.findUnique({
+    where: toUserId ? { id: toUserId } : { email: recipientEmail.toLowerCase() },
+    select: { id: true, role: true, isActive: true, firstName: true, lastName: true }
   });
 
-  if (!creditBalance) {
-    creditBalance = await prisma.creditBalance.create({
-      data: {
-        userId,
-        balance: 0,
-        totalEarned: 0,
-        totalSpent: 0
-      }
-    });
+  if (!recipient || !recipient.isActive) {
+    throw new ApiError(404, 'Recipient not found');
   }
 
-  const currentBalance = parseFloat(creditBalance.balance);
-  const newBalance = currentBalance + parseFloat(amount);
+  if (req.user.role !== 'ADMIN' && recipient.role !== 'PARENT') {
+    throw new ApiError(400, 'Credits can only be transferred to parent accounts');
+  }
 
-  // Update balance and create transaction
-  const [updatedBalance, transaction] = await prisma.$transaction([
-    prisma.creditBalance.update({
-      where: { userId },
-      data: {
-        balance: newBalance,
-        totalEarned: type === 'EARNED' || type === 'BONUS' || type === 'PURCHASE'
-          ? parseFloat(creditBalance.totalEarned) + Math.abs(parseFloat(amount))
-          : creditBalance.totalEarned,
-        totalSpent: type === 'SPENT'
-          ? parseFloat(creditBalance.totalSpent) + Math.abs(parseFloat(amount))
-          : creditBalance.totalSpent,
-        lastUpdated: new Date()
-      }
+  const { debit, credit, replayed } = await creditLedgerService.transfer({
+    fromUserId,
+    toUserId: recipient.id,
+    amount,
+    description: note ? `Credit transfer: ${note}` : 'Credit transfer',
+    metadata: {
+      note,
+      initiatedBy: req.user.id
+    },
+    idempotencyKey: req.idempotencyKey
+  });
+
+  if (!replayed) {
+    logger.info(`Credits transferred: ${amount} from ${fromUserId} to ${recipient.id} by ${req.user.id}`);
+  }
+
+  res.status(201).json(new ApiResponse(201, {
+    transferId: debit.referenceId,
+    debit,
+    credit,
+    recipient: {
+      id: recipient.id,
+      firstName: recipient.firstName,
+      lastName: recipient.lastName
+    },
+    replayed
+  }, 'Credits transferred successfully'));
+});
+
+// Gift Codes
+export const getGiftCodes = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (req.user.role !== 'ADMIN' && req.user.id !== userId) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  const [purchased, redeemed] = await Promise.all([
+    prisma.giftCode.findMany({
+      where: {
+        purchaserId: userId,
+        status: { not: 'CANCELLED' }
+      },
+      orderBy: { createdAt: 'desc' }
     }),
-    prisma.creditTransaction.create({
-      data: {
-        userId,
-        type: type.toUpperCase(),
-        amount: parseFloat(amount),
-        balance: newBalance,
-        description,
-        referenceId,
-        referenceType,
-        metadata
-      }
+    prisma.giftCode.findMany({
+      where: { redeemedById: userId },
+      select: {
+        id: true,
+        credits: true,
+        message: true,
+        redeemedAt: true,
+        purchaser: {
+          select: { firstName: true, lastName: true }
+        }
+      },
+      orderBy: { redeemedAt: 'desc' }
     })
   ]);
 
-  return { updatedBalance, transaction };
-}
+  // A code is only shown to its buyer once it has been paid for
+  const purchasedCodes = purchased.map(giftCode => (
+    giftCode.status === 'PENDING_PAYMENT' ? { ...giftCode, code: null } : giftCode
+  ));
+
+  res.status(200).json(new ApiResponse(200, {
+    purchased: purchasedCodes,
+    redeemed
+  }, 'Gift codes retrieved successfully'));
+});
+
+export const redeemGiftCode = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const { giftCode, creditBalance, transaction } = await giftCodeService.redeemGiftCode(code, req.user.id);
+
+  logger.info(`Gift code ${giftCode.id} redeemed by user ${req.user.id}`);
+
+  res.status(200).json(new ApiResponse(200, {
+    credits: giftCode.credits,
+    creditBalance,
+    transaction
+  }, 'Gift code redeemed successfully'));
+});
 
 // Course Enrollment with Credits
 export const enrollWithCredits = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { courseId, childrenIds = [] } = req.body;
+  const { courseId, childrenIds = [], promoCode } = req.body;
 
   // Validate that the user can make this enrollment
   if (req.user.role !== 'ADMIN' && req.user.id !== userId) {
@@ -561,98 +752,195 @@ export const enrollWithCredits = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Course is not available');
   }
 
+  // Children must belong to the paying parent
+  const children = await prisma.child.findMany({
+    where: {
+      id: { in: childrenIds },
+      parentId: userId,
+      isActive: true
+    },
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  });
+
+  if (children.length !== new Set(childrenIds).size) {
+    throw new ApiError(400, 'One or more children do not belong to this account');
+  }
+
+  // A retried request gets back the enrollments it already made. The key is stored on each
+  // enrollment, since a seat a promo code covers in full has no ledger entry to find.
+  const childKey = (childId) => req.idempotencyKey && `${req.idempotencyKey}:enroll:${childId}`;
+  const enrollmentKey = (childId) => creditLedgerService.scopeIdempotencyKey(userId, childKey(childId));
+  if (req.idempotencyKey) {
+    const enrollments = await prisma.enrollment.findMany({
+      where: { idempotencyKey: { in: children.map(child => enrollmentKey(child.id)) } }
+    });
+
+    if (enrollments.length === children.length) {
+      const [creditBalance, transactions] = await Promise.all([
+        prisma.creditBalance.findUnique({ where: { userId } }),
+        prisma.creditTransaction.findMany({
+          where: {
+            type: 'SPENT',
+            referenceType: 'ENROLLMENT',
+            referenceId: { in: enrollments.map(enrollment => enrollment.id) }
+          }
+        })
+      ]);
+
+      return res.status(201).json(new ApiResponse(201, {
+        enrollments,
+        creditBalance,
+        transactions,
+        totalCreditCost: enrollments.reduce((sum, enrollment) => sum.plus(enrollment.creditsCharged), new Prisma.Decimal(0)),
+        replayed: true
+      }, 'Course enrollment completed successfully'));
+    }
+  }
+
   // Calculate total credit cost
-  const creditCostPerChild = parseFloat(course.creditCost);
-  const totalCreditCost = creditCostPerChild * childrenIds.length;
+  const listCostPerChild = new Prisma.Decimal(course.creditCost);
 
-  if (totalCreditCost <= 0) {
+  if (listCostPerChild.lte(0)) {
     throw new ApiError(400, 'Course has no credit cost set');
   }
 
-  // Check user's credit balance
-  let creditBalance = await prisma.creditBalance.findUnique({
+  // A promo code discounts every child's seat and counts as a single use
+  const promo = promoCode
+    ? await promoCodeService.evaluatePromoCode({
+      code: promoCode,
+      userId,
+      context: 'ENROLLMENT',
+      amount: listCostPerChild,
+      courseId,
+      coachId: course.coachId
+    })
+    : null;
+
+  const creditCostPerChild = promo ? promo.finalAmount : listCostPerChild;
+  const discountPerChild = promo ? promo.discountAmount : new Prisma.Decimal(0);
+  const totalCreditCost = creditCostPerChild.times(children.length);
+
+  // Early, friendlier check; the ledger re-checks atomically when debiting
+  const creditBalance = await prisma.creditBalance.findUnique({
     where: { userId }
   });
 
-  if (!creditBalance) {
-    creditBalance = await prisma.creditBalance.create({
-      data: {
-        userId,
-        balance: 0,
-        totalEarned: 0,
-        totalSpent: 0
-      }
-    });
-  }
-
-  const currentBalance = parseFloat(creditBalance.balance);
-  if (currentBalance < totalCreditCost) {
+  const currentBalance = new Prisma.Decimal(creditBalance?.balance ?? 0);
+  if (totalCreditCost.gt(0) && currentBalance.lt(totalCreditCost)) {
     throw new ApiError(400, `Insufficient credits. Required: ${totalCreditCost}, Available: ${currentBalance}`);
   }
 
-  // Deduct credits and create enrollment
-  const newBalance = currentBalance - totalCreditCost;
+  // Deduct credits and create one enrollment (and SPENT transaction) per child
+  const { updatedBalance, enrollments, transactions } = await creditLedgerService.runLedgerTransaction(async (tx) => {
+    // Children already on the course cannot be enrolled twice
+    const existingEnrollments = await tx.enrollment.findMany({
+      where: {
+        courseId,
+        childId: { in: children.map(child => child.id) },
+        status: { in: ['ACTIVE', 'PAUSED'] }
+      },
+      select: { childId: true }
+    });
 
-  const [updatedBalance, transaction] = await prisma.$transaction([
-    prisma.creditBalance.update({
-      where: { userId },
-      data: {
-        balance: newBalance,
-        totalSpent: parseFloat(creditBalance.totalSpent) + totalCreditCost,
-        lastUpdated: new Date()
+    if (existingEnrollments.length) {
+      throw new ApiError(400, 'One or more children are already enrolled in this course');
+    }
+
+    const enrollments = [];
+    const transactions = [];
+    let updatedBalance;
+
+    for (const child of children) {
+      const enrollment = await tx.enrollment.create({
+        data: {
+          courseId,
+          childId: child.id,
+          payerId: userId,
+          creditsCharged: creditCostPerChild,
+          promoCodeId: promo?.promoCode.id,
+          discountAmount: discountPerChild,
+          idempotencyKey: enrollmentKey(child.id)
+        }
+      });
+
+      enrollments.push(enrollment);
+
+      // Nothing to debit when the promo code covers the whole seat
+      if (creditCostPerChild.lte(0)) {
+        continue;
       }
-    }),
-    prisma.creditTransaction.create({
-      data: {
+
+      const { creditBalance, transaction } = await creditLedgerService.applyDebit(tx, {
         userId,
+        amount: creditCostPerChild,
         type: 'SPENT',
-        amount: -totalCreditCost,
-        balance: newBalance,
-        description: `Enrolled ${childrenIds.length} child(ren) in ${course.title}`,
-        referenceId: courseId,
-        referenceType: 'COURSE',
+        description: `Enrolled ${child.firstName} ${child.lastName} in ${course.title}`,
+        referenceId: enrollment.id,
+        referenceType: 'ENROLLMENT',
         metadata: {
           courseId,
           courseTitle: course.title,
-          childrenIds,
-          creditCostPerChild,
-          totalCreditCost
-        }
+          childId: child.id,
+          creditCostPerChild: creditCostPerChild.toFixed(2)
+        },
+        idempotencyKey: childKey(child.id)
+      });
+
+      transactions.push(transaction);
+      updatedBalance = creditBalance;
+    }
+
+    if (promo) {
+      await promoCodeService.redeemPromoCode(tx, {
+        ...promo,
+        discountAmount: discountPerChild.times(children.length)
+      }, { userId, referenceId: enrollments[0].id });
+
+      if (promo.bonusCredits.gt(0)) {
+        const { creditBalance, transaction } = await creditLedgerService.applyCredit(tx, {
+          userId,
+          amount: promo.bonusCredits,
+          type: 'BONUS',
+          description: `Promo code ${promo.promoCode.code} bonus`,
+          referenceId: promo.promoCode.id,
+          referenceType: 'PROMO_CODE',
+          metadata: {
+            courseId,
+            enrollmentIds: enrollments.map(enrollment => enrollment.id)
+          },
+          idempotencyKey: `promo-bonus:${enrollments[0].id}`
+        });
+
+        transactions.push(transaction);
+        updatedBalance = creditBalance;
       }
-    })
-  ]);
+    }
 
-  // Create enrollment records (you may need to adjust this based on your enrollment model)
-  const enrollments = [];
-  for (const childId of childrenIds) {
-    // Create enrollment record - adjust based on your actual enrollment model
-    const enrollment = await prisma.session.create({
-      data: {
-        courseId,
-        coachId: course.coachId,
-        studentId: childId, // Assuming childId maps to a user
-        title: `Enrollment in ${course.title}`,
-        description: `Enrolled using ${creditCostPerChild} credits`,
-        startTime: new Date(),
-        endTime: new Date(),
-        duration: course.duration,
-        status: 'SCHEDULED'
+    // Send notification to coach
+    await notificationService.notify(course.coach.id, {
+      type: 'ENROLLMENT_CREATED',
+      title: 'New course enrollment',
+      message: `${children.map(child => `${child.firstName} ${child.lastName}`).join(', ')} enrolled in ${course.title}.`,
+      data: { courseId, enrollmentIds: enrollments.map(enrollment => enrollment.id) },
+      email: {
+        template: 'enrollment_created',
+        data: {
+          courseTitle: course.title,
+          studentNames: children.map(child => `${child.firstName} ${child.lastName}`),
+          creditsUsed: totalCreditCost
+        }
       }
-    });
-    enrollments.push(enrollment);
-  }
-
-  // Send notification to coach
-  await resendEmailService.sendEmail({
-    to: course.coach.email,
-    subject: 'New Course Enrollment',
-    html: `
-      <h2>New Course Enrollment</h2>
-      <p>You have a new enrollment in your course: ${course.title}</p>
-      <p><strong>Students:</strong> ${childrenIds.length}</p>
-      <p><strong>Credits Used:</strong> ${totalCreditCost}</p>
-      <p>Please review and prepare for the upcoming sessions.</p>
-    `
+    }, tx);
+
+    return {
+      updatedBalance: updatedBalance ?? await tx.creditBalance.findUnique({ where: { userId } }),
+      enrollments,
+      transactions
+    };
   });
 
   logger.info(`Course enrollment completed: ${courseId} for user ${userId} with ${totalCreditCost} credits`);
@@ -660,8 +948,9 @@ export const enrollWithCredits = asyncHandler(async (req, res) => {
   res.status(201).json(new ApiResponse(201, {
     enrollments,
     creditBalance: updatedBalance,
-    transaction,
-    totalCreditCost
+    transactions,
+    totalCreditCost,
+    discountAmount: discountPerChild.times(children.length)
   }, 'Course enrollment completed successfully'));
 });
 
@@ -791,4 +1080,86 @@ export const getCreditSystemStats = asyncHandler(async (req, res) => {
     recentTransactions,
     popularPackages
   }, 'Credit system stats retrieved successfully'));
-}); 
\ No newline at end of file
+});
+
+// Refund a SPENT transaction outside the automatic refund policy
+export const issueCreditRefund = asyncHandler(async (req, res) => {
+  const { transactionId, amount, reason } = req.body;
+
+  if (req.user.role !== 'ADMIN') {
+    throw new ApiError(403, 'Access denied. Only admins can issue refunds.');
+  }
+
+  const transaction = await refundService.issueManualRefund({
+    transactionId,
+    amount,
+    reason,
+    adminId: req.user.id,
+    idempotencyKey: req.idempotencyKey
+  });
+
+  logger.info(`Admin ${req.user.id} refunded ${transaction.amount} credits for transaction ${transactionId}`);
+
+  res.status(201).json(new ApiResponse(201, {
+    transaction
+  }, 'Credit refund issued successfully'));
+});
+
+// Grant BONUS credits to a list of users, the parents enrolled in a course, or every parent
+export const grantBonusCredits = asyncHandler(async (req, res) => {
+  const { userIds, courseId, allParents, amount, description } = req.body;
+
+  if (req.user.role !== 'ADMIN') {
+    throw new ApiError(403, 'Access denied. Only admins can grant bonus credits.');
+  }
+
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+  if (expiresAt && expiresAt <= new Date()) {
+    throw new ApiError(400, 'Expiry date must be in the future');
+  }
+
+  let recipientIds;
+  if (userIds?.length) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds }, isActive: true },
+      select: { id: true }
+    });
+    recipientIds = users.map(user => user.id);
+  } else if (courseId) {
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        courseId,
+        status: { in: ['ACTIVE', 'PAUSED'] }
+      },
+      distinct: ['payerId'],
+      select: { payerId: true }
+    });
+    recipientIds = enrollments.map(enrollment => enrollment.payerId);
+  } else if (allParents) {
+    const parents = await prisma.user.findMany({
+      where: { role: 'PARENT', isActive: true },
+      select: { id: true }
+    });
+    recipientIds = parents.map(parent => parent.id);
+  } else {
+    throw new ApiError(400, 'Provide userIds, courseId or allParents to choose recipients');
+  }
+
+  if (!recipientIds.length) {
+    throw new ApiError(400, 'No matching recipients found');
+  }
+
+  const result = await creditService.grantBonusCredits({
+    userIds: recipientIds,
+    amount,
+    description,
+    expiresAt,
+    grantedBy: req.user.id,
+    grantKey: req.idempotencyKey
+  });
+
+  res.status(201).json(new ApiResponse(201, {
+    ...result,
+    recipients: recipientIds.length
+  }, 'Bonus credits granted successfully'));
+});
@@ -0,0 +1,350 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+import creditLedgerService from '../services/creditLedgerService.js';
+import refundService from '../services/refundService.js';
+import sessionReminderService from '../services/sessionReminderService.js';
+import waitlistService from '../services/waitlistService.js';
+import availabilityService from '../services/availabilityService.js';
+
+const enrollmentInclude = {
+  course: {
+    select: {
+      id: true,
+      title: true,
+      category: true,
+      level: true,
+      coachId: true
+    }
+  },
+  child: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      grade: true,
+      avatarUrl: true
+    }
+  },
+  payer: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true
+    }
+  }
+};
+
+// Load an enrollment the current user is allowed to see
+const findAccessibleEnrollment = async (enrollmentId, user) => {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    include: enrollmentInclude
+  });
+
+  if (!enrollment) {
+    throw new ApiError(404, 'Enrollment not found');
+  }
+
+  const isPayer = enrollment.payerId === user.id;
+  const isCoach = enrollment.course.coachId === user.id;
+
+  if (user.role !== 'ADMIN' && !isPayer && !isCoach) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  return { enrollment, isPayer, isCoach };
+};
+
+// Get enrollments for the current user
+export const getEnrollments = asyncHandler(async (req, res) => {
+  const {
+    status,
+    courseId,
+    childId,
+    page = 1,
+    limit = 10
+  } = req.query;
+
+  const where = {};
+
+  // Role-based filtering
+  if (req.user.role === 'PARENT') {
+    where.payerId = req.user.id;
+  } else if (req.user.role === 'COACH') {
+    where.course = { coachId: req.user.id };
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (courseId) {
+    where.courseId = courseId;
+  }
+
+  if (childId) {
+    where.childId = childId;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [enrollments, total] = await Promise.all([
+    prisma.enrollment.findMany({
+      where,
+      include: {
+        ...enrollmentInclude,
+        _count: {
+          select: { sessions: true, scheduledSessions: true }
+        }
+      },
+      orderBy: { enrolledAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    }),
+    prisma.enrollment.count({ where })
+  ]);
+
+  res.json(
+    new ApiResponse(200, {
+      enrollments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }, 'Enrollments retrieved successfully')
+  );
+});
+
+// Get enrollment by ID
+export const getEnrollmentById = asyncHandler(async (req, res) => {
+  const { enrollment } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  const [sessions, scheduledSessions] = await Promise.all([
+    prisma.session.findMany({
+      where: { enrollmentId: enrollment.id },
+      select: {
+        id: true,
+        title: true,
+        startTime: true,
+        endTime: true,
+        status: true
+      },
+      orderBy: { startTime: 'asc' }
+    }),
+    prisma.scheduledSession.findMany({
+      where: { enrollmentId: enrollment.id },
+      select: {
+        id: true,
+        title: true,
+        sessionDate: true,
+        status: true
+      },
+      orderBy: { sessionDate: 'asc' }
+    })
+  ]);
+
+  res.json(
+    new ApiResponse(200, {
+      ...enrollment,
+      sessions,
+      scheduledSessions
+    }, 'Enrollment retrieved successfully')
+  );
+});
+
+// Pause enrollment
+export const pauseEnrollment = asyncHandler(async (req, res) => {
+  const { enrollment, isPayer } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  if (req.user.role !== 'ADMIN' && !isPayer) {
+    throw new ApiError(403, 'Only the paying parent can pause this enrollment');
+  }
+
+  if (enrollment.status !== 'ACTIVE') {
+    throw new ApiError(400, 'Only active enrollments can be paused');
+  }
+
+  const updatedEnrollment = await prisma.enrollment.update({
+    where: { id: enrollment.id },
+    data: {
+      status: 'PAUSED',
+      pausedAt: new Date()
+    },
+    include: enrollmentInclude
+  });
+
+  logger.info(`Enrollment paused: ${enrollment.id} by user ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, updatedEnrollment, 'Enrollment paused successfully')
+  );
+});
+
+// Resume enrollment
+export const resumeEnrollment = asyncHandler(async (req, res) => {
+  const { enrollment, isPayer } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  if (req.user.role !== 'ADMIN' && !isPayer) {
+    throw new ApiError(403, 'Only the paying parent can resume this enrollment');
+  }
+
+  if (enrollment.status !== 'PAUSED') {
+    throw new ApiError(400, 'Only paused enrollments can be resumed');
+  }
+
+  const updatedEnrollment = await prisma.enrollment.update({
+    where: { id: enrollment.id },
+    data: {
+      status: 'ACTIVE',
+      pausedAt: null
+    },
+    include: enrollmentInclude
+  });
+
+  logger.info(`Enrollment resumed: ${enrollment.id} by user ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, updatedEnrollment, 'Enrollment resumed successfully')
+  );
+});
+
+// Withdraw from enrollment
+export const withdrawEnrollment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const { enrollment, isPayer } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  if (req.user.role !== 'ADMIN' && !isPayer) {
+    throw new ApiError(403, 'Only the paying parent can withdraw from this enrollment');
+  }
+
+  if (!['ACTIVE', 'PAUSED'].includes(enrollment.status)) {
+    throw new ApiError(400, 'Enrollment is already completed or withdrawn');
+  }
+
+  const now = new Date();
+
+  // Withdraw, cancel every upcoming session hanging off the enrollment and
+  // refund the credits for the part of the course not yet taken
+  const { updatedEnrollment, creditRefund } = await creditLedgerService.runLedgerTransaction(async (tx) => {
+    const upcomingScheduledSessions = await tx.scheduledSession.findMany({
+      where: {
+        enrollmentId: enrollment.id,
+        sessionDate: { gte: now },
+        status: { in: ['PENDING_APPROVAL', 'APPROVED'] }
+      },
+      select: { id: true, timeSlotId: true, coachId: true, sessionDate: true, duration: true }
+    });
+
+    for (const scheduledSession of upcomingScheduledSessions) {
+      await tx.scheduledSession.update({
+        where: { id: scheduledSession.id },
+        data: { status: 'CANCELLED' }
+      });
+
+      if (scheduledSession.timeSlotId) {
+        await tx.timeSlot.update({
+          where: { id: scheduledSession.timeSlotId },
+          data: { currentBookings: { decrement: 1 } }
+        });
+      }
+    }
+
+    await sessionReminderService.cancelSessionReminders(upcomingScheduledSessions.map(session => session.id), tx);
+
+    // Their times go to parents on the coaches' waitlists
+    for (const scheduledSession of upcomingScheduledSessions) {
+      await waitlistService.offerFreedCapacity(scheduledSession.coachId, availabilityService.getSessionInterval(scheduledSession), now, tx);
+    }
+
+    await tx.session.updateMany({
+      where: {
+        enrollmentId: enrollment.id,
+        startTime: { gte: now },
+        status: 'SCHEDULED'
+      },
+      data: { status: 'CANCELLED' }
+    });
+
+    const updatedEnrollment = await tx.enrollment.update({
+      where: { id: enrollment.id },
+      data: {
+        status: 'WITHDRAWN',
+        withdrawnAt: now,
+        withdrawalReason: reason
+      },
+      include: enrollmentInclude
+    });
+
+    const creditRefund = await refundService.refundWithdrawnEnrollment(tx, enrollment, {
+      initiatedBy: req.user.role,
+      reason: `Withdrawal from ${updatedEnrollment.course.title}`
+    });
+
+    return { updatedEnrollment, creditRefund };
+  });
+
+  logger.info(`Enrollment withdrawn: ${enrollment.id} by user ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, { ...updatedEnrollment, creditRefund }, 'Enrollment withdrawn successfully')
+  );
+});
+
+// Complete enrollment
+export const completeEnrollment = asyncHandler(async (req, res) => {
+  const { enrollment, isCoach } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  if (req.user.role !== 'ADMIN' && !isCoach) {
+    throw new ApiError(403, 'Only the course coach can complete this enrollment');
+  }
+
+  if (!['ACTIVE', 'PAUSED'].includes(enrollment.status)) {
+    throw new ApiError(400, 'Enrollment is already completed or withdrawn');
+  }
+
+  const updatedEnrollment = await prisma.enrollment.update({
+    where: { id: enrollment.id },
+    data: {
+      status: 'COMPLETED',
+      progress: 100,
+      completedAt: new Date()
+    },
+    include: enrollmentInclude
+  });
+
+  logger.info(`Enrollment completed: ${enrollment.id} by user ${req.user.id}`);
+
+  res.json(
+    new ApiResponse(200, updatedEnrollment, 'Enrollment completed successfully')
+  );
+});
+
+// Update enrollment progress
+export const updateEnrollmentProgress = asyncHandler(async (req, res) => {
+  const { progress } = req.body;
+  const { enrollment, isCoach } = await findAccessibleEnrollment(req.params.enrollmentId, req.user);
+
+  if (req.user.role !== 'ADMIN' && !isCoach) {
+    throw new ApiError(403, 'Only the course coach can update progress');
+  }
+
+  if (enrollment.status !== 'ACTIVE') {
+    throw new ApiError(400, 'Progress can only be updated on active enrollments');
+  }
+
+  const updatedEnrollment = await prisma.enrollment.update({
+    where: { id: enrollment.id },
+    data: { progress: parseInt(progress) },
+    include: enrollmentInclude
+  });
+
+  res.json(
+    new ApiResponse(200, updatedEnrollment, 'Enrollment progress updated successfully')
+  );
+});
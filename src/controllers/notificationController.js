@@ -0,0 +1,82 @@
+import ApiResponse from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import notificationService from '../services/notificationService.js';
+import notificationPreferenceService from '../services/notificationPreferenceService.js';
+import digestService from '../services/digestService.js';
+
+// Get notifications for the current user
+export const getNotifications = asyncHandler(async (req, res) => {
+  const { type, isRead, page = 1, limit = 10 } = req.query;
+
+  const result = await notificationService.listNotifications(req.user.id, {
+    type: type && type.split(','),
+    isRead: isRead === undefined ? undefined : isRead === 'true',
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json(new ApiResponse(200, result, 'Notifications retrieved successfully'));
+});
+
+// Get unread notification counts for the current user
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  const counts = await notificationService.getUnreadCounts(req.user.id);
+
+  res.json(new ApiResponse(200, counts, 'Unread count retrieved successfully'));
+});
+
+// Mark a notification as read
+export const markNotificationAsRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markAsRead(req.user.id, req.params.notificationId);
+
+  res.json(new ApiResponse(200, notification, 'Notification marked as read'));
+});
+
+// Mark all notifications (optionally of some types) as read
+export const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+
+  const updated = await notificationService.markAllAsRead(req.user.id, {
+    type: type && type.split(',')
+  });
+
+  res.json(new ApiResponse(200, { updated }, 'Notifications marked as read'));
+});
+
+// Delete a notification
+export const deleteNotification = asyncHandler(async (req, res) => {
+  await notificationService.deleteNotification(req.user.id, req.params.notificationId);
+
+  res.json(new ApiResponse(200, {}, 'Notification deleted successfully'));
+});
+
+// Get the current user's notification preferences
+export const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+
+  res.json(new ApiResponse(200, preferences, 'Notification preferences retrieved successfully'));
+});
+
+// Update the current user's notification preferences
+export const updatePreferences = asyncHandler(async (req, res) => {
+  const { channels, quietHours, digest } = req.body;
+
+  const preferences = await notificationPreferenceService.updatePreferences(req.user.id, {
+    channels,
+    quietHours,
+    digest
+  });
+
+  res.json(new ApiResponse(200, preferences, 'Notification preferences updated successfully'));
+});
+
+// Change the digest setting from a link in a digest email, without logging in
+export const unsubscribe = asyncHandler(async (req, res) => {
+  const preferences = await digestService.unsubscribe(req.body.token);
+
+  const message = preferences.digest === 'NONE'
+    ? 'You have been unsubscribed from digest emails'
+    : `You will now get a ${preferences.digest.toLowerCase()} digest`;
+
+  res.json(new ApiResponse(200, { digest: preferences.digest }, message));
+});
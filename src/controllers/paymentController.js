@@ -1,9 +1,12 @@
+import { Prisma } from '@prisma/client';
 import { prisma } from '../config/database.js';
 import ApiError from '../utils/ApiError.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
 import Stripe from 'stripe';
+import paymentService from '../services/paymentService.js';
+import promoCodeService from '../services/promoCodeService.js';
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
@@ -266,7 +269,8 @@ export const createPayment = asyncHandler(async (req, res) => {
     amount,
     currency,
     paymentMethodId,
-    description
+    description,
+    promoCode
   } = req.body;
 
   const payerId = req.user.id;
@@ -274,31 +278,10 @@ export const createPayment = asyncHandler(async (req, res) => {
   // Check if course and session exist
   const [course, session] = await Promise.all([
     prisma.course.findUnique({
-      where: { id: courseId },
-      include: {
-        coach: {
-          select: {
-            id: true,
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                email: true
-              }
-            }
-          }
-        }
-      }
+      where: { id: courseId }
     }),
     prisma.session.findUnique({
-      where: { id: sessionId },
-      include: {
-        coach: {
-          select: {
-            id: true
-          }
-        }
-      }
+      where: { id: sessionId }
     })
   ]);
 
@@ -314,9 +297,9 @@ export const createPayment = asyncHandler(async (req, res) => {
   const existingPayment = await prisma.payment.findFirst({
     where: {
       sessionId,
-      payerId,
+      userId: payerId,
       status: {
-        in: ['PENDING', 'COMPLETED']
+        in: ['PENDING', 'SUCCEEDED']
       }
     }
   });
@@ -325,57 +308,82 @@ export const createPayment = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Payment already exists for this session');
   }
 
+  // Apply the promo code, if any, before charging
+  const promo = promoCode
+    ? await promoCodeService.evaluatePromoCode({
+      code: promoCode,
+      userId: payerId,
+      context: 'PAYMENT',
+      amount,
+      courseId,
+      coachId: course.coachId
+    })
+    : null;
+  const chargeAmount = promo ? promo.finalAmount : new Prisma.Decimal(amount);
+
+  if (chargeAmount.lte(0)) {
+    throw new ApiError(400, 'Promo code cannot cover the full session price');
+  }
+
   // Create Stripe payment intent
   let paymentIntent;
   try {
     paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
+      amount: chargeAmount.times(100).toDecimalPlaces(0).toNumber(), // Convert to cents
       currency: currency.toLowerCase(),
       payment_method: paymentMethodId,
       description: description || `Payment for ${course.title}`,
       confirm: false,
-      return_url: `${process.env.FRONTEND_URL}/payment/confirm`
+      return_url: `${process.env.FRONTEND_URL}/payment/confirm`,
+      metadata: {
+        sessionId,
+        courseId,
+        ...(promo && { promoCodeId: promo.promoCode.id })
+      }
     });
   } catch (error) {
     logger.error('Stripe payment intent creation failed:', error);
     throw new ApiError(400, 'Payment processing failed');
   }
 
-  // Create payment record
-  const payment = await prisma.payment.create({
-    data: {
-      courseId,
-      sessionId,
-      payerId,
-      payeeId: course.coachId,
-      amount,
-      currency,
-      status: 'PENDING',
-      stripePaymentIntentId: paymentIntent.id,
-      description: description || `Payment for ${course.title}`
-    },
-    include: {
-      course: {
-        select: {
-          title: true
-        }
-      },
-      payer: {
-        select: {
-          firstName: true,
-          lastName: true
+  // Create payment record (and count the promo code use with it)
+  const payment = await prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.create({
+      data: {
+        sessionId,
+        userId: payerId,
+        stripePaymentId: paymentIntent.id,
+        amount: chargeAmount,
+        currency,
+        status: 'PENDING',
+        promoCodeId: promo?.promoCode.id,
+        discountAmount: promo?.discountAmount ?? 0,
+        metadata: {
+          courseId,
+          payeeId: course.coachId,
+          description: description || `Payment for ${course.title}`,
+          listAmount: amount,
+          ...(promo && { promoBonusCredits: promo.bonusCredits.toFixed(2) })
         }
       }
+    });
+
+    if (promo) {
+      await promoCodeService.redeemPromoCode(tx, promo, { userId: payerId, referenceId: payment.id });
     }
+
+    return payment;
   });
 
-  logger.info(`Payment created: ${payment.id} for course ${payment.course.title} by ${payment.payer.firstName} ${payment.payer.lastName}`);
+  logger.info(`Payment created: ${payment.id} for course ${course.title} by ${req.user.firstName} ${req.user.lastName}`);
 
   res.status(201).json(
     new ApiResponse(201, {
       paymentId: payment.id,
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      amount: payment.amount,
+      discountAmount: payment.discountAmount
     }, 'Payment created successfully')
   );
 });
@@ -839,4 +847,27 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
   res.json(
     new ApiResponse(200, analytics, 'Payment analytics retrieved successfully')
   );
-}); 
\ No newline at end of file
+}); 
+
+// Stripe webhook (raw body, authenticated by signature)
+export const handleStripeWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+
+  if (!signature) {
+    throw new ApiError(400, 'Missing Stripe signature');
+  }
+
+  let event;
+  try {
+    event = paymentService.constructWebhookEvent(req.body, signature);
+  } catch (error) {
+    logger.warn(`Stripe webhook signature verification failed: ${error.message}`);
+    throw new ApiError(400, 'Invalid Stripe signature');
+  }
+
+  const result = await paymentService.handleWebhook(event);
+
+  res.json(
+    new ApiResponse(200, { received: true, ...result }, 'Webhook processed successfully')
+  );
+});
@@ -0,0 +1,243 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import logger from '../utils/logger.js';
+import promoCodeService from '../services/promoCodeService.js';
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'bonusCredits',
+  'maxUses',
+  'maxUsesPerUser',
+  'startsAt',
+  'endsAt',
+  'packageIds',
+  'courseIds',
+  'coachIds',
+  'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// Percent discounts cannot exceed 100 and a code has to do something
+const assertValidPromo = ({ discountType, discountValue, bonusCredits, startsAt, endsAt }) => {
+  const discount = new Prisma.Decimal(discountValue ?? 0);
+
+  if (discountType === 'PERCENT' && discount.gt(100)) {
+    throw new ApiError(400, 'Percent discount cannot exceed 100');
+  }
+
+  if (discount.lte(0) && new Prisma.Decimal(bonusCredits ?? 0).lte(0)) {
+    throw new ApiError(400, 'Promo code must give a discount or bonus credits');
+  }
+
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    throw new ApiError(400, 'Promo code must end after it starts');
+  }
+};
+
+// Get all promo codes (Admin only)
+export const getPromoCodes = asyncHandler(async (req, res) => {
+  const { search, isActive, page = 1, limit = 10 } = req.query;
+
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { code: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [promoCodes, total] = await Promise.all([
+    prisma.promoCode.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    }),
+    prisma.promoCode.count({ where })
+  ]);
+
+  res.json(
+    new ApiResponse(200, {
+      promoCodes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }, 'Promo codes retrieved successfully')
+  );
+});
+
+// Get a promo code with its redemptions (Admin only)
+export const getPromoCodeById = asyncHandler(async (req, res) => {
+  const promoCode = await prisma.promoCode.findUnique({
+    where: { id: req.params.promoCodeId },
+    include: {
+      redemptions: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 50
+      }
+    }
+  });
+
+  if (!promoCode) {
+    throw new ApiError(404, 'Promo code not found');
+  }
+
+  res.json(new ApiResponse(200, promoCode, 'Promo code retrieved successfully'));
+});
+
+// Create a promo code (Admin only)
+export const createPromoCode = asyncHandler(async (req, res) => {
+  const data = pickEditable(req.body);
+  assertValidPromo(data);
+
+  const code = promoCodeService.normalizePromoCode(req.body.code);
+
+  const existing = await prisma.promoCode.findUnique({
+    where: { code }
+  });
+
+  if (existing) {
+    throw new ApiError(409, 'A promo code with this code already exists');
+  }
+
+  const promoCode = await prisma.promoCode.create({
+    data: {
+      ...data,
+      code,
+      createdById: req.user.id
+    }
+  });
+
+  logger.info(`Promo code created: ${promoCode.code} by ${req.user.email}`);
+
+  res.status(201).json(new ApiResponse(201, promoCode, 'Promo code created successfully'));
+});
+
+// Update a promo code (Admin only). The code itself cannot change once created.
+export const updatePromoCode = asyncHandler(async (req, res) => {
+  const existing = await prisma.promoCode.findUnique({
+    where: { id: req.params.promoCodeId }
+  });
+
+  if (!existing) {
+    throw new ApiError(404, 'Promo code not found');
+  }
+
+  const data = pickEditable(req.body);
+  assertValidPromo({ ...existing, ...data });
+
+  if (data.maxUses !== undefined && data.maxUses !== null && data.maxUses < existing.usesCount) {
+    throw new ApiError(400, `Promo code has already been used ${existing.usesCount} times`);
+  }
+
+  const promoCode = await prisma.promoCode.update({
+    where: { id: existing.id },
+    data
+  });
+
+  logger.info(`Promo code updated: ${promoCode.code} by ${req.user.email}`);
+
+  res.json(new ApiResponse(200, promoCode, 'Promo code updated successfully'));
+});
+
+// Deactivate a promo code (Admin only). Codes are kept for their redemption history.
+export const deletePromoCode = asyncHandler(async (req, res) => {
+  const existing = await prisma.promoCode.findUnique({
+    where: { id: req.params.promoCodeId }
+  });
+
+  if (!existing) {
+    throw new ApiError(404, 'Promo code not found');
+  }
+
+  const promoCode = await prisma.promoCode.update({
+    where: { id: existing.id },
+    data: { isActive: false }
+  });
+
+  logger.info(`Promo code deactivated: ${promoCode.code} by ${req.user.email}`);
+
+  res.json(new ApiResponse(200, promoCode, 'Promo code deactivated successfully'));
+});
+
+// Preview what a promo code would do for a checkout, without using it
+export const validatePromoCode = asyncHandler(async (req, res) => {
+  const { code, context, packageId, courseId } = req.body;
+
+  let amount;
+  let coachId;
+
+  if (context === 'CREDIT_PURCHASE') {
+    const creditPackage = await prisma.creditPackage.findUnique({
+      where: { id: packageId }
+    });
+
+    if (!creditPackage || !creditPackage.isActive) {
+      throw new ApiError(404, 'Credit package not found');
+    }
+
+    amount = creditPackage.price;
+  } else {
+    const course = await prisma.course.findUnique({
+      where: { id: courseId }
+    });
+
+    if (!course || !course.isActive) {
+      throw new ApiError(404, 'Course not found');
+    }
+
+    // Course payments may charge a custom amount; default to the course price
+    amount = context === 'ENROLLMENT' ? course.creditCost : (req.body.amount ?? course.price);
+    coachId = course.coachId;
+  }
+
+  const { promoCode, discountAmount, finalAmount, bonusCredits } = await promoCodeService.evaluatePromoCode({
+    code,
+    userId: req.user.id,
+    context,
+    amount,
+    packageId: context === 'CREDIT_PURCHASE' ? packageId : undefined,
+    courseId,
+    coachId
+  });
+
+  res.json(new ApiResponse(200, {
+    code: promoCode.code,
+    description: promoCode.description,
+    context,
+    amount,
+    discountAmount,
+    finalAmount,
+    bonusCredits
+  }, 'Promo code is valid'));
+});
@@ -3,6 +3,10 @@ import ApiError from '../utils/ApiError.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import logger from '../utils/logger.js';
+import creditLedgerService from '../services/creditLedgerService.js';
+import refundService from '../services/refundService.js';
+import bookingConflictService from '../services/bookingConflictService.js';
+import waitlistService from '../services/waitlistService.js';
 
 // Get all sessions with filtering
 export const getSessions = asyncHandler(async (req, res) => {
@@ -11,6 +15,7 @@ export const getSessions = asyncHandler(async (req, res) => {
     courseId,
     coachId,
     studentId,
+    childId,
     startDate,
     endDate,
     page = 1,
@@ -52,6 +57,11 @@ export const getSessions = asyncHandler(async (req, res) => {
     where.studentId = studentId;
   }
 
+  // Child filter
+  if (childId) {
+    where.childId = childId;
+  }
+
   // Date range filter
   if (startDate || endDate) {
     where.startTime = {};
@@ -98,6 +108,14 @@ export const getSessions = asyncHandler(async (req, res) => {
             lastName: true,
             profileImageUrl: true
           }
+        },
+        child: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            avatarUrl: true
+          }
         }
       },
       orderBy,
@@ -136,7 +154,12 @@ export const getSessions = asyncHandler(async (req, res) => {
       id: session.student.id,
       name: `${session.student.firstName} ${session.student.lastName}`,
       avatar: session.student.profileImageUrl
-    }
+    },
+    child: session.child ? {
+      id: session.child.id,
+      name: `${session.child.firstName} ${session.child.lastName}`,
+      avatar: session.child.avatarUrl
+    } : null
   }));
 
   const totalPages = Math.ceil(totalCount / take);
@@ -212,6 +235,17 @@ export const getSessionById = asyncHandler(async (req, res) => {
           phone: true
         }
       },
+      child: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          birthDate: true,
+          grade: true,
+          learningNeeds: true,
+          avatarUrl: true
+        }
+      },
       payment: {
         select: {
           id: true,
@@ -258,6 +292,14 @@ export const getSessionById = asyncHandler(async (req, res) => {
       email: session.student.email,
       phone: session.student.phone
     },
+    child: session.child ? {
+      id: session.child.id,
+      name: `${session.child.firstName} ${session.child.lastName}`,
+      avatar: session.child.avatarUrl,
+      birthDate: session.child.birthDate,
+      grade: session.child.grade,
+      learningNeeds: session.child.learningNeeds
+    } : null,
     payment: session.payment
   };
 
@@ -269,8 +311,7 @@ export const getSessionById = asyncHandler(async (req, res) => {
 // Create new session
 export const createSession = asyncHandler(async (req, res) => {
   const {
-    courseId,
-    studentId,
+    enrollmentId,
     title,
     description,
     startTime,
@@ -279,8 +320,34 @@ export const createSession = asyncHandler(async (req, res) => {
     meetingUrl
   } = req.body;
 
+  let { courseId, studentId } = req.body;
+  let childId = null;
   const coachId = req.user.id;
 
+  // Sessions booked for an enrollment inherit its course, payer and learner
+  if (enrollmentId) {
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id: enrollmentId },
+      include: {
+        course: {
+          select: { coachId: true }
+        }
+      }
+    });
+
+    if (!enrollment || enrollment.course.coachId !== coachId) {
+      throw new ApiError(404, 'Enrollment not found or access denied');
+    }
+
+    if (enrollment.status !== 'ACTIVE') {
+      throw new ApiError(400, 'Sessions can only be added to active enrollments');
+    }
+
+    courseId = enrollment.courseId;
+    studentId = enrollment.payerId;
+    childId = enrollment.childId;
+  }
+
   // Check if course exists and belongs to the coach
   const course = await prisma.course.findFirst({
     where: {
@@ -293,61 +360,50 @@ export const createSession = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Course not found or access denied');
   }
 
-  // Check for scheduling conflicts
-  const conflictingSession = await prisma.session.findFirst({
-    where: {
+  const sessionStart = new Date(startTime);
+  const sessionEnd = new Date(endTime);
+
+  // Check the time against the coach's and learner's other bookings and create the session
+  // in one transaction, so a concurrent booking cannot take the same time
+  const session = await prisma.$transaction(async (tx) => {
+    await bookingConflictService.assertNoConflicts({
       coachId,
-      status: {
-        in: ['SCHEDULED', 'IN_PROGRESS']
+      studentId,
+      childId,
+      startsAt: sessionStart,
+      endsAt: sessionEnd
+    }, tx);
+
+    // Create session
+    return tx.session.create({
+      data: {
+        courseId,
+        coachId,
+        studentId,
+        childId,
+        enrollmentId,
+        title,
+        description,
+        startTime: sessionStart,
+        endTime: sessionEnd,
+        duration: parseInt(duration),
+        meetingUrl,
+        status: 'SCHEDULED'
       },
-      OR: [
-        {
-          startTime: {
-            lt: new Date(endTime),
-            gte: new Date(startTime)
+      include: {
+        course: {
+          select: {
+            title: true
           }
         },
-        {
-          endTime: {
-            gt: new Date(startTime),
-            lte: new Date(endTime)
+        student: {
+          select: {
+            firstName: true,
+            lastName: true
           }
         }
-      ]
-    }
-  });
-
-  if (conflictingSession) {
-    throw new ApiError(400, 'Session time conflicts with existing session');
-  }
-
-  // Create session
-  const session = await prisma.session.create({
-    data: {
-      courseId,
-      coachId,
-      studentId,
-      title,
-      description,
-      startTime: new Date(startTime),
-      endTime: new Date(endTime),
-      duration: parseInt(duration),
-      meetingUrl,
-      status: 'SCHEDULED'
-    },
-    include: {
-      course: {
-        select: {
-          title: true
-        }
-      },
-      student: {
-        select: {
-          firstName: true,
-          lastName: true
-        }
       }
-    }
+    });
   });
 
   logger.info(`Session created: ${session.title} by coach ${coachId} for student ${session.student.firstName} ${session.student.lastName}`);
@@ -389,52 +445,35 @@ export const updateSession = asyncHandler(async (req, res) => {
     notes
   } = req.body;
 
-  // Check for scheduling conflicts if time is being changed
-  if (startTime || endTime) {
-    const newStartTime = startTime ? new Date(startTime) : existingSession.startTime;
-    const newEndTime = endTime ? new Date(endTime) : existingSession.endTime;
+  const newStartTime = startTime ? new Date(startTime) : existingSession.startTime;
+  const newEndTime = endTime ? new Date(endTime) : existingSession.endTime;
 
-    const conflictingSession = await prisma.session.findFirst({
-      where: {
+  const updatedSession = await prisma.$transaction(async (tx) => {
+    // Check for scheduling conflicts if time is being changed
+    if (startTime || endTime) {
+      await bookingConflictService.assertNoConflicts({
         coachId,
-        id: { not: sessionId },
-        status: {
-          in: ['SCHEDULED', 'IN_PROGRESS']
-        },
-        OR: [
-          {
-            startTime: {
-              lt: newEndTime,
-              gte: newStartTime
-            }
-          },
-          {
-            endTime: {
-              gt: newStartTime,
-              lte: newEndTime
-            }
-          }
-        ]
-      }
-    });
-
-    if (conflictingSession) {
-      throw new ApiError(400, 'Session time conflicts with existing session');
+        studentId: existingSession.studentId,
+        childId: existingSession.childId,
+        startsAt: newStartTime,
+        endsAt: newEndTime,
+        excludeSessionId: sessionId
+      }, tx);
     }
-  }
 
-  // Update session
-  const updatedSession = await prisma.session.update({
-    where: { id: sessionId },
-    data: {
-      title: title || existingSession.title,
-      description: description || existingSession.description,
-      startTime: startTime ? new Date(startTime) : existingSession.startTime,
-      endTime: endTime ? new Date(endTime) : existingSession.endTime,
-      duration: duration ? parseInt(duration) : existingSession.duration,
-      meetingUrl: meetingUrl || existingSession.meetingUrl,
-      notes: notes || existingSession.notes
-    }
+    // Update session
+    return tx.session.update({
+      where: { id: sessionId },
+      data: {
+        title: title || existingSession.title,
+        description: description || existingSession.description,
+        startTime: newStartTime,
+        endTime: newEndTime,
+        duration: duration ? parseInt(duration) : existingSession.duration,
+        meetingUrl: meetingUrl || existingSession.meetingUrl,
+        notes: notes || existingSession.notes
+      }
+    });
   });
 
   logger.info(`Session updated: ${updatedSession.title} by coach ${coachId}`);
@@ -466,18 +505,36 @@ export const cancelSession = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Session is already completed or cancelled');
   }
 
-  // Cancel session
-  const cancelledSession = await prisma.session.update({
-    where: { id: sessionId },
-    data: {
-      status: 'CANCELLED'
-    }
+  // Cancel session, return any credits charged for it and offer the time to the waitlist
+  const { cancelledSession, creditRefund } = await creditLedgerService.runLedgerTransaction(async (tx) => {
+    const cancelledSession = await tx.session.update({
+      where: { id: sessionId },
+      data: {
+        status: 'CANCELLED'
+      }
+    });
+
+    const creditRefund = await refundService.refundCancelledBooking(tx, {
+      referenceId: session.id,
+      startsAt: session.startTime,
+      initiatedBy: 'COACH',
+      status: session.status,
+      reason: `Session "${session.title}" cancelled by coach`
+    });
+
+    // The freed time goes to the next parent on the waitlist
+    await waitlistService.offerFreedCapacity(coachId, {
+      startsAt: session.startTime,
+      endsAt: session.endTime
+    }, new Date(), tx);
+
+    return { cancelledSession, creditRefund };
   });
 
   logger.info(`Session cancelled: ${cancelledSession.title} by coach ${coachId}`);
 
   res.json(
-    new ApiResponse(200, cancelledSession, 'Session cancelled successfully')
+    new ApiResponse(200, { ...cancelledSession, creditRefund }, 'Session cancelled successfully')
   );
 });
 
@@ -729,6 +786,13 @@ export const getUpcomingSessions = asyncHandler(async (req, res) => {
           lastName: true,
           profileImageUrl: true
         }
+      },
+      child: {
+        select: {
+          firstName: true,
+          lastName: true,
+          avatarUrl: true
+        }
       }
     },
     orderBy: {
@@ -758,7 +822,11 @@ export const getUpcomingSessions = asyncHandler(async (req, res) => {
     student: {
       name: `${session.student.firstName} ${session.student.lastName}`,
       avatar: session.student.profileImageUrl
-    }
+    },
+    child: session.child ? {
+      name: `${session.child.firstName} ${session.child.lastName}`,
+      avatar: session.child.avatarUrl
+    } : null
   }));
 
   res.json(
@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { expireCredits } from '../services/creditLedgerService.js';
+
+// Expire credit lots that are past their expiry date
+export const runCreditExpiry = async () => {
+  const expiredCount = await expireCredits();
+  if (expiredCount > 0) {
+    logger.info(`Credit expiry job expired ${expiredCount} credit lot(s)`);
+  }
+  return expiredCount;
+};
+
+export default {
+  runCreditExpiry
+};
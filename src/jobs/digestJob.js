@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { sendDueDigests } from '../services/digestService.js';
+
+// Queue the daily and weekly digests that are due this hour
+export const runDigests = async () => {
+  const queuedCount = await sendDueDigests();
+  if (queuedCount > 0) {
+    logger.info(`Digest job queued ${queuedCount} digest email(s)`);
+  }
+  return queuedCount;
+};
+
+export default {
+  runDigests
+};
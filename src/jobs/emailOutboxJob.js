@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { deliverPendingEmails } from '../services/emailOutboxService.js';
+
+// Deliver queued emails that are due, including retries
+export const runEmailOutbox = async () => {
+  const sentCount = await deliverPendingEmails();
+  if (sentCount > 0) {
+    logger.info(`Email outbox job sent ${sentCount} email(s)`);
+  }
+  return sentCount;
+};
+
+export default {
+  runEmailOutbox
+};
@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { settleGroupSessions } from '../services/groupSessionService.js';
+
+// Confirm or call off group sessions whose enrollment deadline has passed
+export const runGroupSessionSweep = async () => {
+  const result = await settleGroupSessions();
+  if (result.confirmed > 0 || result.cancelled > 0) {
+    logger.info(`Group session job confirmed ${result.confirmed} and cancelled ${result.cancelled} session(s)`);
+  }
+  return result;
+};
+
+export default {
+  runGroupSessionSweep
+};
@@ -0,0 +1,70 @@
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+import { runCreditExpiry } from './creditExpiryJob.js';
+import { runSessionReminders } from './sessionReminderJob.js';
+import { runEmailOutbox } from './emailOutboxJob.js';
+import { runDigests } from './digestJob.js';
+import { runWaitlistSweep } from './waitlistJob.js';
+import { runSlotHoldSweep } from './slotHoldJob.js';
+import { runGroupSessionSweep } from './groupSessionJob.js';
+
+const jobs = [];
+
+// Schedule `run` on the cron expression in `cronEnvVar` (or `defaultSchedule`), not yet
+// started. A tick is skipped while the previous run is still going, and a run that throws
+// is logged so the next tick can try again.
+export const createJob = (name, cronEnvVar, defaultSchedule, run) => {
+  const schedule = process.env[cronEnvVar] || defaultSchedule;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid ${cronEnvVar} expression: ${schedule}`);
+  }
+
+  let running = false;
+
+  return cron.schedule(schedule, async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      logger.error(`${name} job failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, { scheduled: false });
+};
+
+// Start all scheduled background jobs
+export const startJobs = () => {
+  if (jobs.length) {
+    return;
+  }
+
+  jobs.push(createJob('Credit expiry', 'CREDIT_EXPIRY_CRON', '0 * * * *', runCreditExpiry));
+  jobs.push(createJob('Session reminder', 'SESSION_REMINDER_CRON', '* * * * *', runSessionReminders));
+  jobs.push(createJob('Email outbox', 'EMAIL_OUTBOX_CRON', '* * * * *', runEmailOutbox));
+  // Hourly, since digests go out at DIGEST_HOUR in each user's own timezone
+  jobs.push(createJob('Digest', 'DIGEST_CRON', '0 * * * *', runDigests));
+  jobs.push(createJob('Waitlist', 'WAITLIST_CRON', '* * * * *', runWaitlistSweep));
+  jobs.push(createJob('Slot hold', 'SLOT_HOLD_CRON', '* * * * *', runSlotHoldSweep));
+  jobs.push(createJob('Group session', 'GROUP_SESSION_CRON', '*/5 * * * *', runGroupSessionSweep));
+
+  jobs.forEach(job => job.start());
+  logger.info(`⏰ Started ${jobs.length} scheduled job(s)`);
+};
+
+// Stop all scheduled background jobs
+export const stopJobs = () => {
+  jobs.forEach(job => job.stop());
+  jobs.length = 0;
+};
+
+export default {
+  createJob,
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { dispatchDueReminders } from '../services/sessionReminderService.js';
+
+// Send session reminders that have come due
+export const runSessionReminders = async () => {
+  const sentCount = await dispatchDueReminders();
+  if (sentCount > 0) {
+    logger.info(`Session reminder job sent ${sentCount} reminder(s)`);
+  }
+  return sentCount;
+};
+
+export default {
+  runSessionReminders
+};
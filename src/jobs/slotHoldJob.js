@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { expireSlotHolds } from '../services/slotHoldService.js';
+
+// Let go of checkout holds that ran out without being paid for
+export const runSlotHoldSweep = async () => {
+  const expiredCount = await expireSlotHolds();
+  if (expiredCount > 0) {
+    logger.info(`Slot hold job expired ${expiredCount} hold(s)`);
+  }
+  return expiredCount;
+};
+
+export default {
+  runSlotHoldSweep
+};
@@ -0,0 +1,15 @@
+import logger from '../utils/logger.js';
+import { expireWaitlist } from '../services/waitlistService.js';
+
+// Pass on waitlist offers that ran out and close entries whose time has passed
+export const runWaitlistSweep = async () => {
+  const result = await expireWaitlist();
+  if (result.offersExpired > 0 || result.entriesClosed > 0) {
+    logger.info(`Waitlist job expired ${result.offersExpired} offer(s) and closed ${result.entriesClosed} entry(ies)`);
+  }
+  return result;
+};
+
+export default {
+  runWaitlistSweep
+};
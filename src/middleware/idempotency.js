@@ -0,0 +1,23 @@
+import ApiError from '../utils/ApiError.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Read the optional Idempotency-Key header into req.idempotencyKey. Handlers that
+// move credits use it to return the original result when a request is retried.
+const idempotency = (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  const trimmed = key.trim();
+  if (!trimmed || trimmed.length > MAX_KEY_LENGTH) {
+    return next(new ApiError(400, `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`));
+  }
+
+  req.idempotencyKey = trimmed;
+  next();
+};
+
+export default idempotency;
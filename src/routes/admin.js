@@ -5,6 +5,7 @@ import validate from '../middleware/validation.js';
 import { authenticate, requireAdmin } from '../middleware/auth.js';
 import * as adminController from '../controllers/adminController.js';
 import ApiResponse from '../utils/ApiResponse.js';
+import emailService from '../services/emailService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -40,6 +41,25 @@ const updateNotesValidation = [
   body('adminNotes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Admin notes must be less than 1000 characters')
 ];
 
+const previewEmailTemplateValidation = [
+  param('templateName').matches(/^[a-z0-9_]+$/).withMessage('Invalid template name'),
+  query('language').optional().isString().isLength({ min: 2, max: 10 }).withMessage('Invalid language'),
+  query('format').optional().isIn(['json', 'html', 'text']).withMessage('Format must be json, html or text'),
+  body('language').optional().isString().isLength({ min: 2, max: 10 }).withMessage('Invalid language'),
+  body('data').optional().isObject().withMessage('Data must be an object')
+];
+
+const getEmailsValidation = [
+  query('status').optional().isIn(['ALL', 'PENDING', 'SENDING', 'SENT', 'FAILED']).withMessage('Invalid status filter'),
+  query('to').optional().isString().trim().isLength({ max: 100 }).withMessage('Recipient filter too long'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const emailIdValidation = [
+  param('emailId').isString().notEmpty().withMessage('Email ID is required')
+];
+
 const getCoachesValidation = [
   query('status').optional().isIn(['all', 'pending', 'approved', 'rejected', 'suspended']).withMessage('Invalid status filter'),
   query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('Search term too long'),
@@ -688,11 +708,166 @@ router.get('/activities',
   asyncHandler(adminController.getAdminActivities)
 );
 
+/**
+ * @swagger
+ * /admin/email-templates:
+ *   get:
+ *     summary: List the transactional email templates
+ *     description: Every template with the languages it is translated into and the sample data used for previews.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email templates retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/email-templates', asyncHandler(adminController.getEmailTemplates));
+
+/**
+ * @swagger
+ * /admin/email-templates/{templateName}/preview:
+ *   get:
+ *     summary: Preview an email template with its sample data
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateName
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: session_reminder
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           example: es
+ *         description: Falls back to English when the template has no translation
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text]
+ *           default: json
+ *         description: html and text return the rendered email body itself
+ *     responses:
+ *       200:
+ *         description: Email template rendered successfully (subject, html, text and language)
+ *       404:
+ *         description: Email template not found
+ *   post:
+ *     summary: Preview an email template with custom data
+ *     description: The data sent is merged over the template's sample data.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text]
+ *           default: json
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 example: es
+ *               data:
+ *                 type: object
+ *                 example: { firstName: 'Maria' }
+ *     responses:
+ *       200:
+ *         description: Email template rendered successfully
+ *       404:
+ *         description: Email template not found
+ *       422:
+ *         description: Validation error
+ */
+router.get('/email-templates/:templateName/preview', previewEmailTemplateValidation, validate, asyncHandler(adminController.previewEmailTemplate));
+router.post('/email-templates/:templateName/preview', previewEmailTemplateValidation, validate, asyncHandler(adminController.previewEmailTemplate));
+
+/**
+ * @swagger
+ * /admin/emails:
+ *   get:
+ *     summary: List emails in the outbox
+ *     description: Defaults to failed deliveries, i.e. emails that ran out of retries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ALL, PENDING, SENDING, SENT, FAILED]
+ *           default: FAILED
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Filter by recipient address (partial match)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Emails retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/emails', getEmailsValidation, validate, asyncHandler(adminController.getEmails));
+
+/**
+ * @swagger
+ * /admin/emails/{emailId}/resend:
+ *   post:
+ *     summary: Resend a failed email
+ *     description: Resets the email's attempts and tries to deliver it straight away. If that fails too it stays queued with the usual retries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emailId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email resent or queued for another attempt
+ *       400:
+ *         description: Only failed emails can be resent
+ *       404:
+ *         description: Email not found
+ */
+router.post('/emails/:emailId/resend', emailIdValidation, validate, asyncHandler(adminController.resendEmail));
+
 /**
  * @swagger
  * /admin/test-email:
  *   post:
- *     summary: Test email functionality using Resend
+ *     summary: Send a test email through the configured transport
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -738,18 +913,19 @@ router.post('/test-email',
     }
 
     try {
-      const resendEmailService = (await import('../services/resendEmailService.js')).default;
-      
-      // Send a test email
-      const result = await resendEmailService.sendWelcomeEmail({
-        email,
-        firstName: 'Test',
-        lastName: 'User',
-        emailVerificationToken: 'test-token'
+      // Deliver straight away rather than waiting for the outbox job
+      const result = await emailService.sendNow({
+        to: email,
+        template: 'welcome_parent',
+        data: { firstName: 'Test', emailVerificationToken: 'test-token' }
       });
 
+      if (result?.status !== 'SENT') {
+        throw new Error(result?.lastError || 'Email could not be delivered');
+      }
+
       return res.status(200).json(
-        new ApiResponse(200, { messageId: result?.id }, 'Test email sent successfully')
+        new ApiResponse(200, { messageId: result.providerMessageId, transport: result.transport }, 'Test email sent successfully')
       );
     } catch (error) {
       logger.error('Test email failed:', error);
@@ -1,10 +1,11 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import multer from 'multer';
 import asyncHandler from '../utils/asyncHandler.js';
 import validate from '../middleware/validation.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireParent } from '../middleware/auth.js';
 import * as authController from '../controllers/authController.js';
+import * as childController from '../controllers/childController.js';
 
 const router = express.Router();
 
@@ -69,6 +70,44 @@ const parentRegistrationValidation = [
     .withMessage('Phone number is required')
 ];
 
+// Child profile validation
+const childValidation = (isUpdate = false) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('firstName')
+      .trim()
+      .notEmpty()
+      .withMessage('First name is required'),
+    required('lastName')
+      .trim()
+      .notEmpty()
+      .withMessage('Last name is required'),
+    body('birthDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Birth date must be a valid date'),
+    body('grade')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Grade must be less than 50 characters'),
+    body('learningNeeds')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Learning needs must be less than 2000 characters'),
+    body('avatarUrl')
+      .optional({ nullable: true })
+      .isURL()
+      .withMessage('Avatar must be a valid URL')
+  ];
+};
+
+const childIdValidation = [
+  param('childId').notEmpty().withMessage('Child ID is required')
+];
+
 // Coach registration validation - matches exact frontend requirements
 const coachRegistrationValidation = [
   body('email')
@@ -618,4 +657,181 @@ router.post('/reset-password/:token', passwordValidation, validate, asyncHandler
  */
 router.get('/profile', authenticate, asyncHandler(authController.getProfile));
 
+/**
+ * @swagger
+ * /auth/profile/children:
+ *   get:
+ *     summary: List the current parent's children
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include removed children
+ *     responses:
+ *       200:
+ *         description: Children retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Parent access required
+ *   post:
+ *     summary: Add a child to the current parent account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firstName
+ *               - lastName
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: "Emma"
+ *               lastName:
+ *                 type: string
+ *                 example: "Smith"
+ *               birthDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2015-04-12"
+ *               grade:
+ *                 type: string
+ *                 example: "Grade 4"
+ *               learningNeeds:
+ *                 type: string
+ *                 example: "Needs extra time with reading exercises"
+ *               avatarUrl:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       201:
+ *         description: Child created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Parent access required
+ */
+router.get('/profile/children',
+  authenticate,
+  requireParent,
+  asyncHandler(childController.getChildren)
+);
+
+router.post('/profile/children',
+  authenticate,
+  requireParent,
+  childValidation(),
+  validate,
+  asyncHandler(childController.createChild)
+);
+
+/**
+ * @swagger
+ * /auth/profile/children/{childId}:
+ *   get:
+ *     summary: Get a child of the current parent
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Child retrieved successfully
+ *       404:
+ *         description: Child not found
+ *   put:
+ *     summary: Update a child of the current parent
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               birthDate:
+ *                 type: string
+ *                 format: date
+ *               grade:
+ *                 type: string
+ *               learningNeeds:
+ *                 type: string
+ *               avatarUrl:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Child updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Child not found
+ *   delete:
+ *     summary: Remove a child from the current parent account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Child removed successfully
+ *       404:
+ *         description: Child not found
+ */
+router.get('/profile/children/:childId',
+  authenticate,
+  requireParent,
+  childIdValidation,
+  validate,
+  asyncHandler(childController.getChild)
+);
+
+router.put('/profile/children/:childId',
+  authenticate,
+  requireParent,
+  [...childIdValidation, ...childValidation(true)],
+  validate,
+  asyncHandler(childController.updateChild)
+);
+
+router.delete('/profile/children/:childId',
+  authenticate,
+  requireParent,
+  childIdValidation,
+  validate,
+  asyncHandler(childController.deleteChild)
+);
+
 export default router;
@@ -4,6 +4,10 @@ import asyncHandler from '../utils/asyncHandler.js';
 import validate from '../middleware/validation.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import * as availabilityController from '../controllers/availabilityController.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { EXCEPTION_TYPES } from '../services/availabilityExceptionService.js';
+import { MAX_PROPOSED_TIMES } from '../services/rescheduleService.js';
+import { SERIES_FREQUENCIES, MAX_SERIES_OCCURRENCES } from '../services/sessionSeriesService.js';
 
 const router = express.Router();
 
@@ -35,18 +39,38 @@ const availabilityValidation = [
   body('availability.*.timeSlots.*.sessionType')
     .optional()
     .isIn(['ONE_ON_ONE', 'GROUP', 'ASSESSMENT'])
-    .withMessage('Session type must be ONE_ON_ONE, GROUP, or ASSESSMENT')
+    .withMessage('Session type must be ONE_ON_ONE, GROUP, or ASSESSMENT'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA name such as Europe/London')
 ];
 
 const scheduleSessionValidation = [
   body('timeSlotId')
+    .optional()
     .isString()
     .isLength({ min: 20, max: 30 })
     .withMessage('Invalid time slot ID format'),
+  body('exceptionId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid extra hours ID format'),
   body('studentId')
     .isString()
     .isLength({ min: 20, max: 30 })
     .withMessage('Invalid student ID format'),
+  body('childId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid child ID format'),
+  body('enrollmentId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid enrollment ID format'),
   body('courseId')
     .optional()
     .isString()
@@ -74,6 +98,108 @@ const scheduleSessionValidation = [
   body('price')
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  body('waitlistEntryId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid waitlist entry ID format')
+];
+
+const joinWaitlistValidation = [
+  body('timeSlotId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid time slot ID format'),
+  body('exceptionId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid extra hours ID format'),
+  body('sessionDate')
+    .if((value, { req }) => req.body.timeSlotId || req.body.exceptionId)
+    .isISO8601()
+    .withMessage('Session date must be a valid ISO 8601 date'),
+  body('coachId')
+    .if((value, { req }) => !req.body.timeSlotId && !req.body.exceptionId)
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Give a time slot or extra hours with a session date, or a coach with a window'),
+  body(['from', 'to'])
+    .if(body('coachId').exists())
+    .isISO8601()
+    .withMessage('The window needs ISO 8601 from and to dates'),
+  body('duration')
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('sessionType')
+    .optional()
+    .isIn(['ONE_ON_ONE', 'GROUP', 'ASSESSMENT'])
+    .withMessage('Session type must be ONE_ON_ONE, GROUP, or ASSESSMENT')
+];
+
+const waitlistQueryValidation = [
+  query('coachId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  query('status')
+    .optional()
+    .isIn(['WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED'])
+    .withMessage('Status must be WAITING, OFFERED, BOOKED, EXPIRED or CANCELLED')
+];
+
+const createSlotHoldValidation = [
+  body('timeSlotId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid time slot ID format'),
+  body('exceptionId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid extra hours ID format'),
+  body('childId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid child ID format'),
+  body('enrollmentId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid enrollment ID format'),
+  body('courseId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid course ID format'),
+  body('sessionDate')
+    .isISO8601()
+    .withMessage('Session date must be a valid ISO 8601 date'),
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('duration')
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
   body('notes')
     .optional()
     .trim()
@@ -81,6 +207,163 @@ const scheduleSessionValidation = [
     .withMessage('Notes must be less than 500 characters')
 ];
 
+const sessionSeriesValidation = [
+  body('timeSlotId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid time slot ID format'),
+  body('childId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid child ID format'),
+  body('enrollmentId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid enrollment ID format'),
+  body('courseId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid course ID format'),
+  body('sessionDate')
+    .isISO8601()
+    .withMessage('Session date must be a valid ISO 8601 date'),
+  body('frequency')
+    .isIn(SERIES_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+  body('occurrences')
+    .optional()
+    .isInt({ min: 2, max: MAX_SERIES_OCCURRENCES })
+    .withMessage(`Occurrences must be between 2 and ${MAX_SERIES_OCCURRENCES}`),
+  body('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be a valid ISO 8601 date'),
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('duration')
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['CREDITS', 'CARD'])
+    .withMessage('Payment method must be CREDITS or CARD')
+];
+
+const cancelSeriesValidation = [
+  param('seriesId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid series ID format'),
+  body('sessionId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid session ID format'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+const createGroupSessionValidation = [
+  body('timeSlotId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid time slot ID format'),
+  body('exceptionId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid extra hours ID format'),
+  body('courseId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid course ID format'),
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('sessionDate')
+    .isISO8601()
+    .withMessage('Session date must be a valid ISO 8601 date'),
+  body('duration')
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('seatPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Seat price must be a positive number'),
+  body(['minSeats', 'maxSeats'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Seats must be a positive whole number'),
+  body('enrollmentDeadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Enrollment deadline must be a valid ISO 8601 date'),
+  body('meetingUrl')
+    .optional()
+    .isURL()
+    .withMessage('Meeting URL must be a valid URL')
+];
+
+const groupSessionIdValidation = [
+  param('groupId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid group session ID format')
+];
+
+const groupSessionQueryValidation = [
+  query('coachId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  query('status')
+    .optional()
+    .isIn(['OPEN', 'CONFIRMED', 'CANCELLED'])
+    .withMessage('Status must be OPEN, CONFIRMED or CANCELLED'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('From and to must be valid ISO 8601 dates')
+];
+
+const slotHoldIdValidation = [
+  param('holdId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid hold ID format')
+];
+
 const approveSessionValidation = [
   param('sessionId')
     .isString()
@@ -109,6 +392,46 @@ const rejectSessionValidation = [
     .withMessage('Admin notes must be less than 1000 characters')
 ];
 
+const proposedTimesValidation = [
+  body('proposedTimes')
+    .isArray({ min: 1, max: MAX_PROPOSED_TIMES })
+    .withMessage(`Propose between 1 and ${MAX_PROPOSED_TIMES} times`),
+  body('proposedTimes.*')
+    .isISO8601()
+    .withMessage('Proposed times must be valid ISO 8601 dates'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+];
+
+const requestRescheduleValidation = [
+  param('sessionId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid session ID format'),
+  ...proposedTimesValidation
+];
+
+const rescheduleRequestIdValidation = param('requestId')
+  .isString()
+  .isLength({ min: 20, max: 30 })
+  .withMessage('Invalid reschedule request ID format');
+
+const respondRescheduleValidation = [
+  rescheduleRequestIdValidation,
+  body('sessionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Session date must be a valid ISO 8601 date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters')
+];
+
 const approveAvailabilityValidation = [
   param('availabilityId')
     .isString()
@@ -137,29 +460,134 @@ const rejectAvailabilityValidation = [
     .withMessage('Admin notes must be less than 1000 characters')
 ];
 
-const getAvailableTimeSlotsValidation = [
-  query('coachId')
+const bookingRulesValidation = [
+  param('coachId')
     .isString()
     .isLength({ min: 20, max: 30 })
     .withMessage('Invalid coach ID format'),
-  query('date')
-    .isISO8601()
-    .withMessage('Date must be a valid ISO 8601 date'),
-  query('sessionType')
+  body('bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Buffer must be between 0 and 240 minutes'),
+  body('minNoticeMinutes')
+    .optional()
+    .isInt({ min: 0, max: 20160 })
+    .withMessage('Minimum notice must be between 0 and 20160 minutes (14 days)'),
+  body('maxAdvanceDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Booking horizon must be between 1 and 365 days'),
+  body('maxSessionsPerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 48 })
+    .withMessage('Daily session cap must be between 1 and 48, or null for no cap')
+];
+
+const exceptionValidation = [
+  param('coachId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  body('type')
+    .isIn(EXCEPTION_TYPES)
+    .withMessage(`Type must be one of: ${EXCEPTION_TYPES.join(', ')}`),
+  body('startDate')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  body(['startTime', 'endTime'])
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Times must be in HH:MM format'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  body('maxBookings')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Max bookings must be between 1 and 50'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('sessionType')
     .optional()
     .isIn(['ONE_ON_ONE', 'GROUP', 'ASSESSMENT'])
     .withMessage('Session type must be ONE_ON_ONE, GROUP, or ASSESSMENT')
 ];
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     Availability:
- *       type: object
- *       properties:
- *         id:
- *           type: string
+const historyValidation = [
+  param('coachId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const getExceptionsValidation = [
+  param('coachId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  query(['from', 'to'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+  query('type')
+    .optional()
+    .isIn(EXCEPTION_TYPES)
+    .withMessage(`Type must be one of: ${EXCEPTION_TYPES.join(', ')}`)
+];
+
+const getAvailableTimeSlotsValidation = [
+  query('coachId')
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid coach ID format'),
+  query(['date', 'from', 'to'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  query('courseId')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 30 })
+    .withMessage('Invalid course ID format'),
+  query('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA name such as Europe/London'),
+  query('sessionType')
+    .optional()
+    .isIn(['ONE_ON_ONE', 'GROUP', 'ASSESSMENT'])
+    .withMessage('Session type must be ONE_ON_ONE, GROUP, or ASSESSMENT')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Availability:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
  *           description: Availability ID
  *         coachId:
  *           type: string
@@ -217,7 +645,12 @@ const getAvailableTimeSlotsValidation = [
  *           description: Session ID
  *         timeSlotId:
  *           type: string
- *           description: Time slot ID
+ *           nullable: true
+ *           description: Weekly time slot booked
+ *         exceptionId:
+ *           type: string
+ *           nullable: true
+ *           description: Extra hours booked, for sessions outside the weekly availability
  *         coachId:
  *           type: string
  *           description: Coach ID
@@ -270,6 +703,9 @@ const getAvailableTimeSlotsValidation = [
  * /availability/coaches/{coachId}:
  *   post:
  *     summary: Set coach availability
+ *     description: |
+ *       Saves a new version of the coach's weekly availability. The previous version is retired, not deleted, and upcoming bookings are moved to the new slot that covers them.
+ *       `diff` lists the slots added and removed, the sessions moved (`relinkedSessions`) and the upcoming sessions no new slot covers (`outsideSchedule`), which stay booked on their old slot.
  *     tags: [Availability]
  *     security:
  *       - bearerAuth: []
@@ -289,6 +725,10 @@ const getAvailableTimeSlotsValidation = [
  *             required:
  *               - availability
  *             properties:
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/London
+ *                 description: IANA timezone the times are in. Updates the coach's timezone; defaults to the one already set.
  *               availability:
  *                 type: array
  *                 items:
@@ -361,6 +801,267 @@ router.post('/coaches/:coachId',
   asyncHandler(availabilityController.setCoachAvailability)
 );
 
+/**
+ * @swagger
+ * /availability/coaches/{coachId}/booking-rules:
+ *   put:
+ *     summary: Update a coach's booking rules
+ *     description: Only the fields sent are changed. The rules apply when availability is expanded into bookable slots and when a session is booked.
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coach ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bufferMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Minutes kept free between sessions
+ *               minNoticeMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: How many minutes before its start a session can still be booked
+ *               maxAdvanceDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: How many days ahead sessions can be booked
+ *               maxSessionsPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 description: Most sessions per day of the coach's calendar, or null for no cap
+ *     responses:
+ *       200:
+ *         description: Booking rules updated successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ *       422:
+ *         description: Validation error
+ */
+router.put('/coaches/:coachId/booking-rules',
+  authenticate,
+  bookingRulesValidation,
+  validate,
+  asyncHandler(availabilityController.updateBookingRules)
+);
+
+/**
+ * @swagger
+ * /availability/coaches/{coachId}/history:
+ *   get:
+ *     summary: List a coach's availability versions
+ *     description: Every saved version of the weekly availability, newest first, with its days and slots. `retiredAt` is null for the current one.
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coach ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Availability history retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       422:
+ *         description: Validation error
+ */
+router.get('/coaches/:coachId/history',
+  authenticate,
+  historyValidation,
+  validate,
+  asyncHandler(availabilityController.getAvailabilityHistory)
+);
+
+/**
+ * @swagger
+ * /availability/coaches/{coachId}/exceptions:
+ *   get:
+ *     summary: List a coach's availability exceptions
+ *     description: Blackouts and one-off extra hours, as dates and "HH:MM" times on the coach's calendar.
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coach ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only exceptions ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only exceptions starting on or before this date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [BLACKOUT, EXTRA_HOURS]
+ *     responses:
+ *       200:
+ *         description: Availability exceptions retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       422:
+ *         description: Validation error
+ *   post:
+ *     summary: Add a blackout or extra hours
+ *     description: |
+ *       A blackout without times covers whole days (a vacation or a day off); with times it covers those hours on each day.
+ *       Extra hours open a bookable window on each day outside the weekly availability.
+ *       Students whose booked sessions fall in a new blackout are notified with a few alternative times and a link to reschedule; the sessions are listed in `affectedSessions`.
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coach ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [BLACKOUT, EXTRA_HOURS]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day, on the coach's calendar
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day (inclusive); defaults to startDate
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *                 description: Required for extra hours; optional for blackouts
+ *               endTime:
+ *                 type: string
+ *                 example: "12:00"
+ *                 description: Required with startTime. An end before the start runs past midnight.
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               maxBookings:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *                 description: Extra hours only
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Extra hours only
+ *               sessionType:
+ *                 type: string
+ *                 enum: [ONE_ON_ONE, GROUP, ASSESSMENT]
+ *                 default: ONE_ON_ONE
+ *                 description: Extra hours only
+ *     responses:
+ *       201:
+ *         description: Availability exception created
+ *       400:
+ *         description: Invalid dates or times
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ *       422:
+ *         description: Validation error
+ */
+router.get('/coaches/:coachId/exceptions',
+  authenticate,
+  getExceptionsValidation,
+  validate,
+  asyncHandler(availabilityController.getAvailabilityExceptions)
+);
+
+router.post('/coaches/:coachId/exceptions',
+  authenticate,
+  exceptionValidation,
+  validate,
+  asyncHandler(availabilityController.createAvailabilityException)
+);
+
+/**
+ * @swagger
+ * /availability/coaches/{coachId}/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Remove an availability exception
+ *     description: Extra hours that still have upcoming bookings cannot be removed until those sessions are moved or cancelled.
+ *     tags: [Availability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability exception deleted successfully
+ *       400:
+ *         description: Sessions are booked in the extra hours
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Availability exception not found
+ */
+router.delete('/coaches/:coachId/exceptions/:exceptionId',
+  authenticate,
+  asyncHandler(availabilityController.deleteAvailabilityException)
+);
+
 /**
  * @swagger
  * /availability/coaches/{coachId}:
@@ -403,7 +1104,8 @@ router.get('/coaches/:coachId',
  * @swagger
  * /availability/time-slots:
  *   get:
- *     summary: Get available time slots for a coach on a specific date
+ *     summary: Get bookable slots for a coach on a day or range of days
+ *     description: Expands the coach's weekly availability and extra hours (read in the coach's timezone) into concrete bookable slots with `startsAt`/`endsAt` UTC instants and `localDate`/`localStartTime`/`localEndTime` in the viewer's timezone. Windows are split by the session duration with the coach's buffer between sessions. Slots inside the coach's minimum notice, beyond their booking horizon, on days at their daily cap, in a blackout, or overlapping existing bookings are left out. Slots in extra hours carry an `exceptionId` instead of a `timeSlotId`.
  *     tags: [Availability]
  *     security:
  *       - bearerAuth: []
@@ -416,11 +1118,38 @@ router.get('/coaches/:coachId',
  *         description: Coach ID
  *       - in: query
  *         name: date
- *         required: true
  *         schema:
  *           type: string
  *           format: date
- *         description: Date to check availability
+ *         description: Day to list slots for (YYYY-MM-DD), on the viewer's calendar. Use from/to for a range instead.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range (YYYY-MM-DD)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range, at most 31 days after `from`
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *         description: Session length in minutes to split availability into. Without it each availability window is one slot.
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Use this course's duration (the course must belong to the coach)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: America/New_York
+ *         description: Viewer's IANA timezone. Defaults to the current user's timezone.
  *       - in: query
  *         name: sessionType
  *         schema:
@@ -436,98 +1165,945 @@ router.get('/coaches/:coachId',
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  *       400:
- *         description: Validation error
- *       500:
- *         description: Internal server error
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/time-slots', 
+  authenticate, 
+  getAvailableTimeSlotsValidation, 
+  validate, 
+  asyncHandler(availabilityController.getAvailableTimeSlots)
+);
+
+/**
+ * @swagger
+ * /availability/sessions:
+ *   post:
+ *     summary: Schedule a new session
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *               - sessionDate
+ *               - title
+ *               - duration
+ *               - price
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *                 description: Weekly time slot to book (a slot's `timeSlotId`). Send this or exceptionId.
+ *               exceptionId:
+ *                 type: string
+ *                 description: Extra hours to book (a slot's `exceptionId`). Send this or timeSlotId.
+ *               studentId:
+ *                 type: string
+ *                 description: Parent account that books and pays for the session
+ *               childId:
+ *                 type: string
+ *                 description: Child attending the session (must belong to studentId)
+ *               enrollmentId:
+ *                 type: string
+ *                 description: Enrollment the session belongs to (optional)
+ *               courseId:
+ *                 type: string
+ *                 description: Course ID (optional)
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Session start as an instant (e.g. a slot's `startsAt`). It must fall inside a run of the time slot or extra hours in the coach's timezone, be in the future, stay clear of the coach's blackouts, and leave room for `duration` before the slot ends.
+ *               title:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 200
+ *                 description: Session title
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Session description
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *                 description: Duration in minutes
+ *               sessionType:
+ *                 type: string
+ *                 enum: [ONE_ON_ONE, GROUP, ASSESSMENT]
+ *                 default: ONE_ON_ONE
+ *                 description: Type of session
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Session price
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Session notes
+ *               waitlistEntryId:
+ *                 type: string
+ *                 description: Book the time a waitlist offer holds for the parent; the slot and `sessionDate` must match the offer
+ *     responses:
+ *       201:
+ *         description: Session scheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or time slot not available
+ *       404:
+ *         description: Time slot not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/sessions', 
+  authenticate, 
+  scheduleSessionValidation, 
+  validate, 
+  asyncHandler(availabilityController.scheduleSession)
+);
+
+/**
+ * @swagger
+ * /availability/waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: In line order. Parents see their own entries, coaches the parents waiting for them, admins everyone (optionally for one `coachId`).
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: coachId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [WAITING, OFFERED, BOOKED, EXPIRED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Waitlist retrieved successfully
+ *   post:
+ *     summary: Join the waitlist for a full time
+ *     description: |
+ *       Wait for one start in a weekly slot or extra hours (`timeSlotId` or `exceptionId` with `sessionDate`), or for any start
+ *       with a coach between `from` and `to` (at most 31 days). Times that can be booked now are turned away.
+ *       When a booking is rejected, cancelled or moved, the first parent in line whose time is free again gets a `WAITLIST_OFFER`
+ *       notification and the time is held for them for WAITLIST_OFFER_MINUTES (default 30); book it by passing `waitlistEntryId`
+ *       to `POST /availability/sessions`. Offers that run out go to the next in line.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duration
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *               exceptionId:
+ *                 type: string
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *               coachId:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The session has to be over by then
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *               sessionType:
+ *                 type: string
+ *                 enum: [ONE_ON_ONE, GROUP, ASSESSMENT]
+ *                 default: ONE_ON_ONE
+ *                 description: For windows; a slot's own type is used otherwise
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist successfully
+ *       400:
+ *         description: The time can still be booked, or is not in the coach's availability
+ *       404:
+ *         description: Time slot, extra hours or coach not found
+ *       409:
+ *         description: Already on the waitlist for this time
+ */
+router.get('/waitlist',
+  authenticate,
+  waitlistQueryValidation,
+  validate,
+  asyncHandler(availabilityController.getWaitlist)
+);
+
+router.post('/waitlist',
+  authenticate,
+  authorize('PARENT'),
+  joinWaitlistValidation,
+  validate,
+  asyncHandler(availabilityController.joinWaitlist)
+);
+
+/**
+ * @swagger
+ * /availability/waitlist/{entryId}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: A time held for the entry is offered to the next in line.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist successfully
+ *       400:
+ *         description: The entry is no longer open
+ *       404:
+ *         description: Waitlist entry not found
+ */
+router.delete('/waitlist/:entryId',
+  authenticate,
+  param('entryId').isString().isLength({ min: 20, max: 30 }).withMessage('Invalid waitlist entry ID format'),
+  validate,
+  asyncHandler(availabilityController.leaveWaitlist)
+);
+
+/**
+ * @swagger
+ * /availability/holds:
+ *   post:
+ *     summary: Hold a time while paying for it
+ *     description: |
+ *       Reserves one start in a weekly slot or extra hours for SLOT_HOLD_MINUTES (default 10). The request is checked like a
+ *       booking and the held time counts against the coach's capacity, so nobody else can book it meanwhile. A parent can hold
+ *       at most 3 times at once. Pay with credits (`POST /availability/holds/{holdId}/credits`) or start a card payment
+ *       (`POST /availability/holds/{holdId}/payment`); the session is booked once payment succeeds. Holds that run out give
+ *       their time to the waitlist.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionDate
+ *               - title
+ *               - duration
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *               exceptionId:
+ *                 type: string
+ *               childId:
+ *                 type: string
+ *               enrollmentId:
+ *                 type: string
+ *                 description: Sessions under an enrollment are already paid for and are confirmed with `/credits` at no cost
+ *               courseId:
+ *                 type: string
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *               price:
+ *                 type: number
+ *                 description: Only used when the slot has no price of its own
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time held successfully
+ *       400:
+ *         description: The time cannot be booked
+ *       404:
+ *         description: Time slot, extra hours, child or enrollment not found
+ *       409:
+ *         description: Too many open holds
+ */
+router.post('/holds',
+  authenticate,
+  authorize('PARENT'),
+  createSlotHoldValidation,
+  validate,
+  asyncHandler(availabilityController.createSlotHold)
+);
+
+/**
+ * @swagger
+ * /availability/holds/{holdId}:
+ *   get:
+ *     summary: Get a checkout hold
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold retrieved successfully
+ *       404:
+ *         description: Hold not found
+ *   delete:
+ *     summary: Release a checkout hold
+ *     description: The time goes back on sale and is offered to the waitlist.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold released successfully
+ *       400:
+ *         description: The hold is no longer active
+ *       404:
+ *         description: Hold not found
+ */
+router.get('/holds/:holdId',
+  authenticate,
+  slotHoldIdValidation,
+  validate,
+  asyncHandler(availabilityController.getSlotHold)
+);
+
+router.delete('/holds/:holdId',
+  authenticate,
+  slotHoldIdValidation,
+  validate,
+  asyncHandler(availabilityController.releaseSlotHold)
+);
+
+/**
+ * @swagger
+ * /availability/holds/{holdId}/credits:
+ *   post:
+ *     summary: Book a held time with credits
+ *     description: Spends the hold's price in credits and books the session. Repeating the call returns the same booking.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Session scheduled successfully
+ *       400:
+ *         description: The hold has expired, a card payment was started for it, or there are not enough credits
+ *       404:
+ *         description: Hold not found
+ */
+router.post('/holds/:holdId/credits',
+  authenticate,
+  slotHoldIdValidation,
+  validate,
+  asyncHandler(availabilityController.paySlotHoldWithCredits)
+);
+
+/**
+ * @swagger
+ * /availability/holds/{holdId}/payment:
+ *   post:
+ *     summary: Start a card payment for a held time
+ *     description: |
+ *       Creates a Stripe payment intent for the hold's price; asking again returns the same one. The session is booked when
+ *       the payment succeeds, even if the hold ran out meanwhile as long as the time is still free; otherwise the payment is refunded.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Payment created successfully
+ *       200:
+ *         description: Payment already started for this hold
+ *       400:
+ *         description: The hold has expired or has nothing to pay
+ *       404:
+ *         description: Hold not found
+ */
+router.post('/holds/:holdId/payment',
+  authenticate,
+  slotHoldIdValidation,
+  validate,
+  asyncHandler(availabilityController.startSlotHoldPayment)
+);
+
+/**
+ * @swagger
+ * /availability/series/check:
+ *   post:
+ *     summary: Check the dates of a session series
+ *     description: Lists every date the series would book, whether it can be booked now and why not, and what the series costs.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - timeSlotId
+ *               - sessionDate
+ *               - frequency
+ *               - title
+ *               - duration
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *               childId:
+ *                 type: string
+ *               enrollmentId:
+ *                 type: string
+ *                 description: Sessions under an enrollment are already paid for and cost nothing here
+ *               courseId:
+ *                 type: string
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The first session
+ *               frequency:
+ *                 type: string
+ *                 enum: [WEEKLY, BIWEEKLY]
+ *               occurrences:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 26
+ *                 description: How many sessions; give this or `until`
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Book every session starting by then; give this or `occurrences`
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *               price:
+ *                 type: number
+ *                 description: Per session; only used when the slot has no price of its own
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series checked successfully
+ *       400:
+ *         description: Invalid series
+ *       404:
+ *         description: Time slot, child or enrollment not found
+ */
+router.post('/series/check',
+  authenticate,
+  authorize('PARENT'),
+  sessionSeriesValidation,
+  validate,
+  asyncHandler(availabilityController.checkSessionSeries)
+);
+
+/**
+ * @swagger
+ * /availability/series:
+ *   post:
+ *     summary: Book a session series
+ *     description: |
+ *       Books the same weekly time every week or every other week, for a number of sessions or until a date. Every date is
+ *       checked first and the series is only booked if all of them can be. With `CREDITS` the sessions are booked at once
+ *       for one charge of the per-session price times the number of sessions. With `CARD` the sessions are held for
+ *       SLOT_HOLD_MINUTES while one Stripe payment covering them goes through, and are booked when it succeeds; any that
+ *       lost their time meanwhile are refunded. Each session then waits for approval like a single booking.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - timeSlotId
+ *               - sessionDate
+ *               - frequency
+ *               - title
+ *               - duration
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *               childId:
+ *                 type: string
+ *               enrollmentId:
+ *                 type: string
+ *                 description: Sessions under an enrollment are already paid for and cost nothing here
+ *               courseId:
+ *                 type: string
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The first session
+ *               frequency:
+ *                 type: string
+ *                 enum: [WEEKLY, BIWEEKLY]
+ *               occurrences:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 26
+ *                 description: How many sessions; give this or `until`
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Book every session starting by then; give this or `occurrences`
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *               price:
+ *                 type: number
+ *                 description: Per session; only used when the slot has no price of its own
+ *               notes:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [CREDITS, CARD]
+ *                 default: CREDITS
+ *     responses:
+ *       201:
+ *         description: Series scheduled, or held until payment
+ *       400:
+ *         description: Invalid series, not enough credits, or nothing to pay by card
+ *       404:
+ *         description: Time slot, child or enrollment not found
+ *       409:
+ *         description: Not every date can be booked
+ */
+router.post('/series',
+  authenticate,
+  authorize('PARENT'),
+  sessionSeriesValidation,
+  validate,
+  asyncHandler(availabilityController.createSessionSeries)
+);
+
+/**
+ * @swagger
+ * /availability/series/{seriesId}:
+ *   get:
+ *     summary: Get a session series with its sessions
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Series not found
+ */
+router.get('/series/:seriesId',
+  authenticate,
+  param('seriesId').isString().isLength({ min: 20, max: 30 }).withMessage('Invalid series ID format'),
+  validate,
+  asyncHandler(availabilityController.getSessionSeries)
+);
+
+/**
+ * @swagger
+ * /availability/series/{seriesId}/cancel:
+ *   post:
+ *     summary: Cancel one session of a series, or the rest of it
+ *     description: |
+ *       With `sessionId`, cancels that upcoming session only; without it, cancels every upcoming session and the series.
+ *       Each cancelled session's share is refunded under the refund policy, in credits or to the card that paid for the series.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session or series cancelled successfully
+ *       400:
+ *         description: The series is not active, or nothing upcoming is left to cancel
+ *       404:
+ *         description: Series or session not found
+ */
+router.post('/series/:seriesId/cancel',
+  authenticate,
+  cancelSeriesValidation,
+  validate,
+  asyncHandler(availabilityController.cancelSessionSeries)
+);
+
+/**
+ * @swagger
+ * /availability/group-sessions:
+ *   get:
+ *     summary: List upcoming group sessions
+ *     description: Parents see the ones taking seats (optionally for one `coachId`), coaches their own, admins everyone's.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: coachId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, CONFIRMED, CANCELLED]
+ *         description: Coaches and admins only
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Group sessions retrieved successfully
+ *   post:
+ *     summary: Create a group session
+ *     description: |
+ *       Runs one session for several parents in a group weekly slot or extra hours. It takes the coach's time like a booking,
+ *       with up to the slot's `maxBookings` seats at `seatPrice` credits each (the slot's price by default). Once `minSeats`
+ *       are taken the session is confirmed and attendees are told; if they are not taken by `enrollmentDeadline` (by default
+ *       GROUP_SESSION_DEADLINE_HOURS, 24, before the start) it is cancelled and every seat refunded in full.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - sessionDate
+ *               - duration
+ *             properties:
+ *               timeSlotId:
+ *                 type: string
+ *               exceptionId:
+ *                 type: string
+ *               courseId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *               seatPrice:
+ *                 type: number
+ *               minSeats:
+ *                 type: integer
+ *                 default: 1
+ *               maxSeats:
+ *                 type: integer
+ *                 description: Defaults to the slot's `maxBookings`
+ *               enrollmentDeadline:
+ *                 type: string
+ *                 format: date-time
+ *               meetingUrl:
+ *                 type: string
+ *                 description: Shared by every attendee
+ *     responses:
+ *       201:
+ *         description: Group session created successfully
+ *       400:
+ *         description: Not a group slot, invalid seats or deadline, or the time cannot be booked
+ *       404:
+ *         description: Time slot or extra hours not found
+ */
+router.get('/group-sessions',
+  authenticate,
+  groupSessionQueryValidation,
+  validate,
+  asyncHandler(availabilityController.getGroupSessions)
+);
+
+router.post('/group-sessions',
+  authenticate,
+  authorize('COACH'),
+  createGroupSessionValidation,
+  validate,
+  asyncHandler(availabilityController.createGroupSession)
+);
+
+/**
+ * @swagger
+ * /availability/group-sessions/{groupId}:
+ *   get:
+ *     summary: Get a group session
+ *     description: Its coach and admins get the roster of seats with each parent and child; parents get their own seats.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group session retrieved successfully
+ *       404:
+ *         description: Group session not found
+ *   patch:
+ *     summary: Update a group session's meeting link or description
+ *     description: A new meeting link is passed on to every seat and its attendees are told.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               meetingUrl:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group session updated successfully
+ *       400:
+ *         description: The group session is no longer active
+ *       404:
+ *         description: Group session not found
+ */
+router.get('/group-sessions/:groupId',
+  authenticate,
+  groupSessionIdValidation,
+  validate,
+  asyncHandler(availabilityController.getGroupSession)
+);
+
+router.patch('/group-sessions/:groupId',
+  authenticate,
+  authorize('COACH', 'ADMIN'),
+  groupSessionIdValidation,
+  body('meetingUrl').optional().isURL().withMessage('Meeting URL must be a valid URL'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  validate,
+  asyncHandler(availabilityController.updateGroupSession)
+);
+
+/**
+ * @swagger
+ * /availability/group-sessions/{groupId}/cancel:
+ *   post:
+ *     summary: Cancel a group session
+ *     description: Every seat is cancelled and refunded in full, and attendees are told.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group session cancelled successfully
+ *       400:
+ *         description: The group session is no longer active
+ *       404:
+ *         description: Group session not found
  */
-router.get('/time-slots', 
-  authenticate, 
-  getAvailableTimeSlotsValidation, 
-  validate, 
-  asyncHandler(availabilityController.getAvailableTimeSlots)
+router.post('/group-sessions/:groupId/cancel',
+  authenticate,
+  authorize('COACH', 'ADMIN'),
+  groupSessionIdValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+  validate,
+  asyncHandler(availabilityController.cancelGroupSession)
 );
 
 /**
  * @swagger
- * /availability/sessions:
+ * /availability/group-sessions/{groupId}/seats:
  *   post:
- *     summary: Schedule a new session
+ *     summary: Take a seat in a group session
+ *     description: Pays the seat price in credits. Seats need no approval; the session is confirmed once its minimum is reached.
  *     tags: [Scheduling]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - timeSlotId
- *               - studentId
- *               - sessionDate
- *               - title
- *               - duration
- *               - price
  *             properties:
- *               timeSlotId:
- *                 type: string
- *                 description: Time slot ID
- *               studentId:
- *                 type: string
- *                 description: Student ID
- *               courseId:
+ *               childId:
  *                 type: string
- *                 description: Course ID (optional)
- *               sessionDate:
- *                 type: string
- *                 format: date-time
- *                 description: Session date and time
- *               title:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 200
- *                 description: Session title
- *               description:
- *                 type: string
- *                 maxLength: 1000
- *                 description: Session description
- *               duration:
- *                 type: integer
- *                 minimum: 15
- *                 maximum: 480
- *                 description: Duration in minutes
- *               sessionType:
- *                 type: string
- *                 enum: [ONE_ON_ONE, GROUP, ASSESSMENT]
- *                 default: ONE_ON_ONE
- *                 description: Type of session
- *               price:
- *                 type: number
- *                 minimum: 0
- *                 description: Session price
- *               notes:
- *                 type: string
- *                 maxLength: 500
- *                 description: Session notes
  *     responses:
  *       201:
- *         description: Session scheduled successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *         description: Seat taken successfully
  *       400:
- *         description: Validation error or time slot not available
+ *         description: Not taking seats, enrollment closed, or not enough credits
  *       404:
- *         description: Time slot not found
- *       500:
- *         description: Internal server error
+ *         description: Group session or child not found
+ *       409:
+ *         description: Full, or already seated
  */
-router.post('/sessions', 
-  authenticate, 
-  scheduleSessionValidation, 
-  validate, 
-  asyncHandler(availabilityController.scheduleSession)
+router.post('/group-sessions/:groupId/seats',
+  authenticate,
+  authorize('PARENT'),
+  groupSessionIdValidation,
+  body('childId').optional().isString().isLength({ min: 20, max: 30 }).withMessage('Invalid child ID format'),
+  validate,
+  asyncHandler(availabilityController.joinGroupSession)
+);
+
+/**
+ * @swagger
+ * /availability/group-sessions/{groupId}/seats/{seatId}:
+ *   delete:
+ *     summary: Give up a seat in a group session
+ *     description: Credits come back under the refund policy.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: seatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Seat given up successfully
+ *       400:
+ *         description: The seat is not upcoming
+ *       404:
+ *         description: Seat not found
+ */
+router.delete('/group-sessions/:groupId/seats/:seatId',
+  authenticate,
+  groupSessionIdValidation,
+  param('seatId').isString().isLength({ min: 20, max: 30 }).withMessage('Invalid seat ID format'),
+  validate,
+  asyncHandler(availabilityController.leaveGroupSession)
 );
 
 /**
@@ -571,6 +2147,11 @@ router.post('/sessions',
  *           type: string
  *         description: Filter by student ID
  *       - in: query
+ *         name: childId
+ *         schema:
+ *           type: string
+ *         description: Filter by child ID
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -644,7 +2225,7 @@ router.get('/sessions',
  */
 router.post('/sessions/:sessionId/approve', 
   authenticate, 
-  authorize(['ADMIN']), 
+  authorize('ADMIN'), 
   approveSessionValidation, 
   validate, 
   asyncHandler(availabilityController.approveSession)
@@ -655,6 +2236,7 @@ router.post('/sessions/:sessionId/approve',
  * /availability/sessions/{sessionId}/reject:
  *   post:
  *     summary: Reject a scheduled session (Admin only)
+ *     description: Credits spent on the session are returned, and a card payment made through a checkout hold is refunded (a series session refunds its share).
  *     tags: [Scheduling]
  *     security:
  *       - bearerAuth: []
@@ -699,12 +2281,260 @@ router.post('/sessions/:sessionId/approve',
  */
 router.post('/sessions/:sessionId/reject', 
   authenticate, 
-  authorize(['ADMIN']), 
+  authorize('ADMIN'), 
   rejectSessionValidation, 
   validate, 
   asyncHandler(availabilityController.rejectSession)
 );
 
+/**
+ * @swagger
+ * /availability/sessions/{sessionId}/reschedule-requests:
+ *   get:
+ *     summary: List a session's reschedule requests
+ *     description: Newest first, with the reschedule policy and how many moves the session has left. For the coach, the parent who booked and admins.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reschedule requests retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Session not found
+ *   post:
+ *     summary: Propose new times for a session
+ *     description: |
+ *       The coach or the parent who booked proposes up to five start times; the other party accepts one, declines, or counters.
+ *       Each time must fit the coach's availability and booking rules. A session has at most one pending request,
+ *       can be moved at most RESCHEDULE_MAX_PER_SESSION times (default 2), and not within RESCHEDULE_CUTOFF_HOURS (default 24) of its start.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - proposedTimes
+ *             properties:
+ *               proposedTimes:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *                 description: Session start instants, e.g. slots' `startsAt`
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Reschedule request sent successfully
+ *       400:
+ *         description: A proposed time is not available or the policy does not allow another move
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: A reschedule request is already pending
+ */
+router.get('/sessions/:sessionId/reschedule-requests',
+  authenticate,
+  param('sessionId').isString().isLength({ min: 20, max: 30 }).withMessage('Invalid session ID format'),
+  validate,
+  asyncHandler(availabilityController.getRescheduleRequests)
+);
+
+router.post('/sessions/:sessionId/reschedule-requests',
+  authenticate,
+  requestRescheduleValidation,
+  validate,
+  asyncHandler(availabilityController.requestReschedule)
+);
+
+/**
+ * @swagger
+ * /availability/reschedule-requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept one of the proposed times
+ *     description: The session moves to the chosen time in one transaction. Slot booking counts and reminders follow; price, credits and payment are unchanged. Only the party who did not send the request can accept.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sessionDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The proposed time chosen; may be left out when only one was proposed
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Session rescheduled successfully
+ *       400:
+ *         description: Not one of the proposed times, no longer available, or not allowed by the policy
+ *       403:
+ *         description: Only the other party can answer the request
+ *       404:
+ *         description: Reschedule request not found
+ *       409:
+ *         description: The request has already been answered
+ */
+router.post('/reschedule-requests/:requestId/accept',
+  authenticate,
+  respondRescheduleValidation,
+  validate,
+  asyncHandler(availabilityController.acceptReschedule)
+);
+
+/**
+ * @swagger
+ * /availability/reschedule-requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a reschedule request
+ *     description: The session keeps its time.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reschedule request declined
+ *       403:
+ *         description: Only the other party can answer the request
+ *       404:
+ *         description: Reschedule request not found
+ */
+router.post('/reschedule-requests/:requestId/decline',
+  authenticate,
+  respondRescheduleValidation,
+  validate,
+  asyncHandler(availabilityController.declineReschedule)
+);
+
+/**
+ * @swagger
+ * /availability/reschedule-requests/{requestId}/counter:
+ *   post:
+ *     summary: Answer a reschedule request with other times
+ *     description: Closes the request as COUNTERED and sends a new request the other way, linked by `counterOfId`.
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - proposedTimes
+ *             properties:
+ *               proposedTimes:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: date-time
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: New times proposed successfully
+ *       400:
+ *         description: A proposed time is not available
+ *       403:
+ *         description: Only the other party can answer the request
+ *       404:
+ *         description: Reschedule request not found
+ */
+router.post('/reschedule-requests/:requestId/counter',
+  authenticate,
+  rescheduleRequestIdValidation,
+  proposedTimesValidation,
+  validate,
+  asyncHandler(availabilityController.counterReschedule)
+);
+
+/**
+ * @swagger
+ * /availability/reschedule-requests/{requestId}/cancel:
+ *   post:
+ *     summary: Withdraw a reschedule request you sent
+ *     tags: [Scheduling]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reschedule request withdrawn
+ *       400:
+ *         description: The request is no longer pending
+ *       404:
+ *         description: Reschedule request not found
+ */
+router.post('/reschedule-requests/:requestId/cancel',
+  authenticate,
+  rescheduleRequestIdValidation,
+  validate,
+  asyncHandler(availabilityController.cancelReschedule)
+);
+
 // Admin-only routes
 /**
  * @swagger
@@ -761,7 +2591,7 @@ router.post('/sessions/:sessionId/reject',
  */
 router.get('/admin/coaches', 
   authenticate, 
-  authorize(['ADMIN']), 
+  authorize('ADMIN'), 
   asyncHandler(availabilityController.getAllCoachAvailabilities)
 );
 
@@ -804,7 +2634,7 @@ router.get('/admin/coaches',
  */
 router.post('/admin/coaches/:availabilityId/approve', 
   authenticate, 
-  authorize(['ADMIN']), 
+  authorize('ADMIN'), 
   approveAvailabilityValidation, 
   validate, 
   asyncHandler(availabilityController.approveCoachAvailability)
@@ -859,7 +2689,7 @@ router.post('/admin/coaches/:availabilityId/approve',
  */
 router.post('/admin/coaches/:availabilityId/reject', 
   authenticate, 
-  authorize(['ADMIN']), 
+  authorize('ADMIN'), 
   rejectAvailabilityValidation, 
   validate, 
   asyncHandler(availabilityController.rejectCoachAvailability)
@@ -871,6 +2701,8 @@ router.post('/admin/coaches/:availabilityId/reject',
  * /availability/notifications:
  *   get:
  *     summary: Get schedule notifications for the current user
+ *     description: Deprecated, use GET /notifications instead
+ *     deprecated: true
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
@@ -914,7 +2746,9 @@ router.get('/notifications',
  * @swagger
  * /availability/notifications/{notificationId}/read:
  *   post:
- *     summary: Mark a notification as read
+ *     summary: Mark a schedule notification as read
+ *     description: Deprecated, use PATCH /notifications/{notificationId}/read instead
+ *     deprecated: true
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
@@ -948,7 +2782,9 @@ router.post('/notifications/:notificationId/read',
  * @swagger
  * /availability/notifications/read-all:
  *   post:
- *     summary: Mark all notifications as read
+ *     summary: Mark all schedule notifications as read
+ *     description: Deprecated, use PATCH /notifications/read-all instead
+ *     deprecated: true
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
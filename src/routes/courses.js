@@ -502,8 +502,7 @@ router.patch('/:courseId/toggle-status',
  *             properties:
  *               childId:
  *                 type: string
- *                 format: uuid
- *                 description: Child ID to enroll
+ *                 description: ID of one of the parent's children to enroll
  *     responses:
  *       201:
  *         description: Enrollment created successfully
@@ -521,7 +520,7 @@ router.post('/:courseId/enroll',
   authorize('PARENT'),
   [
     param('courseId').isUUID().withMessage('Invalid course ID format'),
-    body('childId').isUUID().withMessage('Invalid child ID format')
+    body('childId').isString().notEmpty().withMessage('Child ID is required')
   ],
   validate,
   asyncHandler(courseController.enrollInCourse)
@@ -2,6 +2,7 @@ import express from 'express';
 import { body, param, query } from 'express-validator';
 import validate from '../middleware/validation.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import idempotency from '../middleware/idempotency.js';
 import {
   // Credit Balance Management
   getCreditBalance,
@@ -18,14 +19,22 @@ import {
   
   // Credit Purchases
   purchaseCredits,
+  confirmCreditPurchase,
   getCreditPurchases,
   
+  // Credit Transfers and Gift Codes
+  transferCredits,
+  getGiftCodes,
+  redeemGiftCode,
+
   // Course Enrollment with Credits
   enrollWithCredits,
   
   // Admin Credit Management
   getAllCreditBalances,
-  getCreditSystemStats
+  getCreditSystemStats,
+  issueCreditRefund,
+  grantBonusCredits
 } from '../controllers/creditController.js';
 
 const router = express.Router();
@@ -33,6 +42,9 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticate);
 
+// Credit-moving routes replay their original result for a repeated Idempotency-Key
+router.use(idempotency);
+
 /**
  * @swagger
  * components:
@@ -145,6 +157,40 @@ router.use(authenticate);
  *         expiresAt:
  *           type: string
  *           format: date-time
+ *
+ *     CreditLot:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sourceType:
+ *           type: string
+ *           description: What granted the credits (PURCHASE, BONUS, REFUND, EARNED, OPENING_BALANCE)
+ *         sourceId:
+ *           type: string
+ *         originalAmount:
+ *           type: number
+ *           format: decimal
+ *         remainingAmount:
+ *           type: number
+ *           format: decimal
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: Client-generated key. Retrying a request with the same key returns the original result instead of moving credits again.
  */
 
 // Credit Balance Management Routes
@@ -152,7 +198,7 @@ router.use(authenticate);
  * @swagger
  * /api/v1/credits/balance/{userId}:
  *   get:
- *     summary: Get user's credit balance
+ *     summary: Get user's credit balance with its spendable lots and upcoming expirations
  *     tags: [Credits]
  *     parameters:
  *       - in: path
@@ -172,7 +218,31 @@ router.use(authenticate);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/CreditBalance'
+ *                   type: object
+ *                   properties:
+ *                     creditBalance:
+ *                       $ref: '#/components/schemas/CreditBalance'
+ *                     lots:
+ *                       type: array
+ *                       description: Spendable lots, in the order they will be consumed
+ *                       items:
+ *                         $ref: '#/components/schemas/CreditLot'
+ *                     upcomingExpirations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           lotId:
+ *                             type: string
+ *                           sourceType:
+ *                             type: string
+ *                           sourceId:
+ *                             type: string
+ *                           credits:
+ *                             type: number
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
  *                 message:
  *                   type: string
  *       403:
@@ -201,6 +271,7 @@ router.get('/balance/:userId',
  *         schema:
  *           type: string
  *         description: User ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -231,6 +302,10 @@ router.get('/balance/:userId',
  *               metadata:
  *                 type: object
  *                 description: Additional transaction data
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When added credits expire (omit for credits that never expire)
  *     responses:
  *       200:
  *         description: Credit balance updated successfully
@@ -260,7 +335,8 @@ router.put('/balance/:userId',
     param('userId').isString().notEmpty().withMessage('User ID is required'),
     body('amount').isNumeric().withMessage('Amount must be a number'),
     body('type').isIn(['PURCHASE', 'EARNED', 'SPENT', 'REFUND', 'BONUS', 'EXPIRED']).withMessage('Invalid transaction type'),
-    body('description').isString().notEmpty().withMessage('Description is required')
+    body('description').isString().notEmpty().withMessage('Description is required'),
+    body('expiresAt').optional().isISO8601().withMessage('Expiry date must be a valid date')
   ],
   validate,
   authorize('ADMIN'),
@@ -614,6 +690,7 @@ router.delete('/packages/:packageId',
  *         schema:
  *           type: string
  *         description: User ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -626,15 +703,26 @@ router.delete('/packages/:packageId',
  *               packageId:
  *                 type: string
  *                 description: Credit package ID
- *               paymentMethod:
- *                 type: string
- *                 description: Payment method used
- *               paymentId:
+ *               gift:
+ *                 type: object
+ *                 description: Buy the package as a gift code instead of for this account
+ *                 properties:
+ *                   recipientEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Emailed the code once the payment succeeds
+ *                   message:
+ *                     type: string
+ *                     maxLength: 500
+ *               promoCode:
  *                 type: string
- *                 description: Payment ID from payment processor
+ *                 description: Promo code to discount the package price or add bonus credits
  *     responses:
  *       201:
- *         description: Credit purchase created successfully
+ *         description: |
+ *           Pending credit purchase created together with a Stripe PaymentIntent.
+ *           Credits (or the gift code) are issued once the payment succeeds (webhook or confirm endpoint).
+ *           When a promo code covers the whole price the purchase completes immediately and no PaymentIntent is created.
  *         content:
  *           application/json:
  *             schema:
@@ -647,6 +735,11 @@ router.delete('/packages/:packageId',
  *                   properties:
  *                     creditPurchase:
  *                       $ref: '#/components/schemas/CreditPurchase'
+ *                     paymentIntentId:
+ *                       type: string
+ *                     clientSecret:
+ *                       type: string
+ *                       description: Pass to Stripe.js to collect the payment
  *                 message:
  *                   type: string
  *       400:
@@ -655,18 +748,59 @@ router.delete('/packages/:packageId',
  *         description: Access denied
  *       404:
  *         description: Package not found
+ *       502:
+ *         description: Payment could not be started with Stripe
  */
 router.post('/purchase/:userId',
   [
     param('userId').isString().notEmpty().withMessage('User ID is required'),
     body('packageId').isString().notEmpty().withMessage('Package ID is required'),
-    body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
-    body('paymentId').optional().isString().withMessage('Payment ID must be a string')
+    body('gift').optional().isObject().withMessage('Gift must be an object'),
+    body('gift.recipientEmail').optional().isEmail().normalizeEmail().withMessage('Recipient email must be valid'),
+    body('gift.message').optional().trim().isLength({ max: 500 }).withMessage('Gift message must be less than 500 characters'),
+    body('promoCode').optional().isString().trim().notEmpty().withMessage('Promo code must be a non-empty string')
   ],
   validate,
   purchaseCredits
 );
 
+/**
+ * @swagger
+ * /api/v1/credits/purchases/{userId}/{purchaseId}/confirm:
+ *   post:
+ *     summary: Re-check a pending credit purchase with Stripe
+ *     description: Applies the PaymentIntent's current status, adding credits if it succeeded. Safe to call repeatedly.
+ *     tags: [Credits]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current purchase status
+ *       400:
+ *         description: Purchase has no payment
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Purchase not found
+ */
+router.post('/purchases/:userId/:purchaseId/confirm',
+  [
+    param('userId').isString().notEmpty().withMessage('User ID is required'),
+    param('purchaseId').isString().notEmpty().withMessage('Purchase ID is required')
+  ],
+  validate,
+  confirmCreditPurchase
+);
+
 /**
  * @swagger
  * /api/v1/credits/purchases/{userId}:
@@ -748,6 +882,137 @@ router.get('/purchases/:userId',
 );
 
 // Course Enrollment with Credits
+/**
+ * @swagger
+ * /api/v1/credits/transfer:
+ *   post:
+ *     summary: Transfer credits to another parent (admins can move credits between any two accounts)
+ *     tags: [Credits]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               toUserId:
+ *                 type: string
+ *                 description: Recipient user ID (or use recipientEmail)
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               amount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *               fromUserId:
+ *                 type: string
+ *                 description: Sender (admins only; parents always send their own credits)
+ *     responses:
+ *       201:
+ *         description: Credits transferred successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transferId:
+ *                       type: string
+ *                     debit:
+ *                       $ref: '#/components/schemas/CreditTransaction'
+ *                     credit:
+ *                       $ref: '#/components/schemas/CreditTransaction'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Insufficient credits or invalid recipient
+ *       404:
+ *         description: Recipient not found
+ */
+router.post('/transfer',
+  [
+    body('toUserId').optional().isString().notEmpty(),
+    body('recipientEmail').optional().isEmail().normalizeEmail().withMessage('Recipient email must be valid'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters'),
+    body('fromUserId').optional().isString().notEmpty()
+  ],
+  validate,
+  authorize('PARENT', 'ADMIN'),
+  transferCredits
+);
+
+/**
+ * @swagger
+ * /api/v1/credits/gift-codes/redeem:
+ *   post:
+ *     summary: Redeem a gift code into the current user's balance
+ *     tags: [Credits]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: LUM-ABCD-EFGH-JKLM
+ *     responses:
+ *       200:
+ *         description: Gift code redeemed successfully
+ *       400:
+ *         description: Gift code already redeemed or expired
+ *       404:
+ *         description: Gift code not found
+ */
+router.post('/gift-codes/redeem',
+  [
+    body('code').isString().trim().notEmpty().withMessage('Gift code is required')
+  ],
+  validate,
+  redeemGiftCode
+);
+
+/**
+ * @swagger
+ * /api/v1/credits/gift-codes/{userId}:
+ *   get:
+ *     summary: List gift codes a user has bought and redeemed
+ *     tags: [Credits]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Gift codes retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/gift-codes/:userId',
+  [
+    param('userId').isString().notEmpty().withMessage('User ID is required')
+  ],
+  validate,
+  getGiftCodes
+);
+
 /**
  * @swagger
  * /api/v1/credits/enroll/{userId}:
@@ -761,6 +1026,7 @@ router.get('/purchases/:userId',
  *         schema:
  *           type: string
  *         description: User ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -778,7 +1044,10 @@ router.get('/purchases/:userId',
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: Array of child user IDs
+ *                 description: IDs of the parent's children to enroll
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount each child's credit cost
  *     responses:
  *       201:
  *         description: Course enrollment completed successfully
@@ -802,6 +1071,9 @@ router.get('/purchases/:userId',
  *                       $ref: '#/components/schemas/CreditTransaction'
  *                     totalCreditCost:
  *                       type: number
+ *                     discountAmount:
+ *                       type: number
+ *                       description: Credits saved by the promo code
  *                 message:
  *                   type: string
  *       400:
@@ -816,7 +1088,8 @@ router.post('/enroll/:userId',
     param('userId').isString().notEmpty().withMessage('User ID is required'),
     body('courseId').isString().notEmpty().withMessage('Course ID is required'),
     body('childrenIds').isArray({ min: 1 }).withMessage('At least one child ID is required'),
-    body('childrenIds.*').isString().withMessage('Child ID must be a string')
+    body('childrenIds.*').isString().withMessage('Child ID must be a string'),
+    body('promoCode').optional().isString().trim().notEmpty().withMessage('Promo code must be a non-empty string')
   ],
   validate,
   enrollWithCredits
@@ -953,4 +1226,143 @@ router.get('/admin/stats',
   getCreditSystemStats
 );
 
-export default router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /api/v1/credits/admin/refunds:
+ *   post:
+ *     summary: Refund a SPENT credit transaction, bypassing the refund policy (Admin only)
+ *     tags: [Credits - Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactionId
+ *               - reason
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *                 description: ID of the SPENT transaction to refund
+ *               amount:
+ *                 type: number
+ *                 description: Credits to refund (defaults to everything not yet refunded)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Credit refund issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       $ref: '#/components/schemas/CreditTransaction'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Transaction is not a SPENT transaction or is already fully refunded
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Credit transaction not found
+ */
+router.post('/admin/refunds',
+  [
+    body('transactionId').isString().notEmpty().withMessage('Transaction ID is required'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('reason').isString().trim().notEmpty().withMessage('Reason is required')
+  ],
+  validate,
+  authorize('ADMIN'),
+  issueCreditRefund
+);
+
+/**
+ * @swagger
+ * /api/v1/credits/admin/bonus:
+ *   post:
+ *     summary: Grant bonus credits to many users at once (Admin only)
+ *     description: Recipients are the given userIds, the paying parents of a course's active enrollments, or every active parent.
+ *     tags: [Credits - Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - description
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               courseId:
+ *                 type: string
+ *               allParents:
+ *                 type: boolean
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Bonus credits granted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     grantId:
+ *                       type: string
+ *                     granted:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                       description: Users already credited by an earlier run with the same Idempotency-Key
+ *                     recipients:
+ *                       type: integer
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid input or no recipients
+ *       403:
+ *         description: Access denied
+ */
+router.post('/admin/bonus',
+  [
+    body('userIds').optional().isArray({ min: 1 }).withMessage('User IDs must be a non-empty array'),
+    body('userIds.*').optional().isString(),
+    body('courseId').optional().isString(),
+    body('allParents').optional().isBoolean(),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('description').isString().trim().notEmpty().withMessage('Description is required'),
+    body('expiresAt').optional().isISO8601().withMessage('Expiry date must be a valid date')
+  ],
+  validate,
+  authorize('ADMIN'),
+  grantBonusCredits
+);
+
+export default router;
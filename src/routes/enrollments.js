@@ -0,0 +1,283 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import validate from '../middleware/validation.js';
+import { authenticate } from '../middleware/auth.js';
+import * as enrollmentController from '../controllers/enrollmentController.js';
+
+const router = express.Router();
+
+// Validation rules
+const enrollmentIdValidation = [
+  param('enrollmentId')
+    .isString()
+    .notEmpty()
+    .withMessage('Enrollment ID is required')
+];
+
+const getEnrollmentsValidation = [
+  query('status').optional().isIn(['ACTIVE', 'PAUSED', 'COMPLETED', 'WITHDRAWN']),
+  query('courseId').optional().isString(),
+  query('childId').optional().isString(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+/**
+ * @swagger
+ * /enrollments:
+ *   get:
+ *     summary: List enrollments (parents see their own, coaches see their courses, admins see all)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, PAUSED, COMPLETED, WITHDRAWN]
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: childId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Enrollments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  getEnrollmentsValidation,
+  validate,
+  asyncHandler(enrollmentController.getEnrollments)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}:
+ *   get:
+ *     summary: Get enrollment details with its sessions
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.get('/:enrollmentId',
+  authenticate,
+  enrollmentIdValidation,
+  validate,
+  asyncHandler(enrollmentController.getEnrollmentById)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}/pause:
+ *   patch:
+ *     summary: Pause an active enrollment (paying parent or admin)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment paused successfully
+ *       400:
+ *         description: Enrollment is not active
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.patch('/:enrollmentId/pause',
+  authenticate,
+  enrollmentIdValidation,
+  validate,
+  asyncHandler(enrollmentController.pauseEnrollment)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}/resume:
+ *   patch:
+ *     summary: Resume a paused enrollment (paying parent or admin)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment resumed successfully
+ *       400:
+ *         description: Enrollment is not paused
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.patch('/:enrollmentId/resume',
+  authenticate,
+  enrollmentIdValidation,
+  validate,
+  asyncHandler(enrollmentController.resumeEnrollment)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}/withdraw:
+ *   patch:
+ *     summary: Withdraw from an enrollment and cancel its upcoming sessions (paying parent or admin)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Enrollment withdrawn successfully
+ *       400:
+ *         description: Enrollment is already completed or withdrawn
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.patch('/:enrollmentId/withdraw',
+  authenticate,
+  [
+    ...enrollmentIdValidation,
+    body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason must be less than 1000 characters')
+  ],
+  validate,
+  asyncHandler(enrollmentController.withdrawEnrollment)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}/complete:
+ *   patch:
+ *     summary: Mark an enrollment as completed (course coach or admin)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment completed successfully
+ *       400:
+ *         description: Enrollment is already completed or withdrawn
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.patch('/:enrollmentId/complete',
+  authenticate,
+  enrollmentIdValidation,
+  validate,
+  asyncHandler(enrollmentController.completeEnrollment)
+);
+
+/**
+ * @swagger
+ * /enrollments/{enrollmentId}/progress:
+ *   patch:
+ *     summary: Update enrollment progress (course coach or admin)
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - progress
+ *             properties:
+ *               progress:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Enrollment progress updated successfully
+ *       400:
+ *         description: Enrollment is not active
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+router.patch('/:enrollmentId/progress',
+  authenticate,
+  [
+    ...enrollmentIdValidation,
+    body('progress').isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100')
+  ],
+  validate,
+  asyncHandler(enrollmentController.updateEnrollmentProgress)
+);
+
+export default router;
@@ -0,0 +1,332 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import validate from '../middleware/validation.js';
+import { authenticate } from '../middleware/auth.js';
+import * as notificationController from '../controllers/notificationController.js';
+import { NOTIFICATION_TYPES, DIGEST_FREQUENCIES } from '../services/notificationPreferenceService.js';
+
+const router = express.Router();
+
+// Validation rules
+const notificationIdValidation = [
+  param('notificationId')
+    .isString()
+    .notEmpty()
+    .withMessage('Notification ID is required')
+];
+
+// Accepts one type or a comma-separated list
+const typeValidation = query('type')
+  .optional()
+  .custom(value => value.split(',').every(type => NOTIFICATION_TYPES.includes(type)))
+  .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+
+const getNotificationsValidation = [
+  typeValidation,
+  query('isRead').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const updatePreferencesValidation = [
+  body('channels')
+    .optional()
+    .isObject()
+    .custom(channels => Object.keys(channels).every(type => NOTIFICATION_TYPES.includes(type)))
+    .withMessage(`Channel keys must be notification types: ${NOTIFICATION_TYPES.join(', ')}`),
+  body('channels.*.email').optional().isBoolean().withMessage('Email channel must be true or false'),
+  body('channels.*.inApp').optional().isBoolean().withMessage('In-app channel must be true or false'),
+  body('quietHours').optional().isObject(),
+  body('quietHours.enabled').optional().isBoolean(),
+  body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('Quiet hours start must be HH:MM'),
+  body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('Quiet hours end must be HH:MM'),
+  body('digest').optional().isIn(DIGEST_FREQUENCIES).withMessage(`Digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}`)
+];
+
+const unsubscribeValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unsubscribe token is required')
+];
+
+/**
+ * @swagger
+ * /notifications/unsubscribe:
+ *   post:
+ *     summary: Change the digest setting from a digest email link
+ *     description: The token comes from the unsubscribe or "weekly instead" link in a digest email and carries the setting to apply, so no login is needed.
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Digest setting updated
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       422:
+ *         description: Validation error
+ */
+router.post('/unsubscribe',
+  unsubscribeValidation,
+  validate,
+  asyncHandler(notificationController.unsubscribe)
+);
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           type: object
+ *           description: Per notification type, whether to send an email and/or an in-app notification. Both false means none.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *               inApp:
+ *                 type: boolean
+ *           example:
+ *             SESSION_REMINDER: { email: true, inApp: true }
+ *             REVIEW_RECEIVED: { email: false, inApp: true }
+ *         quietHours:
+ *           type: object
+ *           description: Emails are held back in this window (in the user's timezone) and delivered in-app instead
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             start:
+ *               type: string
+ *               example: '22:00'
+ *             end:
+ *               type: string
+ *               example: '07:00'
+ *         digest:
+ *           type: string
+ *           enum: [NONE, DAILY, WEEKLY]
+ *           description: Get a summary email instead of one email per booking, availability change or review
+ *         timezone:
+ *           type: string
+ *           readOnly: true
+ *           example: Europe/London
+ */
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get the current user's notification preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ */
+router.get('/preferences',
+  asyncHandler(notificationController.getPreferences)
+);
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   put:
+ *     summary: Update the current user's notification preferences
+ *     description: Only the types and fields sent are changed.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       422:
+ *         description: Validation error
+ */
+router.put('/preferences',
+  updatePreferencesValidation,
+  validate,
+  asyncHandler(notificationController.updatePreferences)
+);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List notifications for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Notification type, or a comma-separated list of types
+ *       - in: query
+ *         name: isRead
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  getNotificationsValidation,
+  validate,
+  asyncHandler(notificationController.getNotifications)
+);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Count unread notifications, in total and per type
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ */
+router.get('/unread-count',
+  asyncHandler(notificationController.getUnreadCount)
+);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only mark notifications of this type (or comma-separated types)
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.patch('/read-all',
+  [typeValidation],
+  validate,
+  asyncHandler(notificationController.markAllNotificationsAsRead)
+);
+
+/**
+ * @swagger
+ * /notifications/{notificationId}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:notificationId/read',
+  notificationIdValidation,
+  validate,
+  asyncHandler(notificationController.markNotificationAsRead)
+);
+
+/**
+ * @swagger
+ * /notifications/{notificationId}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/:notificationId',
+  notificationIdValidation,
+  validate,
+  asyncHandler(notificationController.deleteNotification)
+);
+
+export default router;
@@ -10,11 +10,13 @@ const router = express.Router();
 // Validation rules
 const createPaymentValidation = [
   body('courseId')
-    .isUUID()
-    .withMessage('Invalid course ID format'),
+    .isString()
+    .notEmpty()
+    .withMessage('Course ID is required'),
   body('sessionId')
-    .isUUID()
-    .withMessage('Invalid session ID format'),
+    .isString()
+    .notEmpty()
+    .withMessage('Session ID is required'),
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be greater than 0'),
@@ -25,7 +27,13 @@ const createPaymentValidation = [
     .isString()
     .trim()
     .notEmpty()
-    .withMessage('Payment method ID is required')
+    .withMessage('Payment method ID is required'),
+  body('promoCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code must be a string')
 ];
 
 const getPaymentsValidation = [
@@ -40,6 +48,39 @@ const getPaymentsValidation = [
   query('sortOrder').optional().isIn(['asc', 'desc'])
 ];
 
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Stripe webhook receiver
+ *     description: |
+ *       Receives Stripe events as a raw JSON body and verifies the `Stripe-Signature`
+ *       header against `STRIPE_WEBHOOK_SECRET`. Every event is stored by its Stripe ID,
+ *       so redelivered events are acknowledged without being processed twice.
+ *       Handles payment intent, refund, dispute and Connect account events.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event received (processed, ignored or duplicate)
+ *       400:
+ *         description: Missing or invalid signature
+ *       500:
+ *         description: Event handling failed; Stripe will retry
+ */
+router.post('/webhook', asyncHandler(paymentController.handleStripeWebhook));
+
 /**
  * @swagger
  * /payments:
@@ -228,6 +269,10 @@ router.get('/:paymentId',
  *                 type: string
  *                 maxLength: 500
  *                 example: "Payment for Advanced Calculus course"
+ *               promoCode:
+ *                 type: string
+ *                 example: "SPRING20"
+ *                 description: Discount applied to the amount; any bonus credits are granted once the payment succeeds
  *     responses:
  *       201:
  *         description: Payment created successfully
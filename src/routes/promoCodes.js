@@ -0,0 +1,334 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import asyncHandler from '../utils/asyncHandler.js';
+import validate from '../middleware/validation.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import * as promoCodeController from '../controllers/promoCodeController.js';
+
+const router = express.Router();
+
+// Validation rules
+const promoCodeIdValidation = [
+  param('promoCodeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Promo code ID is required')
+];
+
+const promoCodeFieldsValidation = [
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  body('discountType').optional().isIn(['PERCENT', 'FIXED']).withMessage('Discount type must be PERCENT or FIXED'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value cannot be negative'),
+  body('bonusCredits').optional().isFloat({ min: 0 }).withMessage('Bonus credits cannot be negative'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max uses must be at least 1'),
+  body('maxUsesPerUser').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max uses per user must be at least 1'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('packageIds').optional().isArray(),
+  body('packageIds.*').isString(),
+  body('courseIds').optional().isArray(),
+  body('courseIds.*').isString(),
+  body('coachIds').optional().isArray(),
+  body('coachIds.*').isString(),
+  body('isActive').optional().isBoolean()
+];
+
+const createPromoCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3-32 letters, numbers, dashes or underscores'),
+  ...promoCodeFieldsValidation
+];
+
+const getPromoCodesValidation = [
+  query('search').optional().isString(),
+  query('isActive').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const validatePromoCodeValidation = [
+  body('code').isString().trim().notEmpty().withMessage('Code is required'),
+  body('context').isIn(['CREDIT_PURCHASE', 'PAYMENT', 'ENROLLMENT']).withMessage('Invalid context'),
+  body('packageId')
+    .if(body('context').equals('CREDIT_PURCHASE'))
+    .isString()
+    .notEmpty()
+    .withMessage('Package ID is required for credit purchases'),
+  body('courseId')
+    .if(body('context').isIn(['PAYMENT', 'ENROLLMENT']))
+    .isString()
+    .notEmpty()
+    .withMessage('Course ID is required for course payments and enrollments'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: SPRING20
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [PERCENT, FIXED]
+ *         discountValue:
+ *           type: number
+ *           description: Percent off, or fixed amount off
+ *         bonusCredits:
+ *           type: number
+ *           description: Extra credits granted when the code is used
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *         maxUsesPerUser:
+ *           type: integer
+ *           nullable: true
+ *         usesCount:
+ *           type: integer
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         packageIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         courseIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         coachIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /promo-codes/validate:
+ *   post:
+ *     summary: Preview the discount a promo code gives a checkout without using it
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - context
+ *             properties:
+ *               code:
+ *                 type: string
+ *               context:
+ *                 type: string
+ *                 enum: [CREDIT_PURCHASE, PAYMENT, ENROLLMENT]
+ *               packageId:
+ *                 type: string
+ *                 description: Required for CREDIT_PURCHASE
+ *               courseId:
+ *                 type: string
+ *                 description: Required for PAYMENT and ENROLLMENT
+ *               amount:
+ *                 type: number
+ *                 description: Payment amount, defaults to the course price
+ *     responses:
+ *       200:
+ *         description: Promo code is valid
+ *       400:
+ *         description: Promo code cannot be used for this checkout
+ *       404:
+ *         description: Promo code, package or course not found
+ */
+router.post('/validate',
+  authenticate,
+  validatePromoCodeValidation,
+  validate,
+  asyncHandler(promoCodeController.validatePromoCode)
+);
+
+/**
+ * @swagger
+ * /promo-codes:
+ *   get:
+ *     summary: List promo codes (Admin only)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Promo codes retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/',
+  authenticate,
+  authorize('ADMIN'),
+  getPromoCodesValidation,
+  validate,
+  asyncHandler(promoCodeController.getPromoCodes)
+);
+
+/**
+ * @swagger
+ * /promo-codes:
+ *   post:
+ *     summary: Create a promo code (Admin only)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       201:
+ *         description: Promo code created successfully
+ *       400:
+ *         description: Invalid promo code
+ *       409:
+ *         description: Code already exists
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN'),
+  createPromoCodeValidation,
+  validate,
+  asyncHandler(promoCodeController.createPromoCode)
+);
+
+/**
+ * @swagger
+ * /promo-codes/{promoCodeId}:
+ *   get:
+ *     summary: Get a promo code with its latest redemptions (Admin only)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promoCodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code retrieved successfully
+ *       404:
+ *         description: Promo code not found
+ */
+router.get('/:promoCodeId',
+  authenticate,
+  authorize('ADMIN'),
+  promoCodeIdValidation,
+  validate,
+  asyncHandler(promoCodeController.getPromoCodeById)
+);
+
+/**
+ * @swagger
+ * /promo-codes/{promoCodeId}:
+ *   put:
+ *     summary: Update a promo code (Admin only)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promoCodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       200:
+ *         description: Promo code updated successfully
+ *       400:
+ *         description: Invalid promo code
+ *       404:
+ *         description: Promo code not found
+ */
+router.put('/:promoCodeId',
+  authenticate,
+  authorize('ADMIN'),
+  promoCodeIdValidation,
+  promoCodeFieldsValidation,
+  validate,
+  asyncHandler(promoCodeController.updatePromoCode)
+);
+
+/**
+ * @swagger
+ * /promo-codes/{promoCodeId}:
+ *   delete:
+ *     summary: Deactivate a promo code (Admin only)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promoCodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code deactivated successfully
+ *       404:
+ *         description: Promo code not found
+ */
+router.delete('/:promoCodeId',
+  authenticate,
+  authorize('ADMIN'),
+  promoCodeIdValidation,
+  validate,
+  asyncHandler(promoCodeController.deletePromoCode)
+);
+
+export default router;
@@ -9,10 +9,16 @@ const router = express.Router();
 
 // Validation rules
 const createSessionValidation = [
+  body('enrollmentId')
+    .optional()
+    .isString()
+    .withMessage('Invalid enrollment ID format'),
   body('courseId')
+    .if(body('enrollmentId').not().exists())
     .isUUID()
     .withMessage('Invalid course ID format'),
   body('studentId')
+    .if(body('enrollmentId').not().exists())
     .isUUID()
     .withMessage('Invalid student ID format'),
   body('title')
@@ -47,6 +53,7 @@ const getSessionsValidation = [
   query('courseId').optional().isUUID(),
   query('coachId').optional().isUUID(),
   query('studentId').optional().isUUID(),
+  query('childId').optional().isString(),
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('page').optional().isInt({ min: 1 }),
@@ -89,6 +96,11 @@ const getSessionsValidation = [
  *           format: uuid
  *         description: Filter by student ID
  *       - in: query
+ *         name: childId
+ *         schema:
+ *           type: string
+ *         description: Filter by child ID
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -220,16 +232,19 @@ router.get('/:sessionId',
  *           schema:
  *             type: object
  *             required:
- *               - courseId
- *               - studentId
  *               - title
  *               - startTime
  *               - endTime
  *               - duration
  *             properties:
+ *               enrollmentId:
+ *                 type: string
+ *                 description: Enrollment the session belongs to; course, payer and child are taken from it
+ *                 example: "clx1234567890abcdef"
  *               courseId:
  *                 type: string
  *                 format: uuid
+ *                 description: Required when enrollmentId is not given
  *                 example: "clx1234567890abcdef"
  *               studentId:
  *                 type: string
@@ -281,6 +296,8 @@ router.get('/:sessionId',
  *         description: Unauthorized
  *       403:
  *         description: Coach access required
+ *       409:
+ *         description: The coach or learner already has a session at this time
  */
 router.post('/',
   authenticate,
@@ -346,6 +363,8 @@ router.post('/',
  *         description: Coach access required
  *       404:
  *         description: Session not found
+ *       409:
+ *         description: The coach or learner already has a session at this time
  */
 router.put('/:sessionId',
   authenticate,
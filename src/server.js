@@ -14,6 +14,7 @@ import { testConnection, initializeDatabase } from './config/database.js';
 import logger from './utils/logger.js';
 import errorHandler from './middleware/errorHandler.js';
 import notFound from './middleware/notFound.js';
+import { startJobs, stopJobs } from './jobs/index.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -24,6 +25,9 @@ import sessionRoutes from './routes/sessions.js';
 import paymentRoutes from './routes/payments.js';
 import availabilityRoutes from './routes/availability.js';
 import creditRoutes from './routes/credit.js';
+import enrollmentRoutes from './routes/enrollments.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import notificationRoutes from './routes/notifications.js';
 
 dotenv.config();
 const app = express();
@@ -48,12 +52,21 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 }));
 
 // Compression middleware
 app.use(compression());
 
+// Stripe webhooks need the raw body for signature verification, so parse it
+// before the JSON parser gets a chance to consume it
+const STRIPE_WEBHOOK_PATH = `/api/${API_VERSION}/payments/webhook`;
+app.use(STRIPE_WEBHOOK_PATH, express.raw({ type: 'application/json' }));
+
+// Stripe sends events in bursts from a few IPs and redelivers any it gets a 429 for, so the
+// webhook (which checks its own signature) is left out of the per-IP limits below
+const isStripeWebhook = (req) => req.path === STRIPE_WEBHOOK_PATH;
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -72,6 +85,7 @@ app.use(rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isStripeWebhook
 }));
 
 // Slow down middleware - disabled in development
@@ -79,7 +93,8 @@ if (!isDevelopment) {
   app.use(slowDown({
     windowMs: parseInt(process.env.SLOW_DOWN_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     delayAfter: parseInt(process.env.SLOW_DOWN_DELAY_AFTER) || 100, // allow 100 requests per 15 minutes, then...
-    delayMs: () => parseInt(process.env.SLOW_DOWN_DELAY_MS) || 500 // begin adding 500ms of delay per request above 100
+    delayMs: () => parseInt(process.env.SLOW_DOWN_DELAY_MS) || 500, // begin adding 500ms of delay per request above 100
+    skip: isStripeWebhook
   }));
 }
 
@@ -130,6 +145,9 @@ app.use(`/api/${API_VERSION}/sessions`, sessionRoutes);
 app.use(`/api/${API_VERSION}/payments`, paymentRoutes);
 app.use(`/api/${API_VERSION}/availability`, availabilityRoutes);
 app.use(`/api/${API_VERSION}/credits`, creditRoutes);
+app.use(`/api/${API_VERSION}/enrollments`, enrollmentRoutes);
+app.use(`/api/${API_VERSION}/promo-codes`, promoCodeRoutes);
+app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -146,6 +164,9 @@ let server;
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
+
+  // Stop scheduled jobs
+  stopJobs();
   
   // Close server
   if (server) {
@@ -213,6 +234,11 @@ const startServer = async () => {
       logger.info(`👨‍💼 Admin Panel: /api/${API_VERSION}/admin`);
     });
 
+    // Background jobs (credit expiry, ...) are not needed while running tests
+    if (process.env.NODE_ENV !== 'test') {
+      startJobs();
+    }
+
     return server;
   } catch (error) {
     logger.error('Failed to start server:', error);
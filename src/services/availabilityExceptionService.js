@@ -0,0 +1,211 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { parseTime, toZonedParts, addDays } from '../utils/timezone.js';
+import {
+  ACTIVE_BOOKING_STATUSES,
+  getCoachSchedule,
+  getBlackoutIntervals,
+  getSessionTimes,
+  generateBookableSlots
+} from './availabilityService.js';
+import notificationService from './notificationService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const EXCEPTION_TYPES = ['BLACKOUT', 'EXTRA_HOURS'];
+
+// Alternatives offered to a student whose session falls in a blackout: the first few
+// bookable slots of the next couple of weeks
+const ALTERNATIVE_DAYS = 14;
+const ALTERNATIVES_LIMIT = 3;
+
+// A coach's exceptions, optionally only those touching days between `from` and `to`
+export const listExceptions = (coachId, { from, to, type } = {}) => prisma.availabilityException.findMany({
+  where: {
+    coachId,
+    ...(type && { type }),
+    ...(to && { startDate: { lte: new Date(to) } }),
+    ...(from && { endDate: { gte: new Date(from) } })
+  },
+  orderBy: [{ startDate: 'asc' }, { startTime: 'asc' }]
+});
+
+const validateException = ({ type, startDate, endDate, startTime, endTime }) => {
+  if (endDate < startDate) {
+    throw new ApiError(400, 'End date must be on or after the start date');
+  }
+
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    throw new ApiError(400, 'Start and end times must be given together');
+  }
+
+  if (type === 'EXTRA_HOURS' && !startTime) {
+    throw new ApiError(400, 'Extra hours need a start and end time');
+  }
+
+  if (startTime && parseTime(startTime) === parseTime(endTime)) {
+    throw new ApiError(400, 'Start and end times must differ');
+  }
+};
+
+// The coach's active bookings that overlap any of a blackout's intervals
+const findAffectedSessions = async (exception, intervals, now, client) => {
+  const sessions = await client.scheduledSession.findMany({
+    where: {
+      coachId: exception.coachId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      // Sessions that started up to a day earlier can still be running
+      sessionDate: {
+        gte: new Date(Math.max(now.getTime(), intervals[0].startsAt.getTime() - DAY)),
+        lt: intervals[intervals.length - 1].endsAt
+      }
+    },
+    include: {
+      coach: {
+        select: { firstName: true, lastName: true }
+      },
+      student: {
+        select: { id: true, firstName: true, lastName: true, timezone: true }
+      }
+    },
+    orderBy: { sessionDate: 'asc' }
+  });
+
+  return sessions.filter(session => {
+    const endsAt = session.sessionDate.getTime() + session.duration * 60 * 1000;
+    return intervals.some(interval => session.sessionDate < interval.endsAt && interval.startsAt.getTime() < endsAt);
+  });
+};
+
+// Tell each student whose session falls in a new blackout that it has to move, with a few
+// open slots of the same length to pick from. Runs in the transaction that creates the
+// blackout, so the alternatives already leave it out.
+const notifyAffectedSessions = async (exception, sessions, now, client) => {
+  for (const session of sessions) {
+    const timezone = session.student.timezone;
+    const from = toZonedParts(now, timezone).date;
+    const { availableSlots } = await generateBookableSlots({
+      coachId: exception.coachId,
+      from,
+      to: addDays(from, ALTERNATIVE_DAYS - 1),
+      timezone,
+      duration: session.duration,
+      sessionType: session.sessionType,
+      now,
+      client
+    });
+
+    await notificationService.notify(session.studentId, {
+      type: 'SESSION_RESCHEDULE_NEEDED',
+      title: 'Session needs a new time',
+      message: `${session.coach.firstName} ${session.coach.lastName} is unavailable for "${session.title}" on ${session.sessionDate.toLocaleDateString()}. Please pick a new time.`,
+      data: { scheduledSessionId: session.id, exceptionId: exception.id },
+      email: {
+        template: 'session_reschedule_needed',
+        data: {
+          title: session.title,
+          sessionDate: session.sessionDate,
+          ...getSessionTimes(session, timezone),
+          coachName: `${session.coach.firstName} ${session.coach.lastName}`,
+          reason: exception.reason,
+          scheduledSessionId: session.id,
+          alternatives: availableSlots.slice(0, ALTERNATIVES_LIMIT).map(slot => ({
+            date: slot.localDate,
+            startTime: slot.localStartTime,
+            endTime: slot.localEndTime
+          }))
+        }
+      }
+    }, client);
+  }
+};
+
+// Add a blackout or extra hours to a coach's calendar. Students booked during a new
+// blackout are told to reschedule; their sessions are left for them or an admin to move.
+export const createException = async (coachId, data, now = new Date()) => {
+  const exception = {
+    type: data.type,
+    startDate: data.startDate,
+    endDate: data.endDate || data.startDate,
+    startTime: data.startTime || null,
+    endTime: data.endTime || null,
+    reason: data.reason
+  };
+
+  validateException(exception);
+
+  const { timezone } = await getCoachSchedule(coachId);
+
+  const { created, affectedSessions } = await prisma.$transaction(async (tx) => {
+    const created = await tx.availabilityException.create({
+      data: {
+        coachId,
+        ...exception,
+        startDate: new Date(exception.startDate),
+        endDate: new Date(exception.endDate),
+        ...(exception.type === 'EXTRA_HOURS' && {
+          maxBookings: data.maxBookings,
+          price: data.price,
+          sessionType: data.sessionType?.toUpperCase()
+        })
+      }
+    });
+
+    if (created.type !== 'BLACKOUT') {
+      return { created, affectedSessions: [] };
+    }
+
+    const affectedSessions = await findAffectedSessions(created, getBlackoutIntervals(created, timezone), now, tx);
+    await notifyAffectedSessions(created, affectedSessions, now, tx);
+
+    return { created, affectedSessions };
+  });
+
+  return {
+    exception: created,
+    affectedSessions: affectedSessions.map(session => ({
+      id: session.id,
+      title: session.title,
+      sessionDate: session.sessionDate,
+      duration: session.duration,
+      status: session.status,
+      studentId: session.studentId
+    }))
+  };
+};
+
+// Remove an exception. Extra hours that still have upcoming bookings stay until those move.
+export const deleteException = async (coachId, exceptionId, now = new Date()) => {
+  const exception = await prisma.availabilityException.findFirst({
+    where: { id: exceptionId, coachId }
+  });
+
+  if (!exception) {
+    throw new ApiError(404, 'Availability exception not found');
+  }
+
+  if (exception.type === 'EXTRA_HOURS') {
+    const bookings = await prisma.scheduledSession.count({
+      where: {
+        exceptionId,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        sessionDate: { gte: now }
+      }
+    });
+
+    if (bookings) {
+      throw new ApiError(400, 'Sessions are booked in these extra hours; move or cancel them first');
+    }
+  }
+
+  await prisma.availabilityException.delete({ where: { id: exceptionId } });
+
+  return exception;
+};
+
+export default {
+  EXCEPTION_TYPES,
+  listExceptions,
+  createException,
+  deleteException
+};
@@ -0,0 +1,739 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  resolveTimezone,
+  parseTime,
+  toZonedParts,
+  dayOfWeek,
+  addDays,
+  toCalendarDate,
+  zonedTimeToUtc,
+  zonedDayRange
+} from '../utils/timezone.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Bookings that take up the coach's time
+export const ACTIVE_BOOKING_STATUSES = ['PENDING_APPROVAL', 'APPROVED'];
+export const ACTIVE_SESSION_STATUSES = ['SCHEDULED', 'IN_PROGRESS'];
+export const ACTIVE_GROUP_STATUSES = ['OPEN', 'CONFIRMED'];
+
+// Longest range of days one slot query may expand
+export const MAX_RANGE_DAYS = 31;
+
+// Used for coaches without a Coach profile, such as admins testing availability
+export const DEFAULT_BOOKING_RULES = {
+  bufferMinutes: 0,
+  minNoticeMinutes: 0,
+  maxAdvanceDays: 60,
+  maxSessionsPerDay: null
+};
+
+const BOOKING_RULE_FIELDS = Object.keys(DEFAULT_BOOKING_RULES);
+
+// The coach's timezone (weekly availability is kept as "HH:MM" in it) and booking rules
+export const getCoachSchedule = async (coachId, client = prisma) => {
+  const user = await client.user.findUnique({
+    where: { id: coachId },
+    select: {
+      timezone: true,
+      coach: {
+        select: Object.fromEntries(BOOKING_RULE_FIELDS.map(field => [field, true]))
+      }
+    }
+  });
+
+  if (!user) {
+    throw new ApiError(404, 'Coach not found');
+  }
+
+  return {
+    timezone: resolveTimezone(user.timezone),
+    rules: { ...DEFAULT_BOOKING_RULES, ...user.coach }
+  };
+};
+
+export const getCoachTimezone = async (coachId, client = prisma) => (await getCoachSchedule(coachId, client)).timezone;
+
+// Change some of a coach's booking rules; `maxSessionsPerDay: null` removes the cap
+export const updateBookingRules = async (coachId, changes) => {
+  const coach = await prisma.coach.findUnique({
+    where: { userId: coachId },
+    select: { id: true }
+  });
+
+  if (!coach) {
+    throw new ApiError(404, 'Coach not found');
+  }
+
+  return prisma.coach.update({
+    where: { userId: coachId },
+    data: Object.fromEntries(BOOKING_RULE_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .map(field => [field, changes[field]])),
+    select: Object.fromEntries(BOOKING_RULE_FIELDS.map(field => [field, true]))
+  });
+};
+
+// When a weekly time slot (or an exception with times) starts and ends on a given date of
+// the coach's calendar. A slot whose end time is not after its start time runs past midnight.
+export const getSlotOccurrence = (timeSlot, date, timezone) => {
+  const overnight = parseTime(timeSlot.endTime) <= parseTime(timeSlot.startTime);
+
+  return {
+    date,
+    startsAt: zonedTimeToUtc(date, timeSlot.startTime, timezone),
+    endsAt: zonedTimeToUtc(overnight ? addDays(date, 1) : date, timeSlot.endTime, timezone)
+  };
+};
+
+// Whether a weekly time slot (loaded with `availability`) or an extra hours exception
+// is open on a date of the coach's calendar
+const isOpenOn = (window, date) => (window.availability
+  ? dayOfWeek(date) === window.availability.dayOfWeek
+  : toCalendarDate(window.startDate) <= date && date <= toCalendarDate(window.endDate));
+
+// The occurrence of a weekly time slot or extra hours exception that contains `instant`, or null
+export const findSlotOccurrence = (window, instant, timezone) => {
+  const { date } = toZonedParts(instant, timezone);
+
+  // An overnight slot from the evening before can contain it too
+  for (const candidate of [date, addDays(date, -1)]) {
+    if (!isOpenOn(window, candidate)) {
+      continue;
+    }
+
+    const occurrence = getSlotOccurrence(window, candidate, timezone);
+
+    if (instant >= occurrence.startsAt && instant < occurrence.endsAt) {
+      return occurrence;
+    }
+  }
+
+  return null;
+};
+
+// Check a booking request against its time slot (loaded with `availability`) or extra hours
+// exception: the session has to start inside an occurrence of it, in the future, and finish by its end.
+export const resolveBookingOccurrence = (window, { sessionDate, duration, timezone, now = new Date() }) => {
+  const occurrence = findSlotOccurrence(window, sessionDate, timezone);
+
+  if (!occurrence) {
+    throw new ApiError(400, 'Session date does not fall within the time slot');
+  }
+
+  if (sessionDate <= now) {
+    throw new ApiError(400, 'Session date must be in the future');
+  }
+
+  if (sessionDate.getTime() + duration * MINUTE > occurrence.endsAt.getTime()) {
+    throw new ApiError(400, 'Session must end by the end of the time slot');
+  }
+
+  return occurrence;
+};
+
+// A session's start and end as "HH:MM" on a clock in `timezone`. Sessions keep their
+// times after the slot they were booked in changes or goes away.
+export const getSessionTimes = (session, timezone) => ({
+  startTime: toZonedParts(session.sessionDate, timezone).time,
+  endTime: toZonedParts(new Date(session.sessionDate.getTime() + session.duration * MINUTE), timezone).time
+});
+
+// The instants a booked session takes up
+export const getSessionInterval = (session) => ({
+  startsAt: session.sessionDate,
+  endsAt: new Date(session.sessionDate.getTime() + session.duration * MINUTE)
+});
+
+// The instants a blackout covers on each day of the coach's calendar it spans: the whole
+// day, or from `startTime` to `endTime` when it has times
+export const getBlackoutIntervals = (exception, timezone) => {
+  const intervals = [];
+
+  for (let date = toCalendarDate(exception.startDate); date <= toCalendarDate(exception.endDate); date = addDays(date, 1)) {
+    if (exception.startTime && exception.endTime) {
+      intervals.push(getSlotOccurrence(exception, date, timezone));
+    } else {
+      const { start, end } = zonedDayRange(date, timezone);
+      intervals.push({ date, startsAt: start, endsAt: end });
+    }
+  }
+
+  return intervals;
+};
+
+// The coach's exceptions touching any day between two dates of their calendar
+export const loadCoachExceptions = (coachId, { fromDate, toDate, type }, client = prisma) => client.availabilityException.findMany({
+  where: {
+    coachId,
+    ...(type && { type }),
+    startDate: { lte: new Date(toDate) },
+    endDate: { gte: new Date(fromDate) }
+  },
+  orderBy: [{ startDate: 'asc' }, { startTime: 'asc' }]
+});
+
+// Everything already taking up the coach's time between two instants, from both the
+// scheduling flow (ScheduledSession), course sessions (Session), open waitlist offers,
+// checkout holds and group sessions. `slotId` is the weekly slot or extra hours exception a
+// booking was made in. `excludeSessionId` leaves out a booking that is being moved.
+// A group session is one booking however many seats it has, and nothing else can share it.
+export const loadCoachBookings = async (coachId, {
+  from,
+  to,
+  excludeSessionId,
+  excludeWaitlistEntryId,
+  excludeHoldId,
+  now = new Date()
+}, client = prisma) => {
+  const [scheduledSessions, sessions, waitlistOffers, holds, groupSessions] = await Promise.all([
+    client.scheduledSession.findMany({
+      where: {
+        coachId,
+        ...(excludeSessionId && { id: { not: excludeSessionId } }),
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        // Seats are counted through their group session
+        groupSessionId: null,
+        // Sessions that started up to a day earlier can still be running
+        sessionDate: { gte: new Date(from.getTime() - DAY), lt: to }
+      },
+      select: { timeSlotId: true, exceptionId: true, sessionDate: true, duration: true }
+    }),
+    client.session.findMany({
+      where: {
+        coachId,
+        status: { in: ACTIVE_SESSION_STATUSES },
+        startTime: { lt: to },
+        endTime: { gt: from }
+      },
+      select: { startTime: true, endTime: true }
+    }),
+    // Times offered from the waitlist are held for the parent until the offer runs out
+    client.waitlistEntry.findMany({
+      where: {
+        coachId,
+        ...(excludeWaitlistEntryId && { id: { not: excludeWaitlistEntryId } }),
+        status: 'OFFERED',
+        offerExpiresAt: { gt: now },
+        offeredStartsAt: { gte: new Date(from.getTime() - DAY), lt: to }
+      },
+      select: { offeredTimeSlotId: true, offeredExceptionId: true, offeredStartsAt: true, duration: true }
+    }),
+    // So are times parents are paying for, until the hold runs out
+    client.slotHold.findMany({
+      where: {
+        coachId,
+        ...(excludeHoldId && { id: { not: excludeHoldId } }),
+        status: 'ACTIVE',
+        expiresAt: { gt: now },
+        sessionDate: { gte: new Date(from.getTime() - DAY), lt: to }
+      },
+      select: { timeSlotId: true, exceptionId: true, sessionDate: true, duration: true }
+    }),
+    client.groupSession.findMany({
+      where: {
+        coachId,
+        status: { in: ACTIVE_GROUP_STATUSES },
+        sessionDate: { gte: new Date(from.getTime() - DAY), lt: to }
+      },
+      select: { id: true, sessionDate: true, duration: true }
+    })
+  ]);
+
+  return [
+    ...[...scheduledSessions, ...holds].map(session => ({
+      slotId: session.timeSlotId || session.exceptionId,
+      startsAt: session.sessionDate,
+      endsAt: new Date(session.sessionDate.getTime() + session.duration * MINUTE)
+    })),
+    ...sessions.map(session => ({
+      slotId: null,
+      startsAt: session.startTime,
+      endsAt: session.endTime
+    })),
+    ...waitlistOffers.map(offer => ({
+      slotId: offer.offeredTimeSlotId || offer.offeredExceptionId,
+      startsAt: offer.offeredStartsAt,
+      endsAt: new Date(offer.offeredStartsAt.getTime() + offer.duration * MINUTE)
+    })),
+    ...groupSessions.map(group => ({
+      slotId: `group:${group.id}`,
+      startsAt: group.sessionDate,
+      endsAt: new Date(group.sessionDate.getTime() + group.duration * MINUTE)
+    }))
+  ];
+};
+
+// Sessions the coach already runs on each date of their calendar. Group bookings that
+// share a start are one session.
+const countSessionsPerDay = (bookings, timezone) => {
+  const starts = new Map();
+
+  for (const booking of bookings) {
+    const { date } = toZonedParts(booking.startsAt, timezone);
+    starts.set(date, (starts.get(date) || new Set()).add(booking.startsAt.getTime()));
+  }
+
+  return new Map([...starts].map(([date, set]) => [date, set.size]));
+};
+
+// Whether a candidate session can be booked under the coach's rules. Blackouts block it.
+// Another booking of the same slot at the same start shares it (up to `maxBookings`); any
+// other booking within `bufferMinutes` of it blocks it. Returns { reason } or { remainingBookings }.
+export const checkCandidate = (candidate, { timeSlot, rules, bookings, blackouts = [], sessionsPerDay, timezone, now }) => {
+  const buffer = rules.bufferMinutes * MINUTE;
+
+  if (candidate.startsAt.getTime() < now.getTime() + rules.minNoticeMinutes * MINUTE) {
+    return { reason: `Sessions must be booked at least ${rules.minNoticeMinutes} minutes in advance` };
+  }
+
+  if (candidate.startsAt.getTime() > now.getTime() + rules.maxAdvanceDays * DAY) {
+    return { reason: `Sessions can only be booked up to ${rules.maxAdvanceDays} days in advance` };
+  }
+
+  if (blackouts.some(blackout => candidate.startsAt < blackout.endsAt && blackout.startsAt < candidate.endsAt)) {
+    return { reason: 'The coach is unavailable at this time' };
+  }
+
+  let shared = 0;
+
+  for (const booking of bookings) {
+    if (booking.slotId === timeSlot.id && booking.startsAt.getTime() === candidate.startsAt.getTime()) {
+      shared += 1;
+    } else if (candidate.startsAt.getTime() < booking.endsAt.getTime() + buffer &&
+      booking.startsAt.getTime() < candidate.endsAt.getTime() + buffer) {
+      return { reason: 'The coach is already booked at this time' };
+    }
+  }
+
+  if (shared >= timeSlot.maxBookings) {
+    return { reason: 'Time slot is fully booked' };
+  }
+
+  const { date } = toZonedParts(candidate.startsAt, timezone);
+
+  if (!shared && rules.maxSessionsPerDay !== null && (sessionsPerDay.get(date) || 0) >= rules.maxSessionsPerDay) {
+    return { reason: 'The coach has no more sessions available on this day' };
+  }
+
+  return { remainingBookings: timeSlot.maxBookings - shared };
+};
+
+// Expand a coach's weekly availability and extra hours into concrete bookable slots that
+// start between `from` and `to` (days of the viewer's calendar, inclusive). Each window is
+// split into `duration`-minute sessions with the coach's buffer between them (or offered
+// whole without a duration); slots that break the coach's booking rules, fall in a
+// blackout or overlap existing bookings are left out.
+export const generateBookableSlots = async ({
+  coachId,
+  from,
+  to = from,
+  timezone,
+  duration,
+  sessionType = 'ONE_ON_ONE',
+  now = new Date(),
+  client = prisma
+}) => {
+  const { timezone: coachTimezone, rules } = await getCoachSchedule(coachId, client);
+  const viewerTimezone = resolveTimezone(timezone || coachTimezone);
+  const range = {
+    start: zonedDayRange(from, viewerTimezone).start,
+    end: zonedDayRange(to, viewerTimezone).end
+  };
+
+  // The coach's calendar days that the range overlaps, plus the one before for overnight slots
+  const lastDate = toZonedParts(new Date(range.end.getTime() - 1), coachTimezone).date;
+  const coachDates = [];
+  for (let current = addDays(toZonedParts(range.start, coachTimezone).date, -1); current <= lastDate; current = addDays(current, 1)) {
+    coachDates.push(current);
+  }
+
+  const [availabilities, exceptions, bookings] = await Promise.all([
+    client.coachAvailability.findMany({
+      where: {
+        coachId,
+        isActive: true,
+        retiredAt: null,
+        dayOfWeek: { in: [...new Set(coachDates.map(dayOfWeek))] }
+      },
+      include: {
+        timeSlots: {
+          where: {
+            isAvailable: true,
+            sessionType: sessionType.toUpperCase()
+          },
+          orderBy: { startTime: 'asc' }
+        }
+      }
+    }),
+    loadCoachExceptions(coachId, { fromDate: coachDates[0], toDate: lastDate }, client),
+    loadCoachBookings(coachId, {
+      from: zonedDayRange(coachDates[0], coachTimezone).start,
+      to: zonedDayRange(addDays(lastDate, 1), coachTimezone).end,
+      now
+    }, client)
+  ]);
+
+  const extraHours = exceptions.filter(exception => exception.type === 'EXTRA_HOURS' &&
+    exception.sessionType === sessionType.toUpperCase());
+
+  const context = {
+    rules,
+    bookings,
+    blackouts: exceptions
+      .filter(exception => exception.type === 'BLACKOUT')
+      .flatMap(exception => getBlackoutIntervals(exception, coachTimezone)),
+    sessionsPerDay: countSessionsPerDay(bookings, coachTimezone),
+    timezone: coachTimezone,
+    now
+  };
+  const buffer = rules.bufferMinutes * MINUTE;
+  const availableSlots = [];
+
+  for (const coachDate of coachDates) {
+    const availability = availabilities.find(candidate => candidate.dayOfWeek === dayOfWeek(coachDate));
+    const timeSlots = [
+      ...(availability?.timeSlots || []).map(timeSlot => ({ ...timeSlot, availability })),
+      ...extraHours.filter(exception => isOpenOn(exception, coachDate))
+    ];
+
+    for (const timeSlot of timeSlots) {
+      const window = getSlotOccurrence(timeSlot, coachDate, coachTimezone);
+      const length = duration ? duration * MINUTE : window.endsAt - window.startsAt;
+
+      for (let start = window.startsAt.getTime(); start + length <= window.endsAt.getTime(); start += length + buffer) {
+        const candidate = { startsAt: new Date(start), endsAt: new Date(start + length) };
+
+        if (candidate.startsAt < range.start || candidate.startsAt >= range.end) {
+          continue;
+        }
+
+        const { reason, remainingBookings } = checkCandidate(candidate, { ...context, timeSlot });
+
+        if (reason) {
+          continue;
+        }
+
+        availableSlots.push({
+          timeSlotId: timeSlot.availability ? timeSlot.id : null,
+          exceptionId: timeSlot.availability ? null : timeSlot.id,
+          startsAt: candidate.startsAt,
+          endsAt: candidate.endsAt,
+          duration: length / MINUTE,
+          sessionType: timeSlot.sessionType,
+          price: timeSlot.price,
+          localDate: toZonedParts(candidate.startsAt, viewerTimezone).date,
+          localStartTime: toZonedParts(candidate.startsAt, viewerTimezone).time,
+          localEndTime: toZonedParts(candidate.endsAt, viewerTimezone).time,
+          remainingBookings
+        });
+      }
+    }
+  }
+
+  availableSlots.sort((a, b) => a.startsAt - b.startsAt);
+
+  return {
+    from,
+    to,
+    timezone: viewerTimezone,
+    coachTimezone,
+    bookingRules: rules,
+    availableSlots
+  };
+};
+
+// Apply the coach's booking rules and blackouts to one booking request in a weekly time slot
+// (loaded with `availability`) or extra hours exception, throwing the reason it cannot be booked.
+// `excludeWaitlistEntryId` and `excludeHoldId` let a parent book the time held for them by a
+// waitlist offer or checkout hold.
+export const assertBookable = async (timeSlot, {
+  sessionDate,
+  duration,
+  excludeSessionId,
+  excludeWaitlistEntryId,
+  excludeHoldId,
+  now = new Date()
+}, client = prisma) => {
+  const coachId = timeSlot.availability ? timeSlot.availability.coachId : timeSlot.coachId;
+  const { timezone, rules } = await getCoachSchedule(coachId, client);
+  const candidate = {
+    startsAt: sessionDate,
+    endsAt: new Date(sessionDate.getTime() + duration * MINUTE)
+  };
+
+  // Whole days of the coach's calendar around it, for buffers and the daily cap
+  const { date } = toZonedParts(sessionDate, timezone);
+  const [bookings, blackouts] = await Promise.all([
+    loadCoachBookings(coachId, {
+      from: zonedDayRange(addDays(date, -1), timezone).start,
+      to: zonedDayRange(addDays(date, 1), timezone).end,
+      excludeSessionId,
+      excludeWaitlistEntryId,
+      excludeHoldId,
+      now
+    }, client),
+    loadCoachExceptions(coachId, { fromDate: addDays(date, -1), toDate: addDays(date, 1), type: 'BLACKOUT' }, client)
+  ]);
+
+  const { reason } = checkCandidate(candidate, {
+    timeSlot,
+    rules,
+    bookings,
+    blackouts: blackouts.flatMap(blackout => getBlackoutIntervals(blackout, timezone)),
+    sessionsPerDay: countSessionsPerDay(bookings, timezone),
+    timezone,
+    now
+  });
+
+  if (reason) {
+    throw new ApiError(400, reason);
+  }
+};
+
+// The coach's current weekly slot or extra hours that a session of `duration` starting at
+// `sessionDate` fits in, checked against their booking rules like a new booking. Used to
+// move a booked session (`excludeSessionId`) to another time. Throws why it cannot go there.
+export const findBookableSlot = async (coachId, {
+  sessionDate,
+  duration,
+  sessionType = 'ONE_ON_ONE',
+  excludeSessionId,
+  now = new Date()
+}, client = prisma) => {
+  const timezone = await getCoachTimezone(coachId, client);
+  const { date } = toZonedParts(sessionDate, timezone);
+
+  const [timeSlots, extraHours] = await Promise.all([
+    client.timeSlot.findMany({
+      where: {
+        isAvailable: true,
+        sessionType,
+        availability: { coachId, isActive: true, retiredAt: null }
+      },
+      include: { availability: true }
+    }),
+    loadCoachExceptions(coachId, { fromDate: addDays(date, -1), toDate: date, type: 'EXTRA_HOURS' }, client)
+  ]);
+
+  const slot = [...timeSlots, ...extraHours.filter(exception => exception.sessionType === sessionType)].find(candidate => {
+    const occurrence = findSlotOccurrence(candidate, sessionDate, timezone);
+    return occurrence && sessionDate.getTime() + duration * MINUTE <= occurrence.endsAt.getTime();
+  });
+
+  if (!slot) {
+    throw new ApiError(400, 'The coach is not available at this time');
+  }
+
+  if (sessionDate <= now) {
+    throw new ApiError(400, 'Session date must be in the future');
+  }
+
+  await assertBookable(slot, { sessionDate, duration, excludeSessionId, now }, client);
+
+  return slot;
+};
+
+const windowKey = (day, timeSlot) => `${day.dayOfWeek} ${timeSlot.startTime}-${timeSlot.endTime} ${timeSlot.sessionType}`;
+
+const describeWindow = (day, timeSlot) => ({
+  dayOfWeek: day.dayOfWeek,
+  startTime: timeSlot.startTime,
+  endTime: timeSlot.endTime,
+  sessionType: timeSlot.sessionType
+});
+
+// The new slot that can take an upcoming booking: open, of the same session type, running
+// over its whole length on the coach's new schedule and with room left at its start
+const findReplacementSlot = (session, timeSlots, taken, timezone) => timeSlots.find(timeSlot => {
+  if (!timeSlot.isAvailable || !timeSlot.availability.isActive || timeSlot.sessionType !== session.sessionType) {
+    return false;
+  }
+
+  const occurrence = findSlotOccurrence(timeSlot, session.sessionDate, timezone);
+
+  return occurrence &&
+    session.sessionDate.getTime() + session.duration * MINUTE <= occurrence.endsAt.getTime() &&
+    (taken.get(`${timeSlot.id} ${session.sessionDate.getTime()}`) || 0) < timeSlot.maxBookings;
+});
+
+// Save a new version of a coach's weekly availability. The current version, its days and
+// slots are retired rather than deleted, so past and upcoming bookings keep the slot they
+// were made in. Each upcoming booking is re-linked to the new slot that covers it; those no
+// new slot covers stay booked and come back in `diff.outsideSchedule` for the coach to sort out.
+// Expects the coach's timezone to be up to date, and `client` to be a transaction.
+export const saveAvailabilityVersion = async (coachId, days, { createdBy, now = new Date() }, client) => {
+  const timezone = await getCoachTimezone(coachId, client);
+
+  const [previous, latest] = await Promise.all([
+    client.coachAvailability.findMany({
+      where: { coachId, retiredAt: null },
+      include: { timeSlots: true }
+    }),
+    client.availabilityVersion.findFirst({
+      where: { coachId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    })
+  ]);
+
+  await client.availabilityVersion.updateMany({
+    where: { coachId, retiredAt: null },
+    data: { retiredAt: now }
+  });
+
+  await client.coachAvailability.updateMany({
+    where: { coachId, retiredAt: null },
+    data: { retiredAt: now }
+  });
+
+  const version = await client.availabilityVersion.create({
+    data: {
+      coachId,
+      version: (latest?.version || 0) + 1,
+      timezone,
+      createdBy
+    }
+  });
+
+  const availability = [];
+  for (const day of days) {
+    availability.push(await client.coachAvailability.create({
+      data: {
+        coachId,
+        versionId: version.id,
+        dayOfWeek: day.dayOfWeek,
+        isActive: day.isActive !== false,
+        timeSlots: {
+          create: day.timeSlots.map(slot => ({
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            isAvailable: slot.isAvailable !== false,
+            maxBookings: slot.maxBookings || 1,
+            price: slot.price ? parseFloat(slot.price) : null,
+            sessionType: slot.sessionType || 'ONE_ON_ONE'
+          }))
+        }
+      },
+      include: {
+        timeSlots: true
+      }
+    }));
+  }
+
+  // Move upcoming bookings over to the new slots
+  const timeSlots = availability.flatMap(day => day.timeSlots.map(timeSlot => ({ ...timeSlot, availability: day })));
+  const upcoming = await client.scheduledSession.findMany({
+    where: {
+      coachId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      sessionDate: { gte: now },
+      timeSlotId: { not: null }
+    },
+    select: {
+      id: true,
+      title: true,
+      sessionDate: true,
+      duration: true,
+      sessionType: true,
+      status: true,
+      timeSlotId: true,
+      studentId: true
+    },
+    orderBy: { sessionDate: 'asc' }
+  });
+
+  const taken = new Map();
+  const relinked = [];
+  const outsideSchedule = [];
+
+  for (const session of upcoming) {
+    const replacement = findReplacementSlot(session, timeSlots, taken, timezone);
+
+    if (!replacement) {
+      outsideSchedule.push(session);
+      continue;
+    }
+
+    const key = `${replacement.id} ${session.sessionDate.getTime()}`;
+    taken.set(key, (taken.get(key) || 0) + 1);
+
+    await client.scheduledSession.update({
+      where: { id: session.id },
+      data: { timeSlotId: replacement.id }
+    });
+
+    await client.timeSlot.update({
+      where: { id: replacement.id },
+      data: { currentBookings: { increment: 1 } }
+    });
+
+    relinked.push({ id: session.id, timeSlotId: replacement.id });
+  }
+
+  const before = new Map(previous.flatMap(day => day.timeSlots.map(timeSlot => [windowKey(day, timeSlot), describeWindow(day, timeSlot)])));
+  const after = new Map(availability.flatMap(day => day.timeSlots.map(timeSlot => [windowKey(day, timeSlot), describeWindow(day, timeSlot)])));
+
+  return {
+    version,
+    availability,
+    diff: {
+      addedSlots: [...after].filter(([key]) => !before.has(key)).map(([, window]) => window),
+      removedSlots: [...before].filter(([key]) => !after.has(key)).map(([, window]) => window),
+      relinkedSessions: relinked,
+      outsideSchedule
+    }
+  };
+};
+
+// A coach's saved availability versions, newest first, each with its days and slots
+export const getAvailabilityHistory = async (coachId, { page = 1, limit = 10 } = {}) => {
+  const [versions, total] = await Promise.all([
+    prisma.availabilityVersion.findMany({
+      where: { coachId },
+      include: {
+        availabilities: {
+          include: {
+            timeSlots: {
+              orderBy: { startTime: 'asc' }
+            }
+          },
+          orderBy: { dayOfWeek: 'asc' }
+        }
+      },
+      orderBy: { version: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.availabilityVersion.count({ where: { coachId } })
+  ]);
+
+  return { versions, total };
+};
+
+export default {
+  ACTIVE_BOOKING_STATUSES,
+  ACTIVE_SESSION_STATUSES,
+  ACTIVE_GROUP_STATUSES,
+  MAX_RANGE_DAYS,
+  DEFAULT_BOOKING_RULES,
+  getCoachSchedule,
+  getCoachTimezone,
+  updateBookingRules,
+  getSlotOccurrence,
+  findSlotOccurrence,
+  resolveBookingOccurrence,
+  getSessionTimes,
+  getSessionInterval,
+  getBlackoutIntervals,
+  loadCoachExceptions,
+  loadCoachBookings,
+  checkCandidate,
+  generateBookableSlots,
+  assertBookable,
+  findBookableSlot,
+  saveAvailabilityVersion,
+  getAvailabilityHistory
+};
@@ -0,0 +1,146 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  ACTIVE_BOOKING_STATUSES,
+  ACTIVE_SESSION_STATUSES,
+  ACTIVE_GROUP_STATUSES,
+  getSessionInterval
+} from './availabilityService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Two ranges clash when each starts before the other ends, which also covers one
+// range lying wholly inside the other
+export const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// The person attending: the child when there is one, otherwise the parent account itself,
+// so a parent can book two of their children with different coaches at the same time
+const learnerWhere = ({ studentId, childId }) => (childId ? { childId } : { studentId, childId: null });
+
+// Serialize bookings for the same coach and learner until the caller's transaction ends, so
+// two requests cannot both pass the check below and book the same time. Locks are taken in
+// a fixed order to avoid deadlocks; outside a transaction they are released straight away.
+export const lockParticipants = async ({ coachId, studentId, childId }, client = prisma) => {
+  const keys = [...new Set([coachId, childId || studentId].filter(Boolean))].sort();
+
+  for (const key of keys) {
+    await client.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`booking:${key}`}))`;
+  }
+};
+
+// The first booking that clashes with `startsAt`-`endsAt` for the coach or the learner,
+// across legacy sessions, scheduled sessions and group sessions, or null.
+//
+// Bookings in the same weekly slot or extra hours (`slotId`) starting at the same time share
+// the slot up to its `maxBookings`; that capacity is checked by assertBookable, so they are
+// not conflicts for the coach here. Seats of a group session are the group's one booking for
+// the coach; `groupSessionId` leaves out the group a seat is being taken in. The exclude ids
+// leave out the booking that is being moved.
+export const findConflict = async ({
+  coachId,
+  studentId,
+  childId,
+  startsAt,
+  endsAt,
+  slotId,
+  groupSessionId,
+  excludeSessionId,
+  excludeScheduledSessionId
+}, client = prisma) => {
+  const learner = studentId && learnerWhere({ studentId, childId });
+  // Scheduled bookings that started up to a day earlier can still be running
+  const sessionDate = { gte: new Date(startsAt.getTime() - DAY), lt: endsAt };
+
+  const [sessions, scheduledSessions, groupSessions] = await Promise.all([
+    client.session.findMany({
+      where: {
+        ...(excludeSessionId && { id: { not: excludeSessionId } }),
+        status: { in: ACTIVE_SESSION_STATUSES },
+        startTime: { lt: endsAt },
+        endTime: { gt: startsAt },
+        OR: [{ coachId }, ...(learner ? [learner] : [])]
+      },
+      select: { id: true, studentId: true, childId: true, startTime: true, endTime: true }
+    }),
+    client.scheduledSession.findMany({
+      where: {
+        ...(excludeScheduledSessionId && { id: { not: excludeScheduledSessionId } }),
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        sessionDate,
+        OR: [{ coachId, groupSessionId: null }, ...(learner ? [learner] : [])]
+      },
+      select: {
+        id: true,
+        studentId: true,
+        childId: true,
+        timeSlotId: true,
+        exceptionId: true,
+        sessionDate: true,
+        duration: true
+      }
+    }),
+    client.groupSession.findMany({
+      where: {
+        coachId,
+        ...(groupSessionId && { id: { not: groupSessionId } }),
+        status: { in: ACTIVE_GROUP_STATUSES },
+        sessionDate
+      },
+      select: { id: true, sessionDate: true, duration: true }
+    })
+  ]);
+
+  const candidate = { startsAt, endsAt };
+  const isLearners = (booking) => Boolean(learner) && (childId
+    ? booking.childId === childId
+    : booking.studentId === studentId && !booking.childId);
+  const party = (booking) => (isLearners(booking) ? 'learner' : 'coach');
+
+  const session = sessions.find(session => overlaps(candidate, { startsAt: session.startTime, endsAt: session.endTime }));
+  if (session) {
+    return { party: party(session), type: 'SESSION', id: session.id };
+  }
+
+  const scheduledSession = scheduledSessions.find(booking => {
+    if (!overlaps(candidate, getSessionInterval(booking))) {
+      return false;
+    }
+
+    const sharesSlot = Boolean(slotId) && (booking.timeSlotId || booking.exceptionId) === slotId &&
+      booking.sessionDate.getTime() === startsAt.getTime();
+
+    // Sharing a slot is only a clash when the learner is in both
+    return isLearners(booking) || !sharesSlot;
+  });
+  if (scheduledSession) {
+    return { party: party(scheduledSession), type: 'SCHEDULED_SESSION', id: scheduledSession.id };
+  }
+
+  const groupSession = groupSessions.find(group => overlaps(candidate, getSessionInterval(group)));
+  if (groupSession) {
+    return { party: 'coach', type: 'GROUP_SESSION', id: groupSession.id };
+  }
+
+  return null;
+};
+
+// Lock the coach and learner and throw when the time clashes with another of their bookings.
+// Call it inside the transaction that writes the booking.
+export const assertNoConflicts = async (booking, client = prisma) => {
+  await lockParticipants(booking, client);
+
+  const conflict = await findConflict(booking, client);
+
+  if (conflict) {
+    throw new ApiError(409, conflict.party === 'coach'
+      ? 'The coach already has a session at this time'
+      : 'The learner already has a session at this time');
+  }
+};
+
+export default {
+  overlaps,
+  lockParticipants,
+  findConflict,
+  assertNoConflicts
+};
@@ -0,0 +1,257 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { resolveBookingOccurrence, getSessionTimes } from './availabilityService.js';
+import notificationService from './notificationService.js';
+
+const coachSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  timezone: true
+};
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true
+};
+
+// Load what a booking request refers to (the weekly time slot or extra hours, its coach, and
+// the child and enrollment it is for) and check that they fit together and that the start
+// falls inside one run of the slot in the coach's timezone. The coach's booking rules are
+// checked separately with assertBookable.
+export const resolveBookingTarget = async ({
+  timeSlotId,
+  exceptionId,
+  studentId,
+  childId,
+  enrollmentId,
+  sessionDate,
+  duration
+}, client = prisma) => {
+  if (timeSlotId && exceptionId) {
+    throw new ApiError(400, 'Book either a time slot or extra hours, not both');
+  }
+
+  // The attending child must belong to the paying parent
+  let child = null;
+  if (childId) {
+    child = await client.child.findFirst({
+      where: { id: childId, parentId: studentId, isActive: true },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true
+      }
+    });
+
+    if (!child) {
+      throw new ApiError(404, 'Child not found');
+    }
+  }
+
+  // Sessions booked under an enrollment must match its payer and learner
+  let enrollment = null;
+  if (enrollmentId) {
+    enrollment = await client.enrollment.findUnique({
+      where: { id: enrollmentId },
+      include: {
+        course: {
+          select: { coachId: true }
+        }
+      }
+    });
+
+    if (!enrollment || enrollment.payerId !== studentId) {
+      throw new ApiError(404, 'Enrollment not found');
+    }
+
+    if (enrollment.status !== 'ACTIVE') {
+      throw new ApiError(400, 'Sessions can only be scheduled for active enrollments');
+    }
+
+    if (child && child.id !== enrollment.childId) {
+      throw new ApiError(400, 'Child does not match the enrollment');
+    }
+  }
+
+  // Sessions are booked in a weekly time slot or in a coach's one-off extra hours
+  let slot;
+  let coach;
+  if (timeSlotId) {
+    slot = await client.timeSlot.findUnique({
+      where: { id: timeSlotId },
+      include: {
+        availability: {
+          include: {
+            coach: { select: coachSelect }
+          }
+        }
+      }
+    });
+
+    if (!slot) {
+      throw new ApiError(404, 'Time slot not found');
+    }
+
+    if (!slot.isAvailable || !slot.availability.isActive || slot.availability.retiredAt) {
+      throw new ApiError(400, 'Time slot is not available');
+    }
+
+    coach = slot.availability.coach;
+  } else {
+    slot = await client.availabilityException.findUnique({
+      where: { id: exceptionId },
+      include: {
+        coach: { select: coachSelect }
+      }
+    });
+
+    if (!slot || slot.type !== 'EXTRA_HOURS') {
+      throw new ApiError(404, 'Extra hours not found');
+    }
+
+    coach = slot.coach;
+  }
+
+  if (enrollment && enrollment.course.coachId !== coach.id) {
+    throw new ApiError(400, 'Time slot does not belong to the enrollment coach');
+  }
+
+  // The requested instant has to fall inside one run of the slot, read in the coach's timezone
+  resolveBookingOccurrence(slot, {
+    sessionDate: new Date(sessionDate),
+    duration: parseInt(duration),
+    timezone: coach.timezone
+  });
+
+  return { slot, coach, child, enrollment };
+};
+
+// Create a booking waiting for approval, take its slot and queue both parties'
+// notifications, inside the caller's transaction. Sessions of a series leave the
+// notifications to the series (`notify: false`).
+export const createScheduledSession = async ({
+  slot,
+  coach,
+  child,
+  enrollment,
+  studentId,
+  courseId,
+  sessionDate,
+  title,
+  description,
+  duration,
+  sessionType,
+  price,
+  notes,
+  paymentId,
+  seriesId,
+  notify = true
+}, client) => {
+  const timeSlotId = slot.availability ? slot.id : null;
+
+  const scheduledSession = await client.scheduledSession.create({
+    data: {
+      timeSlotId,
+      exceptionId: slot.availability ? null : slot.id,
+      coachId: coach.id,
+      studentId,
+      childId: child?.id || enrollment?.childId,
+      enrollmentId: enrollment?.id,
+      courseId: courseId || enrollment?.courseId,
+      sessionDate: new Date(sessionDate),
+      title,
+      description,
+      duration: parseInt(duration),
+      sessionType: sessionType?.toUpperCase() || 'ONE_ON_ONE',
+      price: parseFloat(price),
+      notes,
+      paymentId,
+      seriesId,
+      status: 'PENDING_APPROVAL'
+    },
+    include: {
+      coach: { select: userSelect },
+      student: { select: userSelect },
+      child: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true
+        }
+      },
+      course: {
+        select: {
+          id: true,
+          title: true
+        }
+      },
+      timeSlot: true,
+      exception: true
+    }
+  });
+
+  // Update time slot booking count
+  if (timeSlotId) {
+    await client.timeSlot.update({
+      where: { id: timeSlotId },
+      data: {
+        currentBookings: {
+          increment: 1
+        }
+      }
+    });
+  }
+
+  if (!notify) {
+    return scheduledSession;
+  }
+
+  const sessionDetails = {
+    title,
+    sessionDate,
+    ...getSessionTimes(scheduledSession, coach.timezone)
+  };
+
+  // Notify coach
+  await notificationService.notify(scheduledSession.coachId, {
+    type: 'SESSION_BOOKED',
+    title: 'New session scheduled',
+    message: `"${title}" on ${new Date(sessionDate).toLocaleDateString()} is waiting for your approval.`,
+    data: { scheduledSessionId: scheduledSession.id },
+    email: {
+      template: 'session_scheduled',
+      data: {
+        ...sessionDetails,
+        role: 'coach',
+        counterpartName: child ? `${child.firstName} ${child.lastName}` : `${scheduledSession.student.firstName} ${scheduledSession.student.lastName}`
+      }
+    }
+  }, client);
+
+  // Notify student
+  await notificationService.notify(scheduledSession.studentId, {
+    type: 'SESSION_BOOKED',
+    title: 'Session scheduled',
+    message: `"${title}" on ${new Date(sessionDate).toLocaleDateString()} is pending approval.`,
+    data: { scheduledSessionId: scheduledSession.id },
+    email: {
+      template: 'session_scheduled',
+      data: {
+        ...sessionDetails,
+        role: 'student',
+        counterpartName: `${scheduledSession.coach.firstName} ${scheduledSession.coach.lastName}`
+      }
+    }
+  }, client);
+
+  return scheduledSession;
+};
+
+export default {
+  resolveBookingTarget,
+  createScheduledSession
+};
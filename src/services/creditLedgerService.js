@@ -0,0 +1,446 @@
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+
+const { Decimal } = Prisma;
+
+// Every balance change goes through this module. Writes run in SERIALIZABLE
+// transactions and debits only apply while the balance still covers them, so
+// concurrent requests cannot overspend. Amounts stay Prisma.Decimal throughout.
+
+const CREDIT_TYPES = ['PURCHASE', 'EARNED', 'BONUS', 'REFUND', 'TRANSFER'];
+const DEBIT_TYPES = ['SPENT', 'EXPIRED', 'TRANSFER'];
+const EARNING_TYPES = ['EARNED', 'BONUS', 'PURCHASE'];
+
+const MAX_SERIALIZATION_RETRIES = 3;
+
+// Normalise an amount to a positive Decimal with two places
+const toAmount = (amount) => {
+  let value;
+  try {
+    value = new Decimal(amount).abs().toDecimalPlaces(2);
+  } catch (error) {
+    throw new ApiError(400, 'Invalid amount');
+  }
+
+  if (value.lte(0)) {
+    throw new ApiError(400, 'Invalid amount');
+  }
+
+  return value;
+};
+
+// Idempotency keys are per user, so two users can send the same key
+export const scopeIdempotencyKey = (userId, idempotencyKey) => {
+  return idempotencyKey ? `${userId}:${idempotencyKey}` : null;
+};
+
+// Run ledger work in a SERIALIZABLE transaction, retrying serialization failures
+export const runLedgerTransaction = async (work) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await prisma.$transaction(work, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+      });
+    } catch (error) {
+      // P2034: write conflict or deadlock, safe to retry from the start
+      if (error.code !== 'P2034' || attempt >= MAX_SERIALIZATION_RETRIES) {
+        throw error;
+      }
+
+      logger.warn(`Credit ledger transaction conflicted, retrying (attempt ${attempt + 1})`);
+      await new Promise(resolve => setTimeout(resolve, 20 * attempt));
+    }
+  }
+};
+
+const ensureBalance = (tx, userId) => {
+  return tx.creditBalance.upsert({
+    where: { userId },
+    update: {},
+    create: { userId }
+  });
+};
+
+// Lots that can still be spent, soonest-to-expire first (non-expiring lots last)
+const spendableLotsQuery = (userId, now = new Date()) => ({
+  where: {
+    userId,
+    remainingAmount: { gt: 0 },
+    expiredAt: null,
+    OR: [
+      { expiresAt: null },
+      { expiresAt: { gt: now } }
+    ]
+  },
+  orderBy: [
+    { expiresAt: { sort: 'asc', nulls: 'last' } },
+    { createdAt: 'asc' }
+  ]
+});
+
+// Draw `amount` credits from a user's lots (FIFO by expiry)
+const consumeLots = async (tx, userId, amount) => {
+  let outstanding = amount;
+  const allocations = [];
+
+  const lots = await tx.creditLot.findMany(spendableLotsQuery(userId));
+
+  for (const lot of lots) {
+    if (outstanding.lte(0)) {
+      break;
+    }
+
+    const taken = Decimal.min(outstanding, lot.remainingAmount);
+
+    const { count } = await tx.creditLot.updateMany({
+      where: { id: lot.id, remainingAmount: { gte: taken } },
+      data: { remainingAmount: { decrement: taken } }
+    });
+
+    if (count === 0) {
+      continue;
+    }
+
+    allocations.push({ lotId: lot.id, amount: taken.toFixed(2), expiresAt: lot.expiresAt });
+    outstanding = outstanding.minus(taken);
+  }
+
+  if (outstanding.gt(0)) {
+    throw new ApiError(400, 'Insufficient credits');
+  }
+
+  return allocations;
+};
+
+// Credits moved on from a debit (refunds, transfers) keep the expiry of the lots
+// they were drawn from; if any of those lots never expires, neither do they
+export const expiryOfLots = (allocations = []) => {
+  if (!allocations.length || allocations.some(lot => !lot.expiresAt)) {
+    return null;
+  }
+
+  return new Date(Math.max(...allocations.map(lot => new Date(lot.expiresAt).getTime())));
+};
+
+// Add credits inside an existing ledger transaction. Opens a new lot.
+export const applyCredit = async (tx, {
+  userId, amount, type, description, referenceId, referenceType, metadata = {}, expiresAt = null, idempotencyKey
+}) => {
+  const value = toAmount(amount);
+  const transactionType = type.toUpperCase();
+
+  if (!CREDIT_TYPES.includes(transactionType)) {
+    throw new ApiError(400, 'Invalid transaction type');
+  }
+
+  await ensureBalance(tx, userId);
+
+  const creditBalance = await tx.creditBalance.update({
+    where: { userId },
+    data: {
+      balance: { increment: value },
+      ...(EARNING_TYPES.includes(transactionType) && { totalEarned: { increment: value } }),
+      lastUpdated: new Date()
+    }
+  });
+
+  const lot = await tx.creditLot.create({
+    data: {
+      userId,
+      sourceType: transactionType,
+      sourceId: referenceId,
+      originalAmount: value,
+      remainingAmount: value,
+      expiresAt
+    }
+  });
+
+  const transaction = await tx.creditTransaction.create({
+    data: {
+      userId,
+      type: transactionType,
+      amount: value,
+      balance: creditBalance.balance,
+      description,
+      referenceId,
+      referenceType,
+      idempotencyKey: scopeIdempotencyKey(userId, idempotencyKey),
+      metadata: { ...metadata, lotId: lot.id }
+    }
+  });
+
+  return { creditBalance, transaction, replayed: false };
+};
+
+// Remove credits inside an existing ledger transaction. Fails if the balance does not cover it.
+export const applyDebit = async (tx, {
+  userId, amount, type, description, referenceId, referenceType, metadata = {}, idempotencyKey
+}) => {
+  const value = toAmount(amount);
+  const transactionType = type.toUpperCase();
+
+  if (!DEBIT_TYPES.includes(transactionType)) {
+    throw new ApiError(400, 'Invalid transaction type');
+  }
+
+  await ensureBalance(tx, userId);
+
+  // Conditional decrement: only applies if the balance still covers the debit
+  const { count } = await tx.creditBalance.updateMany({
+    where: { userId, balance: { gte: value } },
+    data: {
+      balance: { decrement: value },
+      ...(transactionType === 'SPENT' && { totalSpent: { increment: value } }),
+      lastUpdated: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw new ApiError(400, 'Insufficient credits');
+  }
+
+  const lots = await consumeLots(tx, userId, value);
+
+  const creditBalance = await tx.creditBalance.findUnique({
+    where: { userId }
+  });
+
+  const transaction = await tx.creditTransaction.create({
+    data: {
+      userId,
+      type: transactionType,
+      amount: value.negated(),
+      balance: creditBalance.balance,
+      description,
+      referenceId,
+      referenceType,
+      idempotencyKey: scopeIdempotencyKey(userId, idempotencyKey),
+      metadata: { ...metadata, lots }
+    }
+  });
+
+  return { creditBalance, transaction, replayed: false };
+};
+
+// Look up the result of an earlier request made with the same idempotency key
+export const findReplay = async (userId, idempotencyKey) => {
+  const key = scopeIdempotencyKey(userId, idempotencyKey);
+  if (!key) {
+    return null;
+  }
+
+  const transaction = await prisma.creditTransaction.findUnique({
+    where: { idempotencyKey: key }
+  });
+
+  if (!transaction) {
+    return null;
+  }
+
+  const creditBalance = await prisma.creditBalance.findUnique({
+    where: { userId }
+  });
+
+  return { creditBalance, transaction, replayed: true };
+};
+
+// Post a single entry in its own transaction, honouring its idempotency key
+const post = async (apply, entry) => {
+  const replay = await findReplay(entry.userId, entry.idempotencyKey);
+  if (replay) {
+    return replay;
+  }
+
+  try {
+    return await runLedgerTransaction(tx => apply(tx, entry));
+  } catch (error) {
+    // A concurrent request with the same key got there first
+    if (error.code === 'P2002' && entry.idempotencyKey) {
+      const concurrent = await findReplay(entry.userId, entry.idempotencyKey);
+      if (concurrent) {
+        return concurrent;
+      }
+    }
+    throw error;
+  }
+};
+
+export const credit = (entry) => post(applyCredit, entry);
+
+export const debit = (entry) => post(applyDebit, entry);
+
+// Move credits between two users as a paired TRANSFER debit and credit
+export const transfer = async ({ fromUserId, toUserId, amount, description, metadata = {}, idempotencyKey }) => {
+  if (fromUserId === toUserId) {
+    throw new ApiError(400, 'Cannot transfer credits to the same account');
+  }
+
+  const findPair = async (debitTransaction) => ({
+    debit: debitTransaction,
+    credit: await prisma.creditTransaction.findFirst({
+      where: {
+        type: 'TRANSFER',
+        referenceId: debitTransaction.referenceId,
+        userId: { not: debitTransaction.userId }
+      }
+    }),
+    replayed: true
+  });
+
+  const replay = await findReplay(fromUserId, idempotencyKey);
+  if (replay) {
+    return findPair(replay.transaction);
+  }
+
+  const transferId = crypto.randomUUID();
+
+  try {
+    return await runLedgerTransaction(async (tx) => {
+      const { transaction: debitTransaction } = await applyDebit(tx, {
+        userId: fromUserId,
+        amount,
+        type: 'TRANSFER',
+        description,
+        referenceId: transferId,
+        referenceType: 'TRANSFER',
+        metadata: { ...metadata, direction: 'OUT', counterpartyId: toUserId },
+        idempotencyKey
+      });
+
+      const { transaction: creditTransaction } = await applyCredit(tx, {
+        userId: toUserId,
+        amount,
+        type: 'TRANSFER',
+        description,
+        referenceId: transferId,
+        referenceType: 'TRANSFER',
+        metadata: { ...metadata, direction: 'IN', counterpartyId: fromUserId },
+        expiresAt: expiryOfLots(debitTransaction.metadata.lots)
+      });
+
+      return { debit: debitTransaction, credit: creditTransaction, replayed: false };
+    });
+  } catch (error) {
+    // A concurrent request with the same key got there first
+    if (error.code === 'P2002' && idempotencyKey) {
+      const concurrent = await findReplay(fromUserId, idempotencyKey);
+      if (concurrent) {
+        return findPair(concurrent.transaction);
+      }
+    }
+    throw error;
+  }
+};
+
+// Expire whatever is left of one lot and post an EXPIRED transaction for it
+const expireLot = async (lotId, now) => {
+  return runLedgerTransaction(async (tx) => {
+    const lot = await tx.creditLot.findUnique({
+      where: { id: lotId }
+    });
+
+    if (!lot || lot.expiredAt) {
+      return null;
+    }
+
+    await tx.creditLot.update({
+      where: { id: lotId },
+      data: {
+        remainingAmount: 0,
+        expiredAt: now
+      }
+    });
+
+    const creditBalance = await ensureBalance(tx, lot.userId);
+    const expiring = Decimal.min(lot.remainingAmount, creditBalance.balance);
+
+    if (expiring.lte(0)) {
+      return null;
+    }
+
+    const updatedBalance = await tx.creditBalance.update({
+      where: { userId: lot.userId },
+      data: {
+        balance: { decrement: expiring },
+        lastUpdated: now
+      }
+    });
+
+    return tx.creditTransaction.create({
+      data: {
+        userId: lot.userId,
+        type: 'EXPIRED',
+        amount: expiring.negated(),
+        balance: updatedBalance.balance,
+        description: `${expiring.toFixed(2)} credits expired`,
+        referenceId: lot.id,
+        referenceType: 'CREDIT_LOT',
+        idempotencyKey: scopeIdempotencyKey(lot.userId, `lot-expiry:${lot.id}`),
+        metadata: {
+          lotSourceType: lot.sourceType,
+          lotSourceId: lot.sourceId,
+          expiresAt: lot.expiresAt
+        }
+      }
+    });
+  });
+};
+
+// Expire every lot whose expiry has passed. Returns the number of EXPIRED transactions posted.
+export const expireCredits = async (now = new Date()) => {
+  const dueLots = await prisma.creditLot.findMany({
+    where: {
+      expiredAt: null,
+      expiresAt: { lte: now }
+    },
+    select: { id: true },
+    orderBy: { expiresAt: 'asc' }
+  });
+
+  let expiredCount = 0;
+  for (const lot of dueLots) {
+    try {
+      const transaction = await expireLot(lot.id, now);
+      if (transaction) {
+        expiredCount += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to expire credit lot ${lot.id}:`, error);
+    }
+  }
+
+  return expiredCount;
+};
+
+// Spendable lots for a user, in the order they will be consumed
+export const getActiveCreditLots = async (userId) => {
+  return prisma.creditLot.findMany({
+    ...spendableLotsQuery(userId),
+    select: {
+      id: true,
+      sourceType: true,
+      sourceId: true,
+      originalAmount: true,
+      remainingAmount: true,
+      expiresAt: true,
+      createdAt: true
+    }
+  });
+};
+
+export default {
+  scopeIdempotencyKey,
+  runLedgerTransaction,
+  applyCredit,
+  applyDebit,
+  findReplay,
+  expiryOfLots,
+  credit,
+  debit,
+  transfer,
+  expireCredits,
+  getActiveCreditLots
+};
@@ -0,0 +1,133 @@
+import { prisma } from '../config/database.js';
+import logger from '../utils/logger.js';
+import crypto from 'crypto';
+import creditLedgerService from './creditLedgerService.js';
+import giftCodeService from './giftCodeService.js';
+import promoCodeService from './promoCodeService.js';
+
+// Grant the credits of a paid purchase. Only the first caller to move the purchase
+// out of PENDING/FAILED adds credits, so webhook and confirm paths can race safely.
+export const completeCreditPurchase = async (purchaseId) => {
+  const { count } = await prisma.creditPurchase.updateMany({
+    where: {
+      id: purchaseId,
+      status: { in: ['PENDING', 'FAILED'] }
+    },
+    data: { status: 'COMPLETED' }
+  });
+
+  let purchase = await prisma.creditPurchase.findUnique({
+    where: { id: purchaseId }
+  });
+
+  if (count === 0) {
+    return purchase;
+  }
+
+  // The validity window starts when the payment lands, not when checkout began
+  if (purchase.expiresAt) {
+    const validFor = purchase.expiresAt.getTime() - purchase.purchasedAt.getTime();
+    const now = new Date();
+
+    purchase = await prisma.creditPurchase.update({
+      where: { id: purchaseId },
+      data: {
+        purchasedAt: now,
+        expiresAt: new Date(now.getTime() + validFor)
+      }
+    });
+  }
+
+  // Gift purchases pay for a code instead of crediting the buyer
+  const giftCode = await prisma.giftCode.findUnique({
+    where: { purchaseId }
+  });
+
+  if (giftCode) {
+    await giftCodeService.activateGiftCode(purchaseId);
+    logger.info(`Gift credit purchase completed: ${purchase.id} for user ${purchase.userId}`);
+    return purchase;
+  }
+
+  await creditLedgerService.credit({
+    userId: purchase.userId,
+    amount: purchase.credits,
+    type: 'PURCHASE',
+    description: `Purchased ${purchase.packageName} package`,
+    referenceId: purchase.id,
+    referenceType: 'PURCHASE',
+    metadata: {
+      packageId: purchase.packageId,
+      paymentId: purchase.paymentId
+    },
+    expiresAt: purchase.expiresAt,
+    idempotencyKey: `purchase:${purchase.id}`
+  });
+
+  logger.info(`Credit purchase completed: ${purchase.id} for user ${purchase.userId}`);
+
+  return purchase;
+};
+
+// Close a purchase whose payment did not go through
+export const closeCreditPurchase = async (purchaseId, status) => {
+  const { count } = await prisma.creditPurchase.updateMany({
+    where: {
+      id: purchaseId,
+      // A failed attempt can still be retried, so only cancellation closes it for good
+      status: status === 'CANCELLED' ? { in: ['PENDING', 'FAILED'] } : 'PENDING'
+    },
+    data: { status }
+  });
+
+  if (count > 0) {
+    logger.info(`Credit purchase ${purchaseId} marked ${status}`);
+
+    if (status === 'CANCELLED') {
+      await giftCodeService.cancelGiftCode(purchaseId);
+      await promoCodeService.releasePromoRedemption('CREDIT_PURCHASE', purchaseId);
+    }
+  }
+
+  return prisma.creditPurchase.findUnique({
+    where: { id: purchaseId }
+  });
+};
+
+// Grant the same BONUS to many users. Each grant is keyed, so re-running a grant
+// with the same key only credits the users that were missed the first time.
+export const grantBonusCredits = async ({ userIds, amount, description, expiresAt = null, grantedBy, grantKey }) => {
+  const grantId = grantKey || crypto.randomUUID();
+  let granted = 0;
+  let skipped = 0;
+
+  for (const userId of userIds) {
+    const { replayed } = await creditLedgerService.credit({
+      userId,
+      amount,
+      type: 'BONUS',
+      description,
+      referenceId: grantId,
+      referenceType: 'BONUS_GRANT',
+      metadata: { grantId, grantedBy },
+      expiresAt,
+      idempotencyKey: `bonus:${grantId}`
+    });
+
+    if (replayed) {
+      skipped += 1;
+    } else {
+      granted += 1;
+    }
+  }
+
+  logger.info(`Bonus grant ${grantId}: ${amount} credits to ${granted} user(s) by ${grantedBy}`);
+
+  return { grantId, granted, skipped };
+};
+
+export default {
+  completeCreditPurchase,
+  closeCreditPurchase,
+  grantBonusCredits
+};
@@ -0,0 +1,238 @@
+import jwt from 'jsonwebtoken';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { toZonedParts } from '../utils/timezone.js';
+import { enqueueEmail } from './emailOutboxService.js';
+import { DIGEST_FREQUENCIES, resolvePreferences, updatePreferences } from './notificationPreferenceService.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PERIODS = {
+  DAILY: DAY,
+  WEEKLY: 7 * DAY
+};
+
+// Digests go out at this hour of the user's local day (0-23)
+const DIGEST_HOUR = Number.isNaN(parseInt(process.env.DIGEST_HOUR)) ? 8 : parseInt(process.env.DIGEST_HOUR);
+
+// Weekly digests go out on this local day, numbered like CoachAvailability.dayOfWeek (1 = Monday)
+const WEEKLY_DIGEST_DAY = 1;
+
+// Upcoming sessions listed in one digest
+const UPCOMING_LIMIT = 10;
+
+// Signed with a key of its own so an unsubscribe link can never pass as an access token
+const UNSUBSCRIBE_SECRET = `${process.env.JWT_SECRET}:digest-unsubscribe`;
+
+// Whether a user's digest should go out in this hourly run: at DIGEST_HOUR in their
+// timezone (on Mondays for weekly ones), and not if one already went out this period.
+// The couple of hours of slack covers DST changes and late job runs.
+export const isDigestDue = (user, frequency, now = new Date()) => {
+  const period = PERIODS[frequency];
+
+  if (!period) {
+    return false;
+  }
+
+  const { hour, dayOfWeek } = toZonedParts(now, user.timezone);
+
+  if (hour !== DIGEST_HOUR || (frequency === 'WEEKLY' && dayOfWeek !== WEEKLY_DIGEST_DAY)) {
+    return false;
+  }
+
+  return !user.lastDigestSentAt || now.getTime() - user.lastDigestSentAt.getTime() > period - 2 * HOUR;
+};
+
+export const createUnsubscribeToken = (userId, digest = 'NONE') => jwt.sign(
+  { userId, purpose: 'digest', digest },
+  UNSUBSCRIBE_SECRET
+);
+
+// Apply the digest setting carried by a link from a digest email
+export const unsubscribe = async (token) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, UNSUBSCRIBE_SECRET);
+  } catch (error) {
+    throw new ApiError(400, 'Invalid unsubscribe link');
+  }
+
+  if (payload.purpose !== 'digest' || !DIGEST_FREQUENCIES.includes(payload.digest)) {
+    throw new ApiError(400, 'Invalid unsubscribe link');
+  }
+
+  return updatePreferences(payload.userId, { digest: payload.digest });
+};
+
+const sessionSelect = {
+  id: true,
+  title: true,
+  sessionDate: true,
+  coachId: true,
+  coach: { select: { firstName: true, lastName: true } },
+  student: { select: { firstName: true, lastName: true } }
+};
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+// What happened since `since` and what is coming up before `until`, for one user.
+// Admins get the approval queue; coaches and parents get their own sessions, reviews and credits.
+export const buildDigest = async (user, { since, now, until }, client = prisma) => {
+  if (user.role === 'ADMIN') {
+    const [sessions, coaches, availabilityUpdates] = await Promise.all([
+      client.scheduledSession.count({ where: { status: 'PENDING_APPROVAL' } }),
+      client.coach.count({ where: { status: 'PENDING' } }),
+      client.availabilityVersion.count({ where: { createdAt: { gte: since } } })
+    ]);
+
+    return {
+      pendingApprovals: sessions + coaches + availabilityUpdates ? { sessions, coaches, availabilityUpdates } : null,
+      upcomingSessions: [],
+      reviews: null,
+      credits: null
+    };
+  }
+
+  const participant = { OR: [{ coachId: user.id }, { studentId: user.id }] };
+
+  const [pendingSessions, upcoming, reviews, creditChange, balance] = await Promise.all([
+    client.scheduledSession.count({ where: { ...participant, status: 'PENDING_APPROVAL' } }),
+    client.scheduledSession.findMany({
+      where: { ...participant, status: 'APPROVED', sessionDate: { gte: now, lt: until } },
+      select: sessionSelect,
+      orderBy: { sessionDate: 'asc' },
+      take: UPCOMING_LIMIT
+    }),
+    client.review.findMany({
+      where: { coachId: user.id, createdAt: { gte: since } },
+      select: { rating: true, comment: true, reviewer: { select: { firstName: true } } },
+      orderBy: { createdAt: 'desc' }
+    }),
+    client.creditTransaction.aggregate({
+      where: { userId: user.id, createdAt: { gte: since } },
+      _sum: { amount: true },
+      _count: { _all: true }
+    }),
+    client.creditBalance.findUnique({ where: { userId: user.id }, select: { balance: true } })
+  ]);
+
+  return {
+    pendingApprovals: pendingSessions ? { sessions: pendingSessions, coaches: 0, availabilityUpdates: 0 } : null,
+    upcomingSessions: upcoming.map(session => ({
+      title: session.title,
+      sessionDate: session.sessionDate,
+      startTime: toZonedParts(session.sessionDate, user.timezone).time,
+      counterpartName: session.coachId === user.id ? fullName(session.student) : fullName(session.coach)
+    })),
+    reviews: reviews.length
+      ? {
+          count: reviews.length,
+          averageRating: Math.round(reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length * 10) / 10,
+          latest: reviews.slice(0, 3).map(review => ({ reviewerName: review.reviewer.firstName, rating: review.rating, comment: review.comment }))
+        }
+      : null,
+    credits: creditChange._count._all
+      ? {
+          transactions: creditChange._count._all,
+          change: Number(creditChange._sum.amount),
+          balance: Number(balance?.balance || 0)
+        }
+      : null
+  };
+};
+
+const isEmptyDigest = (digest) => !digest.pendingApprovals && !digest.upcomingSessions.length && !digest.reviews && !digest.credits;
+
+// Build and queue one user's digest. The user's lastDigestSentAt is claimed in the same
+// transaction as the email, so overlapping runs never send a period's digest twice.
+// Returns the queued email, or null if someone else claimed it or there was nothing to report.
+export const sendDigest = async (user, frequency, now = new Date()) => {
+  const period = PERIODS[frequency];
+  const since = user.lastDigestSentAt || new Date(now.getTime() - period);
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.user.updateMany({
+      where: { id: user.id, lastDigestSentAt: user.lastDigestSentAt },
+      data: { lastDigestSentAt: now }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const digest = await buildDigest(user, { since, now, until: new Date(now.getTime() + period) }, tx);
+
+    if (isEmptyDigest(digest)) {
+      return null;
+    }
+
+    return enqueueEmail({
+      to: user.email,
+      template: 'digest',
+      data: {
+        firstName: user.firstName,
+        frequency,
+        since,
+        ...digest,
+        unsubscribeToken: createUnsubscribeToken(user.id, 'NONE'),
+        weeklyToken: frequency === 'DAILY' ? createUnsubscribeToken(user.id, 'WEEKLY') : null
+      },
+      language: user.language
+    }, tx);
+  });
+};
+
+// Queue the digests that are due this hour. Returns how many were queued.
+export const sendDueDigests = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: {
+      isActive: true,
+      OR: ['DAILY', 'WEEKLY'].map(frequency => ({
+        preferences: { path: ['notifications', 'digest'], equals: frequency }
+      }))
+    },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      role: true,
+      language: true,
+      timezone: true,
+      preferences: true,
+      lastDigestSentAt: true
+    }
+  });
+
+  let queued = 0;
+
+  for (const user of users) {
+    const { digest: frequency } = resolvePreferences(user.preferences);
+
+    if (!isDigestDue(user, frequency, now)) {
+      continue;
+    }
+
+    try {
+      const email = await sendDigest(user, frequency, now);
+      if (email) {
+        queued += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to queue ${frequency.toLowerCase()} digest for ${user.id}:`, error);
+    }
+  }
+
+  return queued;
+};
+
+export default {
+  isDigestDue,
+  buildDigest,
+  sendDigest,
+  sendDueDigests,
+  createUnsubscribeToken,
+  unsubscribe
+};
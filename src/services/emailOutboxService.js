@@ -0,0 +1,220 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { renderEmail } from './emailTemplateService.js';
+import { getTransport } from './emailTransportService.js';
+
+const MINUTE = 60 * 1000;
+
+// An email that keeps failing is marked FAILED after this many tries
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 5;
+
+// First retry after this many minutes, doubling after each failure
+const RETRY_BASE_MINUTES = parseFloat(process.env.EMAIL_OUTBOX_RETRY_MINUTES) || 1;
+
+// A SENDING row this old belongs to a worker that died mid-send and is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+const BATCH_SIZE = 50;
+
+export const retryDelay = (attempts) => RETRY_BASE_MINUTES * MINUTE * 2 ** (attempts - 1);
+
+// Queue an email for delivery. Pass the transaction client so the email is only
+// sent if the change it describes commits. Either a registry `template` (rendered
+// now in `language`) or a ready `subject`/`html`/`text`. `sendAt` delays it.
+export const enqueueEmail = async ({ to, template, data = {}, language, subject, html, text, sendAt }, client = prisma) => {
+  if (!to) {
+    return null;
+  }
+
+  const content = template
+    ? renderEmail(template, data, { language })
+    : { subject, html, text, language: null };
+
+  return client.emailOutbox.create({
+    data: {
+      to,
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      template: template || null,
+      language: content.language,
+      ...(sendAt && { nextAttemptAt: sendAt })
+    }
+  });
+};
+
+// Try to deliver one outbox email. The row is claimed (PENDING -> SENDING) first so
+// overlapping workers never send it twice. Returns the updated row, or null if it
+// was not due or someone else has it.
+export const deliverEmail = async (emailId, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - STALE_SENDING_MINUTES * MINUTE);
+
+  const { count } = await prisma.emailOutbox.updateMany({
+    where: {
+      id: emailId,
+      OR: [
+        { status: 'PENDING', nextAttemptAt: { lte: now } },
+        { status: 'SENDING', updatedAt: { lt: staleBefore } }
+      ]
+    },
+    data: {
+      status: 'SENDING',
+      attempts: { increment: 1 }
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const email = await prisma.emailOutbox.findUnique({ where: { id: emailId } });
+  let transport = null;
+
+  // A misconfigured transport fails the attempt like a send error, so the row is retried
+  try {
+    transport = getTransport();
+    const { messageId } = await transport.send({
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text
+    });
+
+    logger.info(`Email ${email.id} sent to ${email.to} via ${transport.name}`, { messageId });
+
+    return prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: {
+        status: 'SENT',
+        sentAt: new Date(),
+        transport: transport.name,
+        providerMessageId: messageId || null,
+        lastError: null
+      }
+    });
+  } catch (error) {
+    const giveUp = email.attempts >= MAX_ATTEMPTS;
+
+    logger.error(`Failed to send email ${email.id} to ${email.to} (attempt ${email.attempts}/${MAX_ATTEMPTS}):`, error);
+
+    return prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: {
+        status: giveUp ? 'FAILED' : 'PENDING',
+        nextAttemptAt: giveUp ? email.nextAttemptAt : new Date(now.getTime() + retryDelay(email.attempts)),
+        transport: transport?.name ?? null,
+        lastError: error.message
+      }
+    });
+  }
+};
+
+// Deliver every email that is due, oldest first
+export const deliverPendingEmails = async (now = new Date()) => {
+  const due = await prisma.emailOutbox.findMany({
+    where: {
+      OR: [
+        { status: 'PENDING', nextAttemptAt: { lte: now } },
+        { status: 'SENDING', updatedAt: { lt: new Date(now.getTime() - STALE_SENDING_MINUTES * MINUTE) } }
+      ]
+    },
+    select: { id: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let sent = 0;
+
+  for (const { id } of due) {
+    const email = await deliverEmail(id, now);
+    if (email?.status === 'SENT') {
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+// Outbox emails for the admin view, newest first
+export const listEmails = async ({ status, to, page = 1, limit = 20 } = {}) => {
+  const where = {};
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (to) {
+    where.to = { contains: to, mode: 'insensitive' };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [emails, total] = await Promise.all([
+    prisma.emailOutbox.findMany({
+      where,
+      select: {
+        id: true,
+        to: true,
+        subject: true,
+        template: true,
+        language: true,
+        status: true,
+        attempts: true,
+        nextAttemptAt: true,
+        lastError: true,
+        transport: true,
+        sentAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit
+    }),
+    prisma.emailOutbox.count({ where })
+  ]);
+
+  return {
+    emails,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Put a failed email back in the queue with a fresh set of attempts and try it straight away
+export const resendEmail = async (emailId) => {
+  const email = await prisma.emailOutbox.findUnique({ where: { id: emailId } });
+
+  if (!email) {
+    throw new ApiError(404, 'Email not found');
+  }
+
+  if (email.status !== 'FAILED') {
+    throw new ApiError(400, `Only failed emails can be resent, this one is ${email.status.toLowerCase()}`);
+  }
+
+  await prisma.emailOutbox.update({
+    where: { id: emailId },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      nextAttemptAt: new Date()
+    }
+  });
+
+  // null when the outbox job picked it up first
+  return await deliverEmail(emailId) || prisma.emailOutbox.findUnique({ where: { id: emailId } });
+};
+
+export default {
+  enqueueEmail,
+  deliverEmail,
+  deliverPendingEmails,
+  listEmails,
+  resendEmail,
+  retryDelay
+};
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import ApiError from '../utils/ApiError.js';
+
+// Templates live in src/templates/email/<name>/: meta.json (header accent and preview
+// sample data, whose keys are also the fields the template reads), then per language
+// <lang>.json (subject and header text), <lang>.html and <lang>.txt. They are lodash
+// templates: <%- value %> escapes, <%= value %> does not and is only for trusted markup
+// such as partials.
+const TEMPLATE_ROOT = path.join(process.cwd(), 'src/templates/email');
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const {
+  FRONTEND_URL = 'http://localhost:5173',
+  SUPPORT_EMAIL = 'support@luminary.com'
+} = process.env;
+
+// Header gradient and subtitle colours
+const ACCENTS = {
+  purple: { from: '#667eea', to: '#764ba2', muted: '#e2e8f0', link: '#4299e1' },
+  green: { from: '#48bb78', to: '#38a169', muted: '#c6f6d5', link: '#48bb78' },
+  orange: { from: '#ed8936', to: '#dd6b20', muted: '#fed7aa', link: '#ed8936' },
+  blue: { from: '#4299e1', to: '#3182ce', muted: '#bee3f8', link: '#4299e1' }
+};
+
+const RESERVED_DIRECTORIES = ['layouts', 'partials'];
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Text templates go through the same compiler with escaping switched off
+const textImports = { _: { ..._, escape: toText } };
+
+const cache = new Map();
+
+const readFile = (...segments) => {
+  const file = path.join(TEMPLATE_ROOT, ...segments);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+};
+
+const compile = (format, ...segments) => {
+  const key = `${format}:${segments.join('/')}`;
+
+  if (!cache.has(key)) {
+    const source = readFile(...segments);
+    cache.set(key, source === null
+      ? null
+      : _.template(source, format === 'html' ? {} : { imports: textImports }));
+  }
+
+  return cache.get(key);
+};
+
+const readJson = (...segments) => {
+  const source = readFile(...segments);
+  return source === null ? null : JSON.parse(source);
+};
+
+const templateExists = (name) => !RESERVED_DIRECTORIES.includes(name)
+  && /^[a-z0-9_]+$/.test(name)
+  && fs.existsSync(path.join(TEMPLATE_ROOT, name, 'meta.json'));
+
+const languagesOf = (name) => fs.readdirSync(path.join(TEMPLATE_ROOT, name))
+  .filter(file => /^[a-z]{2}\.json$/.test(file))
+  .map(file => file.slice(0, 2));
+
+// "es-MX" and "ES" both resolve to "es"; fall back to English when there is no translation
+const resolveLanguage = (name, language) => {
+  const requested = toText(language).toLowerCase().split(/[-_]/)[0];
+  return languagesOf(name).includes(requested) ? requested : DEFAULT_LANGUAGE;
+};
+
+const helpers = (format, language, accent) => ({
+  language,
+  accent,
+  frontendUrl: FRONTEND_URL,
+  supportEmail: SUPPORT_EMAIL,
+  formatDate: (value) => (value ? new Date(value).toLocaleDateString(language) : ''),
+  // Render partials/<name>.<format> with its own data
+  include: (partial, data = {}) => {
+    const render = compile(format, 'partials', `${partial}.${format}`);
+    if (!render) {
+      throw new Error(`Unknown email partial: ${partial}`);
+    }
+    return render({ ...helpers(format, language, accent), ...data });
+  }
+});
+
+// Render a template to { subject, html, text } in the user's language
+export const renderEmail = (name, data = {}, { language } = {}) => {
+  if (!templateExists(name)) {
+    throw new ApiError(404, `Email template not found: ${name}`);
+  }
+
+  const meta = readJson(name, 'meta.json');
+  const lang = resolveLanguage(name, language);
+  const strings = readJson(name, `${lang}.json`);
+  const layoutStrings = readJson('layouts', `${lang}.json`) || readJson('layouts', `${DEFAULT_LANGUAGE}.json`);
+  const accent = ACCENTS[meta.accent] || ACCENTS.purple;
+
+  // Optional fields the caller left out are null rather than undefined variables
+  const values = { ..._.mapValues(meta.sampleData, () => null), ...data };
+  const scope = (format) => ({ ...helpers(format, lang, accent), ...values });
+
+  const renderText = (source) => _.template(source, { imports: textImports })(scope('txt'));
+
+  const subject = renderText(strings.subject);
+  const header = {
+    heading: renderText(strings.heading),
+    subheading: strings.subheading ? renderText(strings.subheading) : ''
+  };
+
+  const render = (format) => {
+    const body = compile(format, name, `${lang}.${format}`)(scope(format));
+    const layout = compile(format, 'layouts', `base.${format}`);
+
+    const output = layout({
+      ...helpers(format, lang, accent),
+      ...layoutStrings,
+      ...header,
+      body
+    }).trim();
+
+    // Conditional blocks leave runs of blank lines behind in the plain-text version
+    return format === 'txt' ? output.replace(/\n\s*\n\s*\n/g, '\n\n') : output;
+  };
+
+  return {
+    subject,
+    html: render('html'),
+    text: render('txt'),
+    language: lang
+  };
+};
+
+// Every template with its languages and preview sample data
+export const listTemplates = () => fs.readdirSync(TEMPLATE_ROOT)
+  .filter(templateExists)
+  .sort()
+  .map(name => ({
+    name,
+    description: readJson(name, 'meta.json').description,
+    languages: languagesOf(name),
+    sampleData: readJson(name, 'meta.json').sampleData || {}
+  }));
+
+// Render a template with its sample data, optionally overridden
+export const previewEmail = (name, { language, data = {} } = {}) => {
+  if (!templateExists(name)) {
+    throw new ApiError(404, `Email template not found: ${name}`);
+  }
+
+  const { sampleData = {} } = readJson(name, 'meta.json');
+
+  return renderEmail(name, { ...sampleData, ...data }, { language });
+};
+
+export default {
+  DEFAULT_LANGUAGE,
+  renderEmail,
+  listTemplates,
+  previewEmail
+};
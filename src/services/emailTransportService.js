@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { Resend } from 'resend';
+
+const {
+  EMAIL_TRANSPORT,
+  EMAIL_CAPTURE_DIR = 'tmp/emails',
+  RESEND_API_KEY,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+  FROM_EMAIL = 'noreply@luminary.com',
+  FROM_NAME = 'Luminary'
+} = process.env;
+
+export const DEFAULT_FROM = `${FROM_NAME} <${FROM_EMAIL}>`;
+
+// Every transport takes { to, subject, html, text } and resolves to { messageId },
+// throwing when the provider rejects the email so the outbox can retry it.
+
+const createResendTransport = () => {
+  const resend = new Resend(RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    async send({ to, subject, html, text }) {
+      const { data, error } = await resend.emails.send({
+        from: DEFAULT_FROM,
+        to: [to],
+        subject,
+        html,
+        ...(text && { text })
+      });
+
+      if (error) {
+        throw new Error(error.message || 'Resend rejected the email');
+      }
+
+      return { messageId: data?.id };
+    },
+    async verify() {
+      return Boolean(RESEND_API_KEY);
+    }
+  };
+};
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST || 'smtp.gmail.com',
+    port: parseInt(SMTP_PORT) || 587,
+    secure: false, // true for 465, false for other ports
+    auth: {
+      user: SMTP_USER,
+      pass: SMTP_PASS
+    },
+    tls: {
+      rejectUnauthorized: false
+    }
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, html, text }) {
+      const result = await transporter.sendMail({ from: DEFAULT_FROM, to, subject, html, text });
+      return { messageId: result.messageId };
+    },
+    verify: () => transporter.verify()
+  };
+};
+
+// Writes each email to EMAIL_CAPTURE_DIR as JSON plus an .html file to open in a browser
+const createFileTransport = () => ({
+  name: 'file',
+  async send(email) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const directory = path.join(process.cwd(), EMAIL_CAPTURE_DIR);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await Promise.all([
+      fs.promises.writeFile(path.join(directory, `${messageId}.json`), JSON.stringify({ from: DEFAULT_FROM, ...email }, null, 2)),
+      fs.promises.writeFile(path.join(directory, `${messageId}.html`), email.html)
+    ]);
+
+    return { messageId };
+  },
+  async verify() {
+    return true;
+  }
+});
+
+// Keeps emails in `sent` so tests can assert on them
+const createMemoryTransport = () => ({
+  name: 'memory',
+  sent: [],
+  async send(email) {
+    const messageId = `memory-${this.sent.length + 1}`;
+    this.sent.push({ messageId, from: DEFAULT_FROM, ...email });
+    return { messageId };
+  },
+  async verify() {
+    return true;
+  }
+});
+
+const factories = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+export const TRANSPORTS = Object.keys(factories);
+
+// EMAIL_TRANSPORT picks the transport; without it tests capture in memory and
+// everything else uses Resend when it is configured, SMTP otherwise
+const resolveTransportName = () => {
+  if (EMAIL_TRANSPORT) {
+    return EMAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'memory';
+  }
+
+  return RESEND_API_KEY ? 'resend' : 'smtp';
+};
+
+let transport;
+
+export const getTransport = () => {
+  if (!transport) {
+    const name = resolveTransportName();
+
+    if (!factories[name]) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}", expected one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    transport = factories[name]();
+  }
+
+  return transport;
+};
+
+export default {
+  DEFAULT_FROM,
+  TRANSPORTS,
+  getTransport
+};
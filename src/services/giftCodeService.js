@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import emailService from './emailService.js';
+import creditLedgerService from './creditLedgerService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Gift codes can be redeemed for this many days after payment
+const GIFT_CODE_VALID_DAYS = parseInt(process.env.GIFT_CODE_VALID_DAYS) || 365;
+
+// No 0/O or 1/I, so codes survive being read out or typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = () => {
+  const groups = Array.from({ length: 3 }, () =>
+    Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')
+  );
+  return `LUM-${groups.join('-')}`;
+};
+
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+// Create the (not yet usable) gift code that a pending purchase will pay for
+export const createGiftCodeForPurchase = async (creditPurchase, { creditValidDays, recipientEmail, message }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await prisma.giftCode.create({
+        data: {
+          code: generateCode(),
+          purchaserId: creditPurchase.userId,
+          purchaseId: creditPurchase.id,
+          credits: creditPurchase.credits,
+          creditValidDays,
+          recipientEmail,
+          message
+        }
+      });
+    } catch (error) {
+      // Retry the rare code collision
+      if (error.code !== 'P2002' || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Make a paid gift code redeemable and queue the recipient's email in the same transaction
+export const activateGiftCode = async (purchaseId) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.giftCode.updateMany({
+      where: { purchaseId, status: 'PENDING_PAYMENT' },
+      data: {
+        status: 'ACTIVE',
+        expiresAt: new Date(Date.now() + GIFT_CODE_VALID_DAYS * DAY)
+      }
+    });
+
+    const giftCode = await tx.giftCode.findUnique({
+      where: { purchaseId },
+      include: {
+        purchaser: {
+          select: { firstName: true, lastName: true }
+        }
+      }
+    });
+
+    if (count === 0) {
+      return giftCode;
+    }
+
+    logger.info(`Gift code activated: ${giftCode.id} for purchase ${purchaseId}`);
+
+    if (giftCode.recipientEmail) {
+      await emailService.sendTemplate({
+        to: giftCode.recipientEmail,
+        template: 'gift_code_received',
+        data: {
+          purchaserName: `${giftCode.purchaser.firstName} ${giftCode.purchaser.lastName}`,
+          credits: giftCode.credits,
+          message: giftCode.message,
+          code: giftCode.code,
+          expiresAt: giftCode.expiresAt
+        }
+      }, tx);
+    }
+
+    return giftCode;
+  });
+};
+
+// Void the gift code of a purchase that was never paid
+export const cancelGiftCode = async (purchaseId) => {
+  return prisma.giftCode.updateMany({
+    where: { purchaseId, status: 'PENDING_PAYMENT' },
+    data: { status: 'CANCELLED' }
+  });
+};
+
+// Redeem a gift code into the user's balance. A code can only be redeemed once.
+export const redeemGiftCode = async (code, userId) => {
+  const now = new Date();
+
+  return creditLedgerService.runLedgerTransaction(async (tx) => {
+    const giftCode = await tx.giftCode.findUnique({
+      where: { code: normalizeCode(code) }
+    });
+
+    if (!giftCode || giftCode.status === 'PENDING_PAYMENT' || giftCode.status === 'CANCELLED') {
+      throw new ApiError(404, 'Gift code not found');
+    }
+
+    if (giftCode.status === 'REDEEMED') {
+      throw new ApiError(400, 'Gift code has already been redeemed');
+    }
+
+    if (giftCode.expiresAt && giftCode.expiresAt <= now) {
+      throw new ApiError(400, 'Gift code has expired');
+    }
+
+    const { count } = await tx.giftCode.updateMany({
+      where: { id: giftCode.id, status: 'ACTIVE' },
+      data: {
+        status: 'REDEEMED',
+        redeemedById: userId,
+        redeemedAt: now
+      }
+    });
+
+    if (count === 0) {
+      throw new ApiError(400, 'Gift code has already been redeemed');
+    }
+
+    const { creditBalance, transaction } = await creditLedgerService.applyCredit(tx, {
+      userId,
+      amount: giftCode.credits,
+      type: 'TRANSFER',
+      description: 'Redeemed gift code',
+      referenceId: giftCode.id,
+      referenceType: 'GIFT_CODE',
+      metadata: {
+        giftCodeId: giftCode.id,
+        purchaserId: giftCode.purchaserId,
+        purchaseId: giftCode.purchaseId
+      },
+      expiresAt: giftCode.creditValidDays ? new Date(now.getTime() + giftCode.creditValidDays * DAY) : null
+    });
+
+    return { giftCode: { ...giftCode, status: 'REDEEMED', redeemedById: userId, redeemedAt: now }, creditBalance, transaction };
+  });
+};
+
+export default {
+  createGiftCodeForPurchase,
+  activateGiftCode,
+  cancelGiftCode,
+  redeemGiftCode
+};
@@ -0,0 +1,654 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import {
+  ACTIVE_BOOKING_STATUSES,
+  ACTIVE_GROUP_STATUSES,
+  assertBookable,
+  resolveBookingOccurrence,
+  getSessionInterval,
+  getSessionTimes
+} from './availabilityService.js';
+import creditLedgerService from './creditLedgerService.js';
+import { assertNoConflicts } from './bookingConflictService.js';
+import refundService from './refundService.js';
+import notificationService from './notificationService.js';
+import sessionReminderService from './sessionReminderService.js';
+import { offerFreedCapacity } from './waitlistService.js';
+import { toZonedParts } from '../utils/timezone.js';
+
+const { Decimal } = Prisma;
+
+const HOUR = 60 * 60 * 1000;
+
+// When seats stop being taken, unless the coach sets a deadline of their own
+const DEADLINE_HOURS = Number.isNaN(parseInt(process.env.GROUP_SESSION_DEADLINE_HOURS)) ? 24 : parseInt(process.env.GROUP_SESSION_DEADLINE_HOURS);
+
+export const GROUP_SESSION_DEADLINE_HOURS = DEADLINE_HOURS;
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true
+};
+
+const coachSelect = {
+  ...userSelect,
+  timezone: true
+};
+
+// The roster: every seat still taken, with who pays for it and who attends
+const rosterInclude = {
+  seats: {
+    where: { status: { in: ACTIVE_BOOKING_STATUSES } },
+    orderBy: { createdAt: 'asc' },
+    select: {
+      id: true,
+      status: true,
+      createdAt: true,
+      student: { select: { ...userSelect, email: true } },
+      child: { select: userSelect }
+    }
+  }
+};
+
+// Enough of each seat's parent to notify them in their own timezone
+const attendeeTimezone = { student: { select: { timezone: true } } };
+
+const seatsTaken = {
+  _count: {
+    select: {
+      seats: { where: { status: { in: ACTIVE_BOOKING_STATUSES } } }
+    }
+  }
+};
+
+const withSeatCounts = ({ _count, ...group }) => ({
+  ...group,
+  seatsTaken: _count.seats,
+  seatsLeft: group.maxSeats - _count.seats
+});
+
+const canManage = (group, user) => user.role === 'ADMIN' || group.coachId === user.id;
+
+// The group time slot or extra hours a coach runs a group session in
+const loadGroupWindow = async (coachId, { timeSlotId, exceptionId }, client) => {
+  if (!timeSlotId === !exceptionId) {
+    throw new ApiError(400, 'Give either a time slot or extra hours');
+  }
+
+  const window = timeSlotId
+    ? await client.timeSlot.findUnique({
+      where: { id: timeSlotId },
+      include: { availability: { include: { coach: { select: coachSelect } } } }
+    })
+    : await client.availabilityException.findUnique({
+      where: { id: exceptionId },
+      include: { coach: { select: coachSelect } }
+    });
+
+  const coach = window && (window.availability ? window.availability.coach : window.coach);
+
+  if (!window || coach.id !== coachId || (window.type && window.type !== 'EXTRA_HOURS')) {
+    throw new ApiError(404, timeSlotId ? 'Time slot not found' : 'Extra hours not found');
+  }
+
+  if (window.availability && (!window.isAvailable || !window.availability.isActive || window.availability.retiredAt)) {
+    throw new ApiError(400, 'Time slot is not available');
+  }
+
+  if (window.sessionType !== 'GROUP') {
+    throw new ApiError(400, 'Group sessions run in group time slots');
+  }
+
+  return { window, coach };
+};
+
+// Put a group session on the coach's calendar. It takes the time like a booking would, and
+// takes up to the slot's `maxBookings` seats at `seatPrice` each (the slot's price by default).
+export const createGroupSession = async (coachId, data, now = new Date()) => prisma.$transaction(async (tx) => {
+  const { window, coach } = await loadGroupWindow(coachId, data, tx);
+  const sessionDate = new Date(data.sessionDate);
+  const duration = parseInt(data.duration);
+  const maxSeats = data.maxSeats ? parseInt(data.maxSeats) : window.maxBookings;
+  const minSeats = data.minSeats ? parseInt(data.minSeats) : 1;
+  const seatPrice = data.seatPrice ?? window.price;
+  const enrollmentDeadline = data.enrollmentDeadline
+    ? new Date(data.enrollmentDeadline)
+    : new Date(sessionDate.getTime() - DEADLINE_HOURS * HOUR);
+
+  if (seatPrice === undefined || seatPrice === null) {
+    throw new ApiError(400, 'Seat price is required for times without a set price');
+  }
+
+  if (maxSeats > window.maxBookings) {
+    throw new ApiError(400, `This time slot takes at most ${window.maxBookings} attendees`);
+  }
+
+  if (minSeats > maxSeats) {
+    throw new ApiError(400, 'Minimum seats cannot be more than the maximum');
+  }
+
+  if (enrollmentDeadline <= now || enrollmentDeadline > sessionDate) {
+    throw new ApiError(400, 'The enrollment deadline must be in the future and no later than the session');
+  }
+
+  resolveBookingOccurrence(window, { sessionDate, duration, timezone: coach.timezone, now });
+  // No slot is shared: a group session takes the time on its own
+  await assertNoConflicts({ coachId, ...getSessionInterval({ sessionDate, duration }) }, tx);
+  await assertBookable(window, { sessionDate, duration, now }, tx);
+
+  const group = await tx.groupSession.create({
+    data: {
+      coachId,
+      timeSlotId: window.availability ? window.id : null,
+      exceptionId: window.availability ? null : window.id,
+      courseId: data.courseId,
+      title: data.title,
+      description: data.description,
+      sessionDate,
+      duration,
+      seatPrice: new Decimal(seatPrice),
+      minSeats,
+      maxSeats,
+      enrollmentDeadline,
+      meetingUrl: data.meetingUrl
+    },
+    include: seatsTaken
+  });
+
+  return withSeatCounts(group);
+});
+
+// Upcoming group sessions. Parents see the ones still taking seats; coaches see their own
+// in any status, and admins everyone's.
+export const listGroupSessions = async (user, { coachId, status, from, to } = {}, now = new Date()) => {
+  const where = {
+    sessionDate: { gte: from ? new Date(from) : now, ...(to && { lte: new Date(to) }) }
+  };
+
+  if (user.role === 'COACH') {
+    where.coachId = user.id;
+    if (status) {
+      where.status = status;
+    }
+  } else {
+    if (coachId) {
+      where.coachId = coachId;
+    }
+    where.status = user.role === 'ADMIN' && status ? status : { in: ACTIVE_GROUP_STATUSES };
+  }
+
+  const groups = await prisma.groupSession.findMany({
+    where,
+    include: {
+      ...seatsTaken,
+      coach: { select: userSelect }
+    },
+    orderBy: { sessionDate: 'asc' }
+  });
+
+  return groups.map(withSeatCounts);
+};
+
+// A group session with its roster for its coach and admins, or with the caller's own seats for parents
+export const getGroupSession = async (groupId, user) => {
+  const group = await prisma.groupSession.findUnique({
+    where: { id: groupId },
+    include: {
+      ...seatsTaken,
+      ...rosterInclude,
+      coach: { select: userSelect }
+    }
+  });
+
+  if (!group || (user.role === 'COACH' && group.coachId !== user.id)) {
+    throw new ApiError(404, 'Group session not found');
+  }
+
+  const { seats, ...details } = withSeatCounts(group);
+
+  if (canManage(group, user)) {
+    return { ...details, roster: seats };
+  }
+
+  // Parents only see the meeting link through a seat of their own
+  const mySeats = seats.filter(seat => seat.student.id === user.id);
+
+  return {
+    ...details,
+    meetingUrl: mySeats.length ? details.meetingUrl : null,
+    mySeats
+  };
+};
+
+// The calendar day a session falls on in `timezone`, for notification messages
+const sessionDay = (session, timezone) => toZonedParts(session.sessionDate, timezone).date;
+
+// Tell every parent holding a seat, once each, with `build(timezone)` giving the
+// notification in that parent's own timezone. Seats need `student.timezone`.
+const notifyAttendees = async (seats, build, client) => {
+  const timezones = new Map(seats.map(seat => [seat.studentId, seat.student.timezone]));
+
+  for (const [studentId, timezone] of timezones) {
+    await notificationService.notify(studentId, build(timezone), client);
+  }
+};
+
+const notifyConfirmed = async (group, seats, client) => {
+  await notifyAttendees(seats, (timezone) => ({
+    type: 'SESSION_APPROVED',
+    title: 'Group session confirmed',
+    message: `"${group.title}" on ${sessionDay(group, timezone)} has enough attendees and will go ahead.`,
+    data: { groupSessionId: group.id },
+    email: {
+      template: 'group_session_confirmed',
+      data: {
+        title: group.title,
+        sessionDate: group.sessionDate,
+        ...getSessionTimes(group, timezone),
+        coachName: `${group.coach.firstName} ${group.coach.lastName}`,
+        seatsTaken: seats.length,
+        meetingUrl: group.meetingUrl
+      }
+    }
+  }), client);
+
+  await notificationService.notify(group.coachId, {
+    type: 'SESSION_APPROVED',
+    title: 'Group session confirmed',
+    message: `"${group.title}" on ${sessionDay(group, group.coach.timezone)} reached ${seats.length} attendee(s) and will go ahead.`,
+    data: { groupSessionId: group.id }
+  }, client);
+};
+
+// Confirm a group session that has its minimum seats; reminders start for every attendee
+const confirmGroup = async (group, now, client) => {
+  const { count } = await client.groupSession.updateMany({
+    where: { id: group.id, status: 'OPEN' },
+    data: { status: 'CONFIRMED', confirmedAt: now }
+  });
+
+  if (!count) {
+    return;
+  }
+
+  const seats = await client.scheduledSession.findMany({
+    where: { groupSessionId: group.id, status: { in: ACTIVE_BOOKING_STATUSES } },
+    include: attendeeTimezone
+  });
+
+  for (const seat of seats) {
+    await sessionReminderService.scheduleSessionReminders(seat, client);
+  }
+
+  await notifyConfirmed(group, seats, client);
+};
+
+// Cancel a group session and every seat on it. Each seat's credits are refunded under the
+// refund policy for `initiatedBy` (in full when the coach, an admin or the system cancels).
+const cancelGroup = async (group, { reason, initiatedBy, now }, client) => {
+  const { count } = await client.groupSession.updateMany({
+    where: { id: group.id, status: { in: ACTIVE_GROUP_STATUSES } },
+    data: { status: 'CANCELLED', cancelledAt: now, cancellationReason: reason }
+  });
+
+  if (!count) {
+    throw new ApiError(400, 'This group session is no longer active');
+  }
+
+  const seats = await client.scheduledSession.findMany({
+    where: { groupSessionId: group.id, status: { in: ACTIVE_BOOKING_STATUSES } },
+    include: attendeeTimezone
+  });
+
+  const creditRefunds = [];
+  for (const seat of seats) {
+    await client.scheduledSession.update({
+      where: { id: seat.id },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (seat.timeSlotId) {
+      await client.timeSlot.update({
+        where: { id: seat.timeSlotId },
+        data: { currentBookings: { decrement: 1 } }
+      });
+    }
+
+    const creditRefund = await refundService.refundCancelledBooking(client, {
+      referenceId: seat.id,
+      startsAt: seat.sessionDate,
+      initiatedBy,
+      status: seat.status,
+      reason: `Group session "${group.title}" cancelled`
+    });
+
+    if (creditRefund) {
+      creditRefunds.push(creditRefund);
+    }
+  }
+
+  await sessionReminderService.cancelSessionReminders(seats.map(seat => seat.id), client);
+
+  // The coach's time goes to the next parent on the waitlist
+  await offerFreedCapacity(group.coachId, getSessionInterval(group), now, client);
+
+  await notifyAttendees(seats, (timezone) => ({
+    type: 'SESSION_CANCELLED',
+    title: 'Group session cancelled',
+    message: `"${group.title}" on ${sessionDay(group, timezone)} was cancelled: ${reason}`,
+    data: { groupSessionId: group.id },
+    email: {
+      template: 'group_session_cancelled',
+      data: {
+        title: group.title,
+        sessionDate: group.sessionDate,
+        ...getSessionTimes(group, timezone),
+        coachName: `${group.coach.firstName} ${group.coach.lastName}`,
+        reason
+      }
+    }
+  }), client);
+
+  return { seatsCancelled: seats.length, creditRefunds };
+};
+
+const loadGroup = async (groupId, client) => {
+  const group = await client.groupSession.findUnique({
+    where: { id: groupId },
+    include: { coach: { select: coachSelect } }
+  });
+
+  if (!group) {
+    throw new ApiError(404, 'Group session not found');
+  }
+
+  return group;
+};
+
+// Take a seat for the parent (and one of their children), paying the seat price in credits.
+// Seats need no approval; the session is confirmed once `minSeats` are taken.
+export const joinGroupSession = (groupId, studentId, { childId } = {}, now = new Date()) => creditLedgerService.runLedgerTransaction(async (tx) => {
+  const group = await loadGroup(groupId, tx);
+
+  if (!ACTIVE_GROUP_STATUSES.includes(group.status) || group.sessionDate <= now) {
+    throw new ApiError(400, 'This group session is not taking seats');
+  }
+
+  if (group.status === 'OPEN' && group.enrollmentDeadline <= now) {
+    throw new ApiError(400, 'Enrollment for this group session has closed');
+  }
+
+  let child = null;
+  if (childId) {
+    child = await tx.child.findFirst({
+      where: { id: childId, parentId: studentId, isActive: true },
+      select: userSelect
+    });
+
+    if (!child) {
+      throw new ApiError(404, 'Child not found');
+    }
+  }
+
+  const seats = await tx.scheduledSession.findMany({
+    where: { groupSessionId: groupId, status: { in: ACTIVE_BOOKING_STATUSES } },
+    select: { studentId: true, childId: true }
+  });
+
+  if (seats.some(seat => seat.studentId === studentId && seat.childId === (child?.id ?? null))) {
+    throw new ApiError(409, 'You already have a seat in this group session');
+  }
+
+  if (seats.length >= group.maxSeats) {
+    throw new ApiError(409, 'This group session is full');
+  }
+
+  // The learner cannot be in another session at the same time
+  await assertNoConflicts({
+    coachId: group.coachId,
+    studentId,
+    childId: child?.id,
+    ...getSessionInterval(group),
+    groupSessionId: groupId
+  }, tx);
+
+  const seat = await tx.scheduledSession.create({
+    data: {
+      groupSessionId: groupId,
+      timeSlotId: group.timeSlotId,
+      exceptionId: group.exceptionId,
+      coachId: group.coachId,
+      studentId,
+      childId: child?.id,
+      courseId: group.courseId,
+      sessionDate: group.sessionDate,
+      title: group.title,
+      description: group.description,
+      duration: group.duration,
+      sessionType: 'GROUP',
+      price: group.seatPrice,
+      meetingUrl: group.meetingUrl,
+      status: 'APPROVED',
+      approvedAt: now
+    }
+  });
+
+  if (seat.timeSlotId) {
+    await tx.timeSlot.update({
+      where: { id: seat.timeSlotId },
+      data: { currentBookings: { increment: 1 } }
+    });
+  }
+
+  let creditBalance = null;
+  let transaction = null;
+  if (new Decimal(group.seatPrice).gt(0)) {
+    ({ creditBalance, transaction } = await creditLedgerService.applyDebit(tx, {
+      userId: studentId,
+      amount: group.seatPrice,
+      type: 'SPENT',
+      description: `Seat in "${group.title}"`,
+      referenceId: seat.id,
+      referenceType: 'SCHEDULED_SESSION',
+      metadata: {
+        groupSessionId: groupId,
+        coachId: group.coachId,
+        sessionDate: group.sessionDate.toISOString()
+      },
+      idempotencyKey: `group-seat:${seat.id}`
+    }));
+  }
+
+  const taken = seats.length + 1;
+
+  await notificationService.notify(group.coachId, {
+    type: 'SESSION_BOOKED',
+    title: 'New group session attendee',
+    message: `A seat in "${group.title}" on ${sessionDay(group, group.coach.timezone)} was taken (${taken} of ${group.maxSeats}).`,
+    data: { groupSessionId: groupId, scheduledSessionId: seat.id }
+  }, tx);
+
+  if (group.status === 'CONFIRMED') {
+    await sessionReminderService.scheduleSessionReminders(seat, tx);
+  } else if (taken >= group.minSeats) {
+    await confirmGroup(group, now, tx);
+  }
+
+  return { seat, creditBalance, transaction };
+});
+
+// Give up a seat before the session starts. Credits come back under the refund policy,
+// and the group session goes ahead or not on the seats that are left.
+export const leaveGroupSession = (groupId, seatId, user, now = new Date()) => creditLedgerService.runLedgerTransaction(async (tx) => {
+  const seat = await tx.scheduledSession.findUnique({
+    where: { id: seatId },
+    include: { coach: { select: { timezone: true } } }
+  });
+
+  if (!seat || seat.groupSessionId !== groupId || (user.role !== 'ADMIN' && seat.studentId !== user.id)) {
+    throw new ApiError(404, 'Seat not found');
+  }
+
+  if (!ACTIVE_BOOKING_STATUSES.includes(seat.status) || seat.sessionDate <= now) {
+    throw new ApiError(400, 'Only upcoming seats can be given up');
+  }
+
+  const cancelledSeat = await tx.scheduledSession.update({
+    where: { id: seatId },
+    data: { status: 'CANCELLED' }
+  });
+
+  if (seat.timeSlotId) {
+    await tx.timeSlot.update({
+      where: { id: seat.timeSlotId },
+      data: { currentBookings: { decrement: 1 } }
+    });
+  }
+
+  const creditRefund = await refundService.refundCancelledBooking(tx, {
+    referenceId: seat.id,
+    startsAt: seat.sessionDate,
+    initiatedBy: user.role,
+    status: seat.status,
+    reason: `Seat in "${seat.title}" given up`
+  });
+
+  await sessionReminderService.cancelSessionReminders(seat.id, tx);
+
+  await notificationService.notify(seat.coachId, {
+    type: 'SESSION_CANCELLED',
+    title: 'Group session attendee left',
+    message: `A seat in "${seat.title}" on ${sessionDay(seat, seat.coach.timezone)} was given up.`,
+    data: { groupSessionId: groupId, scheduledSessionId: seat.id }
+  }, tx);
+
+  return { seat: cancelledSeat, creditRefund };
+});
+
+// Change the shared meeting link or description; every seat gets the new link
+export const updateGroupSession = (groupId, user, { meetingUrl, description }) => prisma.$transaction(async (tx) => {
+  const group = await loadGroup(groupId, tx);
+
+  if (!canManage(group, user)) {
+    throw new ApiError(404, 'Group session not found');
+  }
+
+  if (!ACTIVE_GROUP_STATUSES.includes(group.status)) {
+    throw new ApiError(400, 'This group session is no longer active');
+  }
+
+  const updated = await tx.groupSession.update({
+    where: { id: groupId },
+    data: {
+      ...(meetingUrl !== undefined && { meetingUrl }),
+      ...(description !== undefined && { description })
+    },
+    include: seatsTaken
+  });
+
+  if (meetingUrl !== undefined && meetingUrl !== group.meetingUrl) {
+    const seats = await tx.scheduledSession.findMany({
+      where: { groupSessionId: groupId, status: { in: ACTIVE_BOOKING_STATUSES } },
+      select: { id: true, studentId: true, ...attendeeTimezone }
+    });
+
+    await tx.scheduledSession.updateMany({
+      where: { id: { in: seats.map(seat => seat.id) } },
+      data: { meetingUrl }
+    });
+
+    await notifyAttendees(seats, (timezone) => ({
+      type: 'SCHEDULE_CHANGE',
+      title: 'Meeting link updated',
+      message: `The meeting link for "${group.title}" on ${sessionDay(group, timezone)} has changed.`,
+      data: { groupSessionId: groupId }
+    }), tx);
+  }
+
+  return withSeatCounts(updated);
+});
+
+// The coach (or an admin) calls a group session off; every seat is refunded in full
+export const cancelGroupSession = (groupId, user, { reason } = {}, now = new Date()) => creditLedgerService.runLedgerTransaction(async (tx) => {
+  const group = await loadGroup(groupId, tx);
+
+  if (!canManage(group, user)) {
+    throw new ApiError(404, 'Group session not found');
+  }
+
+  const result = await cancelGroup(group, {
+    reason: reason || `Cancelled by ${user.role === 'ADMIN' ? 'an admin' : 'the coach'}`,
+    initiatedBy: user.role,
+    now
+  }, tx);
+
+  return {
+    groupSession: await tx.groupSession.findUnique({ where: { id: groupId } }),
+    ...result
+  };
+});
+
+// Group sessions whose enrollment deadline has passed without enough seats are cancelled and
+// refunded; ones that have them (seats taken at the last moment) are confirmed.
+// Returns { confirmed, cancelled }.
+export const settleGroupSessions = async (now = new Date()) => {
+  const due = await prisma.groupSession.findMany({
+    where: { status: 'OPEN', enrollmentDeadline: { lte: now } },
+    select: { id: true }
+  });
+
+  const settled = { confirmed: 0, cancelled: 0 };
+
+  for (const { id } of due) {
+    // One group that fails is logged and retried next run; it does not hold up the rest
+    try {
+      const outcome = await creditLedgerService.runLedgerTransaction(async (tx) => {
+        const group = await loadGroup(id, tx);
+
+        if (group.status !== 'OPEN') {
+          return null;
+        }
+
+        const taken = await tx.scheduledSession.count({
+          where: { groupSessionId: id, status: { in: ACTIVE_BOOKING_STATUSES } }
+        });
+
+        if (taken >= group.minSeats) {
+          await confirmGroup(group, now, tx);
+          return 'confirmed';
+        }
+
+        await cancelGroup(group, {
+          reason: `Fewer than ${group.minSeats} seats were taken by the enrollment deadline`,
+          initiatedBy: 'SYSTEM',
+          now
+        }, tx);
+        return 'cancelled';
+      });
+
+      if (outcome) {
+        settled[outcome] += 1;
+        logger.info(`Group session ${id} ${outcome} at its enrollment deadline`);
+      }
+    } catch (error) {
+      logger.error(`Failed to settle group session ${id}:`, error);
+    }
+  }
+
+  return settled;
+};
+
+export default {
+  GROUP_SESSION_DEADLINE_HOURS,
+  createGroupSession,
+  listGroupSessions,
+  getGroupSession,
+  joinGroupSession,
+  leaveGroupSession,
+  updateGroupSession,
+  cancelGroupSession,
+  settleGroupSessions
+};
@@ -0,0 +1,163 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { toZonedParts, zonedTimeToUtc, addDays } from '../utils/timezone.js';
+
+export const NOTIFICATION_TYPES = [
+  'SESSION_BOOKED',
+  'SESSION_APPROVED',
+  'SESSION_REJECTED',
+  'SESSION_REMINDER',
+  'SESSION_CANCELLED',
+  'ENROLLMENT_CREATED',
+  'AVAILABILITY_UPDATED',
+  'AVAILABILITY_APPROVED',
+  'AVAILABILITY_REJECTED',
+  'PAYMENT_RECEIVED',
+  'PAYMENT_FAILED',
+  'REVIEW_RECEIVED',
+  'COACH_APPROVED',
+  'COACH_REJECTED',
+  'SESSION_RESCHEDULE_NEEDED',
+  'SCHEDULE_CHANGE',
+  'WAITLIST_OFFER',
+  'GENERAL'
+];
+
+export const DIGEST_FREQUENCIES = ['NONE', 'DAILY', 'WEEKLY'];
+
+// Events the digest email sums up, so users who get a digest are not also emailed one by one
+export const DIGEST_TYPES = ['SESSION_BOOKED', 'AVAILABILITY_UPDATED', 'REVIEW_RECEIVED'];
+
+const DEFAULT_CHANNELS = { email: true, inApp: true };
+
+// Stored under `User.preferences.notifications`; anything missing falls back to these
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  channels: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, DEFAULT_CHANNELS])),
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  },
+  digest: 'NONE'
+};
+
+// Fill in defaults for whatever a user has not set
+export const resolvePreferences = (preferences = {}) => {
+  const stored = preferences?.notifications || {};
+
+  return {
+    channels: Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+      type,
+      { ...DEFAULT_CHANNELS, ...stored.channels?.[type] }
+    ])),
+    quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...stored.quietHours },
+    digest: stored.digest || DEFAULT_NOTIFICATION_PREFERENCES.digest
+  };
+};
+
+// Whether `now` falls in the user's quiet hours. Windows may wrap midnight (22:00-07:00).
+export const isQuietTime = (quietHours, timezone, now = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+
+  const { time } = toZonedParts(now, timezone);
+  const { start, end } = quietHours;
+
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+// When the quiet hours `now` falls in end, in the user's timezone, or null outside them
+export const quietHoursEnd = (quietHours, timezone, now = new Date()) => {
+  if (!isQuietTime(quietHours, timezone, now)) {
+    return null;
+  }
+
+  const { date } = toZonedParts(now, timezone);
+  const end = zonedTimeToUtc(date, quietHours.end, timezone);
+
+  return end > now ? end : zonedTimeToUtc(addDays(date, 1), quietHours.end, timezone);
+};
+
+// Decide how a user should hear about an event right now. Emails during quiet hours are
+// delayed until they end (`emailAt`); emails left for the digest are not sent. In-app
+// notifications follow the user's own choice, since the delayed email or digest still
+// carries the event.
+export const resolveChannels = (user, type, now = new Date()) => {
+  const preferences = resolvePreferences(user.preferences);
+  const channels = preferences.channels[type] || DEFAULT_CHANNELS;
+  const digested = channels.email && preferences.digest !== 'NONE' && DIGEST_TYPES.includes(type);
+  const emailAt = channels.email && !digested ? quietHoursEnd(preferences.quietHours, user.timezone, now) : null;
+
+  return {
+    email: channels.email && !digested,
+    inApp: channels.inApp,
+    ...(emailAt && { emailAt })
+  };
+};
+
+export const getPreferences = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { timezone: true, preferences: true }
+  });
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  return { ...resolvePreferences(user.preferences), timezone: user.timezone };
+};
+
+// Merge a partial update into the stored preferences, keeping unrelated keys of the JSON blob
+export const updatePreferences = async (userId, { channels = {}, quietHours, digest }) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { preferences: true }
+  });
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const stored = user.preferences?.notifications || {};
+  const pick = (value = {}, keys) => Object.fromEntries(keys.filter(key => value[key] !== undefined).map(key => [key, value[key]]));
+
+  const notifications = {
+    ...stored,
+    channels: {
+      ...stored.channels,
+      ...Object.fromEntries(Object.entries(channels).map(([type, value]) => [
+        type,
+        { ...stored.channels?.[type], ...pick(value, ['email', 'inApp']) }
+      ]))
+    },
+    ...(quietHours && { quietHours: { ...stored.quietHours, ...pick(quietHours, ['enabled', 'start', 'end']) } }),
+    ...(digest && { digest })
+  };
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      preferences: { ...user.preferences, notifications }
+    },
+    select: { timezone: true, preferences: true }
+  });
+
+  return { ...resolvePreferences(updated.preferences), timezone: updated.timezone };
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  DIGEST_TYPES,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolvePreferences,
+  isQuietTime,
+  quietHoursEnd,
+  resolveChannels,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,198 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { enqueueEmail } from './emailOutboxService.js';
+import { resolveChannels } from './notificationPreferenceService.js';
+
+// Create in-app notifications without consulting preferences
+export const createInAppNotifications = async (userIds, { type, title, message, data = {} }, client = prisma) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean))];
+
+  if (!recipients.length) {
+    return 0;
+  }
+
+  try {
+    const { count } = await client.notification.createMany({
+      data: recipients.map(userId => ({ userId, type, title, message, data }))
+    });
+
+    return count;
+  } catch (error) {
+    // Inside a transaction the failed statement has already aborted it
+    if (client !== prisma) {
+      throw error;
+    }
+
+    logger.error(`Failed to create ${type} notification for ${recipients.join(', ')}:`, error);
+    return 0;
+  }
+};
+
+// Tell users about an event on the channels they chose for its type: an in-app
+// notification and, when `email` ({ template, data }) is given, an email rendered from
+// the template registry in each recipient's language and queued in the outbox.
+// Pass the transaction client so both are only created if the change commits.
+export const notify = async (userIds, { type, title, message, data = {}, email }, client = prisma) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean))];
+
+  if (!recipients.length) {
+    return { inApp: 0, emailed: 0 };
+  }
+
+  const users = await client.user.findMany({
+    where: { id: { in: recipients } },
+    select: { id: true, email: true, firstName: true, language: true, timezone: true, preferences: true }
+  });
+
+  const now = new Date();
+  const inAppUserIds = [];
+  let emailed = 0;
+
+  for (const user of users) {
+    const channels = resolveChannels(user, type, now);
+
+    if (channels.inApp) {
+      inAppUserIds.push(user.id);
+    }
+
+    if (email && channels.email) {
+      try {
+        await enqueueEmail({
+          to: user.email,
+          template: email.template,
+          data: { firstName: user.firstName, ...email.data },
+          language: user.language,
+          sendAt: channels.emailAt
+        }, client);
+        emailed += 1;
+      } catch (error) {
+        if (client !== prisma) {
+          throw error;
+        }
+
+        logger.error(`Failed to queue ${type} email for ${user.id}:`, error);
+      }
+    }
+  }
+
+  const inApp = await createInAppNotifications(inAppUserIds, { type, title, message, data }, client);
+
+  return { inApp, emailed };
+};
+
+// List a user's notifications, newest first
+export const listNotifications = async (userId, { type, isRead, page = 1, limit = 10 } = {}) => {
+  const where = { userId };
+
+  if (type) {
+    where.type = { in: [].concat(type) };
+  }
+
+  if (isRead !== undefined) {
+    where.isRead = isRead;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [notifications, total] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit
+    }),
+    prisma.notification.count({ where })
+  ]);
+
+  return {
+    notifications,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Unread notifications in total and per type
+export const getUnreadCounts = async (userId) => {
+  const groups = await prisma.notification.groupBy({
+    by: ['type'],
+    where: { userId, isRead: false },
+    _count: { _all: true }
+  });
+
+  const byType = Object.fromEntries(groups.map(group => [group.type, group._count._all]));
+
+  return {
+    total: groups.reduce((sum, group) => sum + group._count._all, 0),
+    byType
+  };
+};
+
+const findOwnNotification = async (userId, notificationId) => {
+  const notification = await prisma.notification.findUnique({
+    where: { id: notificationId }
+  });
+
+  if (!notification) {
+    throw new ApiError(404, 'Notification not found');
+  }
+
+  if (notification.userId !== userId) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  return notification;
+};
+
+export const markAsRead = async (userId, notificationId) => {
+  const notification = await findOwnNotification(userId, notificationId);
+
+  if (notification.isRead) {
+    return notification;
+  }
+
+  return prisma.notification.update({
+    where: { id: notification.id },
+    data: { isRead: true }
+  });
+};
+
+// Mark all of a user's notifications read, optionally only those of some types
+export const markAllAsRead = async (userId, { type } = {}) => {
+  const where = { userId, isRead: false };
+
+  if (type) {
+    where.type = { in: [].concat(type) };
+  }
+
+  const { count } = await prisma.notification.updateMany({
+    where,
+    data: { isRead: true }
+  });
+
+  return count;
+};
+
+export const deleteNotification = async (userId, notificationId) => {
+  const notification = await findOwnNotification(userId, notificationId);
+
+  await prisma.notification.delete({
+    where: { id: notification.id }
+  });
+
+  return notification;
+};
+
+export default {
+  createInAppNotifications,
+  notify,
+  listNotifications,
+  getUnreadCounts,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
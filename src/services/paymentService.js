@@ -2,6 +2,13 @@ import Stripe from 'stripe';
 import { prisma } from '../config/database.js';
 import ApiError from '../utils/ApiError.js';
 import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+import creditService from './creditService.js';
+import creditLedgerService from './creditLedgerService.js';
+import promoCodeService from './promoCodeService.js';
+import notificationService from './notificationService.js';
+import slotHoldService from './slotHoldService.js';
+import sessionSeriesService from './sessionSeriesService.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
 
@@ -69,6 +76,138 @@ export const createPaymentIntent = async (sessionId, userId) => {
   }
 };
 
+// Create a PaymentIntent for a pending credit purchase. Credits are only granted once
+// Stripe reports the intent as succeeded (see handlePaymentSucceeded).
+export const createCreditPurchaseIntent = async (creditPurchase, idempotencyKey) => {
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(parseFloat(creditPurchase.amount) * 100),
+    currency: creditPurchase.currency.toLowerCase(),
+    metadata: {
+      type: 'CREDIT_PURCHASE',
+      creditPurchaseId: creditPurchase.id,
+      packageId: creditPurchase.packageId,
+      userId: creditPurchase.userId
+    }
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: creditPurchase.userId,
+      stripePaymentId: paymentIntent.id,
+      amount: creditPurchase.amount,
+      currency: creditPurchase.currency,
+      status: 'PENDING',
+      metadata: {
+        type: 'CREDIT_PURCHASE',
+        paymentIntentId: paymentIntent.id,
+        creditPurchaseId: creditPurchase.id,
+        packageName: creditPurchase.packageName
+      }
+    }
+  });
+
+  return {
+    paymentIntent,
+    payment
+  };
+};
+
+// Create a PaymentIntent for a held time. The hold becomes a booking once Stripe reports
+// the intent as succeeded (see handlePaymentSucceeded).
+export const createSlotHoldIntent = async (hold, currency = 'USD') => {
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(parseFloat(hold.price) * 100),
+    currency: currency.toLowerCase(),
+    metadata: {
+      type: 'SLOT_HOLD',
+      slotHoldId: hold.id,
+      coachId: hold.coachId,
+      userId: hold.studentId
+    }
+  }, { idempotencyKey: `slot-hold:${hold.id}` });
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: hold.studentId,
+      stripePaymentId: paymentIntent.id,
+      amount: hold.price,
+      currency,
+      status: 'PENDING',
+      metadata: {
+        type: 'SLOT_HOLD',
+        paymentIntentId: paymentIntent.id,
+        slotHoldId: hold.id,
+        payeeId: hold.coachId,
+        description: hold.title
+      }
+    }
+  });
+
+  return {
+    paymentIntent,
+    payment
+  };
+};
+
+// Create one PaymentIntent covering every held session of a series. They are booked once
+// Stripe reports the intent as succeeded (see handlePaymentSucceeded).
+export const createSeriesIntent = async (series, holds, currency = 'USD') => {
+  const amount = parseFloat(series.price) * holds.length;
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100),
+    currency: currency.toLowerCase(),
+    metadata: {
+      type: 'SESSION_SERIES',
+      sessionSeriesId: series.id,
+      coachId: series.coachId,
+      userId: series.studentId
+    }
+  }, { idempotencyKey: `session-series:${series.id}` });
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: series.studentId,
+      stripePaymentId: paymentIntent.id,
+      amount,
+      currency,
+      status: 'PENDING',
+      metadata: {
+        type: 'SESSION_SERIES',
+        paymentIntentId: paymentIntent.id,
+        sessionSeriesId: series.id,
+        payeeId: series.coachId,
+        description: `${holds.length} sessions of ${series.title}`
+      }
+    }
+  });
+
+  return {
+    paymentIntent,
+    payment
+  };
+};
+
+// Fetch an intent from Stripe without applying its status
+export const getPaymentIntent = async (paymentIntentId) => {
+  return stripe.paymentIntents.retrieve(paymentIntentId);
+};
+
+// Fetch an intent from Stripe and apply its current status, as the webhook would
+export const syncPaymentIntent = async (paymentIntentId) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+  if (paymentIntent.status === 'succeeded') {
+    await handlePaymentSucceeded(paymentIntent);
+  } else if (paymentIntent.status === 'canceled') {
+    await handlePaymentCanceled(paymentIntent);
+  } else if (paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+    await handlePaymentFailed(paymentIntent);
+  }
+
+  return paymentIntent;
+};
+
 export const confirmPayment = async (paymentIntentId) => {
   try {
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
@@ -256,6 +395,43 @@ export const processRefund = async (paymentId, amount, reason) => {
   }
 };
 
+// Give back part of a payment that covered several bookings, such as a session series.
+// Refunds add up on the payment, which only counts as refunded once nothing is left.
+export const refundPaymentShare = async (paymentId, amount, reason, idempotencyKey) => {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+  if (!payment) {
+    throw new ApiError(404, 'Payment not found');
+  }
+
+  const alreadyRefunded = parseFloat(payment.refundAmount ?? 0);
+  const refundAmount = Math.min(parseFloat(amount), parseFloat(payment.amount) - alreadyRefunded);
+
+  if (refundAmount <= 0) {
+    return null;
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: payment.stripePaymentId,
+    amount: Math.round(refundAmount * 100), // Convert to cents
+    reason: 'requested_by_customer'
+  }, { idempotencyKey });
+
+  const fullyRefunded = alreadyRefunded + refundAmount >= parseFloat(payment.amount);
+
+  await prisma.payment.update({
+    where: { id: paymentId },
+    data: {
+      refunded: fullyRefunded,
+      refundAmount: alreadyRefunded + refundAmount,
+      refundReason: reason,
+      ...(fullyRefunded && { status: 'REFUNDED' })
+    }
+  });
+
+  return refund;
+};
+
 export const getPaymentHistory = async (userId, page = 1, limit = 10) => {
   try {
     const skip = (page - 1) * limit;
@@ -336,73 +512,332 @@ export const getCoachEarnings = async (coachId, startDate, endDate) => {
   }
 };
 
+// How long one delivery may spend on an event before a redelivery can take it over
+const WEBHOOK_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Record a Stripe event and dispatch it. Events are keyed by their Stripe ID, so a
+// redelivered event that was already handled is acknowledged without side effects. A
+// delivery claims the event (PROCESSING) before dispatching it, so a redelivery that
+// arrives while the first one is still running is skipped too.
 export const handleWebhook = async (event) => {
-  try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      case 'account.updated':
-        await handleAccountUpdated(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { id: event.id }
+  });
+
+  if (existing && ['PROCESSED', 'IGNORED'].includes(existing.status)) {
+    logger.info(`Skipping duplicate Stripe event ${event.id} (${event.type})`);
+    return { duplicate: true, status: existing.status };
+  }
+
+  if (!existing) {
+    try {
+      await prisma.webhookEvent.create({
+        data: {
+          id: event.id,
+          type: event.type,
+          livemode: Boolean(event.livemode),
+          payload: event,
+          status: 'PROCESSING'
+        }
+      });
+    } catch (error) {
+      // Another delivery of the same event won the race
+      if (error.code === 'P2002') {
+        return { duplicate: true, status: 'PROCESSING' };
+      }
+      throw error;
     }
+  } else {
+    // Retry a failed or unfinished event, unless another delivery is handling it right now
+    const { count } = await prisma.webhookEvent.updateMany({
+      where: {
+        id: event.id,
+        OR: [
+          { status: { in: ['RECEIVED', 'FAILED'] } },
+          { status: 'PROCESSING', updatedAt: { lt: new Date(Date.now() - WEBHOOK_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      data: { status: 'PROCESSING' }
+    });
+
+    if (!count) {
+      logger.info(`Skipping Stripe event ${event.id} (${event.type}) already being handled`);
+      return { duplicate: true, status: 'PROCESSING' };
+    }
+  }
+
+  const handler = webhookHandlers[event.type];
+
+  if (!handler) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'IGNORED',
+        processedAt: new Date()
+      }
+    });
+
+    logger.info(`Unhandled Stripe event type: ${event.type}`);
+    return { duplicate: false, status: 'IGNORED' };
+  }
+
+  try {
+    await handler(event.data.object);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'PROCESSED',
+        attempts: { increment: 1 },
+        error: null,
+        processedAt: new Date()
+      }
+    });
+
+    return { duplicate: false, status: 'PROCESSED' };
   } catch (error) {
-    console.error('Webhook handling error:', error);
+    logger.error(`Stripe event ${event.id} (${event.type}) failed:`, error);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'FAILED',
+        attempts: { increment: 1 },
+        error: error.message
+      }
+    });
+
     throw error;
   }
 };
 
+// Find the payment a Stripe object refers to, if we know about it
+const findPaymentByIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { stripePaymentId: paymentIntentId }
+  });
+
+  if (!payment) {
+    logger.warn(`No payment found for Stripe payment intent ${paymentIntentId}`);
+  }
+
+  return payment;
+};
+
 const handlePaymentSucceeded = async (paymentIntent) => {
-  try {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+
+  const wasOpen = payment && ['PENDING', 'FAILED'].includes(payment.status);
+
+  if (wasOpen) {
     await prisma.payment.update({
-      where: { stripePaymentId: paymentIntent.id },
-      data: { status: 'SUCCEEDED' }
+      where: { id: payment.id },
+      data: {
+        status: 'SUCCEEDED',
+        paymentMethod: paymentIntent.payment_method_types?.[0] || payment.paymentMethod
+      }
     });
 
-    if (paymentIntent.metadata.sessionId) {
-      await prisma.session.update({
-        where: { id: paymentIntent.metadata.sessionId },
-        data: { status: 'SCHEDULED' }
-      });
+    await notificationService.notify(payment.userId, {
+      type: 'PAYMENT_RECEIVED',
+      title: 'Payment received',
+      message: `We received your payment of ${payment.amount} ${payment.currency.toUpperCase()}.`,
+      data: { paymentId: payment.id }
+    });
+  }
+
+  // Safe to repeat: the purchase only grants credits on its first transition
+  if (paymentIntent.metadata?.creditPurchaseId) {
+    await creditService.completeCreditPurchase(paymentIntent.metadata.creditPurchaseId);
+  }
+
+  // Safe to repeat: a hold is only booked once. One that can no longer be booked is refunded.
+  if (payment && paymentIntent.metadata?.slotHoldId) {
+    const { reason } = await slotHoldService.convertPaidHold(paymentIntent.metadata.slotHoldId, payment.id);
+
+    if (reason) {
+      await refundPaymentShare(payment.id, parseFloat(payment.amount), `Held time could not be booked: ${reason}`, `slot-hold-unbooked:${payment.id}`);
     }
-  } catch (error) {
-    console.error('Error handling payment succeeded:', error);
+  }
+
+  // Safe to repeat: a series is only booked once. Sessions that can no longer be booked are refunded.
+  if (payment && paymentIntent.metadata?.sessionSeriesId) {
+    const { refundAmount } = await sessionSeriesService.convertPaidSeries(paymentIntent.metadata.sessionSeriesId, payment.id);
+
+    if (refundAmount.gt(0)) {
+      await refundPaymentShare(payment.id, refundAmount.toNumber(), 'Held series sessions could not be booked', `session-series-unbooked:${payment.id}`);
+    }
+  }
+
+  if (wasOpen && paymentIntent.metadata?.sessionId) {
+    await prisma.session.update({
+      where: { id: paymentIntent.metadata.sessionId },
+      data: { status: 'SCHEDULED' }
+    });
+  }
+
+  // Bonus credits from a promo code are only earned once the payment goes through
+  const promoBonusCredits = payment?.metadata?.promoBonusCredits;
+  if (payment?.promoCodeId && promoBonusCredits && parseFloat(promoBonusCredits) > 0) {
+    await creditLedgerService.credit({
+      userId: payment.userId,
+      amount: promoBonusCredits,
+      type: 'BONUS',
+      description: 'Promo code bonus credits',
+      referenceId: payment.id,
+      referenceType: 'PAYMENT',
+      metadata: { promoCodeId: payment.promoCodeId },
+      idempotencyKey: `promo-bonus:${payment.id}`
+    });
   }
 };
 
 const handlePaymentFailed = async (paymentIntent) => {
-  try {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+
+  if (payment?.status === 'PENDING') {
     await prisma.payment.update({
-      where: { stripePaymentId: paymentIntent.id },
-      data: { status: 'FAILED' }
+      where: { id: payment.id },
+      data: {
+        status: 'FAILED',
+        metadata: {
+          ...payment.metadata,
+          failureMessage: paymentIntent.last_payment_error?.message
+        }
+      }
     });
-  } catch (error) {
-    console.error('Error handling payment failed:', error);
+
+    await notificationService.notify(payment.userId, {
+      type: 'PAYMENT_FAILED',
+      title: 'Payment failed',
+      message: paymentIntent.last_payment_error?.message || `Your payment of ${payment.amount} ${payment.currency.toUpperCase()} did not go through.`,
+      data: { paymentId: payment.id }
+    });
+  }
+
+  if (paymentIntent.metadata?.creditPurchaseId) {
+    await creditService.closeCreditPurchase(paymentIntent.metadata.creditPurchaseId, 'FAILED');
   }
 };
 
-const handleAccountUpdated = async (account) => {
-  try {
-    const coach = await prisma.coach.findFirst({
-      where: { stripeAccountId: account.id }
+const handlePaymentCanceled = async (paymentIntent) => {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+
+  if (payment && ['PENDING', 'FAILED'].includes(payment.status)) {
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'CANCELLED' }
     });
 
-    if (coach) {
-      // Update coach status based on Stripe account status
-      const status = account.charges_enabled ? 'APPROVED' : 'PENDING';
-      await prisma.coach.update({
-        where: { id: coach.id },
-        data: { status }
-      });
+    // The promo code use goes back to the pool
+    if (payment.promoCodeId) {
+      await promoCodeService.releasePromoRedemption('PAYMENT', payment.id);
     }
-  } catch (error) {
-    console.error('Error handling account updated:', error);
   }
+
+  if (paymentIntent.metadata?.creditPurchaseId) {
+    await creditService.closeCreditPurchase(paymentIntent.metadata.creditPurchaseId, 'CANCELLED');
+  }
+
+  if (paymentIntent.metadata?.slotHoldId) {
+    await slotHoldService.releasePaymentHold(paymentIntent.metadata.slotHoldId);
+  }
+
+  if (paymentIntent.metadata?.sessionSeriesId) {
+    await sessionSeriesService.releasePaymentSeries(paymentIntent.metadata.sessionSeriesId);
+  }
+};
+
+const handleChargeRefunded = async (charge) => {
+  const payment = await findPaymentByIntent(charge.payment_intent);
+
+  if (!payment) {
+    return;
+  }
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      // Only a full refund closes the payment; after a partial one more can still be refunded
+      refunded: charge.refunded,
+      refundAmount: charge.amount_refunded / 100,
+      status: charge.refunded ? 'REFUNDED' : payment.status
+    }
+  });
+};
+
+const handleDisputeUpdated = async (dispute) => {
+  const payment = await findPaymentByIntent(dispute.payment_intent);
+
+  if (!payment) {
+    return;
+  }
+
+  const data = {
+    metadata: {
+      ...payment.metadata,
+      dispute: {
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: dispute.amount / 100
+      }
+    }
+  };
+
+  // A lost dispute means the funds went back to the customer
+  if (dispute.status === 'lost') {
+    data.refunded = true;
+    data.refundAmount = dispute.amount / 100;
+    data.refundReason = `Dispute lost: ${dispute.reason}`;
+    data.status = 'REFUNDED';
+  }
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data
+  });
+};
+
+const handleAccountUpdated = async (account) => {
+  const coach = await prisma.coach.findFirst({
+    where: { stripeAccountId: account.id }
+  });
+
+  if (!coach) {
+    logger.warn(`No coach found for Stripe account ${account.id}`);
+    return;
+  }
+
+  // Payout readiness is tracked separately from the admin approval status
+  await prisma.coach.update({
+    where: { id: coach.id },
+    data: {
+      stripeChargesEnabled: Boolean(account.charges_enabled),
+      stripePayoutsEnabled: Boolean(account.payouts_enabled),
+      stripeDetailsSubmitted: Boolean(account.details_submitted)
+    }
+  });
+};
+
+const webhookHandlers = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'payment_intent.canceled': handlePaymentCanceled,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeUpdated,
+  'charge.dispute.updated': handleDisputeUpdated,
+  'charge.dispute.closed': handleDisputeUpdated,
+  'account.updated': handleAccountUpdated
+};
+
+// Verify a raw webhook body against the Stripe-Signature header
+export const constructWebhookEvent = (rawBody, signature) => {
+  return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
 };
 
 export const testPaymentService = async () => {
@@ -421,13 +856,20 @@ export const testPaymentService = async () => {
 
 export default {
   createPaymentIntent,
+  createCreditPurchaseIntent,
+  createSlotHoldIntent,
+  createSeriesIntent,
+  getPaymentIntent,
+  syncPaymentIntent,
   confirmPayment,
   createCustomer,
   createCoachAccount,
   createAccountLink,
   processRefund,
+  refundPaymentShare,
   getPaymentHistory,
   getCoachEarnings,
   handleWebhook,
+  constructWebhookEvent,
   testPaymentService
 }; 
\ No newline at end of file
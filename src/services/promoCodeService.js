@@ -0,0 +1,159 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+
+const { Decimal } = Prisma;
+
+export const PROMO_CONTEXTS = ['CREDIT_PURCHASE', 'PAYMENT', 'ENROLLMENT'];
+
+export const normalizePromoCode = (code) => code.trim().toUpperCase();
+
+// A code restricted to packages only works on package purchases, and one restricted
+// to courses or coaches only works on course payments and enrollments
+const matchesRestrictions = (promoCode, { packageId, courseId, coachId }) => {
+  const { packageIds, courseIds, coachIds } = promoCode;
+
+  if (!packageIds.length && !courseIds.length && !coachIds.length) {
+    return true;
+  }
+
+  if (packageId) {
+    return packageIds.includes(packageId);
+  }
+
+  return courseIds.includes(courseId) || coachIds.includes(coachId);
+};
+
+// Discount `amount` would get from the code, never more than the amount itself
+export const calculateDiscount = (promoCode, amount) => {
+  const base = new Decimal(amount);
+  const discount = promoCode.discountType === 'PERCENT'
+    ? base.times(promoCode.discountValue).dividedBy(100)
+    : new Decimal(promoCode.discountValue);
+
+  return Decimal.min(discount, base).toDecimalPlaces(2);
+};
+
+// Check that `code` can be used by `userId` for this checkout and work out its effect.
+// Pass a transaction client to re-check usage limits atomically before redeeming.
+export const evaluatePromoCode = async ({ code, userId, context, amount, packageId, courseId, coachId }, client = prisma) => {
+  const promoCode = await client.promoCode.findUnique({
+    where: { code: normalizePromoCode(code) }
+  });
+
+  if (!promoCode || !promoCode.isActive) {
+    throw new ApiError(404, 'Promo code not found');
+  }
+
+  const now = new Date();
+  if ((promoCode.startsAt && promoCode.startsAt > now) || (promoCode.endsAt && promoCode.endsAt <= now)) {
+    throw new ApiError(400, 'Promo code is not valid at this time');
+  }
+
+  if (promoCode.maxUses !== null && promoCode.usesCount >= promoCode.maxUses) {
+    throw new ApiError(400, 'Promo code has reached its usage limit');
+  }
+
+  if (promoCode.maxUsesPerUser !== null) {
+    const userUses = await client.promoRedemption.count({
+      where: { promoCodeId: promoCode.id, userId }
+    });
+
+    if (userUses >= promoCode.maxUsesPerUser) {
+      throw new ApiError(400, 'You have already used this promo code');
+    }
+  }
+
+  if (!matchesRestrictions(promoCode, { packageId, courseId, coachId })) {
+    throw new ApiError(400, 'Promo code does not apply to this purchase');
+  }
+
+  const discountAmount = calculateDiscount(promoCode, amount);
+
+  return {
+    promoCode,
+    context,
+    discountAmount,
+    finalAmount: new Decimal(amount).minus(discountAmount),
+    bonusCredits: new Decimal(promoCode.bonusCredits)
+  };
+};
+
+// Record that a code was used. Re-checks limits inside `tx` and counts the use
+// with a conditional increment so the global limit cannot be exceeded.
+export const redeemPromoCode = async (tx, evaluation, { userId, referenceId }) => {
+  const { promoCode, context, discountAmount, bonusCredits } = evaluation;
+
+  if (promoCode.maxUsesPerUser !== null) {
+    const userUses = await tx.promoRedemption.count({
+      where: { promoCodeId: promoCode.id, userId }
+    });
+
+    if (userUses >= promoCode.maxUsesPerUser) {
+      throw new ApiError(400, 'You have already used this promo code');
+    }
+  }
+
+  const { count } = await tx.promoCode.updateMany({
+    where: {
+      id: promoCode.id,
+      isActive: true,
+      OR: [
+        { maxUses: null },
+        { usesCount: { lt: prisma.promoCode.fields.maxUses } }
+      ]
+    },
+    data: { usesCount: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    throw new ApiError(400, 'Promo code has reached its usage limit');
+  }
+
+  return tx.promoRedemption.create({
+    data: {
+      promoCodeId: promoCode.id,
+      userId,
+      context,
+      referenceId,
+      discountAmount,
+      bonusCredits
+    }
+  });
+};
+
+// Give a use back when the checkout it was applied to never completed
+export const releasePromoRedemption = async (context, referenceId) => {
+  return prisma.$transaction(async (tx) => {
+    const redemption = await tx.promoRedemption.findUnique({
+      where: { context_referenceId: { context, referenceId } }
+    });
+
+    if (!redemption) {
+      return null;
+    }
+
+    await tx.promoRedemption.delete({
+      where: { id: redemption.id }
+    });
+
+    await tx.promoCode.update({
+      where: { id: redemption.promoCodeId },
+      data: { usesCount: { decrement: 1 } }
+    });
+
+    logger.info(`Promo code use released: ${redemption.promoCodeId} for ${context} ${referenceId}`);
+
+    return redemption;
+  });
+};
+
+export default {
+  PROMO_CONTEXTS,
+  normalizePromoCode,
+  calculateDiscount,
+  evaluatePromoCode,
+  redeemPromoCode,
+  releasePromoRedemption
+};
@@ -0,0 +1,199 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import refundPolicy from '../config/refundPolicy.js';
+import creditLedgerService from './creditLedgerService.js';
+
+const { Decimal } = Prisma;
+
+const HOUR = 60 * 60 * 1000;
+
+// Work out how much of `amount` a cancellation earns back under the refund policy
+export const calculateRefund = (amount, { startsAt, cancelledAt = new Date(), initiatedBy, status }) => {
+  const spent = new Decimal(amount).abs();
+
+  if (status === 'NO_SHOW') {
+    return { amount: new Decimal(0), rule: 'NO_SHOW' };
+  }
+
+  if (refundPolicy.fullRefundInitiators.includes(initiatedBy)) {
+    return { amount: spent, rule: `${initiatedBy}_CANCELLED` };
+  }
+
+  const hoursUntilStart = (new Date(startsAt).getTime() - cancelledAt.getTime()) / HOUR;
+
+  if (hoursUntilStart >= refundPolicy.fullRefundHours) {
+    return { amount: spent, rule: 'FULL_NOTICE' };
+  }
+
+  if (hoursUntilStart > 0) {
+    return {
+      amount: spent.times(refundPolicy.partialRefundPercent).dividedBy(100).toDecimalPlaces(2),
+      rule: 'LATE_NOTICE'
+    };
+  }
+
+  return { amount: new Decimal(0), rule: 'AFTER_START' };
+};
+
+// Credits already returned against a SPENT transaction
+const getRefundedAmount = async (tx, spentTransactionId) => {
+  const { _sum } = await tx.creditTransaction.aggregate({
+    where: {
+      type: 'REFUND',
+      referenceId: spentTransactionId
+    },
+    _sum: { amount: true }
+  });
+
+  return new Decimal(_sum.amount ?? 0);
+};
+
+// Post a REFUND against a SPENT transaction, capped at what has not been refunded yet.
+// Must run inside a ledger transaction. Returns null when there is nothing to refund.
+export const refundSpentTransaction = async (tx, spentTransaction, { amount, reason, metadata = {}, idempotencyKey }) => {
+  const spent = new Decimal(spentTransaction.amount).abs();
+  const refundable = spent.minus(await getRefundedAmount(tx, spentTransaction.id));
+  const requested = amount === undefined ? refundable : new Decimal(amount);
+  const refundAmount = Decimal.min(requested, refundable).toDecimalPlaces(2);
+
+  if (refundAmount.lte(0)) {
+    return null;
+  }
+
+  const { transaction } = await creditLedgerService.applyCredit(tx, {
+    userId: spentTransaction.userId,
+    amount: refundAmount,
+    type: 'REFUND',
+    description: `Refund: ${reason}`,
+    referenceId: spentTransaction.id,
+    referenceType: 'CREDIT_TRANSACTION',
+    metadata: {
+      ...metadata,
+      reason,
+      originalReferenceId: spentTransaction.referenceId,
+      originalReferenceType: spentTransaction.referenceType
+    },
+    expiresAt: creditLedgerService.expiryOfLots(spentTransaction.metadata?.lots),
+    idempotencyKey
+  });
+
+  logger.info(`Refunded ${refundAmount} credits to user ${spentTransaction.userId} for transaction ${spentTransaction.id}`);
+
+  return transaction;
+};
+
+// Refund the credits charged for a cancelled session or scheduled session, if any.
+// Sessions covered by an enrollment are not charged on their own, so they have
+// no SPENT transaction here; the enrollment is refunded on withdrawal instead.
+// A session of a series (`seriesId`) earns back its share of the series charge.
+export const refundCancelledBooking = async (tx, { referenceId, seriesId, startsAt, initiatedBy, status, reason }) => {
+  const spentTransaction = await tx.creditTransaction.findFirst({
+    where: { type: 'SPENT', referenceId }
+  });
+
+  if (!spentTransaction) {
+    return seriesId ? refundSeriesOccurrence(tx, { seriesId, referenceId, startsAt, initiatedBy, status, reason }) : null;
+  }
+
+  const { amount, rule } = calculateRefund(spentTransaction.amount, { startsAt, initiatedBy, status });
+
+  return refundSpentTransaction(tx, spentTransaction, {
+    amount,
+    reason,
+    metadata: { policyRule: rule, initiatedBy },
+    idempotencyKey: `refund:${spentTransaction.id}`
+  });
+};
+
+// Refund one cancelled session's share (its price) of the credits charged for its series
+const refundSeriesOccurrence = async (tx, { seriesId, referenceId, startsAt, initiatedBy, status, reason }) => {
+  const spentTransaction = await tx.creditTransaction.findFirst({
+    where: {
+      type: 'SPENT',
+      referenceId: seriesId,
+      referenceType: 'SESSION_SERIES'
+    }
+  });
+
+  if (!spentTransaction) {
+    return null;
+  }
+
+  const { amount, rule } = calculateRefund(spentTransaction.metadata.pricePerSession, { startsAt, initiatedBy, status });
+
+  return refundSpentTransaction(tx, spentTransaction, {
+    amount,
+    reason,
+    metadata: { policyRule: rule, initiatedBy, scheduledSessionId: referenceId },
+    idempotencyKey: `refund:${spentTransaction.id}:${referenceId}`
+  });
+};
+
+// Refund the unused part of an enrollment, prorated by the learner's progress
+export const refundWithdrawnEnrollment = async (tx, enrollment, { initiatedBy, reason }) => {
+  const spentTransaction = await tx.creditTransaction.findFirst({
+    where: {
+      type: 'SPENT',
+      referenceId: enrollment.id,
+      referenceType: 'ENROLLMENT'
+    }
+  });
+
+  if (!spentTransaction) {
+    return null;
+  }
+
+  const unusedShare = new Decimal(100 - enrollment.progress).dividedBy(100);
+
+  return refundSpentTransaction(tx, spentTransaction, {
+    amount: new Decimal(spentTransaction.amount).abs().times(unusedShare),
+    reason,
+    metadata: { policyRule: 'PRORATED_PROGRESS', progress: enrollment.progress, initiatedBy },
+    idempotencyKey: `refund:${spentTransaction.id}`
+  });
+};
+
+// Admin override: refund any SPENT transaction regardless of policy
+export const issueManualRefund = async ({ transactionId, amount, reason, adminId, idempotencyKey }) => {
+  const spentTransaction = await prisma.creditTransaction.findUnique({
+    where: { id: transactionId }
+  });
+
+  if (!spentTransaction) {
+    throw new ApiError(404, 'Credit transaction not found');
+  }
+
+  if (spentTransaction.type !== 'SPENT') {
+    throw new ApiError(400, 'Only SPENT transactions can be refunded');
+  }
+
+  const replay = await creditLedgerService.findReplay(spentTransaction.userId, idempotencyKey);
+  if (replay) {
+    return replay.transaction;
+  }
+
+  return creditLedgerService.runLedgerTransaction(async (tx) => {
+    const transaction = await refundSpentTransaction(tx, spentTransaction, {
+      amount,
+      reason,
+      metadata: { policyRule: 'ADMIN_OVERRIDE', adminId },
+      idempotencyKey
+    });
+
+    if (!transaction) {
+      throw new ApiError(400, 'This transaction has already been fully refunded');
+    }
+
+    return transaction;
+  });
+};
+
+export default {
+  calculateRefund,
+  refundSpentTransaction,
+  refundCancelledBooking,
+  refundWithdrawnEnrollment,
+  issueManualRefund
+};
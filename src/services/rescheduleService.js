@@ -0,0 +1,436 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { toZonedParts } from '../utils/timezone.js';
+import { ACTIVE_BOOKING_STATUSES, findBookableSlot, getSessionTimes, getSessionInterval } from './availabilityService.js';
+import { lockParticipants, assertNoConflicts } from './bookingConflictService.js';
+import notificationService from './notificationService.js';
+import sessionReminderService from './sessionReminderService.js';
+import { offerFreedCapacity } from './waitlistService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// How many times one session can be moved, and how close to its start it still can be
+const MAX_RESCHEDULES = Number.isNaN(parseInt(process.env.RESCHEDULE_MAX_PER_SESSION)) ? 2 : parseInt(process.env.RESCHEDULE_MAX_PER_SESSION);
+const CUTOFF_HOURS = Number.isNaN(parseFloat(process.env.RESCHEDULE_CUTOFF_HOURS)) ? 24 : parseFloat(process.env.RESCHEDULE_CUTOFF_HOURS);
+
+export const RESCHEDULE_POLICY = {
+  maxReschedules: MAX_RESCHEDULES,
+  cutoffHours: CUTOFF_HOURS
+};
+
+// Times one request can offer
+export const MAX_PROPOSED_TIMES = 5;
+
+const participantSelect = { id: true, firstName: true, lastName: true, timezone: true };
+
+const sessionInclude = {
+  coach: { select: participantSelect },
+  student: { select: participantSelect }
+};
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const isParticipant = (session, userId) => userId === session.coachId || userId === session.studentId;
+
+const otherParty = (session, userId) => (userId === session.coachId ? session.student : session.coach);
+
+// A session start described on a clock in `timezone`, for emails
+const describeTime = (sessionDate, duration, timezone) => ({
+  sessionDate,
+  date: toZonedParts(sessionDate, timezone).date,
+  ...getSessionTimes({ sessionDate, duration }, timezone)
+});
+
+// The policy limits, checked both when times are proposed and when one is accepted
+const assertReschedulable = async (session, now, client) => {
+  if (!ACTIVE_BOOKING_STATUSES.includes(session.status)) {
+    throw new ApiError(400, 'Only pending or approved sessions can be rescheduled');
+  }
+
+  // A seat moves with its group session, not on its own
+  if (session.groupSessionId) {
+    throw new ApiError(400, 'Seats in a group session cannot be rescheduled');
+  }
+
+  if (session.sessionDate.getTime() - now.getTime() < CUTOFF_HOURS * HOUR) {
+    throw new ApiError(400, `Sessions can only be rescheduled up to ${CUTOFF_HOURS} hours before they start`);
+  }
+
+  const accepted = await client.rescheduleRequest.count({
+    where: { sessionId: session.id, status: 'ACCEPTED' }
+  });
+
+  if (accepted >= MAX_RESCHEDULES) {
+    throw new ApiError(400, `A session can be rescheduled at most ${MAX_RESCHEDULES} times`);
+  }
+};
+
+// Check that the coach could take the session at each proposed time, earliest first
+const validateProposedTimes = async (session, proposedTimes, now, client) => {
+  const times = [...new Set(proposedTimes.map(time => new Date(time).getTime()))]
+    .sort((a, b) => a - b)
+    .map(time => new Date(time));
+
+  if (!times.length || times.length > MAX_PROPOSED_TIMES) {
+    throw new ApiError(400, `Propose between 1 and ${MAX_PROPOSED_TIMES} times`);
+  }
+
+  for (const time of times) {
+    if (time.getTime() === session.sessionDate.getTime()) {
+      throw new ApiError(400, 'Proposed times must differ from the current session time');
+    }
+
+    try {
+      await findBookableSlot(session.coachId, {
+        sessionDate: time,
+        duration: session.duration,
+        sessionType: session.sessionType,
+        excludeSessionId: session.id,
+        now
+      }, client);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw new ApiError(400, `${time.toISOString()} is not available: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  return times;
+};
+
+// Create a request and tell the other party about it. `counterOf` is the pending request it answers.
+const createRequest = async (session, userId, { proposedTimes, reason, counterOf = null }, now, client) => {
+  await assertReschedulable(session, now, client);
+
+  const times = await validateProposedTimes(session, proposedTimes, now, client);
+  const requester = userId === session.coachId ? session.coach : session.student;
+  const recipient = otherParty(session, userId);
+
+  const request = await client.rescheduleRequest.create({
+    data: {
+      sessionId: session.id,
+      requestedBy: userId,
+      proposedTimes: times,
+      previousSessionDate: session.sessionDate,
+      reason,
+      counterOfId: counterOf?.id
+    }
+  });
+
+  await notificationService.notify(recipient.id, {
+    type: 'SCHEDULE_CHANGE',
+    title: counterOf ? 'New times proposed' : 'Reschedule requested',
+    message: `${fullName(requester)} would like to move "${session.title}" to another time.`,
+    data: { scheduledSessionId: session.id, rescheduleRequestId: request.id },
+    email: {
+      template: 'reschedule_requested',
+      data: {
+        title: session.title,
+        counterpartName: fullName(requester),
+        counter: Boolean(counterOf),
+        reason,
+        current: describeTime(session.sessionDate, session.duration, recipient.timezone),
+        proposedTimes: times.map(time => describeTime(time, session.duration, recipient.timezone)),
+        scheduledSessionId: session.id
+      }
+    }
+  }, client);
+
+  return request;
+};
+
+const loadSession = async (sessionId, client) => {
+  const session = await client.scheduledSession.findUnique({
+    where: { id: sessionId },
+    include: sessionInclude
+  });
+
+  if (!session) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  return session;
+};
+
+// A pending request the user can answer: they take part in its session but did not send it
+const loadRequestToAnswer = async (requestId, userId, client) => {
+  const request = await client.rescheduleRequest.findUnique({
+    where: { id: requestId },
+    include: {
+      session: { include: sessionInclude }
+    }
+  });
+
+  if (!request || !isParticipant(request.session, userId)) {
+    throw new ApiError(404, 'Reschedule request not found');
+  }
+
+  if (request.requestedBy === userId) {
+    throw new ApiError(403, 'Only the other party can answer this request');
+  }
+
+  if (request.status !== 'PENDING') {
+    throw new ApiError(400, 'This reschedule request is no longer pending');
+  }
+
+  return request;
+};
+
+// Close a pending request. Claiming it with a conditional update means two answers
+// racing each other cannot both go through.
+const closeRequest = async (request, data, client) => {
+  const { count } = await client.rescheduleRequest.updateMany({
+    where: { id: request.id, status: 'PENDING' },
+    data
+  });
+
+  if (count === 0) {
+    throw new ApiError(409, 'This reschedule request has already been answered');
+  }
+
+  return client.rescheduleRequest.findUnique({ where: { id: request.id } });
+};
+
+// Propose new times for a session. Either the coach or the parent who booked it can ask;
+// a session has at most one pending request at a time.
+export const requestReschedule = async (sessionId, userId, { proposedTimes, reason }, now = new Date()) => prisma.$transaction(async (tx) => {
+  // Lock the session row so two requests for it cannot both find none pending
+  await tx.$queryRaw`SELECT id FROM "scheduled_sessions" WHERE id = ${sessionId} FOR UPDATE`;
+
+  const session = await loadSession(sessionId, tx);
+
+  if (!isParticipant(session, userId)) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  const pending = await tx.rescheduleRequest.count({
+    where: { sessionId, status: 'PENDING' }
+  });
+
+  if (pending) {
+    throw new ApiError(409, 'A reschedule request is already pending for this session');
+  }
+
+  return createRequest(session, userId, { proposedTimes, reason }, now, tx);
+});
+
+// Accept one of the proposed times. The session moves to the slot covering it, slot booking
+// counts, reminders and the waitlist follow, and its price, credits and payment stay as they were.
+export const acceptReschedule = async (requestId, userId, { sessionDate, note }, now = new Date()) => prisma.$transaction(async (tx) => {
+  const request = await loadRequestToAnswer(requestId, userId, tx);
+  const { session } = request;
+
+  const chosen = sessionDate
+    ? request.proposedTimes.find(time => time.getTime() === new Date(sessionDate).getTime())
+    : request.proposedTimes.length === 1 && request.proposedTimes[0];
+
+  if (!chosen) {
+    throw new ApiError(400, 'Choose one of the proposed times');
+  }
+
+  await assertReschedulable(session, now, tx);
+
+  // Nobody else can book the coach or learner until the move is written
+  await lockParticipants(session, tx);
+
+  const slot = await findBookableSlot(session.coachId, {
+    sessionDate: chosen,
+    duration: session.duration,
+    sessionType: session.sessionType,
+    excludeSessionId: session.id,
+    now
+  }, tx);
+
+  await assertNoConflicts({
+    coachId: session.coachId,
+    studentId: session.studentId,
+    childId: session.childId,
+    ...getSessionInterval({ sessionDate: chosen, duration: session.duration }),
+    slotId: slot.id,
+    excludeScheduledSessionId: session.id
+  }, tx);
+
+  const accepted = await closeRequest(request, {
+    status: 'ACCEPTED',
+    acceptedTime: chosen,
+    responseNote: note,
+    respondedBy: userId,
+    respondedAt: now
+  }, tx);
+
+  if (session.timeSlotId) {
+    await tx.timeSlot.update({
+      where: { id: session.timeSlotId },
+      data: { currentBookings: { decrement: 1 } }
+    });
+  }
+
+  if (slot.availability) {
+    await tx.timeSlot.update({
+      where: { id: slot.id },
+      data: { currentBookings: { increment: 1 } }
+    });
+  }
+
+  const updatedSession = await tx.scheduledSession.update({
+    where: { id: session.id },
+    data: {
+      sessionDate: chosen,
+      timeSlotId: slot.availability ? slot.id : null,
+      exceptionId: slot.availability ? null : slot.id
+    }
+  });
+
+  // Reminders for the old time go, ones for the new time are queued
+  if (session.status === 'APPROVED') {
+    await sessionReminderService.cancelSessionReminders(session.id, tx);
+    await sessionReminderService.scheduleSessionReminders(updatedSession, tx);
+  }
+
+  // The old time goes to the next parent on the waitlist
+  await offerFreedCapacity(session.coachId, getSessionInterval(session), now, tx);
+
+  for (const participant of [session.coach, session.student]) {
+    const newTime = describeTime(chosen, session.duration, participant.timezone);
+
+    await notificationService.notify(participant.id, {
+      type: 'SCHEDULE_CHANGE',
+      title: 'Session rescheduled',
+      message: `"${session.title}" has moved to ${newTime.date}.`,
+      data: { scheduledSessionId: session.id, rescheduleRequestId: request.id },
+      email: {
+        template: 'session_rescheduled',
+        data: {
+          title: session.title,
+          counterpartName: fullName(otherParty(session, participant.id)),
+          previous: describeTime(session.sessionDate, session.duration, participant.timezone),
+          ...newTime,
+          note
+        }
+      }
+    }, tx);
+  }
+
+  return { request: accepted, session: updatedSession };
+});
+
+// Turn the proposed times down; the session stays where it is
+export const declineReschedule = async (requestId, userId, { note }, now = new Date()) => prisma.$transaction(async (tx) => {
+  const request = await loadRequestToAnswer(requestId, userId, tx);
+  const { session } = request;
+  const requester = otherParty(session, userId);
+  const responderName = fullName(otherParty(session, requester.id));
+
+  const declined = await closeRequest(request, {
+    status: 'DECLINED',
+    responseNote: note,
+    respondedBy: userId,
+    respondedAt: now
+  }, tx);
+
+  await notificationService.notify(requester.id, {
+    type: 'SCHEDULE_CHANGE',
+    title: 'Reschedule declined',
+    message: `${responderName} kept "${session.title}" at its current time.`,
+    data: { scheduledSessionId: session.id, rescheduleRequestId: request.id },
+    email: {
+      template: 'reschedule_declined',
+      data: {
+        title: session.title,
+        counterpartName: responderName,
+        ...describeTime(session.sessionDate, session.duration, requester.timezone),
+        note
+      }
+    }
+  }, tx);
+
+  return declined;
+});
+
+// Answer a request with other times; the answer is a new request going the other way
+export const counterReschedule = async (requestId, userId, { proposedTimes, reason }, now = new Date()) => prisma.$transaction(async (tx) => {
+  const request = await loadRequestToAnswer(requestId, userId, tx);
+
+  await closeRequest(request, {
+    status: 'COUNTERED',
+    responseNote: reason,
+    respondedBy: userId,
+    respondedAt: now
+  }, tx);
+
+  return createRequest(request.session, userId, { proposedTimes, reason, counterOf: request }, now, tx);
+});
+
+// Withdraw a pending request the user sent
+export const cancelReschedule = async (requestId, userId) => prisma.$transaction(async (tx) => {
+  const request = await tx.rescheduleRequest.findUnique({
+    where: { id: requestId },
+    include: { session: { select: { id: true, title: true, coachId: true, studentId: true } } }
+  });
+
+  if (!request || request.requestedBy !== userId) {
+    throw new ApiError(404, 'Reschedule request not found');
+  }
+
+  if (request.status !== 'PENDING') {
+    throw new ApiError(400, 'This reschedule request is no longer pending');
+  }
+
+  const cancelled = await closeRequest(request, { status: 'CANCELLED' }, tx);
+
+  await notificationService.notify(userId === request.session.coachId ? request.session.studentId : request.session.coachId, {
+    type: 'SCHEDULE_CHANGE',
+    title: 'Reschedule request withdrawn',
+    message: `The request to move "${request.session.title}" was withdrawn.`,
+    data: { scheduledSessionId: request.session.id, rescheduleRequestId: request.id }
+  }, tx);
+
+  return cancelled;
+});
+
+// A session's reschedule requests, newest first, for its participants and admins
+export const listRescheduleRequests = async (sessionId, user) => {
+  const session = await prisma.scheduledSession.findUnique({
+    where: { id: sessionId },
+    select: { coachId: true, studentId: true }
+  });
+
+  if (!session) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  if (user.role !== 'ADMIN' && !isParticipant(session, user.id)) {
+    throw new ApiError(403, 'Access denied');
+  }
+
+  const [requests, accepted] = await Promise.all([
+    prisma.rescheduleRequest.findMany({
+      where: { sessionId },
+      include: {
+        requester: { select: { id: true, firstName: true, lastName: true, role: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.rescheduleRequest.count({ where: { sessionId, status: 'ACCEPTED' } })
+  ]);
+
+  return {
+    requests,
+    policy: {
+      ...RESCHEDULE_POLICY,
+      remainingReschedules: Math.max(0, MAX_RESCHEDULES - accepted)
+    }
+  };
+};
+
+export default {
+  RESCHEDULE_POLICY,
+  MAX_PROPOSED_TIMES,
+  requestReschedule,
+  acceptReschedule,
+  declineReschedule,
+  counterReschedule,
+  cancelReschedule,
+  listRescheduleRequests
+};
@@ -0,0 +1,201 @@
+import { prisma } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getSessionTimes } from './availabilityService.js';
+import emailService from './emailService.js';
+import notificationService from './notificationService.js';
+import { resolveChannels } from './notificationPreferenceService.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Hours before the session that reminders go out, e.g. "24,1"
+const REMINDER_OFFSETS = (process.env.SESSION_REMINDER_OFFSETS || '24,1')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0);
+
+// A reminder that keeps failing to go out is given up after this many tries
+const MAX_ATTEMPTS = 3;
+
+const BATCH_SIZE = 100;
+
+const formatOffset = (hours) => (hours >= 1 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${Math.round(hours * 60)} minutes`);
+
+// Queue the reminders for an approved session, one per recipient and offset.
+// Reminders that would already be due are skipped, and re-running is a no-op
+// until the session moves to another time.
+export const scheduleSessionReminders = async (session, client = prisma) => {
+  const now = new Date();
+  const recipients = [session.coachId, session.studentId];
+
+  const reminders = REMINDER_OFFSETS.flatMap(hours => {
+    const scheduledAt = new Date(session.sessionDate.getTime() - hours * HOUR);
+    if (scheduledAt <= now) {
+      return [];
+    }
+
+    return recipients.map(userId => ({
+      userId,
+      sessionId: session.id,
+      type: 'SESSION_REMINDER',
+      title: 'Upcoming session reminder',
+      message: `"${session.title}" starts in ${formatOffset(hours)}`,
+      scheduledAt,
+      dedupeKey: `reminder:${session.id}:${session.sessionDate.toISOString()}:${userId}:${hours}h`
+    }));
+  });
+
+  if (!reminders.length) {
+    return 0;
+  }
+
+  const { count } = await client.scheduleNotification.createMany({
+    data: reminders,
+    skipDuplicates: true
+  });
+
+  return count;
+};
+
+// Drop the reminders of a session that will no longer take place
+export const cancelSessionReminders = async (sessionIds, client = prisma) => {
+  const { count } = await client.scheduleNotification.deleteMany({
+    where: {
+      sessionId: { in: [].concat(sessionIds) },
+      type: 'SESSION_REMINDER',
+      sentAt: null
+    }
+  });
+
+  return count;
+};
+
+const queueReminderEmail = (reminder, sendAt, client) => {
+  const { session, user } = reminder;
+  const isCoach = user.id === session.coachId;
+  const attendee = session.child || session.student;
+
+  return emailService.sendTemplate({
+    to: user.email,
+    template: 'session_reminder',
+    data: {
+      firstName: user.firstName,
+      role: isCoach ? 'coach' : 'student',
+      title: session.title,
+      sessionDate: session.sessionDate,
+      ...getSessionTimes(session, user.timezone),
+      counterpartName: isCoach ? `${attendee.firstName} ${attendee.lastName}` : `${session.coach.firstName} ${session.coach.lastName}`,
+      minutesBefore: Math.round((session.sessionDate - reminder.scheduledAt) / MINUTE),
+      meetingUrl: session.meetingUrl
+    },
+    language: user.language,
+    sendAt
+  }, client);
+};
+
+// Send every reminder that is due. Claiming a reminder (setting `sentAt`), queueing
+// its email in the outbox and creating its in-app notification happen in one
+// transaction, so overlapping runs never send it twice and a failure leaves it due
+// for the next run.
+export const dispatchDueReminders = async (now = new Date()) => {
+  const due = await prisma.scheduleNotification.findMany({
+    where: {
+      type: 'SESSION_REMINDER',
+      sentAt: null,
+      scheduledAt: { lte: now },
+      attempts: { lt: MAX_ATTEMPTS }
+    },
+    include: {
+      user: {
+        select: { id: true, firstName: true, email: true, language: true, timezone: true, preferences: true }
+      },
+      session: {
+        include: {
+          coach: {
+            select: { firstName: true, lastName: true }
+          },
+          student: {
+            select: { firstName: true, lastName: true }
+          },
+          child: {
+            select: { firstName: true, lastName: true }
+          }
+        }
+      }
+    },
+    orderBy: { scheduledAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let sent = 0;
+
+  for (const reminder of due) {
+    // The session was cancelled or has already started since it was queued
+    if (reminder.session.status !== 'APPROVED' || reminder.session.sessionDate <= now) {
+      await prisma.scheduleNotification.deleteMany({
+        where: { id: reminder.id, sentAt: null }
+      });
+      continue;
+    }
+
+    // Reminders follow the recipient's SESSION_REMINDER preferences
+    const channels = resolveChannels(reminder.user, 'SESSION_REMINDER', now);
+
+    try {
+      const claimed = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.scheduleNotification.updateMany({
+          where: { id: reminder.id, sentAt: null },
+          data: {
+            sentAt: new Date(),
+            attempts: { increment: 1 }
+          }
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        // A reminder held by quiet hours goes out when they end, unless the session has started by then
+        const tooLate = Boolean(channels.emailAt) && channels.emailAt >= reminder.session.sessionDate;
+
+        if (channels.email && !tooLate) {
+          await queueReminderEmail(reminder, channels.emailAt, tx);
+        }
+
+        if (channels.inApp) {
+          await notificationService.createInAppNotifications(reminder.userId, {
+            type: 'SESSION_REMINDER',
+            title: reminder.title,
+            message: `${reminder.message}.`,
+            data: { scheduledSessionId: reminder.sessionId }
+          }, tx);
+        }
+
+        return true;
+      });
+
+      if (claimed) {
+        sent += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to send session reminder ${reminder.id}:`, error);
+
+      // The claim was rolled back; count the attempt so a reminder that keeps failing is given up
+      await prisma.scheduleNotification.update({
+        where: { id: reminder.id },
+        data: {
+          attempts: { increment: 1 },
+          lastError: error.message
+        }
+      });
+    }
+  }
+
+  return sent;
+};
+
+export default {
+  scheduleSessionReminders,
+  cancelSessionReminders,
+  dispatchDueReminders
+};
@@ -0,0 +1,528 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { addDays, toZonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+import {
+  ACTIVE_BOOKING_STATUSES,
+  assertBookable,
+  resolveBookingOccurrence,
+  getCoachTimezone,
+  getSessionInterval,
+  getSessionTimes
+} from './availabilityService.js';
+import { resolveBookingTarget, createScheduledSession } from './bookingService.js';
+import creditLedgerService from './creditLedgerService.js';
+import { assertNoConflicts } from './bookingConflictService.js';
+import refundService from './refundService.js';
+import notificationService from './notificationService.js';
+import sessionReminderService from './sessionReminderService.js';
+import { offerFreedCapacity } from './waitlistService.js';
+import { SLOT_HOLD_MINUTES, createHoldRecord, convertPaidHold, releasePaymentHold } from './slotHoldService.js';
+
+const { Decimal } = Prisma;
+
+const MINUTE = 60 * 1000;
+
+// Weeks from one session of a series to the next
+const WEEKS_BETWEEN = {
+  WEEKLY: 1,
+  BIWEEKLY: 2
+};
+
+export const SERIES_FREQUENCIES = Object.keys(WEEKS_BETWEEN);
+
+// About six months of weekly sessions
+export const MAX_SERIES_OCCURRENCES = 26;
+
+const FREQUENCY_LABELS = {
+  WEEKLY: 'Every week',
+  BIWEEKLY: 'Every other week'
+};
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true
+};
+
+const sessionInclude = {
+  coach: { select: userSelect },
+  student: { select: userSelect },
+  child: { select: userSelect }
+};
+
+// The starts of a series: the same time on the coach's clock every week or every other
+// week, either `occurrences` of them or as many as start by `until`
+export const getSeriesDates = (sessionDate, { frequency, occurrences, until }, timezone) => {
+  const { date, time } = toZonedParts(sessionDate, timezone);
+  const dates = [sessionDate];
+
+  while (occurrences ? dates.length < occurrences : true) {
+    const startsAt = zonedTimeToUtc(addDays(date, dates.length * WEEKS_BETWEEN[frequency] * 7), time, timezone);
+
+    if (until && startsAt > until) {
+      break;
+    }
+
+    if (dates.length === MAX_SERIES_OCCURRENCES) {
+      throw new ApiError(400, `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions`);
+    }
+
+    dates.push(startsAt);
+  }
+
+  return dates;
+};
+
+// Work out the sessions a series request stands for and check every one of them like a
+// single booking. Each date comes back with `available`, and `reason` when it is not.
+const planSeries = async (studentId, data, now, client) => {
+  if (!data.timeSlotId || data.exceptionId) {
+    throw new ApiError(400, 'A series repeats a weekly time slot');
+  }
+
+  if (!data.occurrences === !data.until) {
+    throw new ApiError(400, 'Give either a number of sessions or an end date');
+  }
+
+  const target = await resolveBookingTarget({ ...data, studentId }, client);
+  const duration = parseInt(data.duration);
+  const price = target.slot.price ?? data.price ?? (target.enrollment ? 0 : null);
+
+  if (price === null) {
+    throw new ApiError(400, 'Price is required for times without a set price');
+  }
+
+  const dates = getSeriesDates(new Date(data.sessionDate), {
+    frequency: data.frequency,
+    occurrences: data.occurrences && parseInt(data.occurrences),
+    until: data.until && new Date(data.until)
+  }, target.coach.timezone);
+
+  if (dates.length < 2) {
+    throw new ApiError(400, 'A series needs at least two sessions');
+  }
+
+  const occurrences = [];
+  for (const sessionDate of dates) {
+    try {
+      resolveBookingOccurrence(target.slot, { sessionDate, duration, timezone: target.coach.timezone, now });
+      await assertNoConflicts({
+        coachId: target.coach.id,
+        studentId,
+        childId: target.child?.id || target.enrollment?.childId,
+        ...getSessionInterval({ sessionDate, duration }),
+        slotId: target.slot.id
+      }, client);
+      await assertBookable(target.slot, { sessionDate, duration, now }, client);
+      occurrences.push({ sessionDate, available: true });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+
+      occurrences.push({ sessionDate, available: false, reason: error.message });
+    }
+  }
+
+  return { target, duration, price: new Decimal(price), occurrences };
+};
+
+// Which dates of a series could be booked right now, and what it would cost
+export const checkSeries = async (studentId, data, now = new Date()) => {
+  const { price, occurrences } = await planSeries(studentId, data, now, prisma);
+
+  return {
+    occurrences,
+    pricePerSession: price,
+    total: price.times(occurrences.length)
+  };
+};
+
+const isFree = (series) => Boolean(series.enrollmentId) || new Decimal(series.price).lte(0);
+
+// Start a series once every date has been checked; one that cannot be booked stops it
+const startSeries = async (studentId, data, status, now, client) => {
+  const { target, duration, price, occurrences } = await planSeries(studentId, data, now, client);
+  const unavailable = occurrences.filter(occurrence => !occurrence.available);
+
+  if (unavailable.length) {
+    const dates = unavailable.map(occurrence => `${occurrence.sessionDate.toISOString()} (${occurrence.reason})`);
+    throw new ApiError(409, `Not every date can be booked: ${dates.join(', ')}`);
+  }
+
+  const series = await client.sessionSeries.create({
+    data: {
+      coachId: target.coach.id,
+      studentId,
+      timeSlotId: target.slot.id,
+      childId: target.child?.id || target.enrollment?.childId,
+      enrollmentId: target.enrollment?.id,
+      courseId: data.courseId || target.enrollment?.courseId,
+      frequency: data.frequency,
+      firstSessionDate: occurrences[0].sessionDate,
+      occurrences: occurrences.length,
+      duration,
+      sessionType: target.slot.sessionType,
+      title: data.title,
+      description: data.description,
+      price,
+      notes: data.notes,
+      status
+    }
+  });
+
+  return { target, series, dates: occurrences.map(occurrence => occurrence.sessionDate) };
+};
+
+// One notification per party for the whole series rather than one per session
+const notifySeriesBooked = async (series, sessions, client) => {
+  const first = sessions[0];
+  const timezone = await getCoachTimezone(series.coachId, client);
+  const learner = first.child || first.student;
+  const seriesDetails = {
+    title: series.title,
+    frequency: FREQUENCY_LABELS[series.frequency],
+    count: sessions.length,
+    firstDate: first.sessionDate,
+    lastDate: sessions[sessions.length - 1].sessionDate,
+    ...getSessionTimes(first, timezone)
+  };
+  const summary = `${sessions.length} sessions of "${series.title}" from ${first.sessionDate.toLocaleDateString()}`;
+
+  await notificationService.notify(series.coachId, {
+    type: 'SESSION_BOOKED',
+    title: 'New session series',
+    message: `${summary} are waiting for your approval.`,
+    data: { seriesId: series.id },
+    email: {
+      template: 'series_scheduled',
+      data: {
+        ...seriesDetails,
+        role: 'coach',
+        counterpartName: `${learner.firstName} ${learner.lastName}`
+      }
+    }
+  }, client);
+
+  await notificationService.notify(series.studentId, {
+    type: 'SESSION_BOOKED',
+    title: 'Session series scheduled',
+    message: `${summary} are pending approval.`,
+    data: { seriesId: series.id },
+    email: {
+      template: 'series_scheduled',
+      data: {
+        ...seriesDetails,
+        role: 'student',
+        counterpartName: `${first.coach.firstName} ${first.coach.lastName}`
+      }
+    }
+  }, client);
+};
+
+// Book every session of a series paid for with credits: one charge for all of them, whose
+// share is refunded when a session is cancelled. Sessions under an enrollment cost nothing here.
+export const bookSeriesWithCredits = (studentId, data, now = new Date()) => creditLedgerService.runLedgerTransaction(async (tx) => {
+  const { target, series, dates } = await startSeries(studentId, data, 'ACTIVE', now, tx);
+
+  const sessions = [];
+  for (const sessionDate of dates) {
+    sessions.push(await createScheduledSession({
+      ...target,
+      studentId,
+      courseId: series.courseId,
+      sessionDate,
+      title: series.title,
+      description: series.description,
+      duration: series.duration,
+      sessionType: series.sessionType,
+      price: series.price,
+      notes: series.notes,
+      seriesId: series.id,
+      notify: false
+    }, tx));
+  }
+
+  let creditBalance = null;
+  let transaction = null;
+  if (!isFree(series)) {
+    ({ creditBalance, transaction } = await creditLedgerService.applyDebit(tx, {
+      userId: studentId,
+      amount: series.price.times(sessions.length),
+      type: 'SPENT',
+      description: `Booked ${sessions.length} sessions of "${series.title}"`,
+      referenceId: series.id,
+      referenceType: 'SESSION_SERIES',
+      metadata: {
+        coachId: series.coachId,
+        pricePerSession: series.price.toString(),
+        sessions: sessions.length
+      },
+      idempotencyKey: `session-series:${series.id}`
+    }));
+  }
+
+  await notifySeriesBooked(series, sessions, tx);
+
+  return { series, sessions, creditBalance, transaction };
+});
+
+// Hold every session of a series while its card payment goes through. The sessions are
+// booked when the payment succeeds (see convertPaidSeries).
+export const holdSeriesForPayment = (studentId, data, now = new Date()) => prisma.$transaction(async (tx) => {
+  const { target, series, dates } = await startSeries(studentId, data, 'PENDING_PAYMENT', now, tx);
+
+  if (isFree(series)) {
+    throw new ApiError(400, 'Nothing to pay for this series; book it with credits instead');
+  }
+
+  const expiresAt = new Date(now.getTime() + SLOT_HOLD_MINUTES * MINUTE);
+  const holds = [];
+  for (const sessionDate of dates) {
+    holds.push(await createHoldRecord(target, {
+      ...data,
+      studentId,
+      sessionDate,
+      duration: series.duration,
+      price: series.price
+    }, { expiresAt, seriesId: series.id }, tx));
+  }
+
+  return { series, holds };
+});
+
+export const attachPayment = (seriesId, paymentId) => prisma.sessionSeries.update({
+  where: { id: seriesId },
+  data: { paymentId }
+});
+
+// Series are visible to their parent, their coach and admins
+export const getSeries = async (seriesId, user, client = prisma) => {
+  const series = await client.sessionSeries.findUnique({
+    where: { id: seriesId },
+    include: {
+      sessions: { orderBy: { sessionDate: 'asc' } }
+    }
+  });
+
+  if (!series || (user.role !== 'ADMIN' && series.studentId !== user.id && series.coachId !== user.id)) {
+    throw new ApiError(404, 'Series not found');
+  }
+
+  return series;
+};
+
+// Book the held sessions of a series once its card payment has gone through. Sessions whose
+// time was lost meanwhile are left out; `refundAmount` is what the payment should give back
+// for them. Safe to repeat.
+export const convertPaidSeries = async (seriesId, paymentId, now = new Date()) => {
+  const series = await prisma.sessionSeries.findUnique({
+    where: { id: seriesId },
+    include: {
+      holds: { orderBy: { sessionDate: 'asc' } }
+    }
+  });
+
+  if (!series || series.status !== 'PENDING_PAYMENT') {
+    return { sessions: [], refundAmount: new Decimal(0) };
+  }
+
+  let unbooked = 0;
+  for (const hold of series.holds) {
+    const { reason } = await convertPaidHold(hold.id, paymentId, now);
+
+    if (reason) {
+      unbooked += 1;
+    }
+  }
+
+  const sessions = await prisma.scheduledSession.findMany({
+    where: { seriesId },
+    include: sessionInclude,
+    orderBy: { sessionDate: 'asc' }
+  });
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.sessionSeries.updateMany({
+      where: { id: seriesId, status: 'PENDING_PAYMENT' },
+      data: sessions.length ? { status: 'ACTIVE' } : { status: 'CANCELLED', cancelledAt: now }
+    });
+
+    if (count && sessions.length) {
+      await notifySeriesBooked(series, sessions, tx);
+    }
+  });
+
+  if (unbooked) {
+    logger.warn(`Series ${seriesId}: ${unbooked} paid session(s) could not be booked`);
+  }
+
+  return { sessions, refundAmount: new Decimal(series.price).times(unbooked) };
+};
+
+// A series whose card payment was cancelled lets all its times go
+export const releasePaymentSeries = async (seriesId, now = new Date()) => {
+  const holds = await prisma.slotHold.findMany({
+    where: { seriesId, status: 'ACTIVE' },
+    select: { id: true }
+  });
+
+  for (const hold of holds) {
+    await releasePaymentHold(hold.id, now);
+  }
+
+  const { count } = await prisma.sessionSeries.updateMany({
+    where: { id: seriesId, status: 'PENDING_PAYMENT' },
+    data: { status: 'CANCELLED', cancelledAt: now }
+  });
+
+  return count;
+};
+
+// Cancel one upcoming session of a series (`sessionId`), or every upcoming session and the
+// series with it. Credits come back per session under the refund policy; for a series paid by
+// card, `cardRefundAmount` is what its payment should give back.
+export const cancelSeries = async (seriesId, user, { sessionId, reason } = {}, now = new Date()) => {
+  const series = await getSeries(seriesId, user);
+
+  if (series.status !== 'ACTIVE') {
+    throw new ApiError(400, 'This series is not active');
+  }
+
+  const isUpcoming = session => ACTIVE_BOOKING_STATUSES.includes(session.status) && session.sessionDate > now;
+  let sessions = series.sessions.filter(isUpcoming);
+
+  if (sessionId) {
+    const session = series.sessions.find(candidate => candidate.id === sessionId);
+
+    if (!session) {
+      throw new ApiError(404, 'Session not found in this series');
+    }
+
+    if (!isUpcoming(session)) {
+      throw new ApiError(400, 'Only upcoming sessions can be cancelled');
+    }
+
+    sessions = [session];
+  } else if (!sessions.length) {
+    throw new ApiError(400, 'No upcoming sessions left to cancel');
+  }
+
+  const cancelReason = reason || `Cancelled by ${user.role.toLowerCase()}`;
+
+  return creditLedgerService.runLedgerTransaction(async (tx) => {
+    const cancelled = [];
+    const creditRefunds = [];
+    let cardRefundAmount = new Decimal(0);
+
+    for (const session of sessions) {
+      const { count } = await tx.scheduledSession.updateMany({
+        where: { id: session.id, status: { in: ACTIVE_BOOKING_STATUSES } },
+        data: { status: 'CANCELLED' }
+      });
+
+      if (!count) {
+        continue;
+      }
+
+      cancelled.push(session);
+
+      if (session.timeSlotId) {
+        await tx.timeSlot.update({
+          where: { id: session.timeSlotId },
+          data: { currentBookings: { decrement: 1 } }
+        });
+      }
+
+      const creditRefund = await refundService.refundCancelledBooking(tx, {
+        referenceId: session.id,
+        seriesId,
+        startsAt: session.sessionDate,
+        initiatedBy: user.role,
+        status: session.status,
+        reason: `Session "${series.title}" cancelled`
+      });
+
+      if (creditRefund) {
+        creditRefunds.push(creditRefund);
+      }
+
+      if (series.paymentId) {
+        const { amount } = refundService.calculateRefund(series.price, {
+          startsAt: session.sessionDate,
+          cancelledAt: now,
+          initiatedBy: user.role,
+          status: session.status
+        });
+        cardRefundAmount = cardRefundAmount.plus(amount);
+      }
+
+      // The freed time goes to the next parent on the waitlist
+      await offerFreedCapacity(series.coachId, getSessionInterval(session), now, tx);
+    }
+
+    await sessionReminderService.cancelSessionReminders(cancelled.map(session => session.id), tx);
+
+    if (!sessionId) {
+      await tx.sessionSeries.update({
+        where: { id: seriesId },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: now,
+          cancelledBy: user.id
+        }
+      });
+    }
+
+    if (cancelled.length) {
+      const cancelDetails = {
+        title: series.title,
+        sessionDates: cancelled.map(session => session.sessionDate),
+        wholeSeries: !sessionId,
+        reason: cancelReason
+      };
+      const message = sessionId
+        ? `The "${series.title}" session on ${cancelled[0].sessionDate.toLocaleDateString()} was cancelled.`
+        : `The remaining ${cancelled.length} sessions of "${series.title}" were cancelled.`;
+
+      for (const userId of [series.coachId, series.studentId]) {
+        await notificationService.notify(userId, {
+          type: 'SESSION_CANCELLED',
+          title: sessionId ? 'Series session cancelled' : 'Session series cancelled',
+          message,
+          data: { seriesId, scheduledSessionIds: cancelled.map(session => session.id) },
+          email: {
+            template: 'series_cancelled',
+            data: cancelDetails
+          }
+        }, tx);
+      }
+    }
+
+    return {
+      series: await tx.sessionSeries.findUnique({
+        where: { id: seriesId },
+        include: { sessions: { orderBy: { sessionDate: 'asc' } } }
+      }),
+      cancelledSessionIds: cancelled.map(session => session.id),
+      creditRefunds,
+      cardRefundAmount
+    };
+  });
+};
+
+export default {
+  SERIES_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  getSeriesDates,
+  checkSeries,
+  bookSeriesWithCredits,
+  holdSeriesForPayment,
+  attachPayment,
+  getSeries,
+  convertPaidSeries,
+  releasePaymentSeries,
+  cancelSeries
+};
@@ -0,0 +1,351 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../utils/logger.js';
+import { assertBookable, getSessionInterval } from './availabilityService.js';
+import { resolveBookingTarget, createScheduledSession } from './bookingService.js';
+import creditLedgerService from './creditLedgerService.js';
+import { assertNoConflicts } from './bookingConflictService.js';
+import { offerFreedCapacity } from './waitlistService.js';
+
+const MINUTE = 60 * 1000;
+
+// How long a hold keeps a time for the parent while they pay
+const HOLD_MINUTES = Number.isNaN(parseInt(process.env.SLOT_HOLD_MINUTES)) ? 10 : parseInt(process.env.SLOT_HOLD_MINUTES);
+
+export const SLOT_HOLD_MINUTES = HOLD_MINUTES;
+
+// Holds one parent can have open at once, so nobody can sit on a coach's calendar
+export const MAX_ACTIVE_HOLDS = 3;
+
+const isOpen = (hold, now) => hold.status === 'ACTIVE' && hold.expiresAt > now;
+
+// The booking a hold stands for, checked again when it is converted
+const toBookingRequest = (hold) => ({
+  timeSlotId: hold.timeSlotId,
+  exceptionId: hold.exceptionId,
+  studentId: hold.studentId,
+  childId: hold.childId,
+  enrollmentId: hold.enrollmentId,
+  sessionDate: hold.sessionDate,
+  duration: hold.duration
+});
+
+// Check a time to hold or book against the coach's and learner's other bookings
+const assertNoHoldConflicts = ({ slot, coach, child, enrollment }, { studentId, sessionDate, duration }, client) => assertNoConflicts({
+  coachId: coach.id,
+  studentId,
+  childId: child?.id || enrollment?.childId,
+  ...getSessionInterval({ sessionDate, duration }),
+  slotId: slot.id
+}, client);
+
+// Store a hold on a checked booking target, inside the caller's transaction
+export const createHoldRecord = ({ slot, coach, child, enrollment }, data, { expiresAt, seriesId }, client) => client.slotHold.create({
+  data: {
+    coachId: coach.id,
+    studentId: data.studentId,
+    timeSlotId: slot.availability ? slot.id : null,
+    exceptionId: slot.availability ? null : slot.id,
+    childId: child?.id || enrollment?.childId,
+    enrollmentId: enrollment?.id,
+    courseId: data.courseId || enrollment?.courseId,
+    sessionDate: data.sessionDate,
+    duration: data.duration,
+    sessionType: slot.sessionType,
+    title: data.title,
+    description: data.description,
+    price: new Prisma.Decimal(data.price),
+    notes: data.notes,
+    expiresAt,
+    seriesId
+  }
+});
+
+// Reserve a time in a weekly slot or extra hours for a few minutes while the parent pays.
+// The request is checked like a booking; the price is the slot's own, when it has one.
+export const createHold = async (studentId, data, now = new Date()) => {
+  const target = await resolveBookingTarget({ ...data, studentId });
+  const sessionDate = new Date(data.sessionDate);
+  const duration = parseInt(data.duration);
+  // Sessions under an enrollment were paid for with it
+  const price = target.slot.price ?? data.price ?? (target.enrollment ? 0 : null);
+
+  if (price === null) {
+    throw new ApiError(400, 'Price is required for times without a set price');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // The times a series is being paid for do not count
+    const activeHolds = await tx.slotHold.count({
+      where: { studentId, seriesId: null, status: 'ACTIVE', expiresAt: { gt: now } }
+    });
+
+    if (activeHolds >= MAX_ACTIVE_HOLDS) {
+      throw new ApiError(409, `You can hold at most ${MAX_ACTIVE_HOLDS} times at once`);
+    }
+
+    await assertNoHoldConflicts(target, { studentId, sessionDate, duration }, tx);
+    await assertBookable(target.slot, { sessionDate, duration, now }, tx);
+
+    return createHoldRecord(target, {
+      ...data,
+      studentId,
+      sessionDate,
+      duration,
+      price
+    }, { expiresAt: new Date(now.getTime() + HOLD_MINUTES * MINUTE) }, tx);
+  });
+};
+
+const findOwnHold = async (holdId, user, client = prisma) => {
+  const hold = await client.slotHold.findUnique({ where: { id: holdId } });
+
+  if (!hold || (user.role !== 'ADMIN' && hold.studentId !== user.id)) {
+    throw new ApiError(404, 'Hold not found');
+  }
+
+  return hold;
+};
+
+// The times held for a series are paid for and released with the series
+const assertNotInSeries = (hold) => {
+  if (hold.seriesId) {
+    throw new ApiError(400, 'This hold is part of a session series');
+  }
+};
+
+export const getHold = (holdId, user) => findOwnHold(holdId, user);
+
+// Give a held time back before it runs out; it goes to the waitlist
+export const releaseHold = async (holdId, user, now = new Date()) => prisma.$transaction(async (tx) => {
+  const hold = await findOwnHold(holdId, user, tx);
+  assertNotInSeries(hold);
+
+  if (hold.status !== 'ACTIVE') {
+    throw new ApiError(400, 'This hold is no longer active');
+  }
+
+  await tx.slotHold.updateMany({
+    where: { id: holdId, status: 'ACTIVE' },
+    data: { status: 'RELEASED' }
+  });
+
+  await offerFreedCapacity(hold.coachId, getSessionInterval(hold), now, tx);
+
+  return tx.slotHold.findUnique({ where: { id: holdId } });
+});
+
+// Turn a hold into a booking inside the caller's transaction. Claiming the hold first
+// means two conversions of the same hold cannot both book it.
+const convertHold = async (hold, { paymentId, now }, client) => {
+  const { count } = await client.slotHold.updateMany({
+    where: { id: hold.id, status: hold.status },
+    data: { status: 'CONVERTED' }
+  });
+
+  if (!count) {
+    throw new ApiError(409, 'This hold has just changed; please try again');
+  }
+
+  const target = await resolveBookingTarget(toBookingRequest(hold), client);
+
+  await assertNoHoldConflicts(target, hold, client);
+
+  // Still bookable once the hold itself is left out (an expired hold may have lost its time)
+  await assertBookable(target.slot, {
+    sessionDate: hold.sessionDate,
+    duration: hold.duration,
+    excludeHoldId: hold.id,
+    now
+  }, client);
+
+  const scheduledSession = await createScheduledSession({
+    ...target,
+    studentId: hold.studentId,
+    courseId: hold.courseId,
+    sessionDate: hold.sessionDate,
+    title: hold.title,
+    description: hold.description,
+    duration: hold.duration,
+    sessionType: hold.sessionType,
+    price: hold.price,
+    notes: hold.notes,
+    paymentId,
+    seriesId: hold.seriesId,
+    notify: !hold.seriesId
+  }, client);
+
+  await client.slotHold.update({
+    where: { id: hold.id },
+    data: { scheduledSessionId: scheduledSession.id }
+  });
+
+  return scheduledSession;
+};
+
+// Pay for a held time with credits (its price, one credit per unit) and book it. Sessions
+// under an enrollment are already paid for and cost nothing here. Retrying after the hold
+// was converted returns the same booking.
+export const payHoldWithCredits = async (holdId, user, now = new Date()) => {
+  const hold = await findOwnHold(holdId, user);
+  assertNotInSeries(hold);
+
+  if (hold.status === 'CONVERTED' && hold.scheduledSessionId) {
+    const [session, creditBalance] = await Promise.all([
+      prisma.scheduledSession.findUnique({ where: { id: hold.scheduledSessionId } }),
+      prisma.creditBalance.findUnique({ where: { userId: hold.studentId } })
+    ]);
+
+    return { session, creditBalance, transaction: null, replayed: true };
+  }
+
+  if (!isOpen(hold, now)) {
+    throw new ApiError(400, 'This hold has expired');
+  }
+
+  if (hold.paymentId) {
+    throw new ApiError(400, 'A card payment has already been started for this hold');
+  }
+
+  return creditLedgerService.runLedgerTransaction(async (tx) => {
+    const session = await convertHold(hold, { now }, tx);
+
+    if (hold.enrollmentId || new Prisma.Decimal(hold.price).lte(0)) {
+      return {
+        session,
+        creditBalance: await tx.creditBalance.findUnique({ where: { userId: hold.studentId } }),
+        transaction: null,
+        replayed: false
+      };
+    }
+
+    const { creditBalance, transaction } = await creditLedgerService.applyDebit(tx, {
+      userId: hold.studentId,
+      amount: hold.price,
+      type: 'SPENT',
+      description: `Booked "${hold.title}"`,
+      referenceId: session.id,
+      referenceType: 'SCHEDULED_SESSION',
+      metadata: {
+        slotHoldId: hold.id,
+        coachId: hold.coachId,
+        sessionDate: hold.sessionDate.toISOString()
+      },
+      idempotencyKey: `slot-hold:${hold.id}`
+    });
+
+    return { session, creditBalance, transaction, replayed: false };
+  });
+};
+
+// The hold a card payment is about to be started for
+export const getPayableHold = async (holdId, user, now = new Date()) => {
+  const hold = await findOwnHold(holdId, user);
+  assertNotInSeries(hold);
+
+  if (!isOpen(hold, now)) {
+    throw new ApiError(400, 'This hold has expired');
+  }
+
+  if (hold.enrollmentId || new Prisma.Decimal(hold.price).lte(0)) {
+    throw new ApiError(400, 'Nothing to pay for this hold; confirm it with credits instead');
+  }
+
+  return hold;
+};
+
+export const attachPayment = (holdId, paymentId) => prisma.slotHold.update({
+  where: { id: holdId },
+  data: { paymentId }
+});
+
+// Book a held time once its card payment has gone through. A payment that lands after the
+// hold ran out still books the time if it is free; otherwise `{ reason }` says why not, so
+// the payment can be refunded. Safe to repeat.
+export const convertPaidHold = async (holdId, paymentId, now = new Date()) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const hold = await tx.slotHold.findUnique({ where: { id: holdId } });
+
+      if (!hold) {
+        return { reason: 'Hold not found' };
+      }
+
+      if (hold.status === 'CONVERTED') {
+        return { session: null };
+      }
+
+      return { session: await convertHold(hold, { paymentId, now }, tx) };
+    });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      throw error;
+    }
+
+    logger.warn(`Paid hold ${holdId} could not be booked: ${error.message}`);
+    await prisma.slotHold.updateMany({
+      where: { id: holdId, status: 'ACTIVE' },
+      data: { status: 'EXPIRED' }
+    });
+
+    return { reason: error.message };
+  }
+};
+
+// A hold whose card payment was cancelled lets its time go
+export const releasePaymentHold = async (holdId, now = new Date()) => prisma.$transaction(async (tx) => {
+  const hold = await tx.slotHold.findUnique({ where: { id: holdId } });
+
+  const { count } = await tx.slotHold.updateMany({
+    where: { id: holdId, status: 'ACTIVE' },
+    data: { status: 'RELEASED' }
+  });
+
+  if (count) {
+    await offerFreedCapacity(hold.coachId, getSessionInterval(hold), now, tx);
+  }
+
+  return count;
+});
+
+// Holds that ran out without being paid for give their time to the waitlist. Returns how many expired.
+export const expireSlotHolds = async (now = new Date()) => {
+  const expiredHolds = await prisma.slotHold.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: now } }
+  });
+
+  let expired = 0;
+
+  for (const hold of expiredHolds) {
+    expired += await prisma.$transaction(async (tx) => {
+      const { count } = await tx.slotHold.updateMany({
+        where: { id: hold.id, status: 'ACTIVE' },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (count) {
+        await offerFreedCapacity(hold.coachId, getSessionInterval(hold), now, tx);
+      }
+
+      return count;
+    });
+  }
+
+  return expired;
+};
+
+export default {
+  SLOT_HOLD_MINUTES,
+  MAX_ACTIVE_HOLDS,
+  createHoldRecord,
+  createHold,
+  getHold,
+  releaseHold,
+  payHoldWithCredits,
+  getPayableHold,
+  attachPayment,
+  convertPaidHold,
+  releasePaymentHold,
+  expireSlotHolds
+};
@@ -0,0 +1,416 @@
+import { prisma } from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { toZonedParts } from '../utils/timezone.js';
+import {
+  MAX_RANGE_DAYS,
+  getCoachTimezone,
+  getSessionTimes,
+  resolveBookingOccurrence,
+  assertBookable,
+  findBookableSlot,
+  generateBookableSlots
+} from './availabilityService.js';
+import notificationService from './notificationService.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How long an offered time is held for the parent before it goes to the next in line
+const OFFER_MINUTES = Number.isNaN(parseInt(process.env.WAITLIST_OFFER_MINUTES)) ? 30 : parseInt(process.env.WAITLIST_OFFER_MINUTES);
+
+export const WAITLIST_OFFER_MINUTES = OFFER_MINUTES;
+
+// Entries still in line or holding an offer
+const OPEN_STATUSES = ['WAITING', 'OFFERED'];
+
+const userSelect = { id: true, firstName: true, lastName: true, timezone: true };
+
+const entryInclude = {
+  coach: { select: userSelect },
+  student: { select: userSelect }
+};
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const offeredInterval = (entry) => ({
+  startsAt: entry.offeredStartsAt,
+  endsAt: new Date(entry.offeredStartsAt.getTime() + entry.duration * MINUTE)
+});
+
+// The earliest start the entry could be booked at now among starts between `from` and `to`,
+// as { timeSlotId, exceptionId, startsAt }, or null
+const findOpening = async (entry, { from, to }, now, client) => {
+  if (entry.sessionDate) {
+    if (entry.sessionDate < from || entry.sessionDate >= to) {
+      return null;
+    }
+
+    try {
+      const slot = await findBookableSlot(entry.coachId, {
+        sessionDate: entry.sessionDate,
+        duration: entry.duration,
+        sessionType: entry.sessionType,
+        now
+      }, client);
+
+      return {
+        timeSlotId: slot.availability ? slot.id : null,
+        exceptionId: slot.availability ? null : slot.id,
+        startsAt: entry.sessionDate
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  const start = new Date(Math.max(entry.windowStart, from, now));
+  const end = new Date(Math.min(entry.windowEnd, to));
+
+  if (start >= end) {
+    return null;
+  }
+
+  const timezone = await getCoachTimezone(entry.coachId, client);
+  const { availableSlots } = await generateBookableSlots({
+    coachId: entry.coachId,
+    from: toZonedParts(start, timezone).date,
+    to: toZonedParts(end, timezone).date,
+    timezone,
+    duration: entry.duration,
+    sessionType: entry.sessionType,
+    now,
+    client
+  });
+
+  const slot = availableSlots.find(candidate => candidate.startsAt >= start && candidate.startsAt < end &&
+    candidate.endsAt <= entry.windowEnd);
+
+  return slot ? { timeSlotId: slot.timeSlotId, exceptionId: slot.exceptionId, startsAt: slot.startsAt } : null;
+};
+
+// Hold an opening for the entry's parent and tell them about it. Null if the entry has
+// left the line in the meantime.
+const makeOffer = async (entry, opening, now, client) => {
+  const offerExpiresAt = new Date(now.getTime() + OFFER_MINUTES * MINUTE);
+
+  const { count } = await client.waitlistEntry.updateMany({
+    where: { id: entry.id, status: 'WAITING' },
+    data: {
+      status: 'OFFERED',
+      offeredAt: now,
+      offerExpiresAt,
+      offeredStartsAt: opening.startsAt,
+      offeredTimeSlotId: opening.timeSlotId,
+      offeredExceptionId: opening.exceptionId
+    }
+  });
+
+  if (!count) {
+    return null;
+  }
+
+  const timezone = entry.student.timezone;
+  const holdUntil = toZonedParts(offerExpiresAt, timezone);
+
+  await notificationService.notify(entry.studentId, {
+    type: 'WAITLIST_OFFER',
+    title: 'A time has opened up',
+    message: `${fullName(entry.coach)} has a time free on ${opening.startsAt.toLocaleDateString()}. It is held for you for ${OFFER_MINUTES} minutes.`,
+    data: {
+      waitlistEntryId: entry.id,
+      timeSlotId: opening.timeSlotId,
+      exceptionId: opening.exceptionId,
+      sessionDate: opening.startsAt
+    },
+    email: {
+      template: 'waitlist_offer',
+      data: {
+        coachName: fullName(entry.coach),
+        sessionDate: opening.startsAt,
+        date: toZonedParts(opening.startsAt, timezone).date,
+        ...getSessionTimes({ sessionDate: opening.startsAt, duration: entry.duration }, timezone),
+        holdMinutes: OFFER_MINUTES,
+        holdUntil: `${holdUntil.date} ${holdUntil.time}`,
+        waitlistEntryId: entry.id
+      }
+    }
+  }, client);
+
+  return client.waitlistEntry.findUnique({ where: { id: entry.id } });
+};
+
+// Offer capacity freed around [startsAt, endsAt) (a rejected, cancelled or moved booking, or
+// an offer nobody took) to the parents waiting for it, first come first served. Buffers and
+// the daily cap reach past the booking itself, so waits on the day around it are tried too.
+export const offerFreedCapacity = async (coachId, { startsAt, endsAt }, now = new Date(), client = prisma) => {
+  const from = new Date(startsAt.getTime() - DAY);
+  const to = new Date(endsAt.getTime() + DAY);
+
+  const entries = await client.waitlistEntry.findMany({
+    where: {
+      coachId,
+      status: 'WAITING',
+      OR: [
+        { sessionDate: { gte: from, lt: to } },
+        { windowStart: { lt: to }, windowEnd: { gt: from } }
+      ]
+    },
+    include: entryInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const offers = [];
+
+  // Each offer holds its time, so later entries only see what is left
+  for (const entry of entries) {
+    const opening = await findOpening(entry, { from, to }, now, client);
+    const offer = opening && await makeOffer(entry, opening, now, client);
+
+    if (offer) {
+      offers.push(offer);
+    }
+  }
+
+  return offers;
+};
+
+// A start in a weekly slot or extra hours that is full right now
+const resolveSlotStart = async ({ timeSlotId, exceptionId, sessionDate }, duration, now) => {
+  let slot;
+
+  if (timeSlotId) {
+    slot = await prisma.timeSlot.findUnique({
+      where: { id: timeSlotId },
+      include: { availability: true }
+    });
+
+    if (!slot || !slot.isAvailable || !slot.availability.isActive || slot.availability.retiredAt) {
+      throw new ApiError(404, 'Time slot not found');
+    }
+  } else {
+    slot = await prisma.availabilityException.findUnique({ where: { id: exceptionId } });
+
+    if (!slot || slot.type !== 'EXTRA_HOURS') {
+      throw new ApiError(404, 'Extra hours not found');
+    }
+  }
+
+  const coachId = slot.availability ? slot.availability.coachId : slot.coachId;
+  const start = new Date(sessionDate);
+
+  resolveBookingOccurrence(slot, {
+    sessionDate: start,
+    duration,
+    timezone: await getCoachTimezone(coachId),
+    now
+  });
+
+  try {
+    await assertBookable(slot, { sessionDate: start, duration, now });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      throw error;
+    }
+
+    return { coachId, sessionDate: start, windowStart: null, windowEnd: null, duration, sessionType: slot.sessionType };
+  }
+
+  throw new ApiError(400, 'This time can still be booked');
+};
+
+// A window with a coach that has no bookable start right now
+const resolveWindow = async ({ coachId, from, to, sessionType }, duration, now) => {
+  const windowStart = new Date(from);
+  const windowEnd = new Date(to);
+
+  if (windowEnd <= now) {
+    throw new ApiError(400, 'The window must end in the future');
+  }
+
+  if (windowEnd.getTime() - windowStart.getTime() < duration * MINUTE) {
+    throw new ApiError(400, 'The window must be at least as long as the session');
+  }
+
+  if (windowEnd.getTime() - windowStart.getTime() > MAX_RANGE_DAYS * DAY) {
+    throw new ApiError(400, `The window can span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const coach = await prisma.user.findFirst({
+    where: { id: coachId, role: 'COACH' },
+    select: { id: true }
+  });
+
+  if (!coach) {
+    throw new ApiError(404, 'Coach not found');
+  }
+
+  const entry = {
+    coachId,
+    sessionDate: null,
+    windowStart,
+    windowEnd,
+    duration,
+    sessionType: (sessionType || 'ONE_ON_ONE').toUpperCase()
+  };
+
+  if (await findOpening(entry, { from: windowStart, to: windowEnd }, now, prisma)) {
+    throw new ApiError(400, 'Times are still open in this window; book one of them instead');
+  }
+
+  return entry;
+};
+
+// Join the waitlist for one full start in a weekly slot or extra hours (`timeSlotId` or
+// `exceptionId` with `sessionDate`), or for any start with a coach in a window (`coachId`,
+// `from`, `to`). Times that can be booked right now are turned away.
+export const joinWaitlist = async (studentId, data, now = new Date()) => {
+  const duration = parseInt(data.duration);
+  const entry = data.coachId
+    ? await resolveWindow(data, duration, now)
+    : await resolveSlotStart(data, duration, now);
+
+  const existing = await prisma.waitlistEntry.count({
+    where: {
+      studentId,
+      coachId: entry.coachId,
+      status: { in: OPEN_STATUSES },
+      sessionDate: entry.sessionDate,
+      windowStart: entry.windowStart,
+      windowEnd: entry.windowEnd
+    }
+  });
+
+  if (existing) {
+    throw new ApiError(409, 'You are already on the waitlist for this time');
+  }
+
+  return prisma.waitlistEntry.create({
+    data: { ...entry, studentId },
+    include: entryInclude
+  });
+};
+
+// Waitlist entries in line order: a parent's own, the parents waiting for a coach, or any for admins
+export const listWaitlist = (user, { coachId, status } = {}) => prisma.waitlistEntry.findMany({
+  where: {
+    ...(user.role === 'PARENT' && { studentId: user.id }),
+    ...(user.role === 'COACH' && { coachId: user.id }),
+    ...(user.role === 'ADMIN' && coachId && { coachId }),
+    ...(status && { status })
+  },
+  include: entryInclude,
+  orderBy: { createdAt: 'asc' }
+});
+
+// Leave the waitlist. A time held for the entry goes to the next in line.
+export const leaveWaitlist = async (entryId, user, now = new Date()) => prisma.$transaction(async (tx) => {
+  const entry = await tx.waitlistEntry.findUnique({ where: { id: entryId } });
+
+  if (!entry || (user.role !== 'ADMIN' && entry.studentId !== user.id)) {
+    throw new ApiError(404, 'Waitlist entry not found');
+  }
+
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new ApiError(400, 'This waitlist entry is no longer open');
+  }
+
+  const { count } = await tx.waitlistEntry.updateMany({
+    where: { id: entryId, status: entry.status },
+    data: { status: 'CANCELLED' }
+  });
+
+  if (!count) {
+    throw new ApiError(409, 'This waitlist entry has just changed; please try again');
+  }
+
+  if (entry.status === 'OFFERED') {
+    await offerFreedCapacity(entry.coachId, offeredInterval(entry), now, tx);
+  }
+
+  return tx.waitlistEntry.findUnique({ where: { id: entryId }, include: entryInclude });
+});
+
+// The open offer a booking is made from, checked against what is being booked
+export const getOpenOffer = async (entryId, { studentId, timeSlotId, exceptionId, sessionDate }, now = new Date()) => {
+  const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId } });
+
+  if (!entry || entry.studentId !== studentId) {
+    throw new ApiError(404, 'Waitlist entry not found');
+  }
+
+  if (entry.status !== 'OFFERED' || entry.offerExpiresAt <= now) {
+    throw new ApiError(400, 'This waitlist offer is no longer open');
+  }
+
+  if (entry.offeredStartsAt.getTime() !== sessionDate.getTime() ||
+    entry.offeredTimeSlotId !== (timeSlotId || null) ||
+    entry.offeredExceptionId !== (exceptionId || null)) {
+    throw new ApiError(400, 'Book the time offered from the waitlist');
+  }
+
+  return entry;
+};
+
+// Record the booking made from an offer, in the booking's transaction
+export const markOfferBooked = async (entryId, scheduledSessionId, client = prisma) => {
+  const { count } = await client.waitlistEntry.updateMany({
+    where: { id: entryId, status: 'OFFERED' },
+    data: { status: 'BOOKED', scheduledSessionId }
+  });
+
+  if (!count) {
+    throw new ApiError(409, 'This waitlist offer is no longer open');
+  }
+};
+
+// Offers not taken up in time go to the next in line, and entries whose time has passed
+// are closed. Returns how many of each.
+export const expireWaitlist = async (now = new Date()) => {
+  const expiredOffers = await prisma.waitlistEntry.findMany({
+    where: { status: 'OFFERED', offerExpiresAt: { lte: now } }
+  });
+
+  let offersExpired = 0;
+
+  for (const entry of expiredOffers) {
+    offersExpired += await prisma.$transaction(async (tx) => {
+      const { count } = await tx.waitlistEntry.updateMany({
+        where: { id: entry.id, status: 'OFFERED' },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (count) {
+        await offerFreedCapacity(entry.coachId, offeredInterval(entry), now, tx);
+      }
+
+      return count;
+    });
+  }
+
+  const { count: entriesClosed } = await prisma.waitlistEntry.updateMany({
+    where: {
+      status: 'WAITING',
+      OR: [
+        { sessionDate: { lte: now } },
+        { windowEnd: { lte: now } }
+      ]
+    },
+    data: { status: 'EXPIRED' }
+  });
+
+  return { offersExpired, entriesClosed };
+};
+
+export default {
+  WAITLIST_OFFER_MINUTES,
+  offerFreedCapacity,
+  joinWaitlist,
+  listWaitlist,
+  leaveWaitlist,
+  getOpenOffer,
+  markOfferBooked,
+  expireWaitlist
+};
@@ -0,0 +1,124 @@
+// Wall-clock helpers for IANA timezones, built on Intl so DST rules come from the runtime.
+// Calendar dates are "YYYY-MM-DD" strings and times of day "HH:MM", as stored on TimeSlot.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }));
+  }
+
+  return formatters.get(timezone);
+};
+
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The given timezone, or UTC when it is missing or not a real zone
+export const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : 'UTC');
+
+// Minutes since midnight for "HH:MM" (or "H:MM")
+export const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const formatTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// What a clock on the wall in `timezone` shows at `instant`
+export const toZonedParts = (instant, timezone) => {
+  const parts = Object.fromEntries(getFormatter(resolveTimezone(timezone))
+    .formatToParts(instant)
+    .map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Day of week (0 = Sunday, like CoachAvailability.dayOfWeek) of a calendar date
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+export const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY)
+  .toISOString()
+  .slice(0, 10);
+
+// "YYYY-MM-DD" for a date-only column, which Prisma reads as midnight UTC
+export const toCalendarDate = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+// Milliseconds `timezone` is ahead of UTC at `instant`
+const offsetAt = (instant, timezone) => {
+  const { date, hour, minute, second } = toZonedParts(instant, timezone);
+  const wall = Date.parse(`${date}T${pad(hour)}:${pad(minute)}:${pad(second)}Z`);
+
+  return wall - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant a clock in `timezone` shows `time` on `date`. A time skipped when clocks go
+// forward is moved later by the gap (02:30 becomes 03:30); a time that happens twice when
+// clocks go back resolves to the first occurrence.
+export const zonedTimeToUtc = (date, time, timezone) => {
+  const zone = resolveTimezone(timezone);
+  const wall = Date.parse(`${date}T00:00:00Z`) + parseTime(time) * MINUTE;
+
+  // A zone changes offset at most once within a day either side
+  const before = offsetAt(new Date(wall - DAY), zone);
+  const after = offsetAt(new Date(wall + DAY), zone);
+
+  const matches = [...new Set([wall - before, wall - after])]
+    .filter(candidate => offsetAt(new Date(candidate), zone) === wall - candidate)
+    .sort((a, b) => a - b);
+
+  return new Date(matches.length ? matches[0] : wall - before);
+};
+
+// The instants a calendar day in `timezone` starts and ends
+export const zonedDayRange = (date, timezone) => ({
+  start: zonedTimeToUtc(date, '00:00', timezone),
+  end: zonedTimeToUtc(addDays(date, 1), '00:00', timezone)
+});
+
+export default {
+  isValidTimezone,
+  resolveTimezone,
+  parseTime,
+  formatTime,
+  toZonedParts,
+  dayOfWeek,
+  addDays,
+  toCalendarDate,
+  zonedTimeToUtc,
+  zonedDayRange
+};
@@ -1,6 +1,7 @@
 import request from 'supertest';
 import app from '../src/server.js';
 import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
 
 describe('Authentication Endpoints', () => {
   beforeAll(async () => {
@@ -288,4 +289,109 @@ describe('Authentication Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('/api/v1/auth/profile/children', () => {
+    let parentToken;
+    let otherParentToken;
+    let childId;
+
+    beforeAll(async () => {
+      const [parent, otherParent] = await Promise.all(['childtest-parent@example.com', 'childtest-other@example.com'].map(email => prisma.user.create({
+        data: {
+          email,
+          password: 'not-a-real-hash',
+          firstName: 'Child',
+          lastName: 'Test',
+          role: 'PARENT'
+        }
+      })));
+
+      parentToken = generateToken(parent.id, parent.role);
+      otherParentToken = generateToken(otherParent.id, otherParent.role);
+    });
+
+    it('should add a child to the parent', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/profile/children')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ firstName: 'Mia', lastName: 'Test', grade: '3' })
+        .expect(201);
+
+      expect(response.body.data.firstName).toBe('Mia');
+      childId = response.body.data.id;
+    });
+
+    it('should not add a child without a first name', async () => {
+      await request(app)
+        .post('/api/v1/auth/profile/children')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ lastName: 'Test' })
+        .expect(400);
+    });
+
+    it('should list only the parent\'s own children', async () => {
+      const own = await request(app)
+        .get('/api/v1/auth/profile/children')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(200);
+      expect(own.body.data.map(child => child.id)).toEqual([childId]);
+
+      const other = await request(app)
+        .get('/api/v1/auth/profile/children')
+        .set('Authorization', `Bearer ${otherParentToken}`)
+        .expect(200);
+      expect(other.body.data).toHaveLength(0);
+    });
+
+    it('should update a child', async () => {
+      const response = await request(app)
+        .put(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .send({ grade: '4' })
+        .expect(200);
+
+      expect(response.body.data.grade).toBe('4');
+      expect(response.body.data.firstName).toBe('Mia');
+    });
+
+    it('should not let another parent read, update or remove the child', async () => {
+      await request(app)
+        .get(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${otherParentToken}`)
+        .expect(404);
+
+      await request(app)
+        .put(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${otherParentToken}`)
+        .send({ firstName: 'Changed' })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${otherParentToken}`)
+        .expect(404);
+
+      const child = await prisma.child.findUnique({ where: { id: childId } });
+      expect(child.firstName).toBe('Mia');
+      expect(child.isActive).toBe(true);
+    });
+
+    it('should remove a child', async () => {
+      await request(app)
+        .delete(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/auth/profile/children/${childId}`)
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .get('/api/v1/auth/profile/children')
+        .set('Authorization', `Bearer ${parentToken}`)
+        .expect(200);
+      expect(response.body.data).toHaveLength(0);
+    });
+  });
 });
@@ -0,0 +1,491 @@
+import { prisma } from '../src/config/database.js';
+import { zonedTimeToUtc, zonedDayRange } from '../src/utils/timezone.js';
+import {
+  getSlotOccurrence,
+  resolveBookingOccurrence,
+  getBlackoutIntervals,
+  checkCandidate,
+  assertBookable,
+  saveAvailabilityVersion,
+  getAvailabilityHistory
+} from '../src/services/availabilityService.js';
+import { requestReschedule, acceptReschedule, listRescheduleRequests } from '../src/services/rescheduleService.js';
+import { joinWaitlist, offerFreedCapacity, expireWaitlist } from '../src/services/waitlistService.js';
+import { createHold, expireSlotHolds } from '../src/services/slotHoldService.js';
+import { getSeriesDates, MAX_SERIES_OCCURRENCES } from '../src/services/sessionSeriesService.js';
+import { createGroupSession, joinGroupSession, settleGroupSessions } from '../src/services/groupSessionService.js';
+import { overlaps, findConflict, assertNoConflicts } from '../src/services/bookingConflictService.js';
+
+describe('Timezones', () => {
+  it('should convert wall-clock times to instants across DST changes', () => {
+    expect(zonedTimeToUtc('2025-01-15', '09:00', 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2025-07-15', '09:00', 'America/New_York').toISOString()).toBe('2025-07-15T13:00:00.000Z');
+    // 02:30 does not exist when clocks go forward and moves to 03:30
+    expect(zonedTimeToUtc('2025-03-09', '02:30', 'America/New_York').toISOString()).toBe('2025-03-09T07:30:00.000Z');
+    // 01:30 happens twice when clocks go back; the first one wins
+    expect(zonedTimeToUtc('2025-11-02', '01:30', 'America/New_York').toISOString()).toBe('2025-11-02T05:30:00.000Z');
+  });
+
+  it('should give a 23 hour day when clocks go forward', () => {
+    const { start, end } = zonedDayRange('2025-03-09', 'America/New_York');
+
+    expect((end - start) / (60 * 60 * 1000)).toBe(23);
+  });
+});
+
+describe('Time slot occurrences', () => {
+  // Mondays 09:00-10:00 for a coach in New York
+  const timeSlot = { startTime: '09:00', endTime: '10:00', availability: { dayOfWeek: 1 } };
+  const timezone = 'America/New_York';
+  const now = new Date('2025-01-01T00:00:00Z');
+
+  it('should keep the coach\'s local time when DST starts', () => {
+    expect(getSlotOccurrence(timeSlot, '2025-03-03', timezone).startsAt.toISOString()).toBe('2025-03-03T14:00:00.000Z');
+    expect(getSlotOccurrence(timeSlot, '2025-03-10', timezone).startsAt.toISOString()).toBe('2025-03-10T13:00:00.000Z');
+  });
+
+  it('should only book instants that fall inside the slot', () => {
+    const occurrence = resolveBookingOccurrence(timeSlot, { sessionDate: new Date('2025-03-10T13:30:00Z'), duration: 30, timezone, now });
+    expect(occurrence.endsAt.toISOString()).toBe('2025-03-10T14:00:00.000Z');
+
+    // 09:00 UTC on a Monday is 05:00 in New York
+    expect(() => resolveBookingOccurrence(timeSlot, { sessionDate: new Date('2025-03-10T09:00:00Z'), duration: 30, timezone, now }))
+      .toThrow('Session date does not fall within the time slot');
+    expect(() => resolveBookingOccurrence(timeSlot, { sessionDate: new Date('2025-03-10T13:30:00Z'), duration: 60, timezone, now }))
+      .toThrow('Session must end by the end of the time slot');
+    expect(() => resolveBookingOccurrence(timeSlot, { sessionDate: new Date('2024-12-30T14:00:00Z'), duration: 30, timezone, now }))
+      .toThrow('Session date must be in the future');
+  });
+});
+
+describe('Booking rules', () => {
+  const at = (time, date = '2025-06-02') => new Date(`${date}T${time}:00Z`);
+  const timeSlot = { id: 'group-slot', maxBookings: 2 };
+  const bookings = [
+    { slotId: 'group-slot', startsAt: at('10:00'), endsAt: at('11:00') },
+    { slotId: null, startsAt: at('14:00'), endsAt: at('15:00') }
+  ];
+  const context = {
+    timeSlot,
+    rules: { bufferMinutes: 15, minNoticeMinutes: 120, maxAdvanceDays: 30, maxSessionsPerDay: 2 },
+    bookings,
+    sessionsPerDay: new Map([['2025-06-02', 2]]),
+    timezone: 'UTC',
+    now: new Date('2025-06-01T08:00:00Z')
+  };
+  const check = (startsAt, endsAt) => checkCandidate({ startsAt, endsAt }, context);
+
+  it('should let group bookings share a slot up to its capacity', () => {
+    expect(check(at('10:00'), at('11:00'))).toEqual({ remainingBookings: 1 });
+  });
+
+  it('should keep the buffer free around other bookings', () => {
+    expect(check(at('11:10'), at('12:10')).reason).toBe('The coach is already booked at this time');
+  });
+
+  it('should apply the daily cap, minimum notice and booking horizon', () => {
+    expect(check(at('11:15'), at('12:15')).reason).toBe('The coach has no more sessions available on this day');
+    expect(check(at('09:00', '2025-06-01'), at('10:00', '2025-06-01')).reason).toMatch('at least 120 minutes in advance');
+    expect(check(at('09:00', '2025-07-05'), at('10:00', '2025-07-05')).reason).toMatch('up to 30 days in advance');
+    expect(check(at('09:00', '2025-06-03'), at('10:00', '2025-06-03'))).toEqual({ remainingBookings: 2 });
+  });
+});
+
+describe('Availability exceptions', () => {
+  const timezone = 'America/New_York';
+  const now = new Date('2025-06-01T00:00:00Z');
+  const rules = { bufferMinutes: 0, minNoticeMinutes: 0, maxAdvanceDays: 60, maxSessionsPerDay: null };
+
+  it('should cover whole days of the coach\'s calendar, or the given hours', () => {
+    const vacation = getBlackoutIntervals({ startDate: new Date('2025-06-02'), endDate: new Date('2025-06-03') }, timezone);
+    expect(vacation.map(interval => interval.startsAt.toISOString())).toEqual(['2025-06-02T04:00:00.000Z', '2025-06-03T04:00:00.000Z']);
+
+    const evening = getBlackoutIntervals({ startDate: '2025-06-02', endDate: '2025-06-02', startTime: '22:00', endTime: '02:00' }, timezone);
+    expect(evening[0].endsAt.toISOString()).toBe('2025-06-03T06:00:00.000Z');
+  });
+
+  it('should leave out slots that fall in a blackout', () => {
+    const blackouts = getBlackoutIntervals({ startDate: '2025-06-02', endDate: '2025-06-02' }, timezone);
+    const context = { timeSlot: { id: 'slot', maxBookings: 1 }, rules, bookings: [], blackouts, sessionsPerDay: new Map(), timezone, now };
+
+    expect(checkCandidate({ startsAt: new Date('2025-06-02T14:00:00Z'), endsAt: new Date('2025-06-02T15:00:00Z') }, context).reason)
+      .toBe('The coach is unavailable at this time');
+    expect(checkCandidate({ startsAt: new Date('2025-06-03T14:00:00Z'), endsAt: new Date('2025-06-03T15:00:00Z') }, context))
+      .toEqual({ remainingBookings: 1 });
+  });
+
+  it('should book extra hours only on their own dates', () => {
+    const extraHours = { id: 'extra', startDate: new Date('2025-06-07'), endDate: new Date('2025-06-08'), startTime: '10:00', endTime: '12:00' };
+
+    expect(resolveBookingOccurrence(extraHours, { sessionDate: new Date('2025-06-08T14:00:00Z'), duration: 60, timezone, now }).date).toBe('2025-06-08');
+    expect(() => resolveBookingOccurrence(extraHours, { sessionDate: new Date('2025-06-09T14:00:00Z'), duration: 60, timezone, now }))
+      .toThrow('Session date does not fall within the time slot');
+  });
+});
+
+describe('Availability versions', () => {
+  const emails = ['versions-coach@example.com', 'versions-parent@example.com'];
+  const now = new Date('2030-01-01T00:00:00Z');
+  const monday = (time) => new Date(`2030-01-07T${time}:00Z`);
+  let coach;
+  let parent;
+
+  const save = (...timeSlots) => prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [{ dayOfWeek: 1, timeSlots }], { createdBy: coach.id, now }, tx));
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Versions',
+        lastName: index ? 'Parent' : 'Coach',
+        role: index ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should keep bookings, moving them to the new slot that covers them', async () => {
+    const first = await save({ startTime: '09:00', endTime: '12:00' });
+    const timeSlotId = first.availability[0].timeSlots[0].id;
+    const book = (time) => prisma.scheduledSession.create({
+      data: { timeSlotId, coachId: coach.id, studentId: parent.id, sessionDate: monday(time), title: 'Algebra', duration: 60, price: 10, status: 'APPROVED' }
+    });
+    const covered = await book('09:00');
+    const uncovered = await book('11:00');
+
+    const second = await save({ startTime: '08:00', endTime: '10:00' });
+
+    expect(second.version.version).toBe(2);
+    expect(second.diff.relinkedSessions).toEqual([{ id: covered.id, timeSlotId: second.availability[0].timeSlots[0].id }]);
+    expect(second.diff.outsideSchedule.map(session => session.id)).toEqual([uncovered.id]);
+    expect(second.diff.removedSlots).toEqual([{ dayOfWeek: 1, startTime: '09:00', endTime: '12:00', sessionType: 'ONE_ON_ONE' }]);
+
+    // The booking nothing covers stays on its retired slot
+    expect(await prisma.scheduledSession.findUnique({ where: { id: uncovered.id }, select: { timeSlotId: true } })).toEqual({ timeSlotId });
+  });
+
+  it('should list every version, newest first', async () => {
+    const { versions, total } = await getAvailabilityHistory(coach.id);
+
+    expect(total).toBe(2);
+    expect(versions.map(version => [version.version, version.retiredAt === null])).toEqual([[2, true], [1, false]]);
+  });
+});
+
+describe('Rescheduling', () => {
+  const emails = ['reschedule-coach@example.com', 'reschedule-parent@example.com'];
+  const now = new Date('2030-01-01T00:00:00Z');
+  const monday = (time) => new Date(`2030-01-07T${time}:00Z`);
+  let coach;
+  let parent;
+  let session;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Reschedule',
+        lastName: index ? 'Parent' : 'Coach',
+        role: index ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+
+    const { availability } = await prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [
+      { dayOfWeek: 1, timeSlots: [{ startTime: '09:00', endTime: '12:00', maxBookings: 3 }] }
+    ], { createdBy: coach.id, now }, tx));
+
+    session = await prisma.scheduledSession.create({
+      data: {
+        timeSlotId: availability[0].timeSlots[0].id,
+        coachId: coach.id,
+        studentId: parent.id,
+        sessionDate: monday('09:00'),
+        title: 'Algebra',
+        duration: 60,
+        price: 10,
+        status: 'APPROVED'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should only offer times the coach is free', async () => {
+    await expect(requestReschedule(session.id, parent.id, { proposedTimes: [monday('14:00')] }, now))
+      .rejects.toThrow('is not available');
+  });
+
+  it('should move the session once the other party accepts', async () => {
+    const request = await requestReschedule(session.id, parent.id, { proposedTimes: [monday('10:00'), monday('11:00')] }, now);
+
+    await expect(requestReschedule(session.id, coach.id, { proposedTimes: [monday('10:00')] }, now))
+      .rejects.toThrow('already pending');
+    await expect(acceptReschedule(request.id, parent.id, { sessionDate: monday('10:00') }, now))
+      .rejects.toThrow('Only the other party can answer this request');
+
+    const { session: moved } = await acceptReschedule(request.id, coach.id, { sessionDate: monday('11:00') }, now);
+    expect(moved.sessionDate.toISOString()).toBe(monday('11:00').toISOString());
+
+    const { requests, policy } = await listRescheduleRequests(session.id, coach);
+    expect(requests.map(item => item.status)).toEqual(['ACCEPTED']);
+    expect(policy.remainingReschedules).toBe(policy.maxReschedules - 1);
+  });
+});
+
+describe('Waitlist', () => {
+  const emails = ['waitlist-coach@example.com', 'waitlist-parent@example.com', 'waitlist-other@example.com'];
+  const now = new Date('2030-01-01T00:00:00Z');
+  const sessionDate = new Date('2030-01-07T09:00:00Z');
+  let coach;
+  let parent;
+  let other;
+  let timeSlot;
+  let session;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent, other] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Waitlist',
+        lastName: ['Coach', 'Parent', 'Other'][index],
+        role: index ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+
+    const { availability } = await prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [
+      { dayOfWeek: 1, timeSlots: [{ startTime: '09:00', endTime: '10:00' }] }
+    ], { createdBy: coach.id, now }, tx));
+    timeSlot = { ...availability[0].timeSlots[0], availability: availability[0] };
+
+    session = await prisma.scheduledSession.create({
+      data: { timeSlotId: timeSlot.id, coachId: coach.id, studentId: other.id, sessionDate, title: 'Algebra', duration: 60, price: 10, status: 'PENDING_APPROVAL' }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should hold a freed time for the first parent in line until the offer runs out', async () => {
+    const entry = await joinWaitlist(parent.id, { timeSlotId: timeSlot.id, sessionDate, duration: 60 }, now);
+    expect(entry.status).toBe('WAITING');
+
+    await prisma.scheduledSession.update({ where: { id: session.id }, data: { status: 'CANCELLED' } });
+    const [offer] = await offerFreedCapacity(coach.id, { startsAt: sessionDate, endsAt: new Date('2030-01-07T10:00:00Z') }, now);
+
+    expect(offer).toMatchObject({ id: entry.id, status: 'OFFERED', offeredTimeSlotId: timeSlot.id });
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).rejects.toThrow('Time slot is fully booked');
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, excludeWaitlistEntryId: entry.id, now })).resolves.toBeUndefined();
+
+    const { offersExpired } = await expireWaitlist(offer.offerExpiresAt);
+    expect(offersExpired).toBe(1);
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).resolves.toBeUndefined();
+  });
+
+  it('should turn away times that can still be booked', async () => {
+    await expect(joinWaitlist(other.id, { timeSlotId: timeSlot.id, sessionDate, duration: 60 }, now))
+      .rejects.toThrow('This time can still be booked');
+  });
+});
+
+describe('Slot holds', () => {
+  const emails = ['hold-coach@example.com', 'hold-parent@example.com'];
+  const now = new Date('2030-01-01T00:00:00Z');
+  const sessionDate = new Date('2030-01-07T09:00:00Z');
+  let coach;
+  let parent;
+  let timeSlot;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Hold',
+        lastName: index ? 'Parent' : 'Coach',
+        role: index ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+
+    const { availability } = await prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [
+      { dayOfWeek: 1, timeSlots: [{ startTime: '09:00', endTime: '10:00' }] }
+    ], { createdBy: coach.id, now }, tx));
+    timeSlot = { ...availability[0].timeSlots[0], availability: availability[0] };
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should keep a held time from others until the hold runs out', async () => {
+    const hold = await createHold(parent.id, { timeSlotId: timeSlot.id, sessionDate, title: 'Algebra', duration: 60, price: 10 }, now);
+
+    expect(hold).toMatchObject({ status: 'ACTIVE', coachId: coach.id, timeSlotId: timeSlot.id });
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).rejects.toThrow('Time slot is fully booked');
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, excludeHoldId: hold.id, now })).resolves.toBeUndefined();
+
+    expect(await expireSlotHolds(hold.expiresAt)).toBe(1);
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).resolves.toBeUndefined();
+  });
+});
+
+describe('Session series', () => {
+  it('should keep the coach\'s local time across a DST change', () => {
+    // 16:00 in New York, the week before clocks go back on 2030-11-03
+    const dates = getSeriesDates(new Date('2030-10-29T20:00:00Z'), { frequency: 'WEEKLY', occurrences: 3 }, 'America/New_York');
+
+    expect(dates.map(date => date.toISOString())).toEqual([
+      '2030-10-29T20:00:00.000Z',
+      '2030-11-05T21:00:00.000Z',
+      '2030-11-12T21:00:00.000Z'
+    ]);
+  });
+
+  it('should stop at the end date for every-other-week series', () => {
+    const dates = getSeriesDates(new Date('2030-01-07T09:00:00Z'), { frequency: 'BIWEEKLY', until: new Date('2030-02-04T09:00:00Z') }, 'UTC');
+
+    expect(dates.map(date => date.toISOString())).toEqual([
+      '2030-01-07T09:00:00.000Z',
+      '2030-01-21T09:00:00.000Z',
+      '2030-02-04T09:00:00.000Z'
+    ]);
+  });
+
+  it('should refuse series longer than the limit', () => {
+    expect(() => getSeriesDates(new Date('2030-01-07T09:00:00Z'), { frequency: 'WEEKLY', until: new Date('2031-06-01T00:00:00Z') }, 'UTC'))
+      .toThrow(`A series can have at most ${MAX_SERIES_OCCURRENCES} sessions`);
+  });
+});
+
+describe('Group sessions', () => {
+  const emails = ['group-coach@example.com', 'group-parent@example.com'];
+  const now = new Date('2030-01-01T00:00:00Z');
+  const sessionDate = new Date('2030-01-07T09:00:00Z');
+  let coach;
+  let parent;
+  let timeSlot;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Group',
+        lastName: index ? 'Parent' : 'Coach',
+        role: index ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+
+    const { availability } = await prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [
+      { dayOfWeek: 1, timeSlots: [{ startTime: '09:00', endTime: '10:00', sessionType: 'GROUP', maxBookings: 4 }] }
+    ], { createdBy: coach.id, now }, tx));
+    timeSlot = { ...availability[0].timeSlots[0], availability: availability[0] };
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should take the coach\'s time and call the session off without enough seats by the deadline', async () => {
+    const group = await createGroupSession(coach.id, { timeSlotId: timeSlot.id, title: 'Study group', sessionDate, duration: 60, seatPrice: 0, minSeats: 2 }, now);
+
+    expect(group).toMatchObject({ status: 'OPEN', maxSeats: 4, seatsTaken: 0 });
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).rejects.toThrow('The coach is already booked at this time');
+
+    const { seat } = await joinGroupSession(group.id, parent.id, {}, now);
+    expect(seat).toMatchObject({ groupSessionId: group.id, status: 'APPROVED' });
+
+    expect(await settleGroupSessions(group.enrollmentDeadline)).toEqual({ confirmed: 0, cancelled: 1 });
+    expect(await prisma.scheduledSession.findUnique({ where: { id: seat.id } })).toMatchObject({ status: 'CANCELLED' });
+    await expect(assertBookable(timeSlot, { sessionDate, duration: 60, now })).resolves.toBeUndefined();
+  });
+});
+
+describe('Booking conflicts', () => {
+  const emails = ['conflict-coach@example.com', 'conflict-other-coach@example.com', 'conflict-parent@example.com'];
+  const at = (time) => new Date(`2030-01-07T${time}:00Z`);
+  let coach;
+  let otherCoach;
+  let parent;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, otherCoach, parent] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Conflict',
+        lastName: ['Coach', 'Other', 'Parent'][index],
+        role: index === 2 ? 'PARENT' : 'COACH',
+        timezone: 'UTC'
+      }
+    })));
+
+    const course = await prisma.course.create({
+      data: { coachId: coach.id, title: 'Algebra', category: 'Math', level: 'BEGINNER', duration: 120, price: 0 }
+    });
+
+    await prisma.session.create({
+      data: {
+        courseId: course.id,
+        coachId: coach.id,
+        studentId: parent.id,
+        title: 'Long lesson',
+        startTime: at('09:00'),
+        endTime: at('11:00'),
+        duration: 120
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should treat a range inside another as overlapping, and back-to-back ranges as not', () => {
+    expect(overlaps({ startsAt: at('09:00'), endsAt: at('11:00') }, { startsAt: at('09:30'), endsAt: at('10:00') })).toBe(true);
+    expect(overlaps({ startsAt: at('09:00'), endsAt: at('11:00') }, { startsAt: at('11:00'), endsAt: at('12:00') })).toBe(false);
+  });
+
+  it('should find a legacy session that contains the new time for the coach', async () => {
+    expect(await findConflict({ coachId: coach.id, startsAt: at('09:30'), endsAt: at('10:00') }))
+      .toMatchObject({ party: 'coach', type: 'SESSION' });
+  });
+
+  it('should stop a learner being booked with two coaches at once', async () => {
+    await expect(assertNoConflicts({ coachId: otherCoach.id, studentId: parent.id, startsAt: at('10:30'), endsAt: at('11:30') }))
+      .rejects.toThrow('The learner already has a session at this time');
+    await expect(assertNoConflicts({ coachId: otherCoach.id, studentId: parent.id, startsAt: at('11:00'), endsAt: at('12:00') }))
+      .resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,247 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
+import creditLedgerService from '../src/services/creditLedgerService.js';
+import { calculateRefund } from '../src/services/refundService.js';
+import { calculateDiscount } from '../src/services/promoCodeService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Credit ledger', () => {
+  let user;
+
+  const cleanUp = async () => {
+    await prisma.user.deleteMany({ where: { email: 'creditexpiry@example.com' } });
+  };
+
+  beforeAll(async () => {
+    await cleanUp();
+
+    user = await prisma.user.create({
+      data: {
+        email: 'creditexpiry@example.com',
+        password: 'not-a-real-hash',
+        firstName: 'Credit',
+        lastName: 'Expiry'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await cleanUp();
+    await prisma.$disconnect();
+  });
+
+  it('should spend from the soonest-to-expire lot first', async () => {
+    const soon = new Date(Date.now() + 2 * DAY);
+    const later = new Date(Date.now() + 30 * DAY);
+
+    await creditLedgerService.credit({
+      userId: user.id, amount: 10, type: 'PURCHASE', description: 'Later lot', referenceId: 'purchase_later', expiresAt: later
+    });
+    await creditLedgerService.credit({
+      userId: user.id, amount: 5, type: 'BONUS', description: 'Sooner lot', referenceId: 'bonus_soon', expiresAt: soon
+    });
+
+    const { transaction } = await creditLedgerService.debit({
+      userId: user.id, amount: 7, type: 'SPENT', description: 'Spend'
+    });
+
+    expect(transaction.metadata.lots).toHaveLength(2);
+    expect(transaction.metadata.lots[0].amount).toBe('5.00');
+    expect(transaction.metadata.lots[1].amount).toBe('2.00');
+
+    const lots = await creditLedgerService.getActiveCreditLots(user.id);
+    expect(lots).toHaveLength(1);
+    expect(Number(lots[0].remainingAmount)).toBe(8);
+  });
+
+  it('should post an EXPIRED transaction for the remainder of a lapsed lot', async () => {
+    await prisma.creditLot.updateMany({
+      where: { userId: user.id, sourceId: 'purchase_later' },
+      data: { expiresAt: new Date(Date.now() - DAY) }
+    });
+
+    const expiredCount = await creditLedgerService.expireCredits();
+    expect(expiredCount).toBeGreaterThanOrEqual(1);
+
+    const expired = await prisma.creditTransaction.findFirst({
+      where: { userId: user.id, type: 'EXPIRED' }
+    });
+    expect(Number(expired.amount)).toBe(-8);
+
+    const balance = await prisma.creditBalance.findUnique({ where: { userId: user.id } });
+    expect(Number(balance.balance)).toBe(0);
+
+    // Running the job again must not expire the same lot twice
+    await creditLedgerService.expireCredits();
+    const expiredTransactions = await prisma.creditTransaction.count({
+      where: { userId: user.id, type: 'EXPIRED' }
+    });
+    expect(expiredTransactions).toBe(1);
+  });
+
+  it('should not let concurrent debits overspend the balance', async () => {
+    await creditLedgerService.credit({
+      userId: user.id, amount: 10, type: 'BONUS', description: 'Concurrency lot'
+    });
+
+    const results = await Promise.allSettled([
+      creditLedgerService.debit({ userId: user.id, amount: 6, type: 'SPENT', description: 'First' }),
+      creditLedgerService.debit({ userId: user.id, amount: 6, type: 'SPENT', description: 'Second' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+    const balance = await prisma.creditBalance.findUnique({ where: { userId: user.id } });
+    expect(balance.balance.toFixed(2)).toBe('4.00');
+  });
+
+  it('should apply a repeated idempotency key only once', async () => {
+    const entry = {
+      userId: user.id, amount: 1.1, type: 'SPENT', description: 'Idempotent spend', idempotencyKey: 'spend-once'
+    };
+
+    const first = await creditLedgerService.debit(entry);
+    const second = await creditLedgerService.debit(entry);
+
+    expect(first.replayed).toBe(false);
+    expect(second.replayed).toBe(true);
+    expect(second.transaction.id).toBe(first.transaction.id);
+
+    const balance = await prisma.creditBalance.findUnique({ where: { userId: user.id } });
+    expect(balance.balance.toFixed(2)).toBe('2.90');
+  });
+
+  it('should move credits between users as a paired transfer', async () => {
+    const recipient = await prisma.user.create({
+      data: {
+        email: 'creditrecipient@example.com',
+        password: 'not-a-real-hash',
+        firstName: 'Credit',
+        lastName: 'Recipient'
+      }
+    });
+
+    try {
+      const { debit, credit } = await creditLedgerService.transfer({
+        fromUserId: user.id, toUserId: recipient.id, amount: 2, description: 'Gift to a friend'
+      });
+
+      expect(debit.referenceId).toBe(credit.referenceId);
+      expect(debit.amount.toFixed(2)).toBe('-2.00');
+      expect(credit.amount.toFixed(2)).toBe('2.00');
+
+      const recipientBalance = await prisma.creditBalance.findUnique({ where: { userId: recipient.id } });
+      expect(recipientBalance.balance.toFixed(2)).toBe('2.00');
+
+      await expect(creditLedgerService.transfer({
+        fromUserId: user.id, toUserId: recipient.id, amount: 5, description: 'Too much'
+      })).rejects.toThrow('Insufficient credits');
+    } finally {
+      await prisma.user.delete({ where: { id: recipient.id } });
+    }
+  });
+});
+
+describe('Refund policy', () => {
+  const HOUR = 60 * 60 * 1000;
+  const cancelledAt = new Date('2025-08-01T10:00:00Z');
+  const hoursAhead = (hours) => new Date(cancelledAt.getTime() + hours * HOUR);
+
+  it('should refund in full when cancelled with enough notice', () => {
+    const { amount, rule } = calculateRefund(-20, { startsAt: hoursAhead(48), cancelledAt, initiatedBy: 'PARENT' });
+    expect(amount.toFixed(2)).toBe('20.00');
+    expect(rule).toBe('FULL_NOTICE');
+  });
+
+  it('should refund partially when cancelled late', () => {
+    const { amount, rule } = calculateRefund(-20, { startsAt: hoursAhead(2), cancelledAt, initiatedBy: 'PARENT' });
+    expect(amount.toFixed(2)).toBe('10.00');
+    expect(rule).toBe('LATE_NOTICE');
+  });
+
+  it('should refund in full when the coach cancels', () => {
+    const { amount } = calculateRefund(-20, { startsAt: hoursAhead(1), cancelledAt, initiatedBy: 'COACH' });
+    expect(amount.toFixed(2)).toBe('20.00');
+  });
+
+  it('should not refund a no-show', () => {
+    const { amount, rule } = calculateRefund(-20, { startsAt: hoursAhead(48), cancelledAt, initiatedBy: 'PARENT', status: 'NO_SHOW' });
+    expect(amount.toFixed(2)).toBe('0.00');
+    expect(rule).toBe('NO_SHOW');
+  });
+});
+
+describe('Promo code discounts', () => {
+  it('should take a percentage off', () => {
+    const discount = calculateDiscount({ discountType: 'PERCENT', discountValue: 15 }, 80);
+    expect(discount.toFixed(2)).toBe('12.00');
+  });
+
+  it('should never discount more than the amount', () => {
+    const discount = calculateDiscount({ discountType: 'FIXED', discountValue: 50 }, 30);
+    expect(discount.toFixed(2)).toBe('30.00');
+  });
+});
+
+describe('Enrolling with credits', () => {
+  const emails = ['enroll-coach@example.com', 'enroll-parent@example.com'];
+  const promoCode = 'ENROLLFREE100';
+  let parent;
+  let child;
+  let course;
+  let accessToken;
+
+  const cleanUp = async () => {
+    await prisma.promoCode.deleteMany({ where: { code: promoCode } });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+  };
+
+  beforeAll(async () => {
+    await cleanUp();
+
+    const coach = await prisma.user.create({
+      data: { email: emails[0], password: 'not-a-real-hash', firstName: 'Enroll', lastName: 'Coach', role: 'COACH' }
+    });
+    parent = await prisma.user.create({
+      data: { email: emails[1], password: 'not-a-real-hash', firstName: 'Enroll', lastName: 'Parent', role: 'PARENT' }
+    });
+
+    [child, course] = await Promise.all([
+      prisma.child.create({ data: { parentId: parent.id, firstName: 'Sam', lastName: 'Parent' } }),
+      prisma.course.create({
+        data: { coachId: coach.id, title: 'Chess', category: 'Games', level: 'BEGINNER', duration: 60, price: 0, creditCost: 30 }
+      }),
+      prisma.promoCode.create({
+        data: { code: promoCode, discountType: 'PERCENT', discountValue: 100, maxUsesPerUser: 1 }
+      })
+    ]);
+
+    accessToken = generateToken(parent.id, parent.role);
+  });
+
+  afterAll(async () => {
+    await cleanUp();
+    await prisma.$disconnect();
+  });
+
+  it('should replay a retried enrollment that a promo code covered in full', async () => {
+    const enroll = () => request(app)
+      .post(`/api/v1/credits/enroll/${parent.id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .set('Idempotency-Key', 'enroll-free-seat')
+      .send({ courseId: course.id, childrenIds: [child.id], promoCode })
+      .expect(201);
+
+    const first = await enroll();
+    expect(first.body.data.transactions).toHaveLength(0);
+
+    const retry = await enroll();
+    expect(retry.body.data.replayed).toBe(true);
+    expect(retry.body.data.enrollments.map(enrollment => enrollment.id)).toEqual(first.body.data.enrollments.map(enrollment => enrollment.id));
+    expect(await prisma.enrollment.count({ where: { childId: child.id } })).toBe(1);
+    expect(await prisma.promoRedemption.count({ where: { userId: parent.id } })).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
+import { isDigestDue, createUnsubscribeToken } from '../src/services/digestService.js';
+import { resolveChannels } from '../src/services/notificationPreferenceService.js';
+
+describe('Digest scheduling', () => {
+  // Wednesday 2025-01-01 is 08:00 in UTC and 03:00 in New York
+  const eightUtc = new Date('2025-01-01T08:00:00Z');
+
+  it('should send daily digests at 08:00 in the user\'s timezone', () => {
+    expect(isDigestDue({ timezone: 'UTC' }, 'DAILY', eightUtc)).toBe(true);
+    expect(isDigestDue({ timezone: 'America/New_York' }, 'DAILY', eightUtc)).toBe(false);
+    expect(isDigestDue({ timezone: 'America/New_York' }, 'DAILY', new Date('2025-01-01T13:00:00Z'))).toBe(true);
+  });
+
+  it('should send weekly digests on Mondays only, once per period', () => {
+    const monday = new Date('2025-01-06T08:00:00Z');
+
+    expect(isDigestDue({ timezone: 'UTC' }, 'WEEKLY', eightUtc)).toBe(false);
+    expect(isDigestDue({ timezone: 'UTC' }, 'WEEKLY', monday)).toBe(true);
+    expect(isDigestDue({ timezone: 'UTC', lastDigestSentAt: new Date('2025-01-05T08:00:00Z') }, 'WEEKLY', monday)).toBe(false);
+    expect(isDigestDue({ timezone: 'UTC' }, 'NONE', monday)).toBe(false);
+  });
+
+  it('should leave digest events out of the per-event emails', () => {
+    const user = { timezone: 'UTC', preferences: { notifications: { digest: 'DAILY' } } };
+
+    expect(resolveChannels(user, 'SESSION_BOOKED')).toEqual({ email: false, inApp: true });
+    expect(resolveChannels(user, 'SESSION_REMINDER')).toEqual({ email: true, inApp: true });
+  });
+});
+
+describe('Digest unsubscribe links', () => {
+  let user;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: 'digest@example.com' } });
+
+    user = await prisma.user.create({
+      data: {
+        email: 'digest@example.com',
+        password: 'not-a-real-hash',
+        firstName: 'Digest',
+        lastName: 'Parent',
+        preferences: { notifications: { digest: 'DAILY' } }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: 'digest@example.com' } });
+    await prisma.$disconnect();
+  });
+
+  it('should apply the setting carried by the link without logging in', async () => {
+    const weekly = await request(app)
+      .post('/api/v1/notifications/unsubscribe')
+      .send({ token: createUnsubscribeToken(user.id, 'WEEKLY') })
+      .expect(200);
+
+    expect(weekly.body.data.digest).toBe('WEEKLY');
+
+    const off = await request(app)
+      .post('/api/v1/notifications/unsubscribe')
+      .send({ token: createUnsubscribeToken(user.id) })
+      .expect(200);
+
+    expect(off.body.data.digest).toBe('NONE');
+  });
+
+  it('should not accept an access token as an unsubscribe link, or the reverse', async () => {
+    await request(app)
+      .post('/api/v1/notifications/unsubscribe')
+      .send({ token: generateToken(user.id, user.role) })
+      .expect(400);
+
+    await request(app)
+      .get('/api/v1/notifications')
+      .set('Authorization', `Bearer ${createUnsubscribeToken(user.id)}`)
+      .expect(401);
+  });
+});
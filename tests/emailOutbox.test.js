@@ -0,0 +1,65 @@
+import { prisma } from '../src/config/database.js';
+import emailOutboxService, { retryDelay } from '../src/services/emailOutboxService.js';
+import { getTransport } from '../src/services/emailTransportService.js';
+
+describe('Email outbox', () => {
+  const to = 'outbox@example.com';
+  const transport = getTransport();
+
+  const cleanUp = () => prisma.emailOutbox.deleteMany({ where: { to } });
+
+  beforeEach(async () => {
+    await cleanUp();
+    transport.sent.length = 0;
+  });
+
+  afterAll(async () => {
+    await cleanUp();
+    await prisma.$disconnect();
+  });
+
+  it('should only queue the email when the transaction commits', async () => {
+    await expect(prisma.$transaction(async (tx) => {
+      await emailOutboxService.enqueueEmail({ to, template: 'welcome_parent', data: { firstName: 'Rolled', emailVerificationToken: 't' } }, tx);
+      throw new Error('business change failed');
+    })).rejects.toThrow('business change failed');
+
+    expect(await prisma.emailOutbox.count({ where: { to } })).toBe(0);
+  });
+
+  it('should deliver queued emails through the transport', async () => {
+    await emailOutboxService.enqueueEmail({ to, template: 'welcome_parent', data: { firstName: 'Jamie', emailVerificationToken: 't' } });
+
+    expect(await emailOutboxService.deliverPendingEmails()).toBe(1);
+
+    const email = await prisma.emailOutbox.findFirst({ where: { to } });
+    expect(email.status).toBe('SENT');
+    expect(email.transport).toBe('memory');
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].text).toContain('Hi Jamie!');
+  });
+
+  it('should back off after a failure and give up after the last attempt', async () => {
+    const send = jest.spyOn(transport, 'send').mockRejectedValue(new Error('provider down'));
+    const queued = await emailOutboxService.enqueueEmail({ to, subject: 'Hello', html: '<p>Hello</p>' });
+
+    const now = new Date();
+    const retried = await emailOutboxService.deliverEmail(queued.id, now);
+    expect(retried.status).toBe('PENDING');
+    expect(retried.nextAttemptAt.getTime()).toBe(now.getTime() + retryDelay(1));
+
+    // Not due again until the backoff has passed
+    expect(await emailOutboxService.deliverEmail(queued.id, now)).toBeNull();
+
+    await prisma.emailOutbox.update({ where: { id: queued.id }, data: { attempts: 4, nextAttemptAt: now } });
+    const failed = await emailOutboxService.deliverEmail(queued.id, now);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.lastError).toBe('provider down');
+
+    send.mockRestore();
+
+    const resent = await emailOutboxService.resendEmail(queued.id);
+    expect(resent.status).toBe('SENT');
+    expect(resent.attempts).toBe(1);
+  });
+});
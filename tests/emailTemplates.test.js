@@ -0,0 +1,38 @@
+import { renderEmail, listTemplates, previewEmail } from '../src/services/emailTemplateService.js';
+
+describe('Email templates', () => {
+  it('should render every template in every language with HTML and plain text', () => {
+    for (const template of listTemplates()) {
+      for (const language of template.languages) {
+        const email = previewEmail(template.name, { language });
+
+        expect(email.subject).toBeTruthy();
+        expect(email.html).toContain('<!DOCTYPE html>');
+        expect(email.text).not.toContain('<');
+      }
+    }
+  });
+
+  it('should escape data in HTML but not in plain text', () => {
+    const email = renderEmail('coach_rejected', {
+      firstName: '<script>alert(1)</script>',
+      rejectionReason: 'Missing "certificate" & ID'
+    });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+    expect(email.html).toContain('Missing &quot;certificate&quot; &amp; ID');
+    expect(email.text).toContain('Missing "certificate" & ID');
+  });
+
+  it('should render in the user\'s language and fall back to English', () => {
+    expect(renderEmail('password_reset', { firstName: 'Ana', resetToken: 't' }, { language: 'es-MX' }).language).toBe('es');
+    expect(renderEmail('coach_approved', { firstName: 'Ana' }, { language: 'es' }).language).toBe('en');
+    expect(renderEmail('password_reset', { firstName: 'Ana', resetToken: 't' }, { language: 'fr' }).subject)
+      .toBe('Reset Your Luminary Password 🔐');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderEmail('../layouts')).toThrow('Email template not found');
+  });
+});
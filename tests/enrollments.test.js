@@ -0,0 +1,125 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
+import creditLedgerService from '../src/services/creditLedgerService.js';
+
+describe('Enrollment lifecycle', () => {
+  const emails = ['lifecycle-coach@example.com', 'lifecycle-parent@example.com'];
+  let coachToken;
+  let parentToken;
+  let parent;
+  let enrollment;
+  let otherEnrollment;
+
+  const transition = (enrollmentId, action, token, body = {}) => request(app)
+    .patch(`/api/v1/enrollments/${enrollmentId}/${action}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const getBalance = async () => {
+    const creditBalance = await prisma.creditBalance.findUnique({ where: { userId: parent.id } });
+    return Number(creditBalance.balance);
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    const coach = await prisma.user.create({
+      data: { email: emails[0], password: 'not-a-real-hash', firstName: 'Lifecycle', lastName: 'Coach', role: 'COACH' }
+    });
+    parent = await prisma.user.create({
+      data: { email: emails[1], password: 'not-a-real-hash', firstName: 'Lifecycle', lastName: 'Parent', role: 'PARENT' }
+    });
+
+    const [course, ...children] = await Promise.all([
+      prisma.course.create({
+        data: { coachId: coach.id, title: 'Piano', category: 'Music', level: 'BEGINNER', duration: 60, price: 0, creditCost: 40 }
+      }),
+      prisma.child.create({ data: { parentId: parent.id, firstName: 'Ada', lastName: 'Parent' } }),
+      prisma.child.create({ data: { parentId: parent.id, firstName: 'Ben', lastName: 'Parent' } })
+    ]);
+
+    await creditLedgerService.credit({
+      userId: parent.id, amount: 100, type: 'PURCHASE', description: 'Starter credits', referenceId: 'purchase_lifecycle'
+    });
+
+    coachToken = generateToken(coach.id, coach.role);
+    parentToken = generateToken(parent.id, parent.role);
+
+    const response = await request(app)
+      .post(`/api/v1/credits/enroll/${parent.id}`)
+      .set('Authorization', `Bearer ${parentToken}`)
+      .send({ courseId: course.id, childrenIds: children.map(child => child.id) })
+      .expect(201);
+
+    [enrollment, otherEnrollment] = children.map(child => response.body.data.enrollments.find(item => item.childId === child.id));
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  it('should let the parent pause and resume an active enrollment', async () => {
+    await transition(enrollment.id, 'pause', coachToken).expect(403);
+
+    const paused = await transition(enrollment.id, 'pause', parentToken).expect(200);
+    expect(paused.body.data.status).toBe('PAUSED');
+    expect(paused.body.data.pausedAt).toBeTruthy();
+
+    await transition(enrollment.id, 'pause', parentToken).expect(400);
+    await transition(enrollment.id, 'progress', coachToken, { progress: 50 }).expect(400);
+
+    const resumed = await transition(enrollment.id, 'resume', parentToken).expect(200);
+    expect(resumed.body.data.status).toBe('ACTIVE');
+    expect(resumed.body.data.pausedAt).toBeNull();
+
+    await transition(enrollment.id, 'resume', parentToken).expect(400);
+  });
+
+  it('should only let the coach update progress', async () => {
+    await transition(enrollment.id, 'progress', parentToken, { progress: 25 }).expect(403);
+    await transition(enrollment.id, 'progress', coachToken, { progress: 101 }).expect(400);
+
+    const response = await transition(enrollment.id, 'progress', coachToken, { progress: 25 }).expect(200);
+    expect(response.body.data.progress).toBe(25);
+  });
+
+  it('should refund the unused share of the credits once on withdrawal', async () => {
+    expect(await getBalance()).toBe(20);
+
+    const response = await transition(enrollment.id, 'withdraw', parentToken, { reason: 'Moving away' }).expect(200);
+    expect(response.body.data.status).toBe('WITHDRAWN');
+    expect(Number(response.body.data.creditRefund.amount)).toBe(30);
+    expect(await getBalance()).toBe(50);
+
+    await transition(enrollment.id, 'withdraw', parentToken).expect(400);
+
+    const spent = await prisma.creditTransaction.findFirst({
+      where: { type: 'SPENT', referenceType: 'ENROLLMENT', referenceId: enrollment.id }
+    });
+    const refunds = await prisma.creditTransaction.count({ where: { type: 'REFUND', referenceId: spent.id } });
+    expect(refunds).toBe(1);
+    expect(await getBalance()).toBe(50);
+  });
+
+  it('should not move a withdrawn enrollment on', async () => {
+    await transition(enrollment.id, 'resume', parentToken).expect(400);
+    await transition(enrollment.id, 'pause', parentToken).expect(400);
+    await transition(enrollment.id, 'complete', coachToken).expect(400);
+    await transition(enrollment.id, 'progress', coachToken, { progress: 50 }).expect(400);
+  });
+
+  it('should let the coach complete an enrollment, and nothing after that', async () => {
+    await transition(otherEnrollment.id, 'complete', parentToken).expect(403);
+
+    const response = await transition(otherEnrollment.id, 'complete', coachToken).expect(200);
+    expect(response.body.data.status).toBe('COMPLETED');
+    expect(response.body.data.progress).toBe(100);
+
+    await transition(otherEnrollment.id, 'complete', coachToken).expect(400);
+    await transition(otherEnrollment.id, 'withdraw', parentToken).expect(400);
+    await transition(otherEnrollment.id, 'resume', parentToken).expect(400);
+  });
+});
@@ -0,0 +1,140 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
+import notificationService from '../src/services/notificationService.js';
+import { isQuietTime, resolveChannels } from '../src/services/notificationPreferenceService.js';
+
+describe('Notification Endpoints', () => {
+  let user;
+  let otherUser;
+  let accessToken;
+
+  const cleanUp = async () => {
+    await prisma.user.deleteMany({
+      where: { email: { in: ['notifications@example.com', 'notifications-other@example.com'] } }
+    });
+  };
+
+  beforeAll(async () => {
+    await cleanUp();
+
+    [user, otherUser] = await Promise.all([
+      prisma.user.create({
+        data: { email: 'notifications@example.com', password: 'not-a-real-hash', firstName: 'Notified', lastName: 'Parent' }
+      }),
+      prisma.user.create({
+        data: { email: 'notifications-other@example.com', password: 'not-a-real-hash', firstName: 'Other', lastName: 'Parent' }
+      })
+    ]);
+
+    accessToken = generateToken(user.id, user.role);
+
+    await notificationService.notify(user.id, { type: 'PAYMENT_RECEIVED', title: 'Payment received', message: 'Paid' });
+    await notificationService.notify(user.id, { type: 'SESSION_REMINDER', title: 'Reminder', message: 'Soon' });
+    await notificationService.notify(otherUser.id, { type: 'GENERAL', title: 'Hello', message: 'Not yours' });
+  });
+
+  afterAll(async () => {
+    await cleanUp();
+    await prisma.$disconnect();
+  });
+
+  it('should list only the current user\'s notifications, filtered by type', async () => {
+    const response = await request(app)
+      .get('/api/v1/notifications?type=SESSION_REMINDER')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.notifications).toHaveLength(1);
+    expect(response.body.data.notifications[0].type).toBe('SESSION_REMINDER');
+  });
+
+  it('should count unread notifications per type', async () => {
+    const response = await request(app)
+      .get('/api/v1/notifications/unread-count')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.total).toBe(2);
+    expect(response.body.data.byType.PAYMENT_RECEIVED).toBe(1);
+  });
+
+  it('should not let a user read or delete someone else\'s notification', async () => {
+    const theirs = await prisma.notification.findFirst({ where: { userId: otherUser.id } });
+
+    await request(app)
+      .patch(`/api/v1/notifications/${theirs.id}/read`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/v1/notifications/${theirs.id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+  });
+
+  it('should mark all notifications as read', async () => {
+    await request(app)
+      .patch('/api/v1/notifications/read-all')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/v1/notifications/unread-count')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.total).toBe(0);
+  });
+
+  it('should skip in-app notifications the user has turned off', async () => {
+    await request(app)
+      .put('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ channels: { GENERAL: { email: false, inApp: false } } })
+      .expect(200);
+
+    const { inApp } = await notificationService.notify(user.id, { type: 'GENERAL', title: 'Muted', message: 'Muted' });
+    expect(inApp).toBe(0);
+
+    const response = await request(app)
+      .get('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.channels.GENERAL).toEqual({ email: false, inApp: false });
+    expect(response.body.data.channels.SESSION_REMINDER).toEqual({ email: true, inApp: true });
+  });
+});
+
+describe('Quiet hours', () => {
+  const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+  it('should apply windows that wrap midnight in the user\'s timezone', () => {
+    expect(isQuietTime(quietHours, 'UTC', new Date('2025-01-01T23:30:00Z'))).toBe(true);
+    expect(isQuietTime(quietHours, 'UTC', new Date('2025-01-01T12:00:00Z'))).toBe(false);
+    // 04:00 UTC is 23:00 the evening before in New York
+    expect(isQuietTime(quietHours, 'America/New_York', new Date('2025-01-01T04:00:00Z'))).toBe(true);
+  });
+
+  it('should delay emails until the quiet hours end', () => {
+    const user = { timezone: 'America/New_York', preferences: { notifications: { quietHours } } };
+
+    // 23:00 in New York; quiet hours end at 07:00 the next morning, 12:00 UTC
+    expect(resolveChannels(user, 'SESSION_REMINDER', new Date('2025-01-02T04:00:00Z')))
+      .toEqual({ email: true, inApp: true, emailAt: new Date('2025-01-02T12:00:00Z') });
+    expect(resolveChannels(user, 'SESSION_REMINDER', new Date('2025-01-02T17:00:00Z')))
+      .toEqual({ email: true, inApp: true });
+  });
+
+  it('should not turn on in-app notifications the user has turned off', () => {
+    const user = {
+      timezone: 'UTC',
+      preferences: { notifications: { quietHours, channels: { SESSION_REMINDER: { email: true, inApp: false } } } }
+    };
+
+    expect(resolveChannels(user, 'SESSION_REMINDER', new Date('2025-01-01T23:30:00Z')))
+      .toEqual({ email: true, inApp: false, emailAt: new Date('2025-01-02T07:00:00Z') });
+  });
+});
@@ -0,0 +1,147 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import { generateToken } from '../src/middleware/auth.js';
+import { saveAvailabilityVersion } from '../src/services/availabilityService.js';
+import { requestReschedule, acceptReschedule } from '../src/services/rescheduleService.js';
+import { scheduleSessionReminders, dispatchDueReminders } from '../src/services/sessionReminderService.js';
+
+describe('Session reminders', () => {
+  const emails = ['reminder-coach@example.com', 'reminder-parent@example.com', 'reminder-admin@example.com'];
+  const monday = (date, time) => new Date(`${date}T${time}:00Z`);
+  let coach;
+  let parent;
+  let admin;
+  let slotId;
+
+  const book = (sessionDate, status = 'APPROVED') => prisma.scheduledSession.create({
+    data: {
+      timeSlotId: slotId,
+      coachId: coach.id,
+      studentId: parent.id,
+      sessionDate,
+      title: 'Reading',
+      duration: 60,
+      price: 10,
+      status
+    }
+  });
+
+  const remindersFor = (sessionId) => prisma.scheduleNotification.findMany({
+    where: { sessionId, type: 'SESSION_REMINDER' },
+    orderBy: [{ scheduledAt: 'asc' }, { userId: 'asc' }]
+  });
+
+  const countInApp = () => prisma.notification.count({
+    where: { userId: { in: [coach.id, parent.id] }, type: 'SESSION_REMINDER' }
+  });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    [coach, parent, admin] = await Promise.all(emails.map((email, index) => prisma.user.create({
+      data: {
+        email,
+        password: 'not-a-real-hash',
+        firstName: 'Reminder',
+        lastName: ['Coach', 'Parent', 'Admin'][index],
+        role: ['COACH', 'PARENT', 'ADMIN'][index],
+        timezone: 'UTC'
+      }
+    })));
+
+    const { availability } = await prisma.$transaction(tx => saveAvailabilityVersion(coach.id, [
+      { dayOfWeek: 1, timeSlots: [{ startTime: '09:00', endTime: '12:00', maxBookings: 3 }] }
+    ], { createdBy: coach.id, now: new Date('2030-01-01T00:00:00Z') }, tx));
+
+    slotId = availability[0].timeSlots[0].id;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  describe('After approval', () => {
+    let session;
+
+    beforeAll(async () => {
+      session = await book(monday('2030-01-14', '09:00'), 'PENDING_APPROVAL');
+    });
+
+    it('should queue one reminder per offset for the coach and the parent', async () => {
+      await request(app)
+        .post(`/api/v1/availability/sessions/${session.id}/approve`)
+        .set('Authorization', `Bearer ${generateToken(admin.id, admin.role)}`)
+        .send({})
+        .expect(200);
+
+      const reminders = await remindersFor(session.id);
+      expect(reminders).toHaveLength(4);
+
+      for (const scheduledAt of ['2030-01-13T09:00:00.000Z', '2030-01-14T08:00:00.000Z']) {
+        const recipients = reminders
+          .filter(reminder => reminder.scheduledAt.toISOString() === scheduledAt)
+          .map(reminder => reminder.userId);
+        expect(recipients.sort()).toEqual([coach.id, parent.id].sort());
+      }
+    });
+
+    it('should send each due reminder once, however often dispatch runs', async () => {
+      const now = new Date('2030-01-13T09:30:00Z');
+      const before = await countInApp();
+
+      await dispatchDueReminders(now);
+      await dispatchDueReminders(now);
+
+      const reminders = await remindersFor(session.id);
+      expect(reminders.filter(reminder => reminder.sentAt)).toHaveLength(2);
+      expect(reminders.filter(reminder => reminder.sentAt).every(reminder => reminder.attempts === 1)).toBe(true);
+      expect(await countInApp()).toBe(before + 2);
+    });
+  });
+
+  it('should drop the reminders of a session that was cancelled', async () => {
+    const session = await book(monday('2030-01-21', '09:00'));
+    await scheduleSessionReminders(session);
+    await prisma.scheduledSession.update({ where: { id: session.id }, data: { status: 'CANCELLED' } });
+
+    const before = await countInApp();
+    await dispatchDueReminders(new Date('2030-01-20T09:30:00Z'));
+
+    const reminders = await remindersFor(session.id);
+    expect(reminders.map(reminder => reminder.scheduledAt.toISOString())).toEqual([
+      '2030-01-21T08:00:00.000Z',
+      '2030-01-21T08:00:00.000Z'
+    ]);
+    expect(await countInApp()).toBe(before);
+  });
+
+  it('should move the reminders with a rescheduled session', async () => {
+    const session = await book(monday('2030-02-04', '09:00'));
+    await scheduleSessionReminders(session);
+
+    const now = new Date('2030-01-30T00:00:00Z');
+    const rescheduleRequest = await requestReschedule(session.id, parent.id, { proposedTimes: [monday('2030-02-04', '11:00')] }, now);
+    await acceptReschedule(rescheduleRequest.id, coach.id, { sessionDate: monday('2030-02-04', '11:00') }, now);
+
+    const reminders = await remindersFor(session.id);
+    expect(reminders).toHaveLength(4);
+    expect(reminders.every(reminder => reminder.dedupeKey.includes('2030-02-04T11:00:00.000Z'))).toBe(true);
+    expect([...new Set(reminders.map(reminder => reminder.scheduledAt.toISOString()))]).toEqual([
+      '2030-02-03T11:00:00.000Z',
+      '2030-02-04T10:00:00.000Z'
+    ]);
+  });
+
+  it('should drop reminders that fall due after the session has started', async () => {
+    const session = await book(monday('2030-02-11', '09:00'));
+    await scheduleSessionReminders(session);
+
+    const before = await countInApp();
+    await dispatchDueReminders(new Date('2030-02-11T09:05:00Z'));
+
+    expect(await remindersFor(session.id)).toHaveLength(0);
+    expect(await countInApp()).toBe(before);
+  });
+});
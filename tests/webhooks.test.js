@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import Stripe from 'stripe';
+import app from '../src/server.js';
+import { prisma } from '../src/config/database.js';
+import creditService from '../src/services/creditService.js';
+
+const WEBHOOK_SECRET = 'whsec_test_luminary_webhooks';
+const stripe = new Stripe('sk_test_luminary_webhooks', { apiVersion: '2023-10-16' });
+
+const loadFixture = (name) => fs.readFileSync(path.resolve('tests/fixtures/stripe', `${name}.json`), 'utf8');
+
+const sendSigned = (payload, secret = WEBHOOK_SECRET) => {
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  return request(app)
+    .post('/api/v1/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+};
+
+const eventIds = [
+  'evt_test_webhook_payment_succeeded',
+  'evt_test_webhook_charge_refunded',
+  'evt_test_webhook_customer_created'
+];
+
+describe('Stripe Webhooks', () => {
+  let user;
+  let payment;
+
+  const cleanUp = async () => {
+    await prisma.webhookEvent.deleteMany({ where: { id: { in: eventIds } } });
+    await prisma.payment.deleteMany({ where: { stripePaymentId: 'pi_test_webhook_payment' } });
+    await prisma.user.deleteMany({ where: { email: 'webhooktest@example.com' } });
+  };
+
+  beforeAll(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    await cleanUp();
+
+    user = await prisma.user.create({
+      data: {
+        email: 'webhooktest@example.com',
+        password: 'not-a-real-hash',
+        firstName: 'Webhook',
+        lastName: 'Test'
+      }
+    });
+
+    payment = await prisma.payment.create({
+      data: {
+        userId: user.id,
+        stripePaymentId: 'pi_test_webhook_payment',
+        amount: 50,
+        status: 'PENDING'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await cleanUp();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/v1/payments/webhook', () => {
+    it('should reject a payload with an invalid signature', async () => {
+      const response = await sendSigned(loadFixture('payment_intent.succeeded'), 'whsec_wrong_secret')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+
+      const event = await prisma.webhookEvent.findUnique({
+        where: { id: 'evt_test_webhook_payment_succeeded' }
+      });
+      expect(event).toBeNull();
+    });
+
+    it('should reject a payload without a signature', async () => {
+      await request(app)
+        .post('/api/v1/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .send(loadFixture('payment_intent.succeeded'))
+        .expect(400);
+    });
+
+    it('should record and process a payment_intent.succeeded event', async () => {
+      const response = await sendSigned(loadFixture('payment_intent.succeeded'))
+        .expect(200);
+
+      expect(response.body.data.duplicate).toBe(false);
+      expect(response.body.data.status).toBe('PROCESSED');
+
+      const updatedPayment = await prisma.payment.findUnique({ where: { id: payment.id } });
+      expect(updatedPayment.status).toBe('SUCCEEDED');
+
+      const event = await prisma.webhookEvent.findUnique({
+        where: { id: 'evt_test_webhook_payment_succeeded' }
+      });
+      expect(event.status).toBe('PROCESSED');
+      expect(event.attempts).toBe(1);
+    });
+
+    it('should treat a replayed event as a no-op', async () => {
+      const response = await sendSigned(loadFixture('payment_intent.succeeded'))
+        .expect(200);
+
+      expect(response.body.data.duplicate).toBe(true);
+
+      const event = await prisma.webhookEvent.findUnique({
+        where: { id: 'evt_test_webhook_payment_succeeded' }
+      });
+      expect(event.attempts).toBe(1);
+    });
+
+    it('should mark the payment refunded on charge.refunded', async () => {
+      await sendSigned(loadFixture('charge.refunded')).expect(200);
+
+      const updatedPayment = await prisma.payment.findUnique({ where: { id: payment.id } });
+      expect(updatedPayment.status).toBe('REFUNDED');
+      expect(updatedPayment.refunded).toBe(true);
+      expect(Number(updatedPayment.refundAmount)).toBe(50);
+    });
+
+    it('should acknowledge and ignore unhandled event types', async () => {
+      const response = await sendSigned(loadFixture('customer.created'))
+        .expect(200);
+
+      expect(response.body.data.status).toBe('IGNORED');
+    });
+  });
+
+  describe('Credit purchases', () => {
+    const outcomes = ['succeeded', 'failed', 'canceled'];
+    const purchaseIds = outcomes.map(outcome => `cp_test_webhook_${outcome}`);
+    const intentIds = outcomes.map(outcome => `pi_test_webhook_credit_purchase_${outcome}`);
+
+    const getBalance = async () => {
+      const creditBalance = await prisma.creditBalance.findUnique({ where: { userId: user.id } });
+      return Number(creditBalance?.balance ?? 0);
+    };
+
+    const cleanUpPurchases = async () => {
+      await prisma.webhookEvent.deleteMany({ where: { id: { in: outcomes.map(outcome => `evt_test_webhook_credit_purchase_${outcome}`) } } });
+      await prisma.creditTransaction.deleteMany({ where: { referenceId: { in: purchaseIds } } });
+      await prisma.creditBalance.deleteMany({ where: { userId: user.id } });
+      await prisma.creditPurchase.deleteMany({ where: { id: { in: purchaseIds } } });
+      await prisma.payment.deleteMany({ where: { stripePaymentId: { in: intentIds } } });
+    };
+
+    beforeAll(async () => {
+      await cleanUpPurchases();
+
+      for (const outcome of outcomes) {
+        const purchasePayment = await prisma.payment.create({
+          data: {
+            userId: user.id,
+            stripePaymentId: `pi_test_webhook_credit_purchase_${outcome}`,
+            amount: 90,
+            status: 'PENDING'
+          }
+        });
+
+        await prisma.creditPurchase.create({
+          data: {
+            id: `cp_test_webhook_${outcome}`,
+            userId: user.id,
+            packageId: 'standard',
+            packageName: 'Standard',
+            credits: 100,
+            amount: 90,
+            paymentId: purchasePayment.id
+          }
+        });
+      }
+    });
+
+    afterAll(cleanUpPurchases);
+
+    it('should not add credits while a purchase is pending', async () => {
+      const purchase = await prisma.creditPurchase.findUnique({ where: { id: 'cp_test_webhook_succeeded' } });
+
+      expect(purchase.status).toBe('PENDING');
+      expect(await getBalance()).toBe(0);
+    });
+
+    it('should grant the credits once on payment_intent.succeeded', async () => {
+      await sendSigned(loadFixture('payment_intent.credit_purchase_succeeded')).expect(200);
+
+      const purchase = await prisma.creditPurchase.findUnique({ where: { id: 'cp_test_webhook_succeeded' } });
+      expect(purchase.status).toBe('COMPLETED');
+      expect(await getBalance()).toBe(100);
+    });
+
+    it('should not grant the credits again on a replay or a later confirm', async () => {
+      const response = await sendSigned(loadFixture('payment_intent.credit_purchase_succeeded')).expect(200);
+      expect(response.body.data.duplicate).toBe(true);
+
+      // The confirm endpoint completes the purchase too, and can run after the webhook
+      await creditService.completeCreditPurchase('cp_test_webhook_succeeded');
+
+      const transactions = await prisma.creditTransaction.findMany({
+        where: { referenceId: 'cp_test_webhook_succeeded', type: 'PURCHASE' }
+      });
+      expect(transactions).toHaveLength(1);
+      expect(await getBalance()).toBe(100);
+    });
+
+    it('should mark the purchase failed on payment_intent.payment_failed', async () => {
+      await sendSigned(loadFixture('payment_intent.credit_purchase_failed')).expect(200);
+
+      const purchase = await prisma.creditPurchase.findUnique({ where: { id: 'cp_test_webhook_failed' } });
+      expect(purchase.status).toBe('FAILED');
+      expect(await getBalance()).toBe(100);
+    });
+
+    it('should mark the purchase cancelled on payment_intent.canceled', async () => {
+      await sendSigned(loadFixture('payment_intent.credit_purchase_canceled')).expect(200);
+
+      const purchase = await prisma.creditPurchase.findUnique({ where: { id: 'cp_test_webhook_canceled' } });
+      expect(purchase.status).toBe('CANCELLED');
+      expect(await getBalance()).toBe(100);
+    });
+  });
+});